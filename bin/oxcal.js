@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { run } from '../src/js/cli/cli.js';
+
+process.exitCode = run(process.argv.slice(2));
@@ -6,6 +6,10 @@ const RUNTIME_CACHE = 'oxcal-runtime';
 const isProduction = self.location.hostname !== 'localhost' && 
                      self.location.hostname !== '127.0.0.1';
 
+// Term data is fetched at runtime so corrected dates reach clients without a
+// rebuild: it is always requested from the network, the cache only serving offline
+const isTermsData = pathname => pathname.endsWith('/terms.json');
+
 // Files to cache for offline functionality
 // Different file paths for dev vs production
 const STATIC_CACHE_URLS = isProduction ? [
@@ -30,6 +34,7 @@ const STATIC_CACHE_URLS = isProduction ? [
   '/src/css/layout.css',
   '/src/css/components.css',
   '/src/css/themes.css',
+  '/src/css/print.css',
   '/src/js/app.js',
   '/src/js/components/index.js',
   '/src/js/components/calendar.js',
@@ -120,6 +125,11 @@ self.addEventListener('fetch', event => {
     return;
   }
   
+  if (isTermsData(url.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  
   event.respondWith(
     caches.match(request)
       .then(cachedResponse => {
@@ -187,6 +197,34 @@ self.addEventListener('fetch', event => {
   );
 });
 
+/**
+ * Fetch from the network, refreshing the cached copy, and fall back to the
+ * cache when offline
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>}
+ */
+function networkFirst(request) {
+  return fetch(request.clone())
+    .then(response => {
+      if (response && response.status === 200) {
+        const responseToCache = response.clone();
+        caches.open(CACHE_NAME)
+          .then(cache => cache.put(request, responseToCache))
+          .catch(err => {
+            console.warn('[Service Worker] Failed to cache response:', err);
+          });
+      }
+      return response;
+    })
+    .catch(error => {
+      console.warn('[Service Worker] Network unavailable, serving cached copy:', request.url);
+      return caches.match(request).then(cachedResponse => {
+        if (cachedResponse) return cachedResponse;
+        throw error;
+      });
+    });
+}
+
 // Message event - handle updates
 self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
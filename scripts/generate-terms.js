@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Regenerate the bundled term data and public/terms.json from the week 1
+ * Sundays in src/js/data/termStartDates.js
+ *
+ * Usage: node scripts/generate-terms.js [--check]
+ *   --check  Exit with status 1 if any file is out of date instead of writing
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { OXFORD_PROFILE, CAMBRIDGE_PROFILE } from '../src/js/data/profiles.js';
+import { OXFORD_WEEK_ONE_SUNDAYS, CAMBRIDGE_WEEK_ONE_SUNDAYS } from '../src/js/data/termStartDates.js';
+import { generateTermsData, formatTermsJSON, formatTermsModule } from '../src/js/data/termsGenerator.js';
+import { validateTermsData } from '../src/js/data/termsValidator.js';
+
+const root = new URL('../', import.meta.url);
+
+const oxfordData = generateTermsData(OXFORD_WEEK_ONE_SUNDAYS, OXFORD_PROFILE);
+const cambridgeData = generateTermsData(CAMBRIDGE_WEEK_ONE_SUNDAYS, CAMBRIDGE_PROFILE);
+
+const outputs = [
+  { path: 'src/js/data/termsData.js', data: oxfordData, profile: OXFORD_PROFILE, format: formatTermsModule },
+  { path: 'public/terms.json', data: oxfordData, profile: OXFORD_PROFILE, format: formatTermsJSON },
+  { path: 'src/js/data/cambridgeTermsData.js', data: cambridgeData, profile: CAMBRIDGE_PROFILE, format: formatTermsModule }
+];
+
+const check = process.argv.includes('--check');
+let stale = 0;
+
+for (const output of outputs) {
+  const { valid, errors } = validateTermsData(output.data, output.profile);
+  if (!valid) {
+    console.error(`${output.path}: generated data is invalid:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  const file = fileURLToPath(new URL(output.path, root));
+  const source = output.format(output.data);
+  const current = readIfExists(file);
+
+  if (current === source) {
+    console.log(`${output.path}: up to date`);
+  } else if (check) {
+    console.error(`${output.path}: out of date`);
+    stale++;
+  } else {
+    writeFileSync(file, source);
+    console.log(`${output.path}: written`);
+  }
+}
+
+if (stale > 0) {
+  console.error('Run `pnpm generate:terms` to regenerate.');
+  process.exitCode = 1;
+}
+
+function readIfExists(file) {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
@@ -2,23 +2,59 @@
  * Main application entry point
  */
 
-import { loadTermsData, findTermWeekForDate } from './data/termService.js';
-import { getToday, formatDate } from './data/dateUtils.js';
-import { Calendar } from './components/calendar.js';
-import { search, generateSuggestions } from './search/index.js';
+import {
+  loadTermsData,
+  getTermsDataStatus,
+  findTermWeekForDate,
+  getEventsForDate,
+  getFullTermWeeks,
+  getRangeSummary,
+  setCalendarProfile,
+  getCalendarProfile
+} from './data/termService.js';
+import { PROFILES, getProfile } from './data/profiles.js';
+import { getToday, formatDate, toISODateString, parseISODate } from './data/dateUtils.js';
+import { openEventStore } from './data/eventStore.js';
+import { getPersonalEventsForDate, describePersonalEventSchedule } from './data/personalEvents.js';
+import { Calendar, WEEK_START_MONDAY, WEEK_START_SUNDAY, MAX_MONTH_COUNT } from './components/calendar.js';
+import { getTermCards, renderTermCards } from './components/termCard.js';
+import { search, getResultLines, generateSuggestions, findDatesForLabels } from './search/index.js';
+import {
+  getSearchHistory,
+  recordSearch,
+  pinQuery,
+  unpinQuery,
+  removeQuery,
+  clearSearchHistory
+} from './search/history.js';
+import { resultToICS, termToICS, getICSFilename } from './export/ics.js';
+import { downloadFile } from './export/download.js';
+import { annotateCSV, formatCSV } from './export/csv.js';
+import { parseURLState, buildURLSearch, toMonthKey, parseMonthKey } from './urlState.js';
 import themeManager from './themeManager.js';
 
+const PROFILE_KEY = 'oxcal-profile';
+const WEEK_START_KEY = 'oxcal-week-start';
+const MONTH_COUNT_KEY = 'oxcal-month-count';
+
 // Application state
 let appState = {
   termsLoaded: false,
   currentDate: getToday(),
   currentMonth: new Date(),
   selectedDate: null,
+  selectedRange: null, // { start, end } of days selected by dragging or Shift+Arrow
   calendar: null,
+  eventStore: null,
+  personalEvents: [],
   searchResults: null,
+  searchQuery: null,
+  restoringURLState: false,
+  printCard: null, // { year, term } while the term card is shown
+  labelResults: [],
   suggestions: [],
   selectedSuggestionIndex: -1,
-  infoPanelMode: 'today' // 'today', 'selected', 'search'
+  infoPanelMode: 'today' // 'today', 'selected', 'range', 'search'
 };
 
 /**
@@ -29,18 +65,27 @@ async function init() {
     // Initialize theme manager first (requires DOM to be ready)
     themeManager.init();
     
+    // Restore the university chosen on a previous visit
+    const storedProfile = getStoredProfileId();
+    if (storedProfile && getProfile(storedProfile)) {
+      setCalendarProfile(storedProfile);
+    }
+    
     // Load terms data
     await loadTermsData();
     appState.termsLoaded = true;
+    reportTermsDataProblems();
     
     // Set current month to today
     appState.currentMonth = new Date();
     
     // Initialize UI components
     initializeCalendar();
+    initializeProfileSelect();
     initializeEventListeners();
-    handleURLParams();
     updateInfoPanel('today');
+    handleURLParams();
+    await initializePersonalEvents();
 
     // Defer PWA registration until after initial render
     if ('requestIdleCallback' in window) {
@@ -64,21 +109,286 @@ function initializeCalendar() {
   
   // Create calendar instance
   appState.calendar = new Calendar(gridElement);
+  appState.calendar.setWeekStart(getStoredWeekStart());
+  appState.calendar.setMonthCount(getStoredMonthCount());
   
   // Set up event listeners
   appState.calendar.on('select', ({ date }) => {
     appState.selectedDate = date;
-    updateInfoPanel('selected', date);
+    appState.selectedRange = null;
+    if (date) {
+      updateInfoPanel('selected', date);
+    } else if (appState.infoPanelMode !== 'search') {
+      updateInfoPanel('today');
+    }
+    updateURL();
+  });
+
+  appState.calendar.on('select-range', (range) => {
+    appState.selectedDate = null;
+    appState.selectedRange = range;
+    updateInfoPanel('range', range);
+    announce(getRangeSummary(range.start, range.end).label);
+    updateURL();
   });
   
-  appState.calendar.on('navigate', ({ month }) => {
+  appState.calendar.on('navigate', ({ month, scrolled = false }) => {
     appState.currentMonth = month;
     updateMonthHeader();
+    // Scrolling through months replaces the URL rather than piling up history
+    updateURL({ replace: scrolled });
+  });
+
+  appState.calendar.on('view', ({ view }) => {
+    appState.currentMonth = appState.calendar.currentMonth;
+    updateViewButtons(view);
+    updateMonthHeader();
+    updateURL();
   });
   
   // Initial render
   appState.calendar.setMonth(appState.currentMonth);
   updateMonthHeader();
+  updateWeekStartToggle();
+  updateMonthCountSelect();
+}
+
+/**
+ * Show several months at once in the month view and remember the choice
+ * @param {number} count - Months shown at once
+ */
+function setMonthCount(count) {
+  if (!appState.calendar) return;
+
+  appState.calendar.setMonthCount(count);
+  storeMonthCount(count);
+  updateMonthHeader();
+}
+
+/**
+ * Show the number of months in the month view
+ */
+function updateMonthCountSelect() {
+  const select = document.getElementById('month-count');
+  if (select && appState.calendar) {
+    select.value = String(appState.calendar.monthCount);
+  }
+}
+
+/**
+ * Switch the month grid between Monday-first and Sunday-first rows and remember the choice
+ */
+function toggleWeekStart() {
+  if (!appState.calendar) return;
+
+  const weekStart = appState.calendar.weekStart === WEEK_START_SUNDAY ? WEEK_START_MONDAY : WEEK_START_SUNDAY;
+  appState.calendar.setWeekStart(weekStart);
+  storeWeekStart(weekStart);
+  updateWeekStartToggle();
+  announce(weekStart === WEEK_START_SUNDAY
+    ? 'Weeks start on Sunday, one Oxford week per row'
+    : 'Weeks start on Monday');
+}
+
+/**
+ * Show whether the Sunday-first layout is on
+ */
+function updateWeekStartToggle() {
+  const toggle = document.getElementById('week-start-toggle');
+  if (toggle && appState.calendar) {
+    toggle.setAttribute('aria-pressed', String(appState.calendar.weekStart === WEEK_START_SUNDAY));
+  }
+}
+
+/**
+ * Open the personal event store and show its events on the calendar
+ */
+async function initializePersonalEvents() {
+  try {
+    appState.eventStore = await openEventStore();
+    await refreshPersonalEvents();
+  } catch (error) {
+    console.warn('Could not load personal events:', error);
+  }
+}
+
+/**
+ * Reload personal events from the store and redraw what shows them
+ */
+async function refreshPersonalEvents() {
+  appState.personalEvents = await appState.eventStore.getAll();
+  if (appState.calendar) {
+    appState.calendar.setPersonalEvents(appState.personalEvents);
+  }
+  if (appState.infoPanelMode === 'selected') {
+    updateInfoPanel('selected', appState.selectedDate);
+  }
+  if (appState.printCard) {
+    showPrintCard(appState.printCard);
+  }
+}
+
+/**
+ * Warn when the runtime terms.json was rejected and the bundled dates are in use
+ */
+function reportTermsDataProblems() {
+  const { url, errors } = getTermsDataStatus();
+  const warning = document.getElementById('data-warning');
+
+  if (errors.length === 0) {
+    if (warning) warning.hidden = true;
+    return;
+  }
+
+  console.error(`${url} failed validation:\n${errors.join('\n')}`);
+
+  if (warning) {
+    const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+    warning.textContent = `Term data in ${url} is invalid (${count}, first: ${errors[0]}). Showing the built-in term dates instead.`;
+    warning.hidden = false;
+  }
+}
+
+/**
+ * Populate the university switcher and apply the active profile's labels
+ */
+function initializeProfileSelect() {
+  const select = document.getElementById('profile-select');
+  if (select) {
+    select.innerHTML = Object.values(PROFILES)
+      .map(profile => `<option value="${profile.id}">${profile.shortName}</option>`)
+      .join('');
+    select.value = getCalendarProfile().id;
+    select.addEventListener('change', () => switchProfile(select.value));
+  }
+
+  updateProfileLabels();
+}
+
+/**
+ * Switch to another university's calendar
+ * @param {string} profileId - Profile id, e.g. "cambridge"
+ */
+async function switchProfile(profileId) {
+  setCalendarProfile(profileId);
+  storeProfileId(profileId);
+  await loadTermsData();
+  reportTermsDataProblems();
+  updateProfileLabels();
+
+  // Search results and highlights refer to the previous university's terms
+  appState.searchResults = null;
+  appState.searchQuery = null;
+  if (appState.calendar) {
+    appState.calendar.clearHighlights();
+    // The term and year views pick the new profile's term for the same month
+    appState.calendar.setMonth(appState.calendar.currentMonth);
+    updateMonthHeader();
+  }
+  if (appState.selectedRange) {
+    updateInfoPanel('range');
+  } else {
+    updateInfoPanel(appState.selectedDate ? 'selected' : 'today', appState.selectedDate);
+  }
+  if (appState.printCard) {
+    showPrintCard(appState.printCard);
+  }
+  updateURL();
+}
+
+/**
+ * Update the subtitle and term colour key for the active profile
+ */
+function updateProfileLabels() {
+  const profile = getCalendarProfile();
+
+  const subtitle = document.getElementById('app-subtitle');
+  if (subtitle) {
+    subtitle.textContent = `${profile.shortName} University Term Calendar`;
+  }
+
+  const legend = document.querySelector('.term-legend');
+  if (legend) {
+    legend.innerHTML = profile.terms
+      .map(term => `<div class="legend-item"><span class="legend-color ${term.name}"></span> ${term.label}</div>`)
+      .join('');
+  }
+}
+
+/**
+ * Get the stored profile id from localStorage
+ * @returns {string|null} Profile id or null
+ */
+function getStoredProfileId() {
+  try {
+    return localStorage.getItem(PROFILE_KEY);
+  } catch (e) {
+    console.warn('localStorage not available:', e);
+    return null;
+  }
+}
+
+/**
+ * Store the profile id in localStorage
+ * @param {string} profileId - Profile id
+ */
+function storeProfileId(profileId) {
+  try {
+    localStorage.setItem(PROFILE_KEY, profileId);
+  } catch (e) {
+    console.warn('Could not save calendar profile:', e);
+  }
+}
+
+/**
+ * Get the stored first day of the week from localStorage
+ * @returns {number} WEEK_START_SUNDAY or WEEK_START_MONDAY (the default)
+ */
+function getStoredWeekStart() {
+  try {
+    return localStorage.getItem(WEEK_START_KEY) === 'sunday' ? WEEK_START_SUNDAY : WEEK_START_MONDAY;
+  } catch (e) {
+    console.warn('localStorage not available:', e);
+    return WEEK_START_MONDAY;
+  }
+}
+
+/**
+ * Store the first day of the week in localStorage
+ * @param {number} weekStart - WEEK_START_SUNDAY or WEEK_START_MONDAY
+ */
+function storeWeekStart(weekStart) {
+  try {
+    localStorage.setItem(WEEK_START_KEY, weekStart === WEEK_START_SUNDAY ? 'sunday' : 'monday');
+  } catch (e) {
+    console.warn('Could not save week start:', e);
+  }
+}
+
+/**
+ * Get the stored number of months shown in the month view from localStorage
+ * @returns {number} Months, 1 (the default) to MAX_MONTH_COUNT
+ */
+function getStoredMonthCount() {
+  try {
+    const count = Number(localStorage.getItem(MONTH_COUNT_KEY));
+    return Number.isInteger(count) && count >= 1 && count <= MAX_MONTH_COUNT ? count : 1;
+  } catch (e) {
+    console.warn('localStorage not available:', e);
+    return 1;
+  }
+}
+
+/**
+ * Store the number of months shown in the month view in localStorage
+ * @param {number} count - Months
+ */
+function storeMonthCount(count) {
+  try {
+    localStorage.setItem(MONTH_COUNT_KEY, String(count));
+  } catch (e) {
+    console.warn('Could not save month count:', e);
+  }
 }
 
 /**
@@ -168,6 +478,13 @@ function initializeEventListeners() {
     
     // Add input handler for suggestions
     searchInput.addEventListener('input', handleSearchInput);
+
+    // Offer pinned and recent searches in an empty search box
+    searchInput.addEventListener('focus', () => {
+      if (!searchInput.value.trim()) {
+        showHistorySuggestions();
+      }
+    });
     
     // Add keyboard navigation for suggestions
     searchInput.addEventListener('keydown', handleSearchKeyDown);
@@ -199,20 +516,347 @@ function initializeEventListeners() {
       }
     });
   }
+
+  // Month, term and academic year views
+  document.querySelectorAll('.view-button[data-view]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (appState.calendar) {
+        appState.calendar.setView(button.dataset.view);
+      }
+    });
+  });
+
+  // Sunday-first rows, one Oxford week each
+  const weekStartToggle = document.getElementById('week-start-toggle');
+  if (weekStartToggle) {
+    weekStartToggle.addEventListener('click', toggleWeekStart);
+  }
+
+  // Several months at once, scrolling
+  const monthCountSelect = document.getElementById('month-count');
+  if (monthCountSelect) {
+    monthCountSelect.addEventListener('change', () => {
+      setMonthCount(Number(monthCountSelect.value));
+    });
+  }
+
+  // Printable term card
+  const printButton = document.getElementById('print-button');
+  const printCardPrint = document.getElementById('print-card-print');
+  const printCardClose = document.getElementById('print-card-close');
+
+  if (printButton) {
+    printButton.addEventListener('click', openPrintCard);
+  }
+  if (printCardPrint) {
+    printCardPrint.addEventListener('click', () => window.print());
+  }
+  if (printCardClose) {
+    printCardClose.addEventListener('click', closePrintCard);
+  }
+
+  // CSV annotation
+  const csvButton = document.getElementById('csv-button');
+  const csvInput = document.getElementById('csv-input');
+
+  if (csvButton && csvInput) {
+    csvButton.addEventListener('click', () => csvInput.click());
+    csvInput.addEventListener('change', () => {
+      const [file] = csvInput.files;
+      // Reset so choosing the same file again still fires change
+      csvInput.value = '';
+      if (file) {
+        handleCSVFile(file);
+      }
+    });
+  }
+
+  // Label to date conversion
+  const labelConvert = document.getElementById('label-convert');
+  const labelCopy = document.getElementById('label-copy');
+
+  if (labelConvert) {
+    labelConvert.addEventListener('click', convertLabelList);
+  }
+
+  if (labelCopy) {
+    labelCopy.addEventListener('click', copyLabelResults);
+  }
 }
 
 /**
- * Handle URL parameters from manifest shortcuts
+ * Convert the pasted labels, one per line, and show a table of their dates
+ */
+function convertLabelList() {
+  const input = document.getElementById('label-input');
+  const container = document.getElementById('label-results');
+  const copyButton = document.getElementById('label-copy');
+  if (!input || !container) return;
+
+  const lines = input.value.split(/\r?\n/);
+  // Ignore the blank line left by a trailing newline, keep blank rows in between
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+  appState.labelResults = findDatesForLabels(lines);
+  const converted = appState.labelResults.filter(row => row.status === 'ok').length;
+  const failed = appState.labelResults.filter(row => row.status === 'error').length;
+
+  const table = document.createElement('table');
+  table.className = 'label-table';
+  const head = table.createTHead().insertRow();
+  ['Label', 'Date', 'End', 'Note'].forEach(text => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = text;
+    head.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  appState.labelResults.forEach(row => {
+    const tr = body.insertRow();
+    if (row.status === 'error') tr.className = 'label-error';
+    [row.label, row.date || '', row.endDate !== row.date ? row.endDate : '', describeLabelRow(row)]
+      .forEach(text => {
+        tr.insertCell().textContent = text;
+      });
+  });
+
+  container.replaceChildren(table);
+  if (copyButton) copyButton.disabled = converted === 0;
+  announce(`Converted ${converted} of ${converted + failed} labels`);
+}
+
+/**
+ * Explain a converted label: why it failed, or what was assumed
+ * @param {Object} row - Row from findDatesForLabels()
+ * @returns {string} Note for the results table
+ */
+function describeLabelRow(row) {
+  if (row.status === 'error') return row.error;
+  if (row.assumed.length > 0) return `Assumed ${row.assumed.join(' and ')}`;
+  return '';
+}
+
+/**
+ * Copy the converted labels as tab-separated text, which pastes into spreadsheet columns
+ */
+async function copyLabelResults() {
+  const rows = [
+    ['Label', 'Date', 'End date', 'Term', 'Week', 'Year', 'Status', 'Note'],
+    ...appState.labelResults.map(row => [
+      row.label, row.date, row.endDate, row.term, row.week, row.year, row.status, describeLabelRow(row)
+    ])
+  ];
+
+  try {
+    await navigator.clipboard.writeText(formatCSV(rows, '\t'));
+    announce('Results copied');
+  } catch (error) {
+    console.warn('Could not copy results:', error);
+    announce('Could not copy results');
+  }
+}
+
+/**
+ * Annotate the date columns of a CSV file with term weeks and download the result
+ * @param {File} file - CSV file chosen by the user
+ */
+async function handleCSVFile(file) {
+  const status = document.getElementById('csv-status');
+  const report = (message) => {
+    if (status) status.textContent = message;
+    announce(message);
+  };
+
+  try {
+    const { csv, dateColumns, dates, inTerm } = annotateCSV(await file.text());
+    const basename = file.name.replace(/\.csv$/i, '');
+    downloadFile(csv, `${basename}-terms.csv`, 'text/csv');
+
+    const columns = dateColumns.map(column => column.name).join(', ');
+    report(`Added term weeks for ${dates} ${dates === 1 ? 'date' : 'dates'} (${inTerm} in term) from ${columns}`);
+  } catch (error) {
+    report(`Could not convert ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Restore the view from URL parameters (?q=, ?date=, ?month=, and ?focus=search
+ * from manifest shortcuts), and again whenever back/forward changes them
  */
 function handleURLParams() {
-  const params = new URLSearchParams(window.location.search);
+  const state = parseURLState(window.location.search);
+  restoreURLState(state);
 
-  if (params.get('focus') === 'search') {
+  if (state.focusSearch) {
     const searchInput = document.getElementById('date-search');
     if (searchInput) {
       searchInput.focus();
     }
   }
+
+  window.addEventListener('popstate', () => {
+    restoreURLState(parseURLState(window.location.search));
+  });
+}
+
+/**
+ * Show the search, selected date, month and calendar view described by URL state
+ * @param {Object} state - State from parseURLState()
+ */
+function restoreURLState({ query, date, month, view, print }) {
+  if (!appState.calendar) return;
+
+  if (print) {
+    showPrintCard(print);
+  } else {
+    hidePrintCard();
+  }
+
+  // Searching and selecting below would otherwise push new history entries
+  appState.restoringURLState = true;
+  try {
+    appState.calendar.setView(view);
+
+    const input = document.getElementById('date-search');
+    if (input) {
+      input.value = query || '';
+    }
+
+    if (query) {
+      handleSearch();
+    } else {
+      appState.searchResults = null;
+      appState.searchQuery = null;
+      appState.calendar.clearHighlights();
+    }
+
+    if (date) {
+      appState.calendar.selectDate(parseISODate(date));
+    } else {
+      appState.calendar.clearSelection();
+      appState.selectedDate = null;
+      appState.selectedRange = null;
+      if (!query) {
+        updateInfoPanel('today');
+      }
+    }
+
+    appState.calendar.setMonth(month ? parseMonthKey(month) : getDefaultMonth());
+    appState.currentMonth = appState.calendar.currentMonth;
+    updateMonthHeader();
+  } finally {
+    appState.restoringURLState = false;
+  }
+}
+
+/**
+ * Record the current view in the URL as a new history entry
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace] - Update the current entry instead
+ */
+function updateURL({ replace = false } = {}) {
+  if (appState.restoringURLState) return;
+
+  const month = toMonthKey(appState.currentMonth);
+  const search = buildURLSearch({
+    query: appState.searchResults ? appState.searchQuery : null,
+    date: appState.selectedDate,
+    // Leave the month out when the query or date already brings the calendar there
+    month: month === toMonthKey(getDefaultMonth()) ? null : month,
+    view: appState.calendar ? appState.calendar.view : 'month',
+    print: appState.printCard
+  });
+
+  if (search !== window.location.search) {
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  }
+}
+
+/**
+ * Show the term card for the term (or academic year) in view and open the print dialog
+ */
+function openPrintCard() {
+  if (!appState.calendar) return;
+
+  const shown = appState.calendar.getTermForView();
+  if (!shown) return;
+
+  const print = appState.calendar.view === 'year' ? { year: shown.year, term: null } : shown;
+  // Marked so "Back to calendar" can return to this entry rather than leave the app
+  history.pushState({ printFromApp: true }, '', `${window.location.pathname}${buildURLSearch({ print })}`);
+  showPrintCard(print);
+  window.print();
+}
+
+/**
+ * Leave print mode, going back to the calendar view it was opened from
+ */
+function closePrintCard() {
+  if (history.state && history.state.printFromApp) {
+    history.back();
+    return;
+  }
+
+  // Opened from a link: start a fresh calendar view
+  history.pushState(null, '', window.location.pathname);
+  restoreURLState(parseURLState(''));
+}
+
+/**
+ * Render the term card for a term or academic year and show it instead of the calendar
+ * @param {{year: string, term: string|null}} print - Term to show, or null term for the whole year
+ */
+function showPrintCard(print) {
+  const section = document.getElementById('print-card');
+  const content = document.getElementById('print-card-content');
+  const title = document.getElementById('print-card-title');
+  if (!section || !content) return;
+
+  const cards = getTermCards(print.year, print.term, { personalEvents: appState.personalEvents });
+  const profile = getCalendarProfile();
+  renderTermCards(content, cards);
+  if (cards.length === 0) {
+    content.textContent = `No ${profile.shortName} term dates for ${print.term ? `${print.term} ` : ''}${print.year}.`;
+  }
+  if (title) {
+    title.textContent = print.term && cards.length > 0
+      ? `${profile.shortName} ${cards[0].title}`
+      : `${profile.shortName} Academic Year ${print.year}`;
+  }
+
+  appState.printCard = print;
+  section.hidden = false;
+  document.body.classList.add('print-mode');
+}
+
+/**
+ * Hide the term card and show the calendar again
+ */
+function hidePrintCard() {
+  const section = document.getElementById('print-card');
+  if (section) {
+    section.hidden = true;
+  }
+  appState.printCard = null;
+  document.body.classList.remove('print-mode');
+}
+
+/**
+ * Get the month the calendar opens on for the current search and selection
+ * @returns {Date} First search result, else the selected date, else today
+ */
+function getDefaultMonth() {
+  const results = appState.searchResults;
+  if (results && results.success && results.dates && results.dates.length > 0) {
+    return results.dates[0];
+  }
+  return appState.selectedDate || getToday();
 }
 
 /**
@@ -270,19 +914,28 @@ function handleSearch() {
     // Clear search and return to showing today's info or selected date
     hideSuggestions();
     appState.searchResults = null;
+    appState.searchQuery = null;
     if (appState.selectedDate) {
       updateInfoPanel('selected');
+    } else if (appState.selectedRange) {
+      updateInfoPanel('range');
     } else {
       updateInfoPanel('today');
     }
+    updateURL();
     return;
   }
   
   // Execute search
   const results = search(query);
   appState.searchResults = results;
+  appState.searchQuery = query;
   
   if (results.success) {
+    // Opening a shared link or going back is not a new search
+    if (!appState.restoringURLState) {
+      recordSearch(query);
+    }
     displaySearchResults(results);
     
     // Navigate calendar to show results
@@ -290,7 +943,8 @@ function handleSearch() {
       const firstDate = results.dates[0];
       if (appState.calendar) {
         appState.calendar.setMonthAndHighlight(firstDate, results.dates);
-        appState.currentMonth = firstDate;
+        // The term and year views move to the term of the first date
+        appState.currentMonth = appState.calendar.currentMonth;
         updateMonthHeader();
       }
     }
@@ -300,6 +954,7 @@ function handleSearch() {
   }
   
   hideSuggestions();
+  updateURL();
 }
 
 /**
@@ -315,6 +970,11 @@ function displaySearchResults(results) {
 function handleSearchInput(e) {
   const query = e.target.value;
   
+  if (!query.trim()) {
+    showHistorySuggestions();
+    return;
+  }
+  
   if (query.length < 2) {
     hideSuggestions();
     return;
@@ -374,6 +1034,16 @@ function handleSearchKeyDown(e) {
       handled = true;
       break;
       
+    case 'Delete':
+      // Shift+Delete forgets the highlighted history entry, as in browser address bars
+      if (e.shiftKey && isHistorySuggestion(appState.suggestions[appState.selectedSuggestionIndex])) {
+        e.preventDefault();
+        removeQuery(appState.suggestions[appState.selectedSuggestionIndex].text);
+        showHistorySuggestions();
+        announce('Search removed from history');
+      }
+      break;
+      
     case 'Tab':
       // Allow Tab to move to next suggestion or exit
       if (appState.suggestions.length > 0) {
@@ -431,15 +1101,27 @@ function displaySuggestions(suggestions) {
            role="option"
            aria-selected="${isSelected}"
            data-index="${index}">
-        <div class="suggestion-text">${s.text}</div>
-        <div class="suggestion-description">${s.description || ''}</div>
+        <div class="suggestion-text">${escapeHTML(s.text)}</div>
+        <div class="suggestion-description">${escapeHTML(s.description || '')}</div>
+        ${isHistorySuggestion(s) ? getHistoryControlsHTML(s) : ''}
       </div>
     `;
   }).join('');
+  const hasRecent = suggestions.some(s => s.type === 'recent');
   
-  suggestionsContainer.innerHTML = html;
+  suggestionsContainer.innerHTML = html + (hasRecent
+    ? '<div class="suggestion-footer"><button type="button" class="suggestion-control" data-action="clear">Clear recent searches</button></div>'
+    : '');
   suggestionsContainer.classList.add('active');
   
+  // Pin, unpin, remove and clear history without choosing a suggestion
+  suggestionsContainer.querySelectorAll('.suggestion-control').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleHistoryControl(button.dataset.action, button.dataset.query);
+    });
+  });
+  
   // Add click handlers for suggestions
   suggestionsContainer.querySelectorAll('.suggestion-item').forEach((item, index) => {
     item.addEventListener('click', () => {
@@ -454,6 +1136,76 @@ function displaySuggestions(suggestions) {
   });
 }
 
+/**
+ * Show pinned and recent searches, or nothing if there are none
+ */
+function showHistorySuggestions() {
+  const history = getSearchHistory();
+  if (history.pinned.length === 0 && history.recent.length === 0) {
+    hideSuggestions();
+    return;
+  }
+
+  appState.suggestions = generateSuggestions('', { history });
+  appState.selectedSuggestionIndex = -1;
+  displaySuggestions(appState.suggestions);
+}
+
+/**
+ * Check whether a suggestion comes from the search history
+ * @param {Object} [suggestion] - Suggestion
+ * @returns {boolean}
+ */
+function isHistorySuggestion(suggestion) {
+  return Boolean(suggestion) && (suggestion.type === 'pinned' || suggestion.type === 'recent');
+}
+
+/**
+ * Get the pin/unpin and remove buttons for a history suggestion
+ * @param {Object} suggestion - Pinned or recent suggestion
+ * @returns {string} HTML
+ */
+function getHistoryControlsHTML(suggestion) {
+  const query = escapeHTML(suggestion.text);
+  const pinned = suggestion.type === 'pinned';
+  return `
+    <div class="suggestion-controls">
+      <button type="button" class="suggestion-control" data-action="${pinned ? 'unpin' : 'pin'}"
+              data-query="${query}" aria-label="${pinned ? 'Unpin' : 'Pin'} ${query}">${pinned ? 'Unpin' : 'Pin'}</button>
+      <button type="button" class="suggestion-control" data-action="remove"
+              data-query="${query}" aria-label="Remove ${query} from history">Remove</button>
+    </div>
+  `;
+}
+
+/**
+ * Apply a history control and redraw the history suggestions
+ * @param {string} action - "pin", "unpin", "remove" or "clear"
+ * @param {string} [query] - Query the control belongs to
+ */
+function handleHistoryControl(action, query) {
+  const messages = {
+    pin: 'Search pinned',
+    unpin: 'Search unpinned',
+    remove: 'Search removed from history',
+    clear: 'Recent searches cleared'
+  };
+
+  if (action === 'pin') pinQuery(query);
+  if (action === 'unpin') unpinQuery(query);
+  if (action === 'remove') removeQuery(query);
+  if (action === 'clear') clearSearchHistory();
+
+  showHistorySuggestions();
+  announce(messages[action]);
+
+  // Keep typing in the search box after using a control
+  const input = document.getElementById('date-search');
+  if (input) {
+    input.focus();
+  }
+}
+
 /**
  * Update visual selection of suggestions
  */
@@ -530,6 +1282,22 @@ function updateMonthHeader() {
   monthElement.textContent = appState.calendar.getMonthDisplayString();
 }
 
+/**
+ * Mark the active view button and name what the arrows step through
+ * @param {string} view - "month", "term" or "year"
+ */
+function updateViewButtons(view) {
+  document.querySelectorAll('.view-button[data-view]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.view === view));
+  });
+
+  const unit = { month: 'Month', term: 'Term', year: 'Academic Year' }[view];
+  const prevButton = document.getElementById('prev-month');
+  const nextButton = document.getElementById('next-month');
+  if (prevButton) prevButton.setAttribute('aria-label', `Previous ${unit}`);
+  if (nextButton) nextButton.setAttribute('aria-label', `Next ${unit}`);
+}
+
 /**
  * Update the unified info panel based on current state
  */
@@ -551,6 +1319,7 @@ function updateInfoPanel(mode, data = null) {
           <div class="info-content">
             <div class="info-line primary">${formatDate(today, 'full')}</div>
             <div class="info-line secondary">${termName} Term, Week ${todayTermWeek.week}</div>
+            ${getEventsLine(today)}
           </div>
         `;
       } else {
@@ -558,6 +1327,7 @@ function updateInfoPanel(mode, data = null) {
           <div class="info-content">
             <div class="info-line primary">${formatDate(today, 'full')}</div>
             <div class="info-line secondary">Outside term time</div>
+            ${getEventsLine(today)}
           </div>
         `;
       }
@@ -575,6 +1345,7 @@ function updateInfoPanel(mode, data = null) {
           <div class="info-content">
             <div class="info-line primary">${formatDate(selectedDate, 'full')}</div>
             <div class="info-line secondary">${termName} Term, Week ${selectedTermWeek.week}</div>
+            ${getEventsLine(selectedDate)}
           </div>
         `;
       } else {
@@ -582,75 +1353,295 @@ function updateInfoPanel(mode, data = null) {
           <div class="info-content">
             <div class="info-line primary">${formatDate(selectedDate, 'full')}</div>
             <div class="info-line secondary">Outside term time</div>
+            ${getEventsLine(selectedDate)}
           </div>
         `;
       }
       break;
       
+    case 'range':
+      const range = data || appState.selectedRange;
+      if (!range) return;
+
+      const summary = getRangeSummary(range.start, range.end);
+      const inTerm = summary.termDays === summary.days ? '' : `, ${summary.termDays} in term weeks`;
+      html = `
+        <div class="info-content">
+          <div class="info-line primary">${summary.label}</div>
+          <div class="info-line secondary">${formatDate(summary.start, 'short')} – ${formatDate(summary.end, 'short')}${inTerm}</div>
+        </div>
+      `;
+      break;
+      
     case 'search':
       const results = data || appState.searchResults;
       if (!results) return;
       
-      if (results.success) {
-        if (results.type === 'week-range') {
-          const termName = results.term.charAt(0).toUpperCase() + results.term.slice(1);
-          html = `
-            <div class="info-content">
-              <div class="info-line primary">${results.weekRangeText}</div>
-              <div class="info-line secondary">${termName} Term, Week ${results.week}</div>
-            </div>
-          `;
-        } else if (results.type === 'single-date') {
-          // For specific date queries like "Tuesday Week 5 Michaelmas 2025"
-          if (results.term && results.week) {
-            const termName = results.term.charAt(0).toUpperCase() + results.term.slice(1);
-            html = `
-              <div class="info-content">
-                <div class="info-line primary">${results.displayText}</div>
-                <div class="info-line secondary">${termName} Term, Week ${results.week}</div>
-              </div>
-            `;
-          } else if (results.detailText === 'Outside term time') {
-            html = `
-              <div class="info-content">
-                <div class="info-line primary">${results.displayText}</div>
-                <div class="info-line secondary">Outside term time</div>
-              </div>
-            `;
-          } else {
-            // Extract term and week from detailText like "Tuesday, Week 5 of Michaelmas Term 2025-26"
-            const detailMatch = results.detailText.match(/Week (\d+) of (\w+) Term/);
-            if (detailMatch) {
-              const weekNum = detailMatch[1];
-              const termName = detailMatch[2];
-              html = `
-                <div class="info-content">
-                  <div class="info-line primary">${results.displayText}</div>
-                  <div class="info-line secondary">${termName} Term, Week ${weekNum}</div>
-                </div>
-              `;
-            } else {
-              html = `
-                <div class="info-content">
-                  <div class="info-line primary">${results.displayText}</div>
-                  <div class="info-line secondary">${results.detailText}</div>
-                </div>
-              `;
-            }
-          }
-        }
-      } else {
-        html = `
-          <div class="info-content error">
-            <div class="info-line primary">No results found</div>
-            <div class="info-line secondary">${results.error || 'Could not parse query'}</div>
-          </div>
-        `;
-      }
+      const lines = getResultLines(results);
+      html = `
+        <div class="info-content${results.success ? '' : ' error'}">
+          <div class="info-line primary">${lines.primary}</div>
+          <div class="info-line secondary">${lines.secondary}</div>
+        </div>
+      `;
       break;
   }
   
   infoPanel.innerHTML = html;
+
+  if (mode === 'search') {
+    attachExportActions(infoPanel, data || appState.searchResults);
+  } else if (mode === 'selected' && appState.eventStore) {
+    attachPersonalEvents(infoPanel, data || appState.selectedDate);
+  }
+}
+
+/**
+ * List the selected date's personal events below the date, with edit,
+ * delete and add controls
+ */
+function attachPersonalEvents(infoPanel, date) {
+  const content = infoPanel.querySelector('.info-content');
+  if (!content) return;
+
+  const section = document.createElement('div');
+  section.className = 'personal-events';
+
+  const events = getPersonalEventsForDate(appState.personalEvents, date);
+  if (events.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'personal-event-list';
+    list.setAttribute('aria-label', 'Your events');
+
+    events.forEach(event => {
+      const item = document.createElement('li');
+      item.className = 'personal-event-item';
+
+      const title = document.createElement('span');
+      title.className = 'personal-event-title';
+      title.textContent = event.title;
+      item.appendChild(title);
+
+      if (event.termWeeks) {
+        const schedule = document.createElement('span');
+        schedule.className = 'personal-event-schedule';
+        schedule.textContent = describePersonalEventSchedule(event);
+        item.appendChild(schedule);
+      }
+
+      item.appendChild(createInfoAction('Edit', `Edit ${event.title}`, () => {
+        showPersonalEventForm(section, date, event);
+      }));
+      item.appendChild(createInfoAction('Delete', `Delete ${event.title}`, async () => {
+        try {
+          await appState.eventStore.delete(event.id);
+          await refreshPersonalEvents();
+          announce(`Deleted ${event.title}`);
+        } catch (error) {
+          console.error('Could not delete event:', error);
+        }
+      }));
+
+      list.appendChild(item);
+    });
+
+    section.appendChild(list);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'info-actions';
+  actions.appendChild(createInfoAction('Add event', 'Add an event on this date', () => {
+    showPersonalEventForm(section, date);
+  }));
+  section.appendChild(actions);
+
+  if (!appState.eventStore.persistent) {
+    const note = document.createElement('div');
+    note.className = 'personal-events-note';
+    note.textContent = 'Events can\'t be saved in this browser and will be lost on reload.';
+    section.appendChild(note);
+  }
+
+  content.appendChild(section);
+}
+
+/**
+ * Replace the personal events section with a form to add or edit an event.
+ * Dates in term can repeat on the same weekday across a run of term weeks.
+ */
+function showPersonalEventForm(section, date, event = null) {
+  const termWeek = findTermWeekForDate(date);
+  // An existing repeating event keeps its own term and weekday
+  const repeat = event && event.termWeeks
+    ? event.termWeeks
+    : termWeek && {
+        year: termWeek.year,
+        term: termWeek.term,
+        dayOfWeek: date.getDay(),
+        fromWeek: termWeek.week,
+        toWeek: Math.max(termWeek.week, getFullTermWeeks(termWeek.term).lastWeek)
+      };
+
+  const form = document.createElement('form');
+  form.className = 'personal-event-form';
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.name = 'title';
+  titleInput.required = true;
+  titleInput.placeholder = 'Event title';
+  titleInput.setAttribute('aria-label', 'Event title');
+  titleInput.value = event ? event.title : '';
+  form.appendChild(titleInput);
+
+  let repeatInput = null;
+  let fromInput = null;
+  let toInput = null;
+  if (repeat) {
+    const dayName = formatDate(date, 'full').split(',')[0];
+    const termLabel = repeat.term.charAt(0).toUpperCase() + repeat.term.slice(1);
+
+    const repeatLabel = document.createElement('label');
+    repeatLabel.className = 'personal-event-repeat';
+    repeatInput = document.createElement('input');
+    repeatInput.type = 'checkbox';
+    repeatInput.checked = Boolean(event && event.termWeeks);
+    repeatLabel.append(repeatInput, ` Every ${dayName}, ${termLabel} ${repeat.year}, weeks `);
+
+    fromInput = createWeekInput('First week', repeat.fromWeek);
+    toInput = createWeekInput('Last week', repeat.toWeek);
+    repeatLabel.append(fromInput, ' to ', toInput);
+    form.appendChild(repeatLabel);
+  }
+
+  const error = document.createElement('div');
+  error.className = 'personal-event-error';
+  error.setAttribute('role', 'alert');
+  form.appendChild(error);
+
+  const actions = document.createElement('div');
+  actions.className = 'info-actions';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'info-action';
+  save.textContent = event ? 'Save' : 'Add';
+  actions.appendChild(save);
+  actions.appendChild(createInfoAction('Cancel', 'Cancel', () => {
+    updateInfoPanel('selected', date);
+  }));
+  form.appendChild(actions);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const fields = repeatInput && repeatInput.checked
+      ? { title: titleInput.value, termWeeks: { ...repeat, fromWeek: fromInput.value, toWeek: toInput.value } }
+      : { title: titleInput.value, date: toISODateString(date) };
+
+    try {
+      if (event) {
+        await appState.eventStore.update(event.id, fields);
+      } else {
+        await appState.eventStore.add(fields);
+      }
+      await refreshPersonalEvents();
+      announce(event ? 'Event saved' : 'Event added');
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  section.replaceChildren(form);
+  titleInput.focus();
+}
+
+function createWeekInput(label, value) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.max = '12';
+  input.value = String(value);
+  input.className = 'week-input';
+  input.setAttribute('aria-label', label);
+  return input;
+}
+
+function createInfoAction(text, label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'info-action';
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Build the info panel line listing a date's named events, if any
+ */
+function getEventsLine(date) {
+  const events = getEventsForDate(date);
+  if (events.length === 0) return '';
+
+  const names = events.map(event => escapeHTML(event.name)).join(', ');
+  return `<div class="info-line events">${names}</div>`;
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Add calendar export buttons below a successful search result
+ */
+function attachExportActions(infoPanel, results) {
+  if (!results || !results.success) return;
+  if (!['week-range', 'single-date', 'recurrence'].includes(results.type)) return;
+
+  const content = infoPanel.querySelector('.info-content');
+  if (!content) return;
+
+  const actions = document.createElement('div');
+  actions.className = 'info-actions';
+
+  const resultButton = document.createElement('button');
+  resultButton.type = 'button';
+  resultButton.className = 'info-action';
+  resultButton.textContent = {
+    'week-range': 'Add week to calendar',
+    'single-date': 'Add day to calendar',
+    'recurrence': 'Add series to calendar'
+  }[results.type];
+  resultButton.setAttribute('aria-label', `${resultButton.textContent} (.ics download)`);
+  resultButton.addEventListener('click', () => {
+    const ics = resultToICS(results);
+    if (ics) {
+      downloadFile(ics, getICSFilename(results), 'text/calendar');
+      announce('Calendar file downloaded');
+    }
+  });
+  actions.appendChild(resultButton);
+
+  if (results.term && results.year) {
+    const termButton = document.createElement('button');
+    termButton.type = 'button';
+    termButton.className = 'info-action';
+    termButton.textContent = 'Add whole term';
+    termButton.setAttribute('aria-label', 'Add every week of this term to calendar (.ics download)');
+    termButton.addEventListener('click', () => {
+      const ics = termToICS(results.year, results.term);
+      if (ics) {
+        downloadFile(ics, getICSFilename(results, true), 'text/calendar');
+        announce('Calendar file downloaded');
+      }
+    });
+    actions.appendChild(termButton);
+  }
+
+  content.appendChild(actions);
 }
 
 /**
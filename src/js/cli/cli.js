@@ -0,0 +1,122 @@
+/**
+ * Command-line interface: answers the same queries as the web app search box
+ */
+
+import { search, getResultLines } from '../search/searchEngine.js';
+import { toISODateString } from '../data/dateUtils.js';
+import { setCalendarProfile } from '../data/termService.js';
+import { PROFILES, DEFAULT_PROFILE_ID, getProfile } from '../data/profiles.js';
+
+export const EXIT_SUCCESS = 0;
+export const EXIT_NO_RESULT = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: oxcal [options] <query>
+
+Look up university term weeks and dates.
+
+Examples:
+  oxcal "w5 mt25"
+  oxcal 2027-03-25
+  oxcal today
+
+Options:
+  --json            Print the full result as JSON
+  --profile <id>    University calendar: ${Object.keys(PROFILES).join(', ')} (default: ${DEFAULT_PROFILE_ID})
+  -h, --help        Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @returns {{query: string, json: boolean, help: boolean, profile: string|null, unknown: string[]}} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = { query: '', json: false, help: false, profile: null, unknown: [] };
+  const words = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--profile') {
+      options.profile = argv[++i] ?? '';
+    } else if (arg.startsWith('--profile=')) {
+      options.profile = arg.slice('--profile='.length);
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      options.unknown.push(arg);
+    } else {
+      // Unquoted multi-word queries arrive as separate arguments
+      words.push(arg);
+    }
+  }
+
+  options.query = words.join(' ').trim();
+  return options;
+}
+
+/**
+ * Format a search result for terminal output
+ * @param {Object} result - Search result from search()
+ * @returns {string} The info panel lines, one per line
+ */
+export function formatResult(result) {
+  const { primary, secondary } = getResultLines(result);
+  return `${primary}\n${secondary}`;
+}
+
+/**
+ * Convert a search result to plain JSON, with dates as ISO date strings
+ * @param {Object} result - Search result from search()
+ * @returns {Object} JSON-safe result
+ */
+export function toJSONResult(result) {
+  if (!result.dates) return result;
+  return { ...result, dates: result.dates.map(toISODateString) };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @param {{stdout: {write: Function}, stderr: {write: Function}}} io - Output streams
+ * @returns {number} Process exit code
+ */
+export function run(argv, io = process) {
+  const options = parseArgs(argv);
+
+  if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return EXIT_SUCCESS;
+  }
+
+  if (options.unknown.length > 0) {
+    io.stderr.write(`Unknown option: ${options.unknown[0]}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (options.profile !== null) {
+    if (!getProfile(options.profile)) {
+      io.stderr.write(`Unknown profile: ${options.profile} (expected one of ${Object.keys(PROFILES).join(', ')})\n`);
+      return EXIT_USAGE;
+    }
+    setCalendarProfile(options.profile);
+  }
+
+  if (!options.query) {
+    io.stderr.write(`${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  const result = search(options.query);
+
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(toJSONResult(result), null, 2)}\n`);
+  } else if (result.success) {
+    io.stdout.write(`${formatResult(result)}\n`);
+  } else {
+    io.stderr.write(`${formatResult(result)}\n`);
+  }
+
+  return result.success ? EXIT_SUCCESS : EXIT_NO_RESULT;
+}
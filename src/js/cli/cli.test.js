@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { parseArgs, formatResult, toJSONResult, run, EXIT_SUCCESS, EXIT_NO_RESULT, EXIT_USAGE } from './cli.js';
+import { search } from '../search/searchEngine.js';
+import { setCalendarProfile } from '../data/termService.js';
+
+function createIO() {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (text) => { io.out += text; } };
+  io.stderr = { write: (text) => { io.err += text; } };
+  return io;
+}
+
+describe('parseArgs', () => {
+  it('should join unquoted words into one query', () => {
+    expect(parseArgs(['w5', 'mt25']).query).toBe('w5 mt25');
+  });
+
+  it('should read flags anywhere in the arguments', () => {
+    const options = parseArgs(['--json', 'today']);
+    expect(options.json).toBe(true);
+    expect(options.query).toBe('today');
+    expect(parseArgs(['-h']).help).toBe(true);
+  });
+
+  it('should keep a dash used as a range connector', () => {
+    expect(parseArgs(['weeks', '3', '-', '5', 'ht26']).query).toBe('weeks 3 - 5 ht26');
+  });
+
+  it('should read --profile with a separate or inline value', () => {
+    expect(parseArgs(['--profile', 'cambridge', 'today'])).toMatchObject({ profile: 'cambridge', query: 'today' });
+    expect(parseArgs(['--profile=cambridge', 'today']).profile).toBe('cambridge');
+    expect(parseArgs(['today']).profile).toBeNull();
+  });
+
+  it('should collect unknown options', () => {
+    expect(parseArgs(['--verbose', 'today']).unknown).toEqual(['--verbose']);
+  });
+});
+
+describe('formatResult', () => {
+  it('should print the same lines as the info panel', () => {
+    expect(formatResult(search('w5 mt25'))).toBe(
+      'Monday, 10 – Saturday, 15 November 2025\nMichaelmas Term, Week 5'
+    );
+  });
+
+  it('should print the term week of a date', () => {
+    expect(formatResult(search('2027-03-25'))).toBe('Thursday, 25 March 2027\nHilary Term, Week 10');
+  });
+});
+
+describe('toJSONResult', () => {
+  it('should convert result dates to ISO date strings', () => {
+    const json = toJSONResult(search('w5 mt25'));
+    expect(json.dates).toHaveLength(7);
+    expect(json.dates[0]).toBe('2025-11-09');
+  });
+
+  it('should pass through results without dates', () => {
+    const result = { success: false, error: 'Could not parse query' };
+    expect(toJSONResult(result)).toBe(result);
+  });
+});
+
+describe('run', () => {
+  it('should print the answer and exit successfully', () => {
+    const io = createIO();
+    expect(run(['w5', 'mt25'], io)).toBe(EXIT_SUCCESS);
+    expect(io.out).toBe('Monday, 10 – Saturday, 15 November 2025\nMichaelmas Term, Week 5\n');
+    expect(io.err).toBe('');
+  });
+
+  it('should answer "today"', () => {
+    const io = createIO();
+    expect(run(['today'], io)).toBe(EXIT_SUCCESS);
+    expect(io.out.split('\n')[0]).toBe(search('today').displayText);
+  });
+
+  it('should print JSON with --json', () => {
+    const io = createIO();
+    expect(run(['--json', '2027-03-25'], io)).toBe(EXIT_SUCCESS);
+    const output = JSON.parse(io.out);
+    expect(output).toMatchObject({ success: true, type: 'single-date', date: '2027-03-25', term: 'hilary', week: 10 });
+    expect(output.dates).toEqual(['2027-03-25']);
+  });
+
+  it('should exit non-zero on unparseable queries', () => {
+    const io = createIO();
+    expect(run(['not', 'a', 'query'], io)).toBe(EXIT_NO_RESULT);
+    expect(io.out).toBe('');
+    expect(io.err).toContain('No results found');
+  });
+
+  it('should still print JSON for unparseable queries', () => {
+    const io = createIO();
+    expect(run(['--json', 'not a query'], io)).toBe(EXIT_NO_RESULT);
+    expect(JSON.parse(io.out).success).toBe(false);
+  });
+
+  it('should print usage without a query', () => {
+    const io = createIO();
+    expect(run([], io)).toBe(EXIT_USAGE);
+    expect(io.err).toContain('Usage: oxcal');
+  });
+
+  it('should reject unknown options', () => {
+    const io = createIO();
+    expect(run(['--verbose', 'today'], io)).toBe(EXIT_USAGE);
+    expect(io.err).toContain('Unknown option: --verbose');
+  });
+
+  it('should switch calendar profile with --profile', () => {
+    const io = createIO();
+    try {
+      expect(run(['--profile', 'cambridge', 'week', '3', 'lent', '2026'], io)).toBe(EXIT_SUCCESS);
+      expect(io.out).toContain('Lent Term, Week 3');
+    } finally {
+      setCalendarProfile('oxford');
+    }
+  });
+
+  it('should reject unknown profiles', () => {
+    const io = createIO();
+    expect(run(['--profile=durham', 'today'], io)).toBe(EXIT_USAGE);
+    expect(io.err).toContain('Unknown profile: durham');
+  });
+
+  it('should print help', () => {
+    const io = createIO();
+    expect(run(['--help'], io)).toBe(EXIT_SUCCESS);
+    expect(io.out).toContain('--json');
+  });
+});
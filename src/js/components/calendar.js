@@ -2,21 +2,79 @@
  * Calendar component for displaying Oxford term dates
  */
 
-import { findTermWeekForDate, getTermData } from '../data/termService.js';
-import { formatDate, isSameDay, getWeekStart, getWeekEnd } from '../data/dateUtils.js';
+import {
+  findTermWeekForDate,
+  getTermData,
+  getWeekData,
+  getEventsInRange,
+  getAvailableYears,
+  getCalendarProfile,
+  getFullTermDates,
+  getFullTermWeeks
+} from '../data/termService.js';
+import { getTermDefinition } from '../data/profiles.js';
+import { formatDate, isSameDay, getWeekStart, getWeekEnd, toISODateString, parseISODate, addDays } from '../data/dateUtils.js';
+import { getPersonalEventsInRange } from '../data/personalEvents.js';
+
+/** Dots shown per day before collapsing the rest into "+n" */
+const MAX_PERSONAL_EVENT_DOTS = 3;
+
+/**
+ * Calendar layouts: the month grid, one term as rows of weeks, and every
+ * term of an academic year side by side
+ */
+export const CALENDAR_VIEWS = ['month', 'term', 'year'];
+
+/** Keys that switch view while a day has focus */
+const VIEW_KEYS = { m: 'month', t: 'term', y: 'year' };
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** First day of the month grid's rows: Monday, or Sunday so each row is one term week */
+export const WEEK_START_MONDAY = 1;
+export const WEEK_START_SUNDAY = 0;
+
+/** Most months the month view shows at once (a term spans about 3, a year 12) */
+export const MAX_MONTH_COUNT = 12;
+
+/** Months kept in the page beyond those shown, on each side, when showing several */
+const MONTH_BUFFER = 2;
 
 /**
  * Calendar component class
  */
 export class Calendar {
-  constructor(container) {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} [options] - Options
+   * @param {number} [options.months] - Months the month view shows at once (see setMonthCount())
+   */
+  constructor(container, options = {}) {
     this.container = container;
     this.currentMonth = new Date();
     this.selectedDate = null;
+    // { start, end } of a selected span of days, and the day it was extended from
+    this.selectedRange = null;
+    this.rangeAnchor = null;
+    // Day a pointer drag started on, whether it has moved off that day, and
+    // whether it just selected a range (so the click that follows is ignored)
+    this.dragAnchor = null;
+    this.dragMoved = false;
+    this.dragSelected = false;
     this.highlightedDates = [];
+    this.personalEvents = [];
     this.listeners = {};
     this.focusedDate = null;
     this.keyboardNavEnabled = false;
+    this.view = 'month';
+    this.weekStart = WEEK_START_MONDAY;
+    this.monthCount = 1;
+    if (options.months !== undefined) {
+      assertMonthCount(options.months);
+      this.monthCount = options.months;
+    }
+    // { year, term } shown by the term view; the year view shows its academic year
+    this.shownTerm = null;
     
     this.monthNames = [
       'January', 'February', 'March', 'April', 'May', 'June',
@@ -25,8 +83,12 @@ export class Calendar {
     
     this.dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
     
-    // Bind keyboard event handler
+    // Bind keyboard, scroll and pointer event handlers
     this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerOver = this.handlePointerOver.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
   }
   
   /**
@@ -34,20 +96,157 @@ export class Calendar {
    * @param {Date} date - Any date in the desired month
    */
   setMonth(date) {
-    this.currentMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    if (this.view === 'month') {
+      this.currentMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    } else {
+      this.setShownTerm(findTermForMonth(date));
+    }
     this.render();
   }
   
   /**
-   * Navigate to previous or next month
+   * Navigate to previous or next month (or term, or academic year, in those views)
    * @param {number} direction - -1 for previous, 1 for next
    */
   navigateMonth(direction) {
+    if (this.view !== 'month') {
+      this.setShownTerm(this.view === 'term'
+        ? stepTerm(this.shownTerm, direction)
+        : stepAcademicYear(this.shownTerm, direction));
+      this.render();
+      this.emit('navigate', { month: new Date(this.currentMonth) });
+      return;
+    }
+
     const newMonth = new Date(this.currentMonth);
     newMonth.setMonth(newMonth.getMonth() + direction);
     this.setMonth(newMonth);
     this.emit('navigate', { month: newMonth });
   }
+
+  /**
+   * Set the first day of the month grid's rows. Oxford weeks run Sunday to
+   * Saturday, so with a Sunday start each row is exactly one term week.
+   * The term and year overviews always start on Sunday.
+   * @param {number} weekStart - WEEK_START_MONDAY (1) or WEEK_START_SUNDAY (0)
+   * @throws {Error} If the day is not Sunday or Monday
+   */
+  setWeekStart(weekStart) {
+    if (weekStart !== WEEK_START_MONDAY && weekStart !== WEEK_START_SUNDAY) {
+      throw new Error('Weeks can start on Sunday (0) or Monday (1)');
+    }
+    if (weekStart === this.weekStart) return;
+
+    this.weekStart = weekStart;
+    this.dayNames = WEEKDAY_NAMES.map((_, index) => WEEKDAY_NAMES[(index + weekStart) % 7].slice(0, 3));
+    this.render();
+  }
+
+  /**
+   * Show several consecutive months in the month view, as panels in one
+   * scrolling container. Scrolling past either end adds months there and
+   * drops those far behind, so only a few panels are ever in the page.
+   * @param {number} count - Months shown at once: 1 for the single grid, up to MAX_MONTH_COUNT
+   * @throws {Error} If the count is not a whole number in that range
+   */
+  setMonthCount(count) {
+    assertMonthCount(count);
+    if (count === this.monthCount) return;
+
+    this.monthCount = count;
+    this.render();
+  }
+
+  /**
+   * Check whether the month view shows several months as scrolling panels
+   * @returns {boolean}
+   */
+  isMultiMonth() {
+    return this.view === 'month' && this.monthCount > 1;
+  }
+
+  /**
+   * Switch layout. The term and year views open on the term of the selected
+   * date if it is in the month shown, else the term starting that month.
+   * @param {string} view - "month", "term" or "year"
+   * @throws {Error} If the view is unknown
+   */
+  setView(view) {
+    if (!CALENDAR_VIEWS.includes(view)) {
+      throw new Error(`Unknown calendar view: ${view}`);
+    }
+    if (view === this.view) return;
+
+    if (view !== 'month' && !this.shownTerm) {
+      const selectedShown = this.selectedDate && this.isDateShown(this.selectedDate);
+      this.setShownTerm(selectedShown ? findTermForDate(this.selectedDate) : findTermForMonth(this.currentMonth));
+    }
+    this.view = view;
+    if (view === 'month') {
+      this.shownTerm = null;
+    }
+    if (this.focusedDate && !this.isDateShown(this.focusedDate)) {
+      this.focusedDate = null;
+    }
+
+    this.render();
+    this.emit('view', { view });
+  }
+
+  /**
+   * Show one term in the term view
+   * @param {string} year - Academic year, e.g. "2025-26"
+   * @param {string} term - Term name, e.g. "hilary"
+   */
+  showTerm(year, term) {
+    const changed = this.view !== 'term';
+    this.view = 'term';
+    this.setShownTerm({ year, term: term.toLowerCase() });
+    this.focusedDate = null;
+    this.render();
+    if (changed) {
+      this.emit('view', { view: 'term' });
+    }
+    this.emit('navigate', { month: new Date(this.currentMonth) });
+  }
+
+  /**
+   * Set the term shown by the term and year views, keeping currentMonth on
+   * the month its Full Term starts so the month view picks up from there
+   * @param {{year: string, term: string}|null} shownTerm - Term to show
+   */
+  setShownTerm(shownTerm) {
+    if (!shownTerm) return;
+    this.shownTerm = shownTerm;
+    const fullTerm = getFullTermDates(shownTerm.year, shownTerm.term);
+    const start = fullTerm ? parseISODate(fullTerm.start) : this.currentMonth;
+    this.currentMonth = new Date(start.getFullYear(), start.getMonth(), 1);
+  }
+
+  /**
+   * Get the term the current view is about: the term shown by the term and
+   * year views, or the term starting in (or running through) the month shown
+   * @returns {{year: string, term: string}|null} Term, or null without term data
+   */
+  getTermForView() {
+    return this.shownTerm || findTermForMonth(this.currentMonth);
+  }
+
+  /**
+   * Check whether a date has a cell in the current view
+   * @param {Date} date - Date to check
+   * @returns {boolean}
+   */
+  isDateShown(date) {
+    if (this.view === 'month' || !this.shownTerm) {
+      const offset = monthsBetween(this.currentMonth, date);
+      return offset >= 0 && offset < (this.view === 'month' ? this.monthCount : 1);
+    }
+
+    const termWeek = findTermWeekForDate(date);
+    if (!termWeek || termWeek.year !== this.shownTerm.year) return false;
+    return this.view === 'year' || termWeek.term === this.shownTerm.term;
+  }
   
   /**
    * Select a date in the calendar
@@ -55,10 +254,64 @@ export class Calendar {
    */
   selectDate(date) {
     this.selectedDate = date;
+    this.selectedRange = null;
+    this.rangeAnchor = null;
     this.render();
     this.emit('select', { date });
   }
   
+  /**
+   * Select a span of days, replacing any selected date, and emit select-range
+   * @param {Date} anchor - Day the selection started from
+   * @param {Date} date - Day it was extended to, before or after the anchor
+   */
+  selectRange(anchor, date) {
+    this.rangeAnchor = anchor;
+    this.selectedRange = orderRange(anchor, date);
+    this.selectedDate = null;
+    this.render();
+    this.emit('select-range', { ...this.selectedRange });
+  }
+  
+  /**
+   * Clear the selected date or range without emitting a select event
+   */
+  clearSelection() {
+    this.selectedDate = null;
+    this.selectedRange = null;
+    this.rangeAnchor = null;
+    this.render();
+  }
+
+  /**
+   * Get the classes marking a day in the selected range
+   * @param {Date} date - Day
+   * @returns {Array<string>} "in-range", plus "range-start" and "range-end" at its ends
+   */
+  getRangeClasses(date) {
+    if (!this.selectedRange) return [];
+    const { start, end } = this.selectedRange;
+    if (date < start || date > end) return [];
+
+    const classes = ['in-range'];
+    if (isSameDay(date, start)) classes.push('range-start');
+    if (isSameDay(date, end)) classes.push('range-end');
+    return classes;
+  }
+
+  /**
+   * Mark the selected range on the cells already rendered, without
+   * re-rendering (which would replace the cells under a dragging pointer)
+   */
+  updateRangeClasses() {
+    this.container.querySelectorAll('.calendar-day[data-date]').forEach(cell => {
+      const rangeClasses = this.getRangeClasses(parseISODate(cell.getAttribute('data-date')));
+      ['in-range', 'range-start', 'range-end'].forEach(name => {
+        cell.classList.toggle(name, rangeClasses.includes(name));
+      });
+    });
+  }
+  
   /**
    * Highlight multiple dates (e.g., search results)
    * @param {Array<Date>} dates - Dates to highlight
@@ -74,11 +327,24 @@ export class Calendar {
    * @param {Array<Date>} dates - Dates to highlight
    */
   setMonthAndHighlight(date, dates) {
-    this.currentMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    if (this.view === 'month') {
+      this.currentMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    } else {
+      this.setShownTerm(findTermForDate(date));
+    }
     this.highlightedDates = dates || [];
     this.render();
   }
   
+  /**
+   * Set the personal events shown as dots on their days
+   * @param {Array<Object>} events - Personal events (see data/personalEvents.js)
+   */
+  setPersonalEvents(events) {
+    this.personalEvents = events || [];
+    this.render();
+  }
+
   /**
    * Clear all highlighted dates
    */
@@ -96,8 +362,8 @@ export class Calendar {
   getMonthGrid(year, month) {
     const firstDay = new Date(year, month, 1);
     const lastDay = new Date(year, month + 1, 0);
-    // Adjust for Monday start (0 = Sunday becomes 6, 1 = Monday becomes 0, etc.)
-    const startPadding = firstDay.getDay() === 0 ? 6 : firstDay.getDay() - 1;
+    // Days before the 1st in its row (Monday start: Sunday pads 6, Monday 0, etc.)
+    const startPadding = (firstDay.getDay() - this.weekStart + 7) % 7;
     const totalDays = lastDay.getDate();
     
     const grid = [];
@@ -139,11 +405,59 @@ export class Calendar {
       });
     }
     
-    // Add term week information to each day
-    return grid.map(day => ({
-      ...day,
-      termWeek: findTermWeekForDate(day.date)
-    }));
+    return this.addDayDetails(grid);
+  }
+
+  /**
+   * Get the rows of a term overview: each week of the term, Sunday to Saturday
+   * @param {string} year - Academic year
+   * @param {string} term - Term name
+   * @returns {Array<{week: number, days: Array}>} One row per week in the term data
+   */
+  getTermGrid(year, term) {
+    const { weeks } = getCalendarProfile();
+    const rows = [];
+
+    for (let week = weeks.first; week <= weeks.last; week++) {
+      const weekData = getWeekData(year, term, week);
+      if (!weekData) continue;
+
+      const days = [];
+      for (let day = 0; day < 7; day++) {
+        days.push({
+          date: addDays(weekData.start, day),
+          isCurrentMonth: true,
+          isPreviousMonth: false,
+          isNextMonth: false
+        });
+      }
+      rows.push({ week, days: this.addDayDetails(days) });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Add term week, named event and personal event information to each day
+   * @param {Array<Object>} days - Days with a date, in date order
+   * @returns {Array<Object>} The days with termWeek, events and personalEvents
+   */
+  addDayDetails(days) {
+    if (days.length === 0) return days;
+
+    const first = days[0].date;
+    const last = days[days.length - 1].date;
+    const events = getEventsInRange(first, last);
+    const personal = getPersonalEventsInRange(this.personalEvents, first, last);
+    return days.map(day => {
+      const key = toISODateString(day.date);
+      return {
+        ...day,
+        termWeek: findTermWeekForDate(day.date),
+        events: events.filter(event => event.start <= key && key <= event.end),
+        personalEvents: personal.filter(occurrence => occurrence.date === key).map(occurrence => occurrence.event)
+      };
+    });
   }
   
   /**
@@ -156,19 +470,67 @@ export class Calendar {
     
     const termClass = termWeek.term.toLowerCase();
     const weekLabel = `Wk ${termWeek.week}`;
-    const isExtended = termWeek.week === 0 || termWeek.week >= 9;
-    const extendedClass = isExtended ? ' extended-week' : '';
+    const extendedClass = isFullTermWeek(termWeek) ? '' : ' extended-week';
     
     return `<span class="term-week-badge ${termClass}${extendedClass}">${weekLabel}</span>`;
   }
   
+  /**
+   * Create the markers for a day's named events
+   * @param {Array<Object>} events - Events from getEventsInRange()
+   * @returns {HTMLElement} Marker container
+   */
+  createEventMarkers(events) {
+    const markers = document.createElement('div');
+    markers.className = 'event-markers';
+
+    events.forEach(event => {
+      const marker = document.createElement('span');
+      marker.className = `event-marker event-${event.type}`;
+      marker.textContent = event.name;
+      marker.title = event.name;
+      markers.appendChild(marker);
+    });
+
+    return markers;
+  }
+
+  /**
+   * Create the dots for a day's personal events
+   * @param {Array<Object>} events - Personal events on the day
+   * @returns {HTMLElement} Dot container
+   */
+  createPersonalEventDots(events) {
+    const dots = document.createElement('div');
+    dots.className = 'personal-event-dots';
+    dots.setAttribute('aria-hidden', 'true');
+
+    events.slice(0, MAX_PERSONAL_EVENT_DOTS).forEach(event => {
+      const dot = document.createElement('span');
+      dot.className = 'personal-event-dot';
+      dot.title = event.title;
+      dots.appendChild(dot);
+    });
+
+    if (events.length > MAX_PERSONAL_EVENT_DOTS) {
+      const more = document.createElement('span');
+      more.className = 'personal-event-more';
+      more.textContent = `+${events.length - MAX_PERSONAL_EVENT_DOTS}`;
+      dots.appendChild(more);
+    }
+
+    return dots;
+  }
+
   /**
    * Create day cell element
    * @param {Object} dayData - Day data object
    * @returns {HTMLElement} Day cell element
    */
   createDayCell(dayData) {
-    const { date, isCurrentMonth, termWeek } = dayData;
+    const {
+      date, isCurrentMonth, termWeek, events = [], personalEvents = [], overview = null, hideBadge = false
+    } = dayData;
     const dayDiv = document.createElement('div');
     
     // Build class list
@@ -179,13 +541,11 @@ export class Calendar {
     if (this.focusedDate && isSameDay(date, this.focusedDate)) classes.push('focused');
     const isHighlighted = this.highlightedDates.some(d => isSameDay(d, date));
     if (isHighlighted) classes.push('highlighted');
-    if (termWeek) {
-      classes.push(`term-${termWeek.term.toLowerCase()}`);
-      // Add extended-week class for weeks 0 and 9-12
-      if (termWeek.week === 0 || termWeek.week >= 9) {
-        classes.push('extended-week');
-      }
-    }
+    const rangeClasses = this.getRangeClasses(date);
+    classes.push(...rangeClasses);
+    classes.push(...getTermClasses(termWeek));
+    if (events.length > 0) classes.push('has-event');
+    if (personalEvents.length > 0) classes.push('has-personal-event');
     
     dayDiv.className = classes.join(' ');
     
@@ -198,12 +558,18 @@ export class Calendar {
     if (termWeek) {
       ariaLabel += `, ${termWeek.term} Term Week ${termWeek.week}`;
     }
+    events.forEach(event => {
+      ariaLabel += `, ${event.name}`;
+    });
+    personalEvents.forEach(event => {
+      ariaLabel += `, ${event.title}`;
+    });
     if (isSameDay(date, new Date())) {
       ariaLabel += ', Today';
     }
     dayDiv.setAttribute('aria-label', ariaLabel);
     
-    if (this.selectedDate && isSameDay(date, this.selectedDate)) {
+    if ((this.selectedDate && isSameDay(date, this.selectedDate)) || rangeClasses.length > 0) {
       dayDiv.setAttribute('aria-selected', 'true');
     }
     
@@ -217,16 +583,34 @@ export class Calendar {
     dayNumber.textContent = date.getDate();
     dayDiv.appendChild(dayNumber);
     
-    // Add term week badge if applicable
-    if (termWeek && (isCurrentMonth || isHighlighted)) {
+    // Add term week badge if applicable (overviews label each row instead)
+    if (termWeek && !overview && !hideBadge && (isCurrentMonth || isHighlighted)) {
       const badge = document.createElement('div');
       badge.innerHTML = this.createTermWeekBadge(termWeek);
       dayDiv.appendChild(badge);
     }
+
+    // The year overview is too small for event names and dots
+    if (events.length > 0 && isCurrentMonth && overview !== 'year') {
+      dayDiv.appendChild(this.createEventMarkers(events));
+    }
+
+    if (personalEvents.length > 0 && isCurrentMonth && overview !== 'year') {
+      dayDiv.appendChild(this.createPersonalEventDots(personalEvents));
+    }
     
-    // Add click handler
-    dayDiv.addEventListener('click', () => {
-      if (isCurrentMonth) {
+    // Add click handler: Shift+click extends a range from the selected day
+    dayDiv.addEventListener('click', (event) => {
+      if (!isCurrentMonth) return;
+      if (this.dragSelected) {
+        this.dragSelected = false;
+        return;
+      }
+
+      const anchor = this.rangeAnchor || this.selectedDate;
+      if (event.shiftKey && anchor) {
+        this.selectRange(anchor, date);
+      } else {
         this.selectDate(date);
       }
     });
@@ -240,7 +624,7 @@ export class Calendar {
     });
     
     // Add data attributes for testing
-    dayDiv.setAttribute('data-date', date.toISOString().split('T')[0]);
+    dayDiv.setAttribute('data-date', toISODateString(date));
     if (termWeek) {
       dayDiv.setAttribute('data-term', termWeek.term);
       dayDiv.setAttribute('data-week', termWeek.week);
@@ -249,53 +633,351 @@ export class Calendar {
     return dayDiv;
   }
   
+  /**
+   * Create a blank cell for a neighbouring month's day in a month panel. It
+   * keeps the term classes so term colour bands run on across the month
+   * boundary, but not the date, which belongs to its own month's panel.
+   * @param {Object} dayData - Day data object
+   * @returns {HTMLElement} Day cell element
+   */
+  createOutsideCell({ termWeek }) {
+    const cell = document.createElement('div');
+    cell.className = ['calendar-day', 'outside-month', ...getTermClasses(termWeek)].join(' ');
+    cell.setAttribute('role', 'gridcell');
+    cell.setAttribute('aria-hidden', 'true');
+    return cell;
+  }
+  
   /**
    * Render the calendar
    */
   render() {
     if (!this.container) return;
     
-    // Remove existing keyboard listener
+    // Remove existing listeners, keeping the multi-month scroll position
     this.container.removeEventListener('keydown', this.handleKeyDown);
+    this.container.removeEventListener('scroll', this.handleScroll);
+    this.container.removeEventListener('pointerdown', this.handlePointerDown);
+    this.container.removeEventListener('pointerover', this.handlePointerOver);
+    const scrollOffset = this.getScrollOffset();
     
     // Clear container
     this.container.innerHTML = '';
+    CALENDAR_VIEWS.forEach(view => this.container.classList.toggle(`view-${view}`, view === this.view));
+    this.container.classList.toggle('multi-month', this.isMultiMonth());
     
-    // Add day headers
+    if (this.view === 'term' && this.shownTerm) {
+      this.renderTermOverview(this.container, this.shownTerm.year, this.shownTerm.term, 'term');
+    } else if (this.view === 'year' && this.shownTerm) {
+      this.renderYearOverview();
+    } else if (this.isMultiMonth()) {
+      this.renderMonthPanels(scrollOffset);
+      this.container.addEventListener('scroll', this.handleScroll);
+    } else {
+      this.renderMonthGrid(this.container, this.currentMonth);
+    }
+    
+    // Add keyboard navigation and drag selection
+    this.container.addEventListener('keydown', this.handleKeyDown);
+    this.container.addEventListener('pointerdown', this.handlePointerDown);
+    this.container.addEventListener('pointerover', this.handlePointerOver);
+    
+    // Set initial focus if needed
+    if (!this.focusedDate) {
+      this.focusedDate = this.selectedDate || new Date();
+    }
+  }
+  
+  /**
+   * Render the day headers of the month grid, from the week start
+   * @param {HTMLElement} parent - Element to render into
+   */
+  renderDayHeaders(parent) {
     this.dayNames.forEach((dayName, index) => {
       const header = document.createElement('div');
       header.className = 'calendar-day-header';
       header.textContent = dayName;
       header.setAttribute('role', 'columnheader');
-      header.setAttribute('aria-label', ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'][index]);
-      this.container.appendChild(header);
+      header.setAttribute('aria-label', WEEKDAY_NAMES[(index + this.weekStart) % 7]);
+      parent.appendChild(header);
     });
+  }
+
+  /**
+   * Render a month grid: day headers and six weeks of days. A panel of the
+   * multi-month view leaves out the headers (shown once above the panels)
+   * and the weeks after the month, and blanks the other months' days.
+   * @param {HTMLElement} parent - Element to render into
+   * @param {Date} month - First day of the month
+   * @param {boolean} [panel] - Whether the grid is a multi-month panel
+   */
+  renderMonthGrid(parent, month, panel = false) {
+    if (!panel) {
+      this.renderDayHeaders(parent);
+    }
     
-    // Get and render month grid
-    const grid = this.getMonthGrid(
-      this.currentMonth.getFullYear(),
-      this.currentMonth.getMonth()
-    );
+    let grid = this.getMonthGrid(month.getFullYear(), month.getMonth());
+    if (panel) {
+      const lastDay = grid.filter(dayData => !dayData.isNextMonth).length - 1;
+      grid = grid.slice(0, (Math.floor(lastDay / 7) + 1) * 7);
+    }
     
-    grid.forEach(dayData => {
-      const dayCell = this.createDayCell(dayData);
-      this.container.appendChild(dayCell);
+    // With a Sunday start a row is one term week, so its badge is shown once
+    let badgedRow = -1;
+    grid.forEach((dayData, index) => {
+      if (panel && !dayData.isCurrentMonth) {
+        parent.appendChild(this.createOutsideCell(dayData));
+        return;
+      }
+
+      let hideBadge = false;
+      if (this.weekStart === WEEK_START_SUNDAY) {
+        const row = Math.floor(index / 7);
+        const showsBadge = dayData.termWeek
+          && (dayData.isCurrentMonth || this.highlightedDates.some(d => isSameDay(d, dayData.date)));
+        hideBadge = badgedRow === row;
+        if (showsBadge) badgedRow = row;
+      }
+      const dayCell = this.createDayCell({ ...dayData, hideBadge });
+      parent.appendChild(dayCell);
     });
-    
-    // Add keyboard navigation
-    this.container.addEventListener('keydown', this.handleKeyDown);
-    
-    // Set initial focus if needed
-    if (!this.focusedDate) {
-      this.focusedDate = this.selectedDate || new Date();
+  }
+
+  /**
+   * Render the multi-month view: day headers that stay at the top, then a
+   * panel per month from MONTH_BUFFER months before the current month to
+   * MONTH_BUFFER after the last month shown, scrolled to the current month
+   * @param {number} scrollOffset - Pixels of the current month already scrolled past
+   */
+  renderMonthPanels(scrollOffset) {
+    const headers = document.createElement('div');
+    headers.className = 'calendar-months-header';
+    this.renderDayHeaders(headers);
+    this.container.appendChild(headers);
+
+    for (let offset = -MONTH_BUFFER; offset < this.monthCount + MONTH_BUFFER; offset++) {
+      this.container.appendChild(this.createMonthPanel(addMonths(this.currentMonth, offset)));
+    }
+
+    const panel = this.getMonthPanel(this.currentMonth);
+    this.container.scrollTop = panel.offsetTop - headers.offsetHeight + scrollOffset;
+  }
+
+  /**
+   * Create the panel for one month of the multi-month view
+   * @param {Date} month - First day of the month
+   * @returns {HTMLElement} Panel with the month's name and grid
+   */
+  createMonthPanel(month) {
+    const name = `${this.monthNames[month.getMonth()]} ${month.getFullYear()}`;
+    const panel = document.createElement('div');
+    panel.className = 'calendar-month-panel';
+    panel.dataset.month = getMonthKey(month);
+    panel.setAttribute('role', 'rowgroup');
+    panel.setAttribute('aria-label', name);
+
+    const title = document.createElement('div');
+    title.className = 'calendar-month-title';
+    title.textContent = name;
+    title.setAttribute('aria-hidden', 'true');
+    panel.appendChild(title);
+
+    const grid = document.createElement('div');
+    grid.className = 'calendar-month-grid';
+    this.renderMonthGrid(grid, month, true);
+    panel.appendChild(grid);
+
+    return panel;
+  }
+
+  /**
+   * Get the panel of a month in the multi-month view
+   * @param {Date} month - Any date in the month
+   * @returns {HTMLElement|null} Panel, or null if it is not in the page
+   */
+  getMonthPanel(month) {
+    return this.container.querySelector(`.calendar-month-panel[data-month="${getMonthKey(month)}"]`);
+  }
+
+  /**
+   * Get the height of the multi-month view's day headers, which cover the
+   * top of the scrolling area
+   * @returns {number} Height in pixels, 0 outside the multi-month view
+   */
+  getHeaderHeight() {
+    const headers = this.container.querySelector('.calendar-months-header');
+    return headers ? headers.offsetHeight : 0;
+  }
+
+  /**
+   * Get how far the multi-month view is scrolled into the current month, so
+   * a re-render (after selecting a day, say) stays where it was
+   * @returns {number} Pixels, or 0 if the current month's panel is not at the top
+   */
+  getScrollOffset() {
+    if (!this.isMultiMonth()) return 0;
+    const panel = this.getMonthPanel(this.currentMonth);
+    if (!panel) return 0;
+
+    const offset = this.container.scrollTop + this.getHeaderHeight() - panel.offsetTop;
+    return offset > 0 && offset < panel.offsetHeight ? offset : 0;
+  }
+
+  /**
+   * Follow scrolling in the multi-month view: the month at the top becomes
+   * the current month, and panels are added ahead and dropped behind. The
+   * navigate event is marked as scrolled, as it can fire many times a second.
+   */
+  handleScroll() {
+    if (!this.isMultiMonth()) return;
+
+    const top = this.container.scrollTop + this.getHeaderHeight();
+    const panels = [...this.container.querySelectorAll('.calendar-month-panel')];
+    const topPanel = panels.find(panel => panel.offsetTop + panel.offsetHeight > top) || panels[panels.length - 1];
+    if (!topPanel || topPanel.dataset.month === getMonthKey(this.currentMonth)) return;
+
+    this.currentMonth = parseISODate(`${topPanel.dataset.month}-01`);
+    this.updateMonthPanels();
+    this.emit('navigate', { month: new Date(this.currentMonth), scrolled: true });
+  }
+
+  /**
+   * Keep MONTH_BUFFER panels either side of the months shown: drop the
+   * panels outside that range and add the missing ones, adjusting the scroll
+   * position for any added or removed above so the view does not jump
+   */
+  updateMonthPanels() {
+    const first = addMonths(this.currentMonth, -MONTH_BUFFER);
+    const keys = [];
+    for (let offset = 0; offset < this.monthCount + 2 * MONTH_BUFFER; offset++) {
+      keys.push(getMonthKey(addMonths(first, offset)));
     }
+
+    this.container.querySelectorAll('.calendar-month-panel').forEach(panel => {
+      if (keys.includes(panel.dataset.month)) return;
+      const height = panel.offsetHeight;
+      panel.remove();
+      if (panel.dataset.month < keys[0]) this.container.scrollTop -= height;
+    });
+
+    // "YYYY-MM" keys sort by date, so the missing months go before or after the rest
+    const kept = this.container.querySelector('.calendar-month-panel');
+    keys.forEach(key => {
+      if (this.container.querySelector(`.calendar-month-panel[data-month="${key}"]`)) return;
+      const panel = this.createMonthPanel(parseISODate(`${key}-01`));
+      if (kept && key < kept.dataset.month) {
+        this.container.insertBefore(panel, kept);
+        this.container.scrollTop += panel.offsetHeight;
+      } else {
+        this.container.appendChild(panel);
+      }
+    });
+  }
+
+  /**
+   * Scroll the multi-month view just far enough to show a date's month
+   * @param {Date} date - Date to show
+   */
+  revealMonth(date) {
+    const month = new Date(date.getFullYear(), date.getMonth(), 1);
+    this.currentMonth = monthsBetween(this.currentMonth, month) < 0
+      ? month
+      : addMonths(month, 1 - this.monthCount);
+    this.render();
+  }
+
+  /**
+   * Render a term as rows of weeks, each headed by its week number
+   * @param {HTMLElement} parent - Element to render into
+   * @param {string} year - Academic year
+   * @param {string} term - Term name
+   * @param {string} overview - "term" for the full-size view, "year" for the compact one
+   */
+  renderTermOverview(parent, year, term, overview) {
+    const corner = document.createElement('div');
+    corner.className = 'calendar-day-header calendar-week-header';
+    corner.textContent = 'Wk';
+    corner.setAttribute('role', 'columnheader');
+    corner.setAttribute('aria-label', 'Week');
+    parent.appendChild(corner);
+
+    WEEKDAY_NAMES.forEach(dayName => {
+      const header = document.createElement('div');
+      header.className = 'calendar-day-header';
+      header.textContent = overview === 'year' ? dayName.charAt(0) : dayName.slice(0, 3);
+      header.setAttribute('role', 'columnheader');
+      header.setAttribute('aria-label', dayName);
+      parent.appendChild(header);
+    });
+
+    const { firstWeek, lastWeek } = getFullTermWeeks(term);
+    this.getTermGrid(year, term).forEach(({ week, days }) => {
+      const label = document.createElement('div');
+      label.className = 'calendar-week-label';
+      if (week < firstWeek || week > lastWeek) label.classList.add('extended-week');
+      label.textContent = week;
+      label.setAttribute('role', 'rowheader');
+      label.setAttribute('aria-label', `Week ${week}`);
+      parent.appendChild(label);
+
+      days.forEach(dayData => {
+        parent.appendChild(this.createDayCell({ ...dayData, overview }));
+      });
+    });
+  }
+
+  /**
+   * Render every term of the shown academic year as compact overviews
+   */
+  renderYearOverview() {
+    const { year } = this.shownTerm;
+
+    getCalendarProfile().terms.forEach(definition => {
+      if (!getTermData(year, definition.name)) return;
+
+      const section = document.createElement('div');
+      section.className = `term-overview term-overview-${definition.name}`;
+
+      // The title opens the term in the term view
+      const title = document.createElement('button');
+      title.type = 'button';
+      title.className = 'term-overview-title';
+      title.textContent = definition.label;
+      title.setAttribute('aria-label', `Show ${definition.label} ${year} term overview`);
+      title.addEventListener('click', () => this.showTerm(year, definition.name));
+      section.appendChild(title);
+
+      const grid = document.createElement('div');
+      grid.className = 'term-overview-grid';
+      this.renderTermOverview(grid, year, definition.name, 'year');
+      section.appendChild(grid);
+
+      this.container.appendChild(section);
+    });
   }
   
   /**
-   * Get current month display string
-   * @returns {string} Month and year string
+   * Get the heading for the current view
+   * @returns {string} Month and year ("March 2026"), months shown ("January –
+   *   March 2026"), term ("Hilary 2025-26") or academic year ("Academic Year 2025-26")
    */
   getMonthDisplayString() {
+    if (this.view === 'term' && this.shownTerm) {
+      const definition = getTermDefinition(getCalendarProfile(), this.shownTerm.term);
+      return `${definition ? definition.label : this.shownTerm.term} ${this.shownTerm.year}`;
+    }
+    if (this.view === 'year' && this.shownTerm) {
+      return `Academic Year ${this.shownTerm.year}`;
+    }
+    if (this.isMultiMonth()) {
+      const last = addMonths(this.currentMonth, this.monthCount - 1);
+      const firstName = this.monthNames[this.currentMonth.getMonth()];
+      const lastName = this.monthNames[last.getMonth()];
+      return last.getFullYear() === this.currentMonth.getFullYear()
+        ? `${firstName} – ${lastName} ${last.getFullYear()}`
+        : `${firstName} ${this.currentMonth.getFullYear()} – ${lastName} ${last.getFullYear()}`;
+    }
+
     const month = this.monthNames[this.currentMonth.getMonth()];
     const year = this.currentMonth.getFullYear();
     return `${month} ${year}`;
@@ -340,14 +1022,90 @@ export class Calendar {
     });
   }
   
+  /**
+   * Get the day of the cell an event happened on
+   * @param {EventTarget} target - Event target
+   * @returns {Date|null} Day, or null off the days of the month(s) shown
+   */
+  getCellDate(target) {
+    const cell = target && target.closest ? target.closest('.calendar-day[data-date]') : null;
+    if (!cell || cell.classList.contains('other-month') || !this.container.contains(cell)) return null;
+    return parseISODate(cell.getAttribute('data-date'));
+  }
+
+  /**
+   * Start a drag selection on a day
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    this.dragSelected = false;
+    if (event.button !== 0 || event.shiftKey) return;
+
+    const date = this.getCellDate(event.target);
+    if (!date) return;
+
+    this.dragAnchor = date;
+    this.dragMoved = false;
+    // Touch pointers are captured by the first cell; release it so the others see the drag
+    if (event.target.hasPointerCapture && event.target.hasPointerCapture(event.pointerId)) {
+      event.target.releasePointerCapture(event.pointerId);
+    }
+    document.addEventListener('pointerup', this.handlePointerUp, { once: true });
+  }
+
+  /**
+   * Extend a drag selection to the day under the pointer
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerOver(event) {
+    if (!this.dragAnchor) return;
+
+    const date = this.getCellDate(event.target);
+    if (!date || (!this.dragMoved && isSameDay(date, this.dragAnchor))) return;
+
+    this.dragMoved = true;
+    this.selectedRange = orderRange(this.dragAnchor, date);
+    this.updateRangeClasses();
+  }
+
+  /**
+   * Finish a drag selection. A press that never left its day is left to the
+   * click handler, which selects the day.
+   */
+  handlePointerUp() {
+    const anchor = this.dragAnchor;
+    this.dragAnchor = null;
+    if (!anchor || !this.dragMoved) return;
+
+    this.dragMoved = false;
+    this.dragSelected = true;
+    const { start, end } = this.selectedRange;
+    this.selectRange(anchor, isSameDay(anchor, start) ? end : start);
+  }
+
   /**
    * Handle keyboard navigation
    * @param {KeyboardEvent} event - Keyboard event
    */
   handleKeyDown(event) {
+    // M, T and Y switch view from any focused day
+    const view = VIEW_KEYS[String(event.key).toLowerCase()];
+    if (view && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      event.preventDefault();
+      this.setView(view);
+      this.focusedDate = this.focusedDate || this.getDefaultFocusDate();
+      this.keyboardNavEnabled = true;
+      this.updateFocus();
+      return;
+    }
+
     if (!this.keyboardNavEnabled || !this.focusedDate) return;
     
     const key = event.key;
+    const overview = this.view !== 'month';
+    // Shift+Arrow extends a range; Shift+PageUp/PageDown still move by year
+    const extending = event.shiftKey && key.startsWith('Arrow');
+    const previousFocus = this.focusedDate;
     let newDate = new Date(this.focusedDate);
     let handled = false;
     
@@ -369,21 +1127,20 @@ export class Calendar {
         handled = true;
         break;
       case 'Home':
-        // Go to start of week (Monday)
-        const dayOfWeek = newDate.getDay();
-        const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-        newDate.setDate(newDate.getDate() + daysToMonday);
+        // Go to start of the row (Monday, or Sunday with a Sunday start and in the overviews)
+        newDate.setDate(newDate.getDate() - this.getRowPosition(newDate, overview));
         handled = true;
         break;
       case 'End':
-        // Go to end of week (Sunday)
-        const currentDay = newDate.getDay();
-        const daysToSunday = currentDay === 0 ? 0 : 7 - currentDay;
-        newDate.setDate(newDate.getDate() + daysToSunday);
+        // Go to end of the row
+        newDate.setDate(newDate.getDate() + 6 - this.getRowPosition(newDate, overview));
         handled = true;
         break;
       case 'PageUp':
-        if (event.shiftKey) {
+        if (overview) {
+          // Same week and day of the previous term, or of last year's term
+          newDate = moveToTerm(newDate, -1, event.shiftKey) || newDate;
+        } else if (event.shiftKey) {
           // Previous year
           newDate.setFullYear(newDate.getFullYear() - 1);
         } else {
@@ -393,7 +1150,10 @@ export class Calendar {
         handled = true;
         break;
       case 'PageDown':
-        if (event.shiftKey) {
+        if (overview) {
+          // Same week and day of the next term, or of next year's term
+          newDate = moveToTerm(newDate, 1, event.shiftKey) || newDate;
+        } else if (event.shiftKey) {
           // Next year
           newDate.setFullYear(newDate.getFullYear() + 1);
         } else {
@@ -411,6 +1171,8 @@ export class Calendar {
       case 'Escape':
         // Clear selection
         this.selectedDate = null;
+        this.selectedRange = null;
+        this.rangeAnchor = null;
         this.render();
         this.emit('select', { date: null });
         handled = true;
@@ -420,28 +1182,72 @@ export class Calendar {
     if (handled) {
       event.preventDefault();
       
-      // Update focused date
-      const oldMonth = this.focusedDate.getMonth();
-      const oldYear = this.focusedDate.getFullYear();
-      const newMonth = newDate.getMonth();
-      const newYear = newDate.getFullYear();
+      // Overviews only have days in term, so step over the vacations
+      if (overview) {
+        newDate = skipVacation(this.focusedDate, newDate);
+      }
       
       this.focusedDate = newDate;
       
-      // Check if we need to change month view
-      if (oldMonth !== newMonth || oldYear !== newYear) {
-        this.setMonth(newDate);
-        this.emit('navigate', { month: newDate });
+      // Check if we need to change month (or term) view
+      if (!this.isDateShown(newDate)) {
+        if (overview) {
+          this.setShownTerm(findTermForDate(newDate));
+          this.render();
+          this.emit('navigate', { month: new Date(this.currentMonth) });
+        } else if (this.isMultiMonth()) {
+          this.revealMonth(newDate);
+          this.emit('navigate', { month: new Date(this.currentMonth) });
+        } else {
+          this.setMonth(newDate);
+          this.emit('navigate', { month: newDate });
+        }
+        this.updateFocus();
       } else {
         // Update focus within current month
         this.updateFocus();
       }
+
+      // Extend the range from where it started, or start one from the day left
+      if (extending) {
+        this.selectRange(this.rangeAnchor || previousFocus, newDate);
+        this.updateFocus();
+      } else if (key.startsWith('Arrow')) {
+        this.rangeAnchor = null;
+      }
       
       // Announce change to screen readers
       this.announceDate(newDate);
     }
   }
   
+  /**
+   * Get a date's column in its row
+   * @param {Date} date - Date
+   * @param {boolean} overview - Whether the term or year overview is shown (rows start on Sunday)
+   * @returns {number} 0 for the first column to 6 for the last
+   */
+  getRowPosition(date, overview) {
+    const rowStart = overview ? WEEK_START_SUNDAY : this.weekStart;
+    return (date.getDay() - rowStart + 7) % 7;
+  }
+
+  /**
+   * Get the day to focus when the view changes and the focused day is not in it
+   * @returns {Date} The selected date if shown, else the start of Full Term
+   *   (term and year views) or the 1st of the month
+   */
+  getDefaultFocusDate() {
+    if (this.selectedDate && this.isDateShown(this.selectedDate)) {
+      return this.selectedDate;
+    }
+    if (this.view !== 'month' && this.shownTerm) {
+      const fullTerm = getFullTermDates(this.shownTerm.year, this.shownTerm.term);
+      if (fullTerm) return parseISODate(fullTerm.start);
+    }
+    return new Date(this.currentMonth);
+  }
+
   /**
    * Update focus to the focused date
    */
@@ -455,7 +1261,7 @@ export class Calendar {
     
     // Set tabindex and focus on the focused date
     if (this.focusedDate) {
-      const focusedDateStr = this.focusedDate.toISOString().split('T')[0];
+      const focusedDateStr = toISODateString(this.focusedDate);
       const focusedCell = this.container.querySelector(`[data-date="${focusedDateStr}"]`);
       if (focusedCell && !focusedCell.classList.contains('other-month')) {
         focusedCell.setAttribute('tabindex', '0');
@@ -488,17 +1294,217 @@ export class Calendar {
   destroy() {
     if (this.container) {
       this.container.removeEventListener('keydown', this.handleKeyDown);
+      this.container.removeEventListener('scroll', this.handleScroll);
+      this.container.removeEventListener('pointerdown', this.handlePointerDown);
+      this.container.removeEventListener('pointerover', this.handlePointerOver);
       this.container.innerHTML = '';
     }
+    document.removeEventListener('pointerup', this.handlePointerUp);
     this.listeners = {};
   }
 }
 
+/**
+ * Order the two ends of a range
+ * @param {Date} a - One end
+ * @param {Date} b - The other end
+ * @returns {{start: Date, end: Date}}
+ */
+function orderRange(a, b) {
+  return a <= b ? { start: new Date(a), end: new Date(b) } : { start: new Date(b), end: new Date(a) };
+}
+
+/**
+ * Check a month count for setMonthCount()
+ * @param {number} count - Months shown at once
+ * @throws {Error} If the count is not a whole number from 1 to MAX_MONTH_COUNT
+ */
+function assertMonthCount(count) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_MONTH_COUNT) {
+    throw new Error(`The calendar can show 1 to ${MAX_MONTH_COUNT} months`);
+  }
+}
+
+/**
+ * Get the first day of the month a number of months away
+ * @param {Date} month - Any date in the starting month
+ * @param {number} count - Months to move (negative for earlier)
+ * @returns {Date}
+ */
+function addMonths(month, count) {
+  return new Date(month.getFullYear(), month.getMonth() + count, 1);
+}
+
+/**
+ * Count the months from one date's month to another's
+ * @param {Date} from - Any date in the first month
+ * @param {Date} to - Any date in the second month
+ * @returns {number} Negative if "to" is earlier
+ */
+function monthsBetween(from, to) {
+  return (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+}
+
+/**
+ * Get the "YYYY-MM" key of a date's month
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function getMonthKey(date) {
+  return toISODateString(date).slice(0, 7);
+}
+
+/**
+ * Whether a term week is in Full Term, as the active profile defines it
+ * @param {Object} termWeek - Term week with term and week
+ * @returns {boolean}
+ */
+function isFullTermWeek(termWeek) {
+  const { firstWeek, lastWeek } = getFullTermWeeks(termWeek.term);
+  return termWeek.week >= firstWeek && termWeek.week <= lastWeek;
+}
+
+/**
+ * Get the classes that colour a day by its term
+ * @param {Object|null} termWeek - Term week of the day
+ * @returns {Array<string>} "term-<name>", plus "extended-week" for weeks outside Full Term
+ */
+function getTermClasses(termWeek) {
+  if (!termWeek) return [];
+  const classes = [`term-${termWeek.term.toLowerCase()}`];
+  if (!isFullTermWeek(termWeek)) {
+    classes.push('extended-week');
+  }
+  return classes;
+}
+
+/**
+ * List every term in the loaded data, in date order
+ * @returns {Array<{year: string, term: string}>}
+ */
+function getTermSequence() {
+  const termNames = getCalendarProfile().terms.map(definition => definition.name);
+  return getAvailableYears().flatMap(year =>
+    termNames.filter(term => getTermData(year, term)).map(term => ({ year, term }))
+  );
+}
+
+/**
+ * Get the first day of a term's first week
+ * @param {string} year - Academic year
+ * @param {string} term - Term name
+ * @returns {string|null} ISO date
+ */
+function getTermStart(year, term) {
+  const { weeks } = getCalendarProfile();
+  for (let week = weeks.first; week <= weeks.last; week++) {
+    const weekData = getWeekData(year, term, week);
+    if (weekData) return weekData.start;
+  }
+  return null;
+}
+
+/**
+ * Find the term to show for a date: the term it falls in, else the next one
+ * @param {Date} date - Date
+ * @returns {{year: string, term: string}|null} Term, or null without term data
+ */
+function findTermForDate(date) {
+  const termWeek = findTermWeekForDate(date);
+  if (termWeek) return { year: termWeek.year, term: termWeek.term };
+
+  const key = toISODateString(date);
+  const sequence = getTermSequence();
+  return sequence.find(({ year, term }) => getTermStart(year, term) > key)
+    || sequence[sequence.length - 1]
+    || null;
+}
+
+/**
+ * Find the term to show for a month: the term whose Full Term starts in it,
+ * else the term of its first day. April shows Trinity, not the end of Hilary.
+ * @param {Date} month - Any date in the month
+ * @returns {{year: string, term: string}|null} Term, or null without term data
+ */
+function findTermForMonth(month) {
+  const prefix = toISODateString(month).slice(0, 7);
+  const starting = getTermSequence().find(({ year, term }) => {
+    const fullTerm = getFullTermDates(year, term);
+    return fullTerm && fullTerm.start.startsWith(prefix);
+  });
+  return starting || findTermForDate(new Date(month.getFullYear(), month.getMonth(), 1));
+}
+
+/**
+ * Get the term before or after another, staying put at either end of the data
+ * @param {{year: string, term: string}} shownTerm - Current term
+ * @param {number} direction - -1 for previous, 1 for next
+ * @returns {{year: string, term: string}} Term
+ */
+function stepTerm(shownTerm, direction) {
+  const sequence = getTermSequence();
+  const index = sequence.findIndex(({ year, term }) => year === shownTerm.year && term === shownTerm.term);
+  return sequence[index + direction] || shownTerm;
+}
+
+/**
+ * Get the same term of the previous or next academic year, or its first term
+ * @param {{year: string, term: string}} shownTerm - Current term
+ * @param {number} direction - -1 for previous, 1 for next
+ * @returns {{year: string, term: string}} Term
+ */
+function stepAcademicYear(shownTerm, direction) {
+  const years = getAvailableYears();
+  const year = years[years.indexOf(shownTerm.year) + direction];
+  if (!year) return shownTerm;
+  if (getTermData(year, shownTerm.term)) return { year, term: shownTerm.term };
+
+  const first = getTermSequence().find(entry => entry.year === year);
+  return first || shownTerm;
+}
+
+/**
+ * Move a date to the same week and weekday of another term
+ * @param {Date} date - Date in term
+ * @param {number} direction - -1 for earlier, 1 for later
+ * @param {boolean} byYear - Move a whole academic year rather than one term
+ * @returns {Date|null} The new date, or null if there is no such term or week
+ */
+function moveToTerm(date, direction, byYear) {
+  const termWeek = findTermWeekForDate(date);
+  if (!termWeek) return null;
+
+  const current = { year: termWeek.year, term: termWeek.term };
+  const target = byYear ? stepAcademicYear(current, direction) : stepTerm(current, direction);
+  if (target === current) return null;
+
+  const weekData = getWeekData(target.year, target.term, termWeek.week);
+  return weekData ? addDays(weekData.start, date.getDay()) : null;
+}
+
+/**
+ * Carry a keyboard move on past vacation days, in the same step, until it
+ * lands in a term (the overviews have no cells between terms)
+ * @param {Date} from - Date the move started from
+ * @param {Date} to - Date the move landed on
+ * @returns {Date} A date in term, or the starting date if none is near
+ */
+function skipVacation(from, to) {
+  const step = Math.round((to - from) / 86400000);
+  let date = to;
+  for (let i = 0; step !== 0 && i < 120; i++) {
+    if (findTermWeekForDate(date)) return date;
+    date = addDays(date, step);
+  }
+  return findTermWeekForDate(date) ? date : from;
+}
+
 /**
  * Factory function to create calendar instance
  * @param {HTMLElement} container - Container element
+ * @param {Object} [options] - Options for the Calendar constructor
  * @returns {Calendar} Calendar instance
  */
-export function createCalendar(container) {
-  return new Calendar(container);
+export function createCalendar(container, options = {}) {
+  return new Calendar(container, options);
 }
\ No newline at end of file
@@ -4,7 +4,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi, beforeAll } from 'vitest';
 import { Calendar, createCalendar } from './calendar.js';
-import { loadTermsData } from '../data/termService.js';
+import { loadTermsData, setCalendarProfile } from '../data/termService.js';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 
@@ -133,8 +133,83 @@ describe('Calendar Component', () => {
         expect(date).toBeLessThanOrEqual(16);
       });
     });
+
+    it('should mark badges outside the profile\'s Full Term as extended', () => {
+      const badge = (term, week) => calendar.createTermWeekBadge({ term, week });
+      expect(badge('michaelmas', 0)).toContain('extended-week');
+      expect(badge('michaelmas', 8)).not.toContain('extended-week');
+      expect(badge('michaelmas', 9)).toContain('extended-week');
+
+      // Cambridge Full Term runs to week 9 in Michaelmas and Lent
+      setCalendarProfile('cambridge');
+      try {
+        expect(badge('michaelmas', 9)).not.toContain('extended-week');
+        expect(badge('easter', 9)).toContain('extended-week');
+      } finally {
+        setCalendarProfile('oxford');
+      }
+    });
+  });
+  
+  describe('Named Events', () => {
+    it('should add events to the days they fall on', () => {
+      const grid = calendar.getMonthGrid(2026, 5); // June 2026
+      const encaenia = grid.find(d => d.isCurrentMonth && d.date.getDate() === 24);
+      expect(encaenia.events.map(e => e.name)).toEqual(['Encaenia']);
+      expect(grid.filter(d => d.events.length > 0)).toHaveLength(1);
+    });
+
+    it('should render a marker on event days', () => {
+      calendar.setMonth(new Date(2026, 5, 1));
+      const cell = container.querySelector('[data-date="2026-06-24"]');
+      expect(cell.classList.contains('has-event')).toBe(true);
+      expect(cell.querySelector('.event-marker.event-ceremony').textContent).toBe('Encaenia');
+      expect(cell.getAttribute('aria-label')).toContain('Encaenia');
+      expect(container.querySelectorAll('.event-marker')).toHaveLength(1);
+    });
   });
   
+
+  describe('Personal Events', () => {
+    const seminar = {
+      id: 'seminar',
+      title: 'Seminar',
+      termWeeks: { year: '2025-26', term: 'michaelmas', dayOfWeek: 2, fromWeek: 1, toWeek: 8 }
+    };
+
+    it('should add personal events to the days they fall on', () => {
+      calendar.personalEvents = [seminar, { id: 'essay', title: 'Essay due', date: '2025-10-14' }];
+      const grid = calendar.getMonthGrid(2025, 9); // October 2025
+      const day = grid.find(d => d.isCurrentMonth && d.date.getDate() === 14);
+      expect(day.personalEvents.map(e => e.title)).toEqual(['Essay due', 'Seminar']);
+      expect(grid.filter(d => d.isCurrentMonth && d.personalEvents.length > 0)).toHaveLength(3);
+    });
+
+    it('should render dots on days with personal events', () => {
+      calendar.setMonth(new Date(2025, 9, 1));
+      calendar.setPersonalEvents([seminar]);
+      const cell = container.querySelector('[data-date="2025-10-21"]');
+      expect(cell.classList.contains('has-personal-event')).toBe(true);
+      expect(cell.querySelector('.personal-event-dot').title).toBe('Seminar');
+      expect(cell.getAttribute('aria-label')).toContain('Seminar');
+      expect(container.querySelectorAll('.personal-event-dot')).toHaveLength(3);
+    });
+
+    it('should collapse extra events into a count', () => {
+      calendar.setMonth(new Date(2025, 9, 1));
+      calendar.setPersonalEvents(['A', 'B', 'C', 'D', 'E'].map(title => ({ id: title, title, date: '2025-10-14' })));
+      const cell = container.querySelector('[data-date="2025-10-14"]');
+      expect(cell.querySelectorAll('.personal-event-dot')).toHaveLength(3);
+      expect(cell.querySelector('.personal-event-more').textContent).toBe('+2');
+    });
+
+    it('should remove dots when events are cleared', () => {
+      calendar.setMonth(new Date(2025, 9, 1));
+      calendar.setPersonalEvents([seminar]);
+      calendar.setPersonalEvents([]);
+      expect(container.querySelectorAll('.personal-event-dot')).toHaveLength(0);
+    });
+  });
   describe('Rendering', () => {
     it('should render day headers', () => {
       calendar.render();
@@ -259,6 +334,18 @@ describe('Calendar Component', () => {
       otherMonthCell.click();
       expect(calendar.selectedDate).toBeNull();
     });
+    
+    it('should clear the selection without emitting select', () => {
+      const callback = vi.fn();
+      const date = new Date(2024, 10, 15);
+      calendar.setMonth(date);
+      calendar.selectDate(date);
+      calendar.on('select', callback);
+      calendar.clearSelection();
+      expect(calendar.selectedDate).toBeNull();
+      expect(container.querySelector('.calendar-day.selected')).toBeNull();
+      expect(callback).not.toHaveBeenCalled();
+    });
   });
   
   describe('Month Display String', () => {
@@ -319,6 +406,515 @@ describe('Calendar Component', () => {
     });
   });
   
+  describe('Term and Year Views', () => {
+    const keyDown = (key, options = {}) => {
+      container.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+    };
+
+    it('should start in the month view', () => {
+      expect(calendar.view).toBe('month');
+      calendar.render();
+      expect(container.classList.contains('view-month')).toBe(true);
+    });
+
+    it('should open the term whose Full Term starts in the month shown', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setView('term');
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'hilary' });
+      expect(calendar.getMonthDisplayString()).toBe('Hilary 2025-26');
+      expect(container.classList.contains('view-term')).toBe(true);
+    });
+
+    it('should open the term of the selected date when it is in the month shown', () => {
+      calendar.setMonth(new Date(2026, 3, 1));
+      calendar.selectDate(new Date(2026, 3, 8)); // Hilary week 12
+      calendar.setView('term');
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'hilary' });
+    });
+
+    it('should render one row per week with Sunday-first columns', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setView('term');
+
+      const labels = [...container.querySelectorAll('.calendar-week-label')].map(label => label.textContent);
+      expect(labels).toEqual(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']);
+      expect(container.querySelectorAll('.calendar-day')).toHaveLength(13 * 7);
+
+      const headers = [...container.querySelectorAll('.calendar-day-header')].map(header => header.textContent);
+      expect(headers).toEqual(['Wk', 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+
+      // The first cell of week 1 is Sunday 18 January 2026
+      container.querySelectorAll('.calendar-day')[7].click();
+      expect(calendar.selectedDate).toEqual(new Date(2026, 0, 18));
+    });
+
+    it('should label rows instead of badging each day', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setView('term');
+      expect(container.querySelector('.term-week-badge')).toBeNull();
+      expect(container.querySelector('.calendar-week-label.extended-week').textContent).toBe('0');
+    });
+
+    it('should navigate between terms and emit navigate', () => {
+      const callback = vi.fn();
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setView('term');
+      calendar.on('navigate', callback);
+
+      calendar.navigateMonth(1);
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'trinity' });
+      expect(callback.mock.calls[0][0].month).toEqual(new Date(2026, 3, 1));
+
+      calendar.navigateMonth(-1);
+      calendar.navigateMonth(-1);
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'michaelmas' });
+    });
+
+    it('should show the term starting in a month set from outside', () => {
+      calendar.setView('term');
+      calendar.setMonth(new Date(2026, 3, 1)); // April: end of Hilary, start of Trinity
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'trinity' });
+    });
+
+    it('should show the term of the first highlighted date', () => {
+      calendar.setView('term');
+      calendar.setMonthAndHighlight(new Date(2026, 3, 8), [new Date(2026, 3, 8)]);
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'hilary' });
+      expect(container.querySelectorAll('.calendar-day.highlighted')).toHaveLength(1);
+    });
+
+    it('should render every term of the academic year in the year view', () => {
+      calendar.setMonth(new Date(2025, 9, 1));
+      calendar.setView('year');
+      expect(calendar.getMonthDisplayString()).toBe('Academic Year 2025-26');
+
+      const titles = [...container.querySelectorAll('.term-overview-title')].map(title => title.textContent);
+      expect(titles).toEqual(['Michaelmas', 'Hilary', 'Trinity']);
+      expect(container.querySelectorAll('.calendar-day')).toHaveLength(3 * 13 * 7);
+
+      calendar.navigateMonth(1);
+      expect(calendar.getMonthDisplayString()).toBe('Academic Year 2026-27');
+    });
+
+    it('should open a term from its title in the year view', () => {
+      const viewCallback = vi.fn();
+      calendar.setMonth(new Date(2025, 9, 1));
+      calendar.setView('year');
+      calendar.on('view', viewCallback);
+
+      container.querySelectorAll('.term-overview-title')[2].click();
+      expect(calendar.view).toBe('term');
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'trinity' });
+      expect(viewCallback).toHaveBeenCalledWith({ view: 'term' });
+    });
+
+    it('should report the term the view is about', () => {
+      calendar.setMonth(new Date(2026, 3, 1));
+      expect(calendar.getTermForView()).toEqual({ year: '2025-26', term: 'trinity' });
+      calendar.setView('term');
+      calendar.navigateMonth(-1);
+      expect(calendar.getTermForView()).toEqual({ year: '2025-26', term: 'hilary' });
+    });
+
+    it('should emit view and reject unknown views', () => {
+      const callback = vi.fn();
+      calendar.on('view', callback);
+      calendar.setView('year');
+      calendar.setView('year');
+      calendar.setView('month');
+      expect(callback.mock.calls.map(call => call[0].view)).toEqual(['year', 'month']);
+      expect(() => calendar.setView('week')).toThrow('Unknown calendar view: week');
+    });
+
+    it('should switch view from the keyboard', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.render();
+      keyDown('t');
+      expect(calendar.view).toBe('term');
+      keyDown('Y');
+      expect(calendar.view).toBe('year');
+      keyDown('m');
+      expect(calendar.view).toBe('month');
+    });
+
+    it('should step over the vacation into the next term from the keyboard', () => {
+      const callback = vi.fn();
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setView('term');
+      calendar.on('navigate', callback);
+      calendar.focusedDate = new Date(2026, 3, 11); // Saturday of Hilary week 12
+      calendar.keyboardNavEnabled = true;
+
+      keyDown('ArrowRight');
+      expect(calendar.focusedDate).toEqual(new Date(2026, 3, 19)); // Sunday of Trinity week 0
+      expect(calendar.shownTerm).toEqual({ year: '2025-26', term: 'trinity' });
+      expect(callback).toHaveBeenCalled();
+    });
+
+    it('should move to the same week of the next term with PageDown', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setView('term');
+      calendar.focusedDate = new Date(2026, 0, 20); // Tuesday of Hilary week 1
+      calendar.keyboardNavEnabled = true;
+
+      keyDown('PageDown');
+      expect(calendar.focusedDate).toEqual(new Date(2026, 3, 28)); // Tuesday of Trinity week 1
+      expect(calendar.shownTerm.term).toBe('trinity');
+    });
+  });
+
+  describe('Week Start', () => {
+    const keyDown = (key) => {
+      container.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    };
+
+    it('should start weeks on Monday by default', () => {
+      expect(calendar.weekStart).toBe(1);
+      calendar.render();
+      const headers = container.querySelectorAll('.calendar-day-header');
+      expect(headers[0].textContent).toBe('Mon');
+      expect(headers[6].getAttribute('aria-label')).toBe('Sunday');
+    });
+
+    it('should render Sunday-first headers and grid', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setWeekStart(0);
+      const headers = [...container.querySelectorAll('.calendar-day-header')];
+      expect(headers.map(header => header.textContent)).toEqual(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+      expect(headers[0].getAttribute('aria-label')).toBe('Sunday');
+
+      const grid = calendar.getMonthGrid(2026, 0);
+      expect(grid[0].date).toEqual(new Date(2025, 11, 28)); // Sunday before Thursday 1 January
+      grid.forEach((day, index) => expect(day.date.getDay()).toBe(index % 7));
+    });
+
+    it('should keep each term week in one row with a single badge', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setWeekStart(0);
+      const grid = calendar.getMonthGrid(2026, 0);
+      const cells = container.querySelectorAll('.calendar-day');
+
+      for (let row = 0; row < 6; row++) {
+        const days = grid.slice(row * 7, row * 7 + 7).filter(day => day.termWeek);
+        expect(new Set(days.map(day => `${day.termWeek.term}${day.termWeek.week}`)).size).toBeLessThanOrEqual(1);
+        const badges = [...cells].slice(row * 7, row * 7 + 7).filter(cell => cell.querySelector('.term-week-badge'));
+        expect(badges.length).toBeLessThanOrEqual(1);
+      }
+      // Hilary week 1 starts on Sunday 18 January, the first cell of the fourth row
+      expect(cells[21].querySelector('.term-week-badge').textContent).toContain('1');
+    });
+
+    it('should move Home and End to the ends of the row', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.keyboardNavEnabled = true;
+      calendar.focusedDate = new Date(2026, 0, 20); // Tuesday
+
+      keyDown('Home');
+      expect(calendar.focusedDate).toEqual(new Date(2026, 0, 19)); // Monday
+      keyDown('End');
+      expect(calendar.focusedDate).toEqual(new Date(2026, 0, 25)); // Sunday
+
+      calendar.setWeekStart(0);
+      calendar.focusedDate = new Date(2026, 0, 20);
+      keyDown('Home');
+      expect(calendar.focusedDate).toEqual(new Date(2026, 0, 18)); // Sunday
+      keyDown('End');
+      expect(calendar.focusedDate).toEqual(new Date(2026, 0, 24)); // Saturday
+    });
+
+    it('should only accept Sunday or Monday', () => {
+      expect(() => calendar.setWeekStart(3)).toThrow();
+      expect(calendar.weekStart).toBe(1);
+    });
+  });
+
+  describe('Range Selection', () => {
+    const cell = (iso) => container.querySelector(`[data-date="${iso}"]`);
+    const pointer = (type, target, options = {}) => {
+      target.dispatchEvent(new MouseEvent(type, { bubbles: true, button: 0, ...options }));
+    };
+    const keyDown = (key, options = {}) => {
+      container.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+    };
+
+    beforeEach(() => {
+      calendar.setMonth(new Date(2025, 9, 1)); // October 2025
+    });
+
+    it('should select a range by dragging across days', () => {
+      const callback = vi.fn();
+      calendar.on('select-range', callback);
+
+      pointer('pointerdown', cell('2025-10-28'));
+      pointer('pointerover', cell('2025-10-30'));
+      expect(cell('2025-10-29').classList.contains('in-range')).toBe(true);
+      pointer('pointerover', cell('2025-10-31'));
+      pointer('pointerup', document);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith({ start: new Date(2025, 9, 28), end: new Date(2025, 9, 31) });
+      expect(container.querySelectorAll('.in-range')).toHaveLength(4);
+      expect(cell('2025-10-28').classList.contains('range-start')).toBe(true);
+      expect(cell('2025-10-31').classList.contains('range-end')).toBe(true);
+      expect(cell('2025-10-30').getAttribute('aria-selected')).toBe('true');
+    });
+
+    it('should order a range dragged backwards', () => {
+      const callback = vi.fn();
+      calendar.on('select-range', callback);
+
+      pointer('pointerdown', cell('2025-10-20'));
+      pointer('pointerover', cell('2025-10-14'));
+      pointer('pointerup', document);
+      expect(callback).toHaveBeenCalledWith({ start: new Date(2025, 9, 14), end: new Date(2025, 9, 20) });
+    });
+
+    it('should select a single day when the pointer does not leave it', () => {
+      const rangeCallback = vi.fn();
+      calendar.on('select-range', rangeCallback);
+
+      const day = cell('2025-10-14');
+      pointer('pointerdown', day);
+      pointer('pointerup', document);
+      day.click();
+      expect(rangeCallback).not.toHaveBeenCalled();
+      expect(calendar.selectedDate).toEqual(new Date(2025, 9, 14));
+    });
+
+    it('should not treat the click ending a drag as a day selection', () => {
+      const selectCallback = vi.fn();
+      calendar.on('select', selectCallback);
+
+      pointer('pointerdown', cell('2025-10-14'));
+      pointer('pointerover', cell('2025-10-16'));
+      pointer('pointerover', cell('2025-10-14'));
+      pointer('pointerup', document);
+      cell('2025-10-14').click();
+      expect(selectCallback).not.toHaveBeenCalled();
+      expect(calendar.selectedRange).toEqual({ start: new Date(2025, 9, 14), end: new Date(2025, 9, 14) });
+    });
+
+    it('should extend a range from the selected day with Shift+click', () => {
+      cell('2025-10-14').click();
+      cell('2025-10-17').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+      expect(calendar.selectedRange).toEqual({ start: new Date(2025, 9, 14), end: new Date(2025, 9, 17) });
+      expect(calendar.selectedDate).toBeNull();
+    });
+
+    it('should extend a range with Shift+Arrow keys', () => {
+      const callback = vi.fn();
+      calendar.on('select-range', callback);
+      calendar.keyboardNavEnabled = true;
+      calendar.focusedDate = new Date(2025, 9, 14);
+
+      keyDown('ArrowRight', { shiftKey: true });
+      keyDown('ArrowDown', { shiftKey: true });
+      expect(callback).toHaveBeenLastCalledWith({ start: new Date(2025, 9, 14), end: new Date(2025, 9, 22) });
+
+      keyDown('ArrowUp', { shiftKey: true });
+      keyDown('ArrowLeft', { shiftKey: true });
+      keyDown('ArrowLeft', { shiftKey: true });
+      expect(callback).toHaveBeenLastCalledWith({ start: new Date(2025, 9, 13), end: new Date(2025, 9, 14) });
+      expect(calendar.focusedDate).toEqual(new Date(2025, 9, 13));
+    });
+
+    it('should follow a Shift+Arrow range into the next month', () => {
+      calendar.keyboardNavEnabled = true;
+      calendar.focusedDate = new Date(2025, 9, 30);
+
+      keyDown('ArrowDown', { shiftKey: true });
+      expect(calendar.currentMonth).toEqual(new Date(2025, 10, 1));
+      expect(calendar.selectedRange).toEqual({ start: new Date(2025, 9, 30), end: new Date(2025, 10, 6) });
+      expect(container.querySelectorAll('.in-range:not(.other-month)')).toHaveLength(6);
+    });
+
+    it('should clear the range on selecting a day or pressing Escape', () => {
+      calendar.selectRange(new Date(2025, 9, 14), new Date(2025, 9, 16));
+      calendar.selectDate(new Date(2025, 9, 20));
+      expect(calendar.selectedRange).toBeNull();
+      expect(container.querySelectorAll('.in-range')).toHaveLength(0);
+
+      calendar.selectRange(new Date(2025, 9, 14), new Date(2025, 9, 16));
+      calendar.keyboardNavEnabled = true;
+      calendar.focusedDate = new Date(2025, 9, 16);
+      keyDown('Escape');
+      expect(calendar.selectedRange).toBeNull();
+    });
+  });
+
+  describe('Multi-Month View', () => {
+    const PANEL_HEIGHT = 400;
+    const layout = {};
+    let scrollTop;
+
+    const panelKeys = () => [...container.querySelectorAll('.calendar-month-panel')].map(panel => panel.dataset.month);
+    const scrollTo = (top) => {
+      container.scrollTop = top;
+      container.dispatchEvent(new Event('scroll'));
+    };
+
+    beforeEach(() => {
+      // jsdom has no layout: give each month panel a fixed height, stacked in order
+      ['offsetTop', 'offsetHeight'].forEach(name => {
+        layout[name] = Object.getOwnPropertyDescriptor(HTMLElement.prototype, name);
+      });
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+        configurable: true,
+        get() { return this.classList.contains('calendar-month-panel') ? PANEL_HEIGHT : 0; }
+      });
+      Object.defineProperty(HTMLElement.prototype, 'offsetTop', {
+        configurable: true,
+        get() {
+          if (!this.classList.contains('calendar-month-panel')) return 0;
+          return [...this.parentNode.querySelectorAll('.calendar-month-panel')].indexOf(this) * PANEL_HEIGHT;
+        }
+      });
+      scrollTop = 0;
+      Object.defineProperty(container, 'scrollTop', {
+        configurable: true,
+        get: () => scrollTop,
+        set: (value) => { scrollTop = value; }
+      });
+    });
+
+    afterEach(() => {
+      Object.entries(layout).forEach(([name, descriptor]) => {
+        Object.defineProperty(HTMLElement.prototype, name, descriptor);
+      });
+    });
+
+    it('should show one month by default', () => {
+      calendar.render();
+      expect(calendar.monthCount).toBe(1);
+      expect(container.classList.contains('multi-month')).toBe(false);
+      expect(container.querySelectorAll('.calendar-month-panel')).toHaveLength(0);
+    });
+
+    it('should render a panel per month with buffer months either side', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      expect(container.classList.contains('multi-month')).toBe(true);
+      expect(panelKeys()).toEqual(['2025-11', '2025-12', '2026-01', '2026-02', '2026-03', '2026-04', '2026-05']);
+      expect(container.querySelectorAll('.calendar-months-header .calendar-day-header')).toHaveLength(7);
+      expect(scrollTop).toBe(2 * PANEL_HEIGHT);
+      expect(calendar.getMonthDisplayString()).toBe('January – March 2026');
+    });
+
+    it('should accept the month count as a constructor option', () => {
+      const other = new Calendar(document.createElement('div'), { months: 12 });
+      expect(other.monthCount).toBe(12);
+      expect(() => new Calendar(container, { months: 0 })).toThrow();
+      expect(() => calendar.setMonthCount(13)).toThrow();
+      expect(() => calendar.setMonthCount(2.5)).toThrow();
+    });
+
+    it('should name both years when the months shown span two', () => {
+      calendar.setMonth(new Date(2025, 10, 1));
+      calendar.setMonthCount(3);
+      expect(calendar.getMonthDisplayString()).toBe('November 2025 – January 2026');
+    });
+
+    it('should show each day once, blanking the neighbouring months\' days', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      const panel = calendar.getMonthPanel(new Date(2026, 1, 1));
+      const days = [...panel.querySelectorAll('.calendar-day:not(.outside-month)')];
+      expect(days).toHaveLength(28);
+      expect(days[0].getAttribute('data-date')).toBe('2026-02-01');
+      expect(container.querySelectorAll('[data-date="2026-02-01"]')).toHaveLength(1);
+      // February 2026 starts on a Sunday: six blanks, then trailing blanks to the end of the row
+      expect(panel.querySelectorAll('.calendar-day')).toHaveLength(35);
+    });
+
+    it('should keep term colours on the blank days so bands run across months', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      const panel = calendar.getMonthPanel(new Date(2026, 1, 1));
+      const blanks = [...panel.querySelectorAll('.outside-month')].slice(0, 6); // 26-31 January
+      expect(blanks.every(cell => cell.classList.contains('term-hilary'))).toBe(true);
+      expect(blanks.every(cell => !cell.hasAttribute('data-date'))).toBe(true);
+    });
+
+    it('should mark day cells outside the profile\'s Full Term as extended', () => {
+      const cell = (term, week) => calendar.createDayCell({
+        date: new Date(2025, 11, 1), isCurrentMonth: true, termWeek: { term, week }
+      });
+      expect(cell('michaelmas', 9).classList.contains('extended-week')).toBe(true);
+
+      setCalendarProfile('cambridge');
+      try {
+        expect(cell('michaelmas', 9).classList.contains('extended-week')).toBe(false);
+        expect(cell('michaelmas', 10).classList.contains('extended-week')).toBe(true);
+      } finally {
+        setCalendarProfile('oxford');
+      }
+    });
+
+    it('should share selection and highlights across panels', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      calendar.highlightDates([new Date(2026, 0, 31), new Date(2026, 1, 1)]);
+      expect(container.querySelectorAll('.highlighted')).toHaveLength(2);
+
+      container.querySelector('[data-date="2026-03-10"]').click();
+      expect(calendar.selectedDate).toEqual(new Date(2026, 2, 10));
+      expect(container.querySelectorAll('.selected')).toHaveLength(1);
+      expect(container.querySelector('.selected').getAttribute('data-date')).toBe('2026-03-10');
+    });
+
+    it('should keep the scroll position when re-rendering', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      scrollTop = 2 * PANEL_HEIGHT + 150;
+      calendar.selectDate(new Date(2026, 0, 20));
+      expect(scrollTop).toBe(2 * PANEL_HEIGHT + 150);
+    });
+
+    it('should follow scrolling, adding months ahead and dropping those behind', () => {
+      const callback = vi.fn();
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      calendar.on('navigate', callback);
+
+      scrollTo(3 * PANEL_HEIGHT + 10); // into February
+      expect(calendar.currentMonth).toEqual(new Date(2026, 1, 1));
+      expect(callback).toHaveBeenCalledWith({ month: new Date(2026, 1, 1), scrolled: true });
+      expect(panelKeys()).toEqual(['2025-12', '2026-01', '2026-02', '2026-03', '2026-04', '2026-05', '2026-06']);
+      // November was removed from above, so the view moves up by one panel
+      expect(scrollTop).toBe(2 * PANEL_HEIGHT + 10);
+    });
+
+    it('should add months above when scrolling back', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+
+      scrollTo(PANEL_HEIGHT + 10); // into December
+      expect(calendar.currentMonth).toEqual(new Date(2025, 11, 1));
+      expect(panelKeys()).toEqual(['2025-10', '2025-11', '2025-12', '2026-01', '2026-02', '2026-03', '2026-04']);
+      expect(scrollTop).toBe(2 * PANEL_HEIGHT + 10);
+    });
+
+    it('should scroll just far enough to show a date reached from the keyboard', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      calendar.keyboardNavEnabled = true;
+      calendar.focusedDate = new Date(2026, 2, 28);
+
+      container.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+      expect(calendar.focusedDate).toEqual(new Date(2026, 3, 4));
+      expect(calendar.currentMonth).toEqual(new Date(2026, 1, 1));
+      expect(calendar.isDateShown(new Date(2026, 3, 4))).toBe(true);
+    });
+
+    it('should only use panels in the month view', () => {
+      calendar.setMonth(new Date(2026, 0, 1));
+      calendar.setMonthCount(3);
+      calendar.setView('term');
+      expect(container.classList.contains('multi-month')).toBe(false);
+      expect(container.querySelectorAll('.calendar-month-panel')).toHaveLength(0);
+    });
+  });
+
   describe('Factory Function', () => {
     it('should create calendar using factory function', () => {
       const newCalendar = createCalendar(container);
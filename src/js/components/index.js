@@ -2,4 +2,5 @@
  * Components module exports
  */
 
-export { Calendar, createCalendar } from './calendar.js';
\ No newline at end of file
+export { Calendar, createCalendar, WEEK_START_MONDAY, WEEK_START_SUNDAY, MAX_MONTH_COUNT } from './calendar.js';
+export { getTermCard, getTermCards, renderTermCards } from './termCard.js';
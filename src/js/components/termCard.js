@@ -0,0 +1,173 @@
+/**
+ * Printable term cards: one table per term with a row for each week (week
+ * number, Sunday to Saturday dates, and the week's events), like the cards
+ * colleges pin on noticeboards
+ */
+
+import {
+  getTermData,
+  getEventsInRange,
+  getCalendarProfile,
+  getFullTermWeeks
+} from '../data/termService.js';
+import { getTermDefinition } from '../data/profiles.js';
+import {
+  addDays,
+  toISODateString,
+  parseISODate,
+  formatWeekRange,
+  getShortDayName,
+  getShortMonthName
+} from '../data/dateUtils.js';
+import { getPersonalEventsInRange } from '../data/personalEvents.js';
+
+const WEEKDAY_HEADERS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the rows of a term card
+ * @param {string} year - Academic year, e.g. "2025-26"
+ * @param {string} term - Term name, e.g. "hilary"
+ * @param {Object} options - Options
+ * @param {Array<Object>} [options.personalEvents] - Personal events to list alongside named events
+ * @returns {Object|null} Card { year, term, title, rows } where each row is
+ *   { week, start, end, range, days, events, isFullTerm } with ISO days Sunday
+ *   to Saturday and events as { date, name, personal }; null without term data
+ */
+export function getTermCard(year, term, options = {}) {
+  const termName = term.toLowerCase();
+  const termData = getTermData(year, termName);
+  if (!termData) return null;
+
+  const profile = getCalendarProfile();
+  const definition = getTermDefinition(profile, termName);
+  const { firstWeek, lastWeek } = getFullTermWeeks(termName);
+  const rows = [];
+
+  for (let week = profile.weeks.first; week <= profile.weeks.last; week++) {
+    const weekData = termData[`week${week}`];
+    if (!weekData) continue;
+
+    const { start, end } = weekData;
+    const named = getEventsInRange(start, end).map(event => ({
+      // Events that began in an earlier week are listed from this Sunday
+      date: event.start < start ? start : event.start,
+      name: event.name,
+      personal: false
+    }));
+    const personal = getPersonalEventsInRange(options.personalEvents || [], start, end).map(occurrence => ({
+      date: occurrence.date,
+      name: occurrence.event.title,
+      personal: true
+    }));
+
+    rows.push({
+      week,
+      start,
+      end,
+      range: formatWeekRange(start, end),
+      days: WEEKDAY_HEADERS.map((_, day) => toISODateString(addDays(start, day))),
+      events: [...named, ...personal].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)),
+      isFullTerm: week >= firstWeek && week <= lastWeek
+    });
+  }
+
+  return {
+    year,
+    term: termName,
+    title: `${definition ? definition.label : termName} Term ${year}`,
+    rows
+  };
+}
+
+/**
+ * Get the cards for one term, or for every term of an academic year
+ * @param {string} year - Academic year
+ * @param {string|null} [term] - Term name, or null for the whole year
+ * @param {Object} options - Options for getTermCard()
+ * @returns {Array<Object>} Cards in term order; empty if there is no data
+ */
+export function getTermCards(year, term = null, options = {}) {
+  const terms = term ? [term] : getCalendarProfile().terms.map(definition => definition.name);
+  return terms.map(name => getTermCard(year, name, options)).filter(Boolean);
+}
+
+/**
+ * Render term cards as tables
+ * @param {HTMLElement} container - Element to render into (its contents are replaced)
+ * @param {Array<Object>} cards - Cards from getTermCards()
+ */
+export function renderTermCards(container, cards) {
+  container.innerHTML = '';
+
+  cards.forEach(card => {
+    const section = document.createElement('section');
+    section.className = `term-card term-card-${card.term}`;
+
+    const table = document.createElement('table');
+    table.className = 'term-card-table';
+
+    const caption = document.createElement('caption');
+    caption.textContent = card.title;
+    table.appendChild(caption);
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Week', ...WEEKDAY_HEADERS, 'Events'].forEach(text => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    card.rows.forEach((row, index) => {
+      body.appendChild(createRow(row, index === 0));
+    });
+    table.appendChild(body);
+
+    section.appendChild(table);
+    container.appendChild(section);
+  });
+}
+
+/**
+ * Create the table row for one week
+ * @param {Object} row - Row from getTermCard()
+ * @param {boolean} isFirst - Whether this is the card's first row, which always names the month
+ * @returns {HTMLTableRowElement}
+ */
+function createRow(row, isFirst) {
+  const tr = document.createElement('tr');
+  tr.className = row.isFullTerm ? 'full-term-week' : 'extended-week';
+
+  const weekCell = document.createElement('th');
+  weekCell.scope = 'row';
+  weekCell.textContent = row.week;
+  weekCell.setAttribute('aria-label', `Week ${row.week}, ${row.range}`);
+  tr.appendChild(weekCell);
+
+  row.days.forEach((iso, day) => {
+    const date = parseISODate(iso);
+    const cell = document.createElement('td');
+    cell.className = 'term-card-day';
+    // Name the month on the first row and wherever a new month begins
+    cell.textContent = (isFirst && day === 0) || date.getDate() === 1
+      ? `${date.getDate()} ${getShortMonthName(date)}`
+      : String(date.getDate());
+    tr.appendChild(cell);
+  });
+
+  const eventsCell = document.createElement('td');
+  eventsCell.className = 'term-card-events';
+  row.events.forEach(event => {
+    const item = document.createElement('div');
+    item.className = event.personal ? 'term-card-event personal' : 'term-card-event';
+    item.textContent = `${getShortDayName(event.date)} ${event.name}`;
+    eventsCell.appendChild(item);
+  });
+  tr.appendChild(eventsCell);
+
+  return tr;
+}
@@ -0,0 +1,120 @@
+/**
+ * Tests for printable term cards
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { getTermCard, getTermCards, renderTermCards } from './termCard.js';
+import { loadTermsData } from '../data/termService.js';
+import { formatWeekRange } from '../data/dateUtils.js';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+beforeAll(() => {
+  const termsData = JSON.parse(
+    readFileSync(join(process.cwd(), 'public', 'terms.json'), 'utf-8')
+  );
+
+  global.fetch = vi.fn(() =>
+    Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(termsData)
+    })
+  );
+
+  return loadTermsData();
+});
+
+describe('getTermCard', () => {
+  it('should list every week of the term, Sunday to Saturday', () => {
+    const card = getTermCard('2025-26', 'Hilary');
+    expect(card.title).toBe('Hilary Term 2025-26');
+    expect(card.term).toBe('hilary');
+    expect(card.rows.map(row => row.week)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+
+    const weekOne = card.rows[1];
+    expect(weekOne.days).toEqual([
+      '2026-01-18', '2026-01-19', '2026-01-20', '2026-01-21', '2026-01-22', '2026-01-23', '2026-01-24'
+    ]);
+    expect(weekOne.range).toBe(formatWeekRange('2026-01-18', '2026-01-24'));
+  });
+
+  it('should mark the Full Term weeks', () => {
+    const card = getTermCard('2025-26', 'hilary');
+    expect(card.rows.filter(row => row.isFullTerm).map(row => row.week)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('should list named events in their week', () => {
+    const card = getTermCard('2025-26', 'trinity');
+    const withEvents = card.rows.filter(row => row.events.length > 0);
+    expect(withEvents.map(row => row.week)).toEqual([9]);
+    expect(withEvents[0].events).toEqual([{ date: '2026-06-24', name: 'Encaenia', personal: false }]);
+  });
+
+  it('should list personal events when given', () => {
+    const personalEvents = [
+      { id: 'a', title: 'Seminar', termWeeks: { year: '2025-26', term: 'hilary', dayOfWeek: 2, fromWeek: 1, toWeek: 2 } }
+    ];
+    const card = getTermCard('2025-26', 'hilary', { personalEvents });
+    expect(card.rows[1].events).toEqual([{ date: '2026-01-20', name: 'Seminar', personal: true }]);
+    expect(card.rows[2].events).toHaveLength(1);
+    expect(card.rows[3].events).toHaveLength(0);
+  });
+
+  it('should return null for a term without data', () => {
+    expect(getTermCard('1999-00', 'hilary')).toBeNull();
+  });
+});
+
+describe('getTermCards', () => {
+  it('should return every term of the year in order', () => {
+    expect(getTermCards('2025-26').map(card => card.term)).toEqual(['michaelmas', 'hilary', 'trinity']);
+  });
+
+  it('should return a single term when named', () => {
+    expect(getTermCards('2025-26', 'michaelmas').map(card => card.title)).toEqual(['Michaelmas Term 2025-26']);
+  });
+
+  it('should return no cards for a year without data', () => {
+    expect(getTermCards('1999-00')).toEqual([]);
+  });
+});
+
+describe('renderTermCards', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  it('should render a captioned table per term', () => {
+    renderTermCards(container, getTermCards('2025-26'));
+    const captions = [...container.querySelectorAll('caption')].map(caption => caption.textContent);
+    expect(captions).toEqual(['Michaelmas Term 2025-26', 'Hilary Term 2025-26', 'Trinity Term 2025-26']);
+
+    const headers = [...container.querySelectorAll('.term-card-hilary thead th')].map(th => th.textContent);
+    expect(headers).toEqual(['Week', 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Events']);
+    expect(container.querySelectorAll('.term-card-hilary tbody tr')).toHaveLength(13);
+  });
+
+  it('should name the month on the first row and when a month begins', () => {
+    renderTermCards(container, getTermCards('2025-26', 'hilary'));
+    const days = [...container.querySelectorAll('.term-card-day')].map(cell => cell.textContent);
+    expect(days.slice(0, 3)).toEqual(['11 Jan', '12', '13']);
+    expect(days).toContain('1 Feb');
+  });
+
+  it('should show events with their day and label rows with the week range', () => {
+    renderTermCards(container, getTermCards('2025-26', 'trinity'));
+    const rows = container.querySelectorAll('tbody tr');
+    expect(rows[9].querySelector('.term-card-events').textContent).toBe('Wed Encaenia');
+    expect(rows[1].className).toBe('full-term-week');
+    expect(rows[0].className).toBe('extended-week');
+    expect(rows[1].querySelector('th').getAttribute('aria-label')).toMatch(/^Week 1, Monday, 27 April/);
+  });
+
+  it('should replace earlier contents', () => {
+    renderTermCards(container, getTermCards('2025-26'));
+    renderTermCards(container, getTermCards('2025-26', 'hilary'));
+    expect(container.querySelectorAll('table')).toHaveLength(1);
+  });
+});
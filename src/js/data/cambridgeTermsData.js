@@ -0,0 +1,499 @@
+export default {
+  "terms": [
+    {
+      "year": "2024-25",
+      "michaelmas": {
+        "week0": {
+          "start": "2024-09-29",
+          "end": "2024-10-05"
+        },
+        "week1": {
+          "start": "2024-10-06",
+          "end": "2024-10-12"
+        },
+        "week2": {
+          "start": "2024-10-13",
+          "end": "2024-10-19"
+        },
+        "week3": {
+          "start": "2024-10-20",
+          "end": "2024-10-26"
+        },
+        "week4": {
+          "start": "2024-10-27",
+          "end": "2024-11-02"
+        },
+        "week5": {
+          "start": "2024-11-03",
+          "end": "2024-11-09"
+        },
+        "week6": {
+          "start": "2024-11-10",
+          "end": "2024-11-16"
+        },
+        "week7": {
+          "start": "2024-11-17",
+          "end": "2024-11-23"
+        },
+        "week8": {
+          "start": "2024-11-24",
+          "end": "2024-11-30"
+        },
+        "week9": {
+          "start": "2024-12-01",
+          "end": "2024-12-07"
+        },
+        "week10": {
+          "start": "2024-12-08",
+          "end": "2024-12-14"
+        },
+        "week11": {
+          "start": "2024-12-15",
+          "end": "2024-12-21"
+        },
+        "week12": {
+          "start": "2024-12-22",
+          "end": "2024-12-28"
+        }
+      },
+      "lent": {
+        "week0": {
+          "start": "2025-01-12",
+          "end": "2025-01-18"
+        },
+        "week1": {
+          "start": "2025-01-19",
+          "end": "2025-01-25"
+        },
+        "week2": {
+          "start": "2025-01-26",
+          "end": "2025-02-01"
+        },
+        "week3": {
+          "start": "2025-02-02",
+          "end": "2025-02-08"
+        },
+        "week4": {
+          "start": "2025-02-09",
+          "end": "2025-02-15"
+        },
+        "week5": {
+          "start": "2025-02-16",
+          "end": "2025-02-22"
+        },
+        "week6": {
+          "start": "2025-02-23",
+          "end": "2025-03-01"
+        },
+        "week7": {
+          "start": "2025-03-02",
+          "end": "2025-03-08"
+        },
+        "week8": {
+          "start": "2025-03-09",
+          "end": "2025-03-15"
+        },
+        "week9": {
+          "start": "2025-03-16",
+          "end": "2025-03-22"
+        },
+        "week10": {
+          "start": "2025-03-23",
+          "end": "2025-03-29"
+        },
+        "week11": {
+          "start": "2025-03-30",
+          "end": "2025-04-05"
+        },
+        "week12": {
+          "start": "2025-04-06",
+          "end": "2025-04-12"
+        }
+      },
+      "easter": {
+        "week0": {
+          "start": "2025-04-20",
+          "end": "2025-04-26"
+        },
+        "week1": {
+          "start": "2025-04-27",
+          "end": "2025-05-03"
+        },
+        "week2": {
+          "start": "2025-05-04",
+          "end": "2025-05-10"
+        },
+        "week3": {
+          "start": "2025-05-11",
+          "end": "2025-05-17"
+        },
+        "week4": {
+          "start": "2025-05-18",
+          "end": "2025-05-24"
+        },
+        "week5": {
+          "start": "2025-05-25",
+          "end": "2025-05-31"
+        },
+        "week6": {
+          "start": "2025-06-01",
+          "end": "2025-06-07"
+        },
+        "week7": {
+          "start": "2025-06-08",
+          "end": "2025-06-14"
+        },
+        "week8": {
+          "start": "2025-06-15",
+          "end": "2025-06-21"
+        },
+        "week9": {
+          "start": "2025-06-22",
+          "end": "2025-06-28"
+        },
+        "week10": {
+          "start": "2025-06-29",
+          "end": "2025-07-05"
+        },
+        "week11": {
+          "start": "2025-07-06",
+          "end": "2025-07-12"
+        },
+        "week12": {
+          "start": "2025-07-13",
+          "end": "2025-07-19"
+        }
+      }
+    },
+    {
+      "year": "2025-26",
+      "michaelmas": {
+        "week0": {
+          "start": "2025-09-28",
+          "end": "2025-10-04"
+        },
+        "week1": {
+          "start": "2025-10-05",
+          "end": "2025-10-11"
+        },
+        "week2": {
+          "start": "2025-10-12",
+          "end": "2025-10-18"
+        },
+        "week3": {
+          "start": "2025-10-19",
+          "end": "2025-10-25"
+        },
+        "week4": {
+          "start": "2025-10-26",
+          "end": "2025-11-01"
+        },
+        "week5": {
+          "start": "2025-11-02",
+          "end": "2025-11-08"
+        },
+        "week6": {
+          "start": "2025-11-09",
+          "end": "2025-11-15"
+        },
+        "week7": {
+          "start": "2025-11-16",
+          "end": "2025-11-22"
+        },
+        "week8": {
+          "start": "2025-11-23",
+          "end": "2025-11-29"
+        },
+        "week9": {
+          "start": "2025-11-30",
+          "end": "2025-12-06"
+        },
+        "week10": {
+          "start": "2025-12-07",
+          "end": "2025-12-13"
+        },
+        "week11": {
+          "start": "2025-12-14",
+          "end": "2025-12-20"
+        },
+        "week12": {
+          "start": "2025-12-21",
+          "end": "2025-12-27"
+        }
+      },
+      "lent": {
+        "week0": {
+          "start": "2026-01-11",
+          "end": "2026-01-17"
+        },
+        "week1": {
+          "start": "2026-01-18",
+          "end": "2026-01-24"
+        },
+        "week2": {
+          "start": "2026-01-25",
+          "end": "2026-01-31"
+        },
+        "week3": {
+          "start": "2026-02-01",
+          "end": "2026-02-07"
+        },
+        "week4": {
+          "start": "2026-02-08",
+          "end": "2026-02-14"
+        },
+        "week5": {
+          "start": "2026-02-15",
+          "end": "2026-02-21"
+        },
+        "week6": {
+          "start": "2026-02-22",
+          "end": "2026-02-28"
+        },
+        "week7": {
+          "start": "2026-03-01",
+          "end": "2026-03-07"
+        },
+        "week8": {
+          "start": "2026-03-08",
+          "end": "2026-03-14"
+        },
+        "week9": {
+          "start": "2026-03-15",
+          "end": "2026-03-21"
+        },
+        "week10": {
+          "start": "2026-03-22",
+          "end": "2026-03-28"
+        },
+        "week11": {
+          "start": "2026-03-29",
+          "end": "2026-04-04"
+        },
+        "week12": {
+          "start": "2026-04-05",
+          "end": "2026-04-11"
+        }
+      },
+      "easter": {
+        "week0": {
+          "start": "2026-04-19",
+          "end": "2026-04-25"
+        },
+        "week1": {
+          "start": "2026-04-26",
+          "end": "2026-05-02"
+        },
+        "week2": {
+          "start": "2026-05-03",
+          "end": "2026-05-09"
+        },
+        "week3": {
+          "start": "2026-05-10",
+          "end": "2026-05-16"
+        },
+        "week4": {
+          "start": "2026-05-17",
+          "end": "2026-05-23"
+        },
+        "week5": {
+          "start": "2026-05-24",
+          "end": "2026-05-30"
+        },
+        "week6": {
+          "start": "2026-05-31",
+          "end": "2026-06-06"
+        },
+        "week7": {
+          "start": "2026-06-07",
+          "end": "2026-06-13"
+        },
+        "week8": {
+          "start": "2026-06-14",
+          "end": "2026-06-20"
+        },
+        "week9": {
+          "start": "2026-06-21",
+          "end": "2026-06-27"
+        },
+        "week10": {
+          "start": "2026-06-28",
+          "end": "2026-07-04"
+        },
+        "week11": {
+          "start": "2026-07-05",
+          "end": "2026-07-11"
+        },
+        "week12": {
+          "start": "2026-07-12",
+          "end": "2026-07-18"
+        }
+      }
+    },
+    {
+      "year": "2026-27",
+      "michaelmas": {
+        "week0": {
+          "start": "2026-09-27",
+          "end": "2026-10-03"
+        },
+        "week1": {
+          "start": "2026-10-04",
+          "end": "2026-10-10"
+        },
+        "week2": {
+          "start": "2026-10-11",
+          "end": "2026-10-17"
+        },
+        "week3": {
+          "start": "2026-10-18",
+          "end": "2026-10-24"
+        },
+        "week4": {
+          "start": "2026-10-25",
+          "end": "2026-10-31"
+        },
+        "week5": {
+          "start": "2026-11-01",
+          "end": "2026-11-07"
+        },
+        "week6": {
+          "start": "2026-11-08",
+          "end": "2026-11-14"
+        },
+        "week7": {
+          "start": "2026-11-15",
+          "end": "2026-11-21"
+        },
+        "week8": {
+          "start": "2026-11-22",
+          "end": "2026-11-28"
+        },
+        "week9": {
+          "start": "2026-11-29",
+          "end": "2026-12-05"
+        },
+        "week10": {
+          "start": "2026-12-06",
+          "end": "2026-12-12"
+        },
+        "week11": {
+          "start": "2026-12-13",
+          "end": "2026-12-19"
+        },
+        "week12": {
+          "start": "2026-12-20",
+          "end": "2026-12-26"
+        }
+      },
+      "lent": {
+        "week0": {
+          "start": "2027-01-10",
+          "end": "2027-01-16"
+        },
+        "week1": {
+          "start": "2027-01-17",
+          "end": "2027-01-23"
+        },
+        "week2": {
+          "start": "2027-01-24",
+          "end": "2027-01-30"
+        },
+        "week3": {
+          "start": "2027-01-31",
+          "end": "2027-02-06"
+        },
+        "week4": {
+          "start": "2027-02-07",
+          "end": "2027-02-13"
+        },
+        "week5": {
+          "start": "2027-02-14",
+          "end": "2027-02-20"
+        },
+        "week6": {
+          "start": "2027-02-21",
+          "end": "2027-02-27"
+        },
+        "week7": {
+          "start": "2027-02-28",
+          "end": "2027-03-06"
+        },
+        "week8": {
+          "start": "2027-03-07",
+          "end": "2027-03-13"
+        },
+        "week9": {
+          "start": "2027-03-14",
+          "end": "2027-03-20"
+        },
+        "week10": {
+          "start": "2027-03-21",
+          "end": "2027-03-27"
+        },
+        "week11": {
+          "start": "2027-03-28",
+          "end": "2027-04-03"
+        },
+        "week12": {
+          "start": "2027-04-04",
+          "end": "2027-04-10"
+        }
+      },
+      "easter": {
+        "week0": {
+          "start": "2027-04-18",
+          "end": "2027-04-24"
+        },
+        "week1": {
+          "start": "2027-04-25",
+          "end": "2027-05-01"
+        },
+        "week2": {
+          "start": "2027-05-02",
+          "end": "2027-05-08"
+        },
+        "week3": {
+          "start": "2027-05-09",
+          "end": "2027-05-15"
+        },
+        "week4": {
+          "start": "2027-05-16",
+          "end": "2027-05-22"
+        },
+        "week5": {
+          "start": "2027-05-23",
+          "end": "2027-05-29"
+        },
+        "week6": {
+          "start": "2027-05-30",
+          "end": "2027-06-05"
+        },
+        "week7": {
+          "start": "2027-06-06",
+          "end": "2027-06-12"
+        },
+        "week8": {
+          "start": "2027-06-13",
+          "end": "2027-06-19"
+        },
+        "week9": {
+          "start": "2027-06-20",
+          "end": "2027-06-26"
+        },
+        "week10": {
+          "start": "2027-06-27",
+          "end": "2027-07-03"
+        },
+        "week11": {
+          "start": "2027-07-04",
+          "end": "2027-07-10"
+        },
+        "week12": {
+          "start": "2027-07-11",
+          "end": "2027-07-17"
+        }
+      }
+    }
+  ]
+};
@@ -0,0 +1,171 @@
+/**
+ * Local store for personal events, kept in IndexedDB so they survive reloads
+ * without an account or server. Falls back to memory (lost on reload) when
+ * IndexedDB is unavailable, e.g. in some private browsing modes.
+ */
+
+import { normalizePersonalEvent } from './personalEvents.js';
+
+const DB_NAME = 'oxcal';
+const DB_VERSION = 1;
+const STORE_NAME = 'personal-events';
+
+/**
+ * Personal event store over a storage backend
+ */
+export class EventStore {
+  /**
+   * @param {Object} backend - Backend with async getAll(), put(event) and delete(id)
+   * @param {Object} options - Options
+   * @param {boolean} [options.persistent] - Whether events survive a reload
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.persistent = options.persistent !== false;
+  }
+
+  /**
+   * Get every stored event
+   * @returns {Promise<Array<Object>>} Events in the order they were added
+   */
+  async getAll() {
+    const events = await this.backend.getAll();
+    return events.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Add an event
+   * @param {Object} fields - Event fields (see normalizePersonalEvent())
+   * @returns {Promise<Object>} The stored event with its new id
+   * @throws {Error} If the fields are invalid
+   */
+  async add(fields) {
+    const event = {
+      ...normalizePersonalEvent({ ...fields, id: undefined }),
+      id: generateId(),
+      createdAt: Date.now()
+    };
+    await this.backend.put(event);
+    return event;
+  }
+
+  /**
+   * Replace the fields of an existing event
+   * @param {string} id - Event id
+   * @param {Object} fields - New event fields (see normalizePersonalEvent())
+   * @returns {Promise<Object>} The updated event
+   * @throws {Error} If no event has that id or the fields are invalid
+   */
+  async update(id, fields) {
+    const existing = (await this.backend.getAll()).find(event => event.id === id);
+    if (!existing) {
+      throw new Error(`No personal event with id ${id}`);
+    }
+
+    const event = {
+      ...normalizePersonalEvent({ ...fields, id }),
+      createdAt: existing.createdAt
+    };
+    await this.backend.put(event);
+    return event;
+  }
+
+  /**
+   * Delete an event (no-op if it does not exist)
+   * @param {string} id - Event id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.backend.delete(id);
+  }
+}
+
+/**
+ * Open the personal event store
+ * @param {Object} options - Options
+ * @param {IDBFactory|null} [options.indexedDB] - IndexedDB factory, defaults to the browser's
+ * @returns {Promise<EventStore>} Store backed by IndexedDB, or by memory if it cannot be opened
+ */
+export async function openEventStore(options = {}) {
+  const factory = 'indexedDB' in options ? options.indexedDB : globalThis.indexedDB;
+
+  if (!factory) {
+    console.warn('IndexedDB not available, personal events will not be saved');
+    return new EventStore(createMemoryBackend(), { persistent: false });
+  }
+
+  try {
+    const db = await openDatabase(factory);
+    return new EventStore(createIndexedDBBackend(db));
+  } catch (e) {
+    console.warn('Could not open IndexedDB, personal events will not be saved:', e);
+    return new EventStore(createMemoryBackend(), { persistent: false });
+  }
+}
+
+/**
+ * Create a backend that keeps events in memory only
+ * @returns {Object} Backend for EventStore
+ */
+export function createMemoryBackend() {
+  const events = new Map();
+  return {
+    async getAll() {
+      return [...events.values()].map(event => ({ ...event }));
+    },
+    async put(event) {
+      events.set(event.id, { ...event });
+    },
+    async delete(id) {
+      events.delete(id);
+    }
+  };
+}
+
+/**
+ * Open (and create or upgrade) the oxcal database
+ * @param {IDBFactory} factory - IndexedDB factory
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(factory) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+  });
+}
+
+/**
+ * Create a backend over an open IndexedDB database
+ * @param {IDBDatabase} db - Database with the personal-events object store
+ * @returns {Object} Backend for EventStore
+ */
+function createIndexedDBBackend(db) {
+  const run = (mode, operation) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+  return {
+    getAll: () => run('readonly', store => store.getAll()),
+    put: (event) => run('readwrite', store => store.put(event)).then(() => undefined),
+    delete: (id) => run('readwrite', store => store.delete(id)).then(() => undefined)
+  };
+}
+
+function generateId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventStore, openEventStore, createMemoryBackend } from './eventStore.js';
+
+/**
+ * Just enough of IndexedDB for the store: one keyPath object store per
+ * database, with getAll/put/delete completing asynchronously like the real thing
+ */
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  return {
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+
+        request.result = {
+          objectStoreNames: { contains: storeName => stores.has(storeName) },
+          createObjectStore(storeName) {
+            stores.set(storeName, new Map());
+          },
+          transaction(storeName) {
+            const records = stores.get(storeName);
+            const transaction = {};
+            const complete = (operation) => {
+              const result = { result: operation() };
+              setTimeout(() => transaction.oncomplete());
+              return result;
+            };
+            transaction.objectStore = () => ({
+              getAll: () => complete(() => [...records.values()].map(record => structuredClone(record))),
+              put: (value) => complete(() => records.set(value.id, structuredClone(value))),
+              delete: (key) => complete(() => records.delete(key))
+            });
+            return transaction;
+          }
+        };
+
+        if (isNew) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+describe('EventStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new EventStore(createMemoryBackend());
+  });
+
+  it('should add an event with a generated id', async () => {
+    const event = await store.add({ title: 'Essay due', date: '2025-10-14' });
+    expect(event.id).toEqual(expect.any(String));
+    expect(event).toMatchObject({ title: 'Essay due', date: '2025-10-14' });
+    expect(await store.getAll()).toEqual([event]);
+  });
+
+  it('should ignore a caller-supplied id when adding', async () => {
+    const event = await store.add({ id: 'mine', title: 'Essay due', date: '2025-10-14' });
+    expect(event.id).not.toBe('mine');
+  });
+
+  it('should list events in the order they were added', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-10-01T09:00:00'));
+    const first = await store.add({ title: 'B', date: '2025-10-20' });
+    vi.setSystemTime(new Date('2025-10-01T10:00:00'));
+    const second = await store.add({ title: 'A', date: '2025-10-14' });
+    vi.useRealTimers();
+
+    expect((await store.getAll()).map(e => e.id)).toEqual([first.id, second.id]);
+  });
+
+  it('should replace an event on update', async () => {
+    const event = await store.add({ title: 'Essay due', date: '2025-10-14' });
+    const termWeeks = { year: '2025-26', term: 'michaelmas', dayOfWeek: 2, fromWeek: 1, toWeek: 8 };
+    const updated = await store.update(event.id, { title: 'Seminar', termWeeks });
+
+    expect(updated).toEqual({ id: event.id, title: 'Seminar', termWeeks, createdAt: event.createdAt });
+    expect(await store.getAll()).toEqual([updated]);
+  });
+
+  it('should reject updates to unknown events', async () => {
+    await expect(store.update('missing', { title: 'x', date: '2025-10-14' }))
+      .rejects.toThrow('No personal event with id missing');
+  });
+
+  it('should reject invalid events', async () => {
+    await expect(store.add({ title: '', date: '2025-10-14' })).rejects.toThrow('Event title is required');
+    expect(await store.getAll()).toEqual([]);
+  });
+
+  it('should delete events', async () => {
+    const event = await store.add({ title: 'Essay due', date: '2025-10-14' });
+    await store.delete(event.id);
+    await store.delete('missing');
+    expect(await store.getAll()).toEqual([]);
+  });
+});
+
+describe('openEventStore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep events in IndexedDB across reopening', async () => {
+    const indexedDB = createFakeIndexedDB();
+    const store = await openEventStore({ indexedDB });
+    expect(store.persistent).toBe(true);
+    const event = await store.add({ title: 'Essay due', date: '2025-10-14' });
+
+    const reopened = await openEventStore({ indexedDB });
+    expect(await reopened.getAll()).toEqual([event]);
+  });
+
+  it('should fall back to memory without IndexedDB', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = await openEventStore({ indexedDB: null });
+
+    expect(store.persistent).toBe(false);
+    expect(warn).toHaveBeenCalledWith('IndexedDB not available, personal events will not be saved');
+    await store.add({ title: 'Essay due', date: '2025-10-14' });
+    expect(await store.getAll()).toHaveLength(1);
+  });
+
+  it('should fall back to memory when the database cannot be opened', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const indexedDB = {
+      open() {
+        const request = { error: new Error('Quota exceeded') };
+        setTimeout(() => request.onerror());
+        return request;
+      }
+    };
+
+    const store = await openEventStore({ indexedDB });
+    expect(store.persistent).toBe(false);
+    expect(console.warn).toHaveBeenCalledWith(
+      'Could not open IndexedDB, personal events will not be saved:',
+      expect.objectContaining({ message: 'Quota exceeded' })
+    );
+  });
+});
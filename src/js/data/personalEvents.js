@@ -0,0 +1,121 @@
+/**
+ * Personal events: notes pinned to a single date, or to one day of a run of
+ * term weeks ("every Tuesday, weeks 1-8 of Michaelmas 2025-26").
+ *
+ * An event is a plain object so it can be stored as-is:
+ *   { id, title, date }                         - one date
+ *   { id, title, termWeeks: { year, term, dayOfWeek, fromWeek, toWeek } }
+ * Term-week events are single-day recurrence rules (see recurrence.js), so
+ * they follow corrections to the term dates.
+ */
+
+import { normalizeRecurrenceRule, expandRecurrence, describeRecurrence } from './recurrence.js';
+import { parseISODate, toISODateString, formatDate } from './dateUtils.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check and tidy the fields of a personal event
+ * @param {Object} fields - Event fields: title, optional id, and either date or termWeeks
+ * @returns {Object} A new event object with only the known fields
+ * @throws {Error} If the title is empty or the schedule is invalid
+ */
+export function normalizePersonalEvent(fields) {
+  const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+  if (!title) {
+    throw new Error('Event title is required');
+  }
+
+  const event = {
+    ...(fields.id !== undefined ? { id: fields.id } : {}),
+    title: title
+  };
+
+  if (fields.termWeeks) {
+    event.termWeeks = normalizeTermWeeks(fields.termWeeks);
+  } else if (typeof fields.date === 'string' && ISO_DATE_PATTERN.test(fields.date)
+      && toISODateString(parseISODate(fields.date)) === fields.date) {
+    event.date = fields.date;
+  } else {
+    throw new Error('Event needs a YYYY-MM-DD date or term weeks');
+  }
+
+  return event;
+}
+
+function normalizeTermWeeks(termWeeks) {
+  const { year, term, daysOfWeek, fromWeek, toWeek } = normalizeRecurrenceRule({
+    ...termWeeks,
+    daysOfWeek: [termWeeks.dayOfWeek]
+  });
+  return { year, term, dayOfWeek: daysOfWeek[0], fromWeek, toWeek };
+}
+
+/**
+ * Get every date a personal event falls on
+ * @param {Object} event - Personal event
+ * @returns {string[]} ISO dates in order; weeks missing from the term data are skipped
+ */
+export function getPersonalEventDates(event) {
+  if (event.date) {
+    return [event.date];
+  }
+
+  return expandRecurrence(toRecurrenceRule(event.termWeeks)).map(occurrence => occurrence.date);
+}
+
+/**
+ * Get the occurrences of personal events between two dates
+ * @param {Array<Object>} events - Personal events
+ * @param {Date|string} start - First day of the range
+ * @param {Date|string} end - Last day of the range (inclusive)
+ * @returns {Array<{date: string, event: Object}>} Occurrences sorted by date, then title
+ */
+export function getPersonalEventsInRange(events, start, end) {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  const occurrences = [];
+
+  for (const event of events) {
+    for (const date of getPersonalEventDates(event)) {
+      if (date >= startKey && date <= endKey) {
+        occurrences.push({ date, event });
+      }
+    }
+  }
+
+  return occurrences.sort((a, b) =>
+    a.date < b.date ? -1 : a.date > b.date ? 1 : a.event.title.localeCompare(b.event.title)
+  );
+}
+
+/**
+ * Get the personal events on a date
+ * @param {Array<Object>} events - Personal events
+ * @param {Date|string} date - Date to check
+ * @returns {Array<Object>} Events on that date, sorted by title
+ */
+export function getPersonalEventsForDate(events, date) {
+  return getPersonalEventsInRange(events, date, date).map(occurrence => occurrence.event);
+}
+
+/**
+ * Describe when a personal event happens
+ * @param {Object} event - Personal event
+ * @returns {string} e.g. "Tuesday, 14 October 2025" or "Every Tuesday, weeks 1–8 of Michaelmas 2025-26"
+ */
+export function describePersonalEventSchedule(event) {
+  if (event.date) {
+    return formatDate(parseISODate(event.date), 'full');
+  }
+
+  return describeRecurrence(toRecurrenceRule(event.termWeeks));
+}
+
+function toRecurrenceRule({ dayOfWeek, ...termWeeks }) {
+  return { ...termWeeks, daysOfWeek: [dayOfWeek] };
+}
+
+function toDateKey(date) {
+  return typeof date === 'string' ? toISODateString(parseISODate(date)) : toISODateString(date);
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  normalizePersonalEvent,
+  getPersonalEventDates,
+  getPersonalEventsInRange,
+  getPersonalEventsForDate,
+  describePersonalEventSchedule
+} from './personalEvents.js';
+import { setCalendarProfile } from './termService.js';
+
+const seminar = {
+  id: 'seminar',
+  title: 'Reading group',
+  termWeeks: { year: '2025-26', term: 'michaelmas', dayOfWeek: 2, fromWeek: 1, toWeek: 8 }
+};
+const deadline = { id: 'deadline', title: 'Essay due', date: '2025-10-14' };
+
+describe('normalizePersonalEvent', () => {
+  it('should keep a dated event', () => {
+    expect(normalizePersonalEvent({ title: '  Essay due ', date: '2025-10-14', extra: 1 }))
+      .toEqual({ title: 'Essay due', date: '2025-10-14' });
+  });
+
+  it('should keep the id', () => {
+    expect(normalizePersonalEvent(deadline).id).toBe('deadline');
+  });
+
+  it('should coerce term-week numbers from form values', () => {
+    const event = normalizePersonalEvent({
+      title: 'Seminar',
+      termWeeks: { year: '2025-26', term: 'Michaelmas', dayOfWeek: '2', fromWeek: '1', toWeek: '8' }
+    });
+    expect(event.termWeeks).toEqual({ year: '2025-26', term: 'michaelmas', dayOfWeek: 2, fromWeek: 1, toWeek: 8 });
+  });
+
+  it('should require a title', () => {
+    expect(() => normalizePersonalEvent({ title: '  ', date: '2025-10-14' })).toThrow('Event title is required');
+  });
+
+  it('should require a valid date or term weeks', () => {
+    expect(() => normalizePersonalEvent({ title: 'x' })).toThrow('Event needs a YYYY-MM-DD date or term weeks');
+    expect(() => normalizePersonalEvent({ title: 'x', date: '2025-02-30' })).toThrow('Event needs a YYYY-MM-DD date');
+  });
+
+  it('should reject invalid term weeks', () => {
+    const termWeeks = seminar.termWeeks;
+    expect(() => normalizePersonalEvent({ title: 'x', termWeeks: { ...termWeeks, toWeek: 13 } }))
+      .toThrow('Week numbers must be between 0 and 12');
+    expect(() => normalizePersonalEvent({ title: 'x', termWeeks: { ...termWeeks, fromWeek: 5, toWeek: 2 } }))
+      .toThrow('The first week must not be after the last week');
+    expect(() => normalizePersonalEvent({ title: 'x', termWeeks: { ...termWeeks, dayOfWeek: 7 } }))
+      .toThrow('Day of week must be between 0 (Sunday) and 6 (Saturday)');
+    expect(() => normalizePersonalEvent({ title: 'x', termWeeks: { ...termWeeks, year: '2025' } }))
+      .toThrow('Term weeks need an academic year like "2025-26"');
+  });
+});
+
+describe('getPersonalEventDates', () => {
+  it('should return the date of a dated event', () => {
+    expect(getPersonalEventDates(deadline)).toEqual(['2025-10-14']);
+  });
+
+  it('should return the weekday of each term week', () => {
+    const dates = getPersonalEventDates(seminar);
+    expect(dates).toHaveLength(8);
+    expect(dates[0]).toBe('2025-10-14');
+    expect(dates[7]).toBe('2025-12-02');
+  });
+
+  it('should skip weeks missing from the term data', () => {
+    const event = { ...seminar, termWeeks: { ...seminar.termWeeks, year: '2040-41' } };
+    expect(getPersonalEventDates(event)).toEqual([]);
+  });
+});
+
+describe('getPersonalEventsInRange', () => {
+  it('should list occurrences in date then title order', () => {
+    const occurrences = getPersonalEventsInRange([seminar, deadline], '2025-10-12', '2025-10-25');
+    expect(occurrences.map(o => [o.date, o.event.id])).toEqual([
+      ['2025-10-14', 'deadline'],
+      ['2025-10-14', 'seminar'],
+      ['2025-10-21', 'seminar']
+    ]);
+  });
+
+  it('should accept Date bounds', () => {
+    expect(getPersonalEventsInRange([deadline], new Date(2025, 9, 14), new Date(2025, 9, 14))).toHaveLength(1);
+  });
+});
+
+describe('getPersonalEventsForDate', () => {
+  it('should list the events on a date', () => {
+    expect(getPersonalEventsForDate([seminar, deadline], '2025-10-14')).toEqual([deadline, seminar]);
+    expect(getPersonalEventsForDate([seminar, deadline], '2025-10-15')).toEqual([]);
+  });
+});
+
+describe('describePersonalEventSchedule', () => {
+  afterEach(() => {
+    setCalendarProfile('oxford');
+  });
+
+  it('should describe a dated event', () => {
+    expect(describePersonalEventSchedule(deadline)).toBe('Tuesday, 14 October 2025');
+  });
+
+  it('should describe a term-week event', () => {
+    expect(describePersonalEventSchedule(seminar)).toBe('Every Tuesday, weeks 1–8 of Michaelmas 2025-26');
+    const single = { ...seminar, termWeeks: { ...seminar.termWeeks, fromWeek: 3, toWeek: 3 } };
+    expect(describePersonalEventSchedule(single)).toBe('Every Tuesday, week 3 of Michaelmas 2025-26');
+  });
+
+  it('should use the active profile term labels', () => {
+    setCalendarProfile('cambridge');
+    const event = { ...seminar, termWeeks: { ...seminar.termWeeks, term: 'lent' } };
+    expect(describePersonalEventSchedule(event)).toBe('Every Tuesday, weeks 1–8 of Lent 2025-26');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Calendar profiles: the term structure of each supported university.
+ *
+ * A profile lists its terms in academic-year order (the first term starts the
+ * academic year), the aliases the search box accepts for each, which weeks
+ * count as Full Term, and the bundled term data (same shape as terms.json),
+ * optionally with a dataUrl to fetch newer data from at runtime. Weeks run
+ * Sunday to Saturday; week 1 is the week containing the first day of Full Term.
+ */
+
+import oxfordTermsData from './termsData.js';
+import cambridgeTermsData from './cambridgeTermsData.js';
+
+export const OXFORD_PROFILE = {
+  id: 'oxford',
+  name: 'University of Oxford',
+  shortName: 'Oxford',
+  terms: [
+    {
+      name: 'michaelmas',
+      label: 'Michaelmas',
+      shortLabel: 'MT',
+      aliases: ['mich'],
+      months: [10, 11, 12, 1],
+      fullTerm: { firstWeek: 1, lastWeek: 8 }
+    },
+    {
+      name: 'hilary',
+      label: 'Hilary',
+      shortLabel: 'HT',
+      aliases: ['hil'],
+      months: [2, 3, 4],
+      fullTerm: { firstWeek: 1, lastWeek: 8 }
+    },
+    {
+      name: 'trinity',
+      label: 'Trinity',
+      shortLabel: 'TT',
+      aliases: ['trin'],
+      months: [5, 6, 7, 8, 9],
+      fullTerm: { firstWeek: 1, lastWeek: 8 }
+    }
+  ],
+  weeks: { first: 0, last: 12 },
+  data: oxfordTermsData,
+  // Fetched at runtime so dates can be corrected without a rebuild
+  dataUrl: '/terms.json'
+};
+
+export const CAMBRIDGE_PROFILE = {
+  id: 'cambridge',
+  name: 'University of Cambridge',
+  shortName: 'Cambridge',
+  terms: [
+    {
+      name: 'michaelmas',
+      label: 'Michaelmas',
+      shortLabel: 'MT',
+      aliases: ['mich'],
+      months: [10, 11, 12],
+      fullTerm: { firstWeek: 1, lastWeek: 9 }
+    },
+    {
+      name: 'lent',
+      label: 'Lent',
+      shortLabel: 'LT',
+      aliases: [],
+      months: [1, 2, 3],
+      fullTerm: { firstWeek: 1, lastWeek: 9 }
+    },
+    {
+      name: 'easter',
+      label: 'Easter',
+      shortLabel: 'ET',
+      aliases: [],
+      months: [4, 5, 6, 7, 8, 9],
+      fullTerm: { firstWeek: 1, lastWeek: 8 }
+    }
+  ],
+  weeks: { first: 0, last: 12 },
+  data: cambridgeTermsData
+};
+
+export const DEFAULT_PROFILE_ID = OXFORD_PROFILE.id;
+
+export const PROFILES = {
+  [OXFORD_PROFILE.id]: OXFORD_PROFILE,
+  [CAMBRIDGE_PROFILE.id]: CAMBRIDGE_PROFILE
+};
+
+/**
+ * Look up a shipped profile by id
+ * @param {string} id - Profile id, e.g. "oxford" or "cambridge"
+ * @returns {Object|null} Profile, or null if unknown
+ */
+export function getProfile(id) {
+  return PROFILES[String(id).toLowerCase()] || null;
+}
+
+/**
+ * Get a profile's canonical term names in academic-year order
+ * @param {Object} profile - Calendar profile
+ * @returns {string[]} Term names, e.g. ['michaelmas', 'hilary', 'trinity']
+ */
+export function getTermNames(profile) {
+  return profile.terms.map(term => term.name);
+}
+
+/**
+ * Get the definition of one term of a profile
+ * @param {Object} profile - Calendar profile
+ * @param {string} termName - Term name (case-insensitive)
+ * @returns {Object|null} Term definition, or null if the profile has no such term
+ */
+export function getTermDefinition(profile, termName) {
+  const normalizedTermName = String(termName).toLowerCase();
+  return profile.terms.find(term => term.name === normalizedTermName) || null;
+}
+
+// Alias maps are built once per profile object
+const aliasCache = new WeakMap();
+
+/**
+ * Map every accepted spelling of a profile's terms to the canonical name
+ * @param {Object} profile - Calendar profile
+ * @returns {Object<string, string>} Alias -> term name, including names and short labels ("mt")
+ */
+export function getTermAliases(profile) {
+  if (aliasCache.has(profile)) {
+    return aliasCache.get(profile);
+  }
+
+  const aliases = {};
+  for (const term of profile.terms) {
+    aliases[term.name] = term.name;
+    aliases[term.shortLabel.toLowerCase()] = term.name;
+    for (const alias of term.aliases) {
+      aliases[alias] = term.name;
+    }
+  }
+
+  aliasCache.set(profile, aliases);
+  return aliases;
+}
+
+/**
+ * Get the academic year a term falls in, given the calendar year it falls in
+ * @param {Object} profile - Calendar profile
+ * @param {string} termName - Term name
+ * @param {number|string} calendarYear - Calendar year, e.g. 2025
+ * @returns {string} Academic year, e.g. "2025-26" for Michaelmas 2025 or "2024-25" for Hilary 2025
+ */
+export function getAcademicYearForTerm(profile, termName, calendarYear) {
+  const year = parseInt(calendarYear, 10);
+  // Only the first term of the year falls in the academic year's first calendar year
+  const startYear = profile.terms[0].name === String(termName).toLowerCase() ? year : year - 1;
+  return `${startYear}-${(startYear + 1).toString().slice(-2)}`;
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  OXFORD_PROFILE,
+  CAMBRIDGE_PROFILE,
+  DEFAULT_PROFILE_ID,
+  getProfile,
+  getTermNames,
+  getTermDefinition,
+  getTermAliases,
+  getAcademicYearForTerm
+} from './profiles.js';
+
+describe('calendar profiles', () => {
+  it('should default to Oxford', () => {
+    expect(DEFAULT_PROFILE_ID).toBe('oxford');
+    expect(getProfile(DEFAULT_PROFILE_ID)).toBe(OXFORD_PROFILE);
+  });
+
+  it('should look up profiles by id case-insensitively', () => {
+    expect(getProfile('Cambridge')).toBe(CAMBRIDGE_PROFILE);
+    expect(getProfile('durham')).toBeNull();
+  });
+
+  it('should list terms in academic-year order', () => {
+    expect(getTermNames(OXFORD_PROFILE)).toEqual(['michaelmas', 'hilary', 'trinity']);
+    expect(getTermNames(CAMBRIDGE_PROFILE)).toEqual(['michaelmas', 'lent', 'easter']);
+  });
+
+  it('should find term definitions', () => {
+    expect(getTermDefinition(CAMBRIDGE_PROFILE, 'Lent')).toMatchObject({ label: 'Lent', shortLabel: 'LT' });
+    expect(getTermDefinition(CAMBRIDGE_PROFILE, 'hilary')).toBeNull();
+  });
+
+  it('should map names, short labels and aliases to term names', () => {
+    const aliases = getTermAliases(OXFORD_PROFILE);
+    expect(aliases.michaelmas).toBe('michaelmas');
+    expect(aliases.mich).toBe('michaelmas');
+    expect(aliases.ht).toBe('hilary');
+    expect(aliases.trin).toBe('trinity');
+    expect(getTermAliases(CAMBRIDGE_PROFILE).lt).toBe('lent');
+  });
+
+  it('should place only the first term in the first calendar year', () => {
+    expect(getAcademicYearForTerm(OXFORD_PROFILE, 'michaelmas', 2025)).toBe('2025-26');
+    expect(getAcademicYearForTerm(OXFORD_PROFILE, 'hilary', 2026)).toBe('2025-26');
+    expect(getAcademicYearForTerm(CAMBRIDGE_PROFILE, 'easter', '2026')).toBe('2025-26');
+  });
+
+  it('should ship contiguous Sunday-Saturday weeks for Cambridge', () => {
+    for (const yearData of CAMBRIDGE_PROFILE.data.terms) {
+      for (const termName of getTermNames(CAMBRIDGE_PROFILE)) {
+        const term = yearData[termName];
+        for (let week = CAMBRIDGE_PROFILE.weeks.first; week <= CAMBRIDGE_PROFILE.weeks.last; week++) {
+          const { start, end } = term[`week${week}`];
+          expect(new Date(`${start}T00:00:00`).getDay()).toBe(0);
+          expect(new Date(`${end}T00:00:00`).getDay()).toBe(6);
+        }
+      }
+    }
+  });
+
+  it('should start Cambridge week 1 in the week Full Term begins', () => {
+    const [year] = CAMBRIDGE_PROFILE.data.terms.filter(y => y.year === '2025-26');
+    // Full Term begins Tuesday 7 October 2025
+    expect(year.michaelmas.week1).toEqual({ start: '2025-10-05', end: '2025-10-11' });
+  });
+});
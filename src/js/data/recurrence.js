@@ -0,0 +1,189 @@
+/**
+ * Recurring term-relative schedules: "Thursdays of weeks 1-8, Hilary 2025-26",
+ * "Mondays of even weeks". A rule is a plain object
+ *   { year, term, daysOfWeek, fromWeek, toWeek, parity?, except? }
+ * expanded through the active profile's term data, so the dates follow
+ * corrections to the term dates. Rules also convert to an iCalendar
+ * RRULE with EXDATEs for the days the plain weekly pattern would get wrong.
+ */
+
+import { getWeekData, getCalendarProfile, getExtendedTermWeeks } from './termService.js';
+import { getTermDefinition } from './profiles.js';
+import { parseISODate, toISODateString, addDays } from './dateUtils.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ICS_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const PARITIES = ['even', 'odd'];
+
+/**
+ * Check and tidy a recurrence rule
+ * @param {Object} rule - Rule with year, term, daysOfWeek, fromWeek, toWeek and optional parity and except
+ * @returns {Object} A new rule with days sorted and numbers coerced
+ * @throws {Error} If any field is invalid
+ */
+export function normalizeRecurrenceRule(rule) {
+  const { year, term } = rule;
+  const fromWeek = Number(rule.fromWeek);
+  const toWeek = Number(rule.toWeek);
+
+  if (typeof year !== 'string' || !/^\d{4}-\d{2}$/.test(year)) {
+    throw new Error('Term weeks need an academic year like "2025-26"');
+  }
+  if (typeof term !== 'string' || !term) {
+    throw new Error('Term weeks need a term');
+  }
+  if (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.length === 0) {
+    throw new Error('A recurrence needs at least one day of the week');
+  }
+  const daysOfWeek = [...new Set(rule.daysOfWeek.map(Number))].sort((a, b) => a - b);
+  if (!daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error('Day of week must be between 0 (Sunday) and 6 (Saturday)');
+  }
+  const { firstWeek, lastWeek } = getExtendedTermWeeks();
+  if (![fromWeek, toWeek].every(week => Number.isInteger(week) && week >= firstWeek && week <= lastWeek)) {
+    throw new Error(`Week numbers must be between ${firstWeek} and ${lastWeek}`);
+  }
+  if (fromWeek > toWeek) {
+    throw new Error('The first week must not be after the last week');
+  }
+  if (rule.parity && !PARITIES.includes(rule.parity)) {
+    throw new Error('Week parity must be "even" or "odd"');
+  }
+  if (rule.except !== undefined
+      && !(Array.isArray(rule.except) && rule.except.every(date => ISO_DATE_PATTERN.test(date)))) {
+    throw new Error('Exceptions must be an array of YYYY-MM-DD dates');
+  }
+
+  return {
+    year,
+    term: term.toLowerCase(),
+    daysOfWeek,
+    fromWeek,
+    toWeek,
+    ...(rule.parity ? { parity: rule.parity } : {}),
+    ...(rule.except && rule.except.length > 0 ? { except: [...rule.except].sort() } : {})
+  };
+}
+
+/**
+ * Get the term weeks a rule covers, after applying its parity
+ * @param {Object} rule - Recurrence rule
+ * @returns {number[]} Week numbers in order
+ */
+export function getRecurrenceWeeks(rule) {
+  const { fromWeek, toWeek, parity } = normalizeRecurrenceRule(rule);
+  const weeks = [];
+  for (let week = fromWeek; week <= toWeek; week++) {
+    if (!parity || (week % 2 === 0) === (parity === 'even')) {
+      weeks.push(week);
+    }
+  }
+  return weeks;
+}
+
+/**
+ * Expand a rule into the dates it falls on
+ * @param {Object} rule - Recurrence rule
+ * @returns {Array<{date: string, year: string, term: string, week: number, dayOfWeek: number}>}
+ *   Occurrences in date order; weeks missing from the term data and excepted dates are skipped
+ * @throws {Error} If the rule is invalid
+ */
+export function expandRecurrence(rule) {
+  const normalized = normalizeRecurrenceRule(rule);
+  const { year, term, daysOfWeek } = normalized;
+  const except = new Set(normalized.except || []);
+  const occurrences = [];
+
+  for (const week of getRecurrenceWeeks(normalized)) {
+    const weekData = getWeekData(year, term, week);
+    if (!weekData) continue;
+
+    for (const dayOfWeek of daysOfWeek) {
+      // Weeks start on Sunday, so the day number is the offset into the week
+      const date = toISODateString(addDays(weekData.start, dayOfWeek));
+      if (!except.has(date)) {
+        occurrences.push({ date, year, term, week, dayOfWeek });
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Describe a rule in words
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} e.g. "Every Thursday, weeks 1–8 of Hilary 2025-26" or
+ *   "Every Monday and Thursday, even weeks 2–8 of Michaelmas 2025-26"
+ */
+export function describeRecurrence(rule) {
+  const { year, term, daysOfWeek, parity } = normalizeRecurrenceRule(rule);
+  const weeks = getRecurrenceWeeks(rule);
+  const definition = getTermDefinition(getCalendarProfile(), term);
+  const termLabel = definition ? definition.label : term;
+
+  const dayNames = daysOfWeek.map(day => DAY_NAMES[day]);
+  const days = dayNames.length === 1
+    ? dayNames[0]
+    : `${dayNames.slice(0, -1).join(', ')} and ${dayNames[dayNames.length - 1]}`;
+
+  const first = weeks[0];
+  const last = weeks[weeks.length - 1];
+  let weekText;
+  if (weeks.length === 0) {
+    weekText = `no ${parity} weeks`;
+  } else if (first === last) {
+    weekText = `week ${first}`;
+  } else {
+    weekText = `${parity ? `${parity} ` : ''}weeks ${first}–${last}`;
+  }
+
+  return `Every ${days}, ${weekText} of ${termLabel} ${year}`;
+}
+
+/**
+ * Express a rule as an iCalendar recurrence for all-day events. The RRULE
+ * repeats weekly (fortnightly for even/odd weeks) from the first date to the
+ * last; EXDATE lists the dates it would add that the rule skips, and RDATE any
+ * the weekly pattern cannot reach, should the term data have irregular weeks.
+ * @param {Object} rule - Recurrence rule
+ * @returns {{start: string, rrule: string, exdates: string[], rdates: string[]}|null}
+ *   DTSTART date, RRULE value and ISO dates, or null if the rule has no dates
+ */
+export function getRecurrenceRRule(rule) {
+  const occurrences = expandRecurrence(rule);
+  if (occurrences.length === 0) return null;
+
+  const { daysOfWeek, parity } = normalizeRecurrenceRule(rule);
+  const interval = parity ? 2 : 1;
+  const start = occurrences[0].date;
+  const until = occurrences[occurrences.length - 1].date;
+  const dates = new Set(occurrences.map(occurrence => occurrence.date));
+
+  // Walk the weekly pattern the RRULE describes, from the Sunday before DTSTART
+  const pattern = new Set();
+  const exdates = [];
+  for (let weekStart = addDays(start, -parseISODate(start).getDay());
+    toISODateString(weekStart) <= until;
+    weekStart = addDays(weekStart, 7 * interval)) {
+    for (const day of daysOfWeek) {
+      const date = toISODateString(addDays(weekStart, day));
+      if (date < start || date > until) continue;
+      pattern.add(date);
+      if (!dates.has(date)) exdates.push(date);
+    }
+  }
+  const rdates = [...dates].filter(date => !pattern.has(date));
+
+  const parts = ['FREQ=WEEKLY'];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  parts.push(
+    `UNTIL=${until.replace(/-/g, '')}`,
+    // Term weeks start on Sunday, which matters for fortnightly rules over several days
+    'WKST=SU',
+    `BYDAY=${daysOfWeek.map(day => ICS_DAY_CODES[day]).join(',')}`
+  );
+
+  return { start, rrule: parts.join(';'), exdates, rdates };
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  normalizeRecurrenceRule,
+  getRecurrenceWeeks,
+  expandRecurrence,
+  describeRecurrence,
+  getRecurrenceRRule
+} from './recurrence.js';
+import { setCalendarProfile } from './termService.js';
+import { OXFORD_PROFILE } from './profiles.js';
+
+const lectures = { year: '2025-26', term: 'hilary', daysOfWeek: [4], fromWeek: 1, toWeek: 8 };
+
+// A Michaelmas with a reading week between weeks 3 and 4
+const profileWithBreak = {
+  ...OXFORD_PROFILE,
+  dataUrl: undefined,
+  data: {
+    terms: [{
+      year: '2025-26',
+      michaelmas: {
+        week1: { start: '2025-10-12', end: '2025-10-18' },
+        week2: { start: '2025-10-19', end: '2025-10-25' },
+        week3: { start: '2025-10-26', end: '2025-11-01' },
+        week4: { start: '2025-11-09', end: '2025-11-15' }
+      }
+    }]
+  }
+};
+
+afterEach(() => {
+  setCalendarProfile('oxford');
+});
+
+describe('normalizeRecurrenceRule', () => {
+  it('should sort days, drop duplicates and coerce numbers', () => {
+    expect(normalizeRecurrenceRule({ ...lectures, term: 'Hilary', daysOfWeek: ['4', 1, 4], fromWeek: '1' }))
+      .toEqual({ ...lectures, daysOfWeek: [1, 4] });
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => normalizeRecurrenceRule({ ...lectures, daysOfWeek: [] }))
+      .toThrow('A recurrence needs at least one day of the week');
+    expect(() => normalizeRecurrenceRule({ ...lectures, daysOfWeek: [7] }))
+      .toThrow('Day of week must be between 0 (Sunday) and 6 (Saturday)');
+    expect(() => normalizeRecurrenceRule({ ...lectures, toWeek: 13 }))
+      .toThrow('Week numbers must be between 0 and 12');
+    expect(() => normalizeRecurrenceRule({ ...lectures, fromWeek: 5, toWeek: 2 }))
+      .toThrow('The first week must not be after the last week');
+    expect(() => normalizeRecurrenceRule({ ...lectures, parity: 'third' }))
+      .toThrow('Week parity must be "even" or "odd"');
+    expect(() => normalizeRecurrenceRule({ ...lectures, except: ['5 March'] }))
+      .toThrow('Exceptions must be an array of YYYY-MM-DD dates');
+  });
+
+  it('should check week numbers against the profile\'s week range', () => {
+    setCalendarProfile({ ...OXFORD_PROFILE, weeks: { first: 0, last: 10 } });
+    expect(() => normalizeRecurrenceRule({ ...lectures, toWeek: 11 }))
+      .toThrow('Week numbers must be between 0 and 10');
+  });
+});
+
+describe('getRecurrenceWeeks', () => {
+  it('should filter weeks by parity', () => {
+    expect(getRecurrenceWeeks(lectures)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(getRecurrenceWeeks({ ...lectures, parity: 'even' })).toEqual([2, 4, 6, 8]);
+    expect(getRecurrenceWeeks({ ...lectures, fromWeek: 0, parity: 'even' })).toEqual([0, 2, 4, 6, 8]);
+    expect(getRecurrenceWeeks({ ...lectures, parity: 'odd' })).toEqual([1, 3, 5, 7]);
+  });
+});
+
+describe('expandRecurrence', () => {
+  it('should expand Thursdays of weeks 1-8', () => {
+    const occurrences = expandRecurrence(lectures);
+    expect(occurrences).toHaveLength(8);
+    expect(occurrences[0]).toEqual({ date: '2026-01-22', year: '2025-26', term: 'hilary', week: 1, dayOfWeek: 4 });
+    expect(occurrences[7].date).toBe('2026-03-12');
+  });
+
+  it('should order several days per week by date', () => {
+    const dates = expandRecurrence({ ...lectures, daysOfWeek: [4, 1], toWeek: 2 }).map(o => o.date);
+    expect(dates).toEqual(['2026-01-19', '2026-01-22', '2026-01-26', '2026-01-29']);
+  });
+
+  it('should skip excepted dates', () => {
+    const dates = expandRecurrence({ ...lectures, except: ['2026-02-05'] }).map(o => o.date);
+    expect(dates).toHaveLength(7);
+    expect(dates).not.toContain('2026-02-05');
+  });
+
+  it('should skip weeks missing from the term data', () => {
+    expect(expandRecurrence({ ...lectures, year: '2099-00' })).toEqual([]);
+  });
+
+  it('should follow the active profile', () => {
+    setCalendarProfile('cambridge');
+    const occurrences = expandRecurrence({ year: '2025-26', term: 'lent', daysOfWeek: [1], fromWeek: 1, toWeek: 1 });
+    expect(occurrences.map(o => o.term)).toEqual(['lent']);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('should describe days, weeks and term', () => {
+    expect(describeRecurrence(lectures)).toBe('Every Thursday, weeks 1–8 of Hilary 2025-26');
+    expect(describeRecurrence({ ...lectures, daysOfWeek: [1, 3, 5], parity: 'even' }))
+      .toBe('Every Monday, Wednesday and Friday, even weeks 2–8 of Hilary 2025-26');
+    expect(describeRecurrence({ ...lectures, fromWeek: 3, toWeek: 3 }))
+      .toBe('Every Thursday, week 3 of Hilary 2025-26');
+  });
+});
+
+describe('getRecurrenceRRule', () => {
+  it('should repeat weekly until the last date', () => {
+    expect(getRecurrenceRRule(lectures)).toEqual({
+      start: '2026-01-22',
+      rrule: 'FREQ=WEEKLY;UNTIL=20260312;WKST=SU;BYDAY=TH',
+      exdates: [],
+      rdates: []
+    });
+  });
+
+  it('should repeat fortnightly for even or odd weeks', () => {
+    const recurrence = getRecurrenceRRule({ ...lectures, daysOfWeek: [1, 4], parity: 'odd' });
+    expect(recurrence.start).toBe('2026-01-19');
+    expect(recurrence.rrule).toBe('FREQ=WEEKLY;INTERVAL=2;UNTIL=20260305;WKST=SU;BYDAY=MO,TH');
+    expect(recurrence.exdates).toEqual([]);
+  });
+
+  it('should list excepted dates as EXDATEs', () => {
+    expect(getRecurrenceRRule({ ...lectures, except: ['2026-02-05'] }).exdates).toEqual(['2026-02-05']);
+  });
+
+  it('should exclude breaks between term weeks', () => {
+    setCalendarProfile(profileWithBreak);
+    const recurrence = getRecurrenceRRule({ ...lectures, term: 'michaelmas', toWeek: 4 });
+    expect(recurrence.rrule).toBe('FREQ=WEEKLY;UNTIL=20251113;WKST=SU;BYDAY=TH');
+    expect(recurrence.exdates).toEqual(['2025-11-06']);
+    expect(recurrence.rdates).toEqual([]);
+  });
+
+  it('should add dates a fortnightly pattern cannot reach as RDATEs', () => {
+    setCalendarProfile(profileWithBreak);
+    const recurrence = getRecurrenceRRule({ ...lectures, term: 'michaelmas', toWeek: 4, parity: 'even' });
+    expect(recurrence.start).toBe('2025-10-23');
+    expect(recurrence.exdates).toEqual(['2025-11-06']);
+    expect(recurrence.rdates).toEqual(['2025-11-13']);
+  });
+
+  it('should return null when the rule has no dates', () => {
+    expect(getRecurrenceRRule({ ...lectures, year: '2099-00' })).toBeNull();
+  });
+});
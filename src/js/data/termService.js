@@ -1,21 +1,96 @@
 /**
- * Service for accessing and querying Oxford term data
+ * Service for accessing and querying term data for the active calendar profile
  */
 
-import { parseISODate } from './dateUtils.js';
-import inlinedTermsData from './termsData.js';
+import { parseISODate, toISODateString, addDays, formatDate, getShortDayName } from './dateUtils.js';
+import { OXFORD_PROFILE, getProfile, getTermNames, getTermDefinition } from './profiles.js';
+import { validateTermsData } from './termsValidator.js';
 
-let termsData = inlinedTermsData;
+let activeProfile = OXFORD_PROFILE;
+let termsData = activeProfile.data;
+
+// Per-profile fetch of the runtime terms.json: the pending load, and the data
+// and status once it has settled
+const pendingLoads = new WeakMap();
+const fetchedData = new WeakMap();
+const loadStatuses = new WeakMap();
+
+// Sorted week intervals, rebuilt whenever termsData is replaced
+let weekIndex = null;
+let indexedData = null;
+
+// Flattened named events, rebuilt the same way
+let eventList = null;
+let eventListData = null;
 
 /**
- * Load terms data (synchronous — data is bundled inline)
- * Kept async for API compatibility with existing callers.
+ * Load terms data for the active profile. Fetches the profile's runtime
+ * terms.json (once per profile) so dates can be updated without a rebuild;
+ * if it cannot be fetched or fails validation, the bundled copy is used and
+ * the problems are reported by getTermsDataStatus().
  * @returns {Promise<Object>} The loaded terms data
  */
 export async function loadTermsData() {
+  const profile = activeProfile;
+  if (!profile.dataUrl) {
+    return termsData;
+  }
+
+  if (!pendingLoads.has(profile)) {
+    pendingLoads.set(profile, fetchTermsData(profile));
+  }
+  await pendingLoads.get(profile);
+
+  if (fetchedData.has(profile) && activeProfile === profile) {
+    termsData = fetchedData.get(profile);
+  }
   return termsData;
 }
 
+/**
+ * Describe where the active profile's term data came from
+ * @returns {{ source: string, url: string|null, errors: string[], fetchError: string|null }}
+ *   source is "remote" for a valid fetched terms.json, otherwise "bundled";
+ *   errors lists validation problems found in the fetched file
+ */
+export function getTermsDataStatus() {
+  return loadStatuses.get(activeProfile) || {
+    source: 'bundled',
+    url: activeProfile.dataUrl || null,
+    errors: [],
+    fetchError: null
+  };
+}
+
+/**
+ * Fetch and validate a profile's runtime term data, recording the outcome
+ * @param {Object} profile - Calendar profile with a dataUrl
+ * @returns {Promise<void>}
+ */
+async function fetchTermsData(profile) {
+  const status = { source: 'bundled', url: profile.dataUrl, errors: [], fetchError: null };
+
+  try {
+    const response = await fetch(profile.dataUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const { valid, errors } = validateTermsData(data, profile);
+    if (valid) {
+      fetchedData.set(profile, data);
+      status.source = 'remote';
+    } else {
+      status.errors = errors;
+    }
+  } catch (error) {
+    status.fetchError = error.message;
+  }
+
+  loadStatuses.set(profile, status);
+}
+
 /**
  * Get the loaded terms data object (null if not yet loaded)
  * @returns {Object|null}
@@ -24,6 +99,30 @@ export function getLoadedTermData() {
   return termsData;
 }
 
+/**
+ * Switch the calendar profile (university) whose terms are looked up
+ * @param {Object|string} profile - Profile object or the id of a shipped profile
+ * @returns {Object} The now-active profile
+ */
+export function setCalendarProfile(profile) {
+  const resolved = typeof profile === 'string' ? getProfile(profile) : profile;
+  if (!resolved) {
+    throw new Error(`Unknown calendar profile: ${profile}`);
+  }
+
+  activeProfile = resolved;
+  termsData = fetchedData.get(resolved) || resolved.data;
+  return activeProfile;
+}
+
+/**
+ * Get the active calendar profile
+ * @returns {Object} Calendar profile (Oxford unless changed)
+ */
+export function getCalendarProfile() {
+  return activeProfile;
+}
+
 /**
  * Get all terms for a specific academic year
  * @param {string} year - Academic year in format "YYYY-YY" (e.g., "2024-25")
@@ -41,7 +140,7 @@ export function getYearData(year) {
 /**
  * Get data for a specific term
  * @param {string} year - Academic year in format "YYYY-YY"
- * @param {string} termName - Term name: "michaelmas", "hilary", or "trinity"
+ * @param {string} termName - Term name, e.g. "michaelmas", "hilary", or "trinity"
  * @returns {Object|null} Term data containing all weeks
  */
 export function getTermData(year, termName) {
@@ -55,7 +154,7 @@ export function getTermData(year, termName) {
 /**
  * Get data for a specific week
  * @param {string} year - Academic year in format "YYYY-YY"
- * @param {string} termName - Term name: "michaelmas", "hilary", or "trinity"
+ * @param {string} termName - Term name, e.g. "michaelmas", "hilary", or "trinity"
  * @param {number} weekNumber - Week number (0-12)
  * @returns {Object|null} Week data with start and end dates
  */
@@ -76,35 +175,293 @@ export function findTermWeekForDate(date) {
   if (!termsData) {
     throw new Error('Terms data not loaded. Call loadTermsData() first.');
   }
-  
-  const searchDate = typeof date === 'string' ? parseISODate(date) : date;
 
+  return lookupWeek(getWeekIndex(), toDateKey(date));
+}
+
+/**
+ * Find the term and week for each of a list of dates
+ * @param {Array<Date|string>} dates - Dates to check, in any order
+ * @returns {Array<{date: string, termWeek: Object|null}>} One entry per input date, in input order,
+ *   where termWeek has the same shape as findTermWeekForDate()
+ */
+export function findTermWeeksForDates(dates) {
+  if (!termsData) {
+    throw new Error('Terms data not loaded. Call loadTermsData() first.');
+  }
+
+  const index = getWeekIndex();
+  return dates.map(date => {
+    const key = toDateKey(date);
+    return { date: key, termWeek: lookupWeek(index, key) };
+  });
+}
+
+/**
+ * Find the term and week for every day between two dates (inclusive)
+ * @param {Date|string} start - First day of the range
+ * @param {Date|string} end - Last day of the range
+ * @returns {Array<{date: string, termWeek: Object|null}>} One entry per day, in date order;
+ *   empty if end is before start
+ */
+export function findTermWeeksInRange(start, end) {
+  if (!termsData) {
+    throw new Error('Terms data not loaded. Call loadTermsData() first.');
+  }
+
+  const index = getWeekIndex();
+  const endKey = toDateKey(end);
+  const results = [];
+
+  let current = typeof start === 'string' ? parseISODate(start) : new Date(start);
+  let key = toISODateString(current);
+  // Only the first day needs a search; later days advance through the index in step
+  let position = findIntervalPosition(index, key);
+
+  while (key <= endKey) {
+    while (position + 1 < index.length && index[position + 1].start <= key) {
+      position++;
+    }
+    const interval = position >= 0 ? index[position] : null;
+    results.push({
+      date: key,
+      termWeek: interval && key <= interval.end ? toTermWeek(interval) : null
+    });
+
+    current = addDays(current, 1);
+    key = toISODateString(current);
+  }
+
+  return results;
+}
+
+/**
+ * Summarise a span of days by term week, e.g. a range selected on the calendar
+ * @param {Date|string} start - One end of the range
+ * @param {Date|string} end - The other end (the two may come in either order)
+ * @returns {{start: string, end: string, days: number, termDays: number, fullTermDays: number,
+ *   startWeek: Object|null, endWeek: Object|null, range: string, label: string}}
+ *   ISO first and last days; the number of days, of days in term weeks and of
+ *   days in Full Term; the term weeks of the first and last day (shaped like
+ *   findTermWeekForDate()); the range in term weeks, e.g. "MT25 wk 3 Tue – wk 5 Fri",
+ *   with dates for days outside term; and that range with the counts, e.g.
+ *   "MT25 wk 3 Tue – wk 5 Fri, 18 days, 18 full-term days"
+ */
+export function getRangeSummary(start, end) {
+  let first = toDateKey(start);
+  let last = toDateKey(end);
+  if (last < first) {
+    [first, last] = [last, first];
+  }
+
+  const days = findTermWeeksInRange(first, last);
+  const termDays = days.filter(day => day.termWeek).length;
+  const fullTermDays = days.filter(({ termWeek }) => {
+    if (!termWeek) return false;
+    const { firstWeek, lastWeek } = getFullTermWeeks(termWeek.term);
+    return termWeek.week >= firstWeek && termWeek.week <= lastWeek;
+  }).length;
+
+  const startWeek = days[0].termWeek;
+  const endWeek = days[days.length - 1].termWeek;
+  const sameTerm = startWeek && endWeek && startWeek.year === endWeek.year && startWeek.term === endWeek.term;
+  const range = first === last
+    ? describeRangeEnd(first, startWeek, true)
+    : `${describeRangeEnd(first, startWeek, true)} – ${describeRangeEnd(last, endWeek, !sameTerm)}`;
+
+  return {
+    start: first,
+    end: last,
+    days: days.length,
+    termDays,
+    fullTermDays,
+    startWeek,
+    endWeek,
+    range,
+    label: `${range}, ${pluralize(days.length, 'day')}, ${pluralize(fullTermDays, 'full-term day')}`
+  };
+}
+
+/**
+ * Describe one end of a range: "MT25 wk 3 Tue" ("wk 5 Fri" when the term is
+ * already named), or the date outside term, e.g. "Sat 20 Dec 2025"
+ */
+function describeRangeEnd(date, termWeek, withTerm) {
+  if (!termWeek) return formatDate(date, 'short');
+  const week = `wk ${termWeek.week} ${getShortDayName(date)}`;
+  return withTerm ? `${getTermShortLabel(termWeek.year, termWeek.term)} ${week}` : week;
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Get the week interval index, building it if the terms data has changed
+ * @returns {Array<Object>} Week intervals sorted by start date
+ */
+function getWeekIndex() {
+  if (weekIndex && indexedData === termsData) {
+    return weekIndex;
+  }
+
+  const intervals = [];
   for (const yearData of termsData.terms) {
-    for (const termName of ['michaelmas', 'hilary', 'trinity']) {
+    for (const termName of getTermNames(activeProfile)) {
       const termData = yearData[termName];
       if (!termData) continue;
 
-      for (let weekNum = 0; weekNum <= 12; weekNum++) {
+      for (let weekNum = activeProfile.weeks.first; weekNum <= activeProfile.weeks.last; weekNum++) {
         const weekData = termData[`week${weekNum}`];
         if (!weekData) continue;
 
-        const startDate = parseISODate(weekData.start);
-        const endDate = parseISODate(weekData.end);
-        endDate.setHours(23, 59, 59, 999);
-
-        if (searchDate >= startDate && searchDate <= endDate) {
-          return {
-            year: yearData.year,
-            term: termName,
-            week: weekNum,
-            weekData: weekData
-          };
-        }
+        intervals.push({
+          start: weekData.start,
+          end: weekData.end,
+          year: yearData.year,
+          term: termName,
+          week: weekNum,
+          weekData: weekData
+        });
       }
     }
   }
-  
-  return null;
+
+  // ISO date strings sort chronologically
+  intervals.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+  weekIndex = intervals;
+  indexedData = termsData;
+  return weekIndex;
+}
+
+/**
+ * Binary search for the last interval starting on or before a date
+ * @param {Array<Object>} index - Sorted week intervals
+ * @param {string} key - ISO date string
+ * @returns {number} Interval position, or -1 if the date precedes every interval
+ */
+function findIntervalPosition(index, key) {
+  let low = 0;
+  let high = index.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (index[mid].start <= key) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+function lookupWeek(index, key) {
+  const position = findIntervalPosition(index, key);
+  if (position < 0) return null;
+
+  const interval = index[position];
+  return key <= interval.end ? toTermWeek(interval) : null;
+}
+
+function toTermWeek(interval) {
+  return {
+    year: interval.year,
+    term: interval.term,
+    week: interval.week,
+    weekData: interval.weekData
+  };
+}
+
+function toDateKey(date) {
+  return typeof date === 'string' ? toISODateString(parseISODate(date)) : toISODateString(date);
+}
+
+/**
+ * Get every named event in the term data, such as Encaenia, from the
+ * optional "events" arrays of each year and term
+ * @returns {Array<Object>} Events sorted by start date, each
+ *   { name, type, start, end, aliases, year, term } where term is null for year-wide events
+ */
+export function getEvents() {
+  if (!termsData) {
+    throw new Error('Terms data not loaded. Call loadTermsData() first.');
+  }
+
+  if (eventList && eventListData === termsData) {
+    return eventList;
+  }
+
+  const events = [];
+  for (const yearData of termsData.terms) {
+    addEvents(events, yearData.events, yearData.year, null);
+    for (const termName of getTermNames(activeProfile)) {
+      const termData = yearData[termName];
+      if (termData) {
+        addEvents(events, termData.events, yearData.year, termName);
+      }
+    }
+  }
+
+  events.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+  eventList = events;
+  eventListData = termsData;
+  return eventList;
+}
+
+/**
+ * Get the events taking place on a date
+ * @param {Date|string} date - Date to check
+ * @returns {Array<Object>} Events covering the date, in start order (same shape as getEvents())
+ */
+export function getEventsForDate(date) {
+  const key = toDateKey(date);
+  return getEvents().filter(event => event.start <= key && key <= event.end);
+}
+
+/**
+ * Get the events overlapping a range of dates
+ * @param {Date|string} start - First day of the range
+ * @param {Date|string} end - Last day of the range (inclusive)
+ * @returns {Array<Object>} Events in start order (same shape as getEvents())
+ */
+export function getEventsInRange(start, end) {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  return getEvents().filter(event => event.start <= endKey && event.end >= startKey);
+}
+
+/**
+ * Find every occurrence of an event by name or alias
+ * @param {string} name - Event name, case-insensitive, e.g. "encaenia"
+ * @returns {Array<Object>} Matching events in start order (same shape as getEvents())
+ */
+export function findEventsByName(name) {
+  const normalizedName = String(name).toLowerCase();
+  return getEvents().filter(event =>
+    event.name.toLowerCase() === normalizedName ||
+    event.aliases.some(alias => alias.toLowerCase() === normalizedName)
+  );
+}
+
+function addEvents(events, source, year, term) {
+  if (!Array.isArray(source)) return;
+
+  for (const event of source) {
+    events.push({
+      name: event.name,
+      type: event.type || 'event',
+      start: event.date,
+      end: event.end || event.date,
+      aliases: event.aliases || [],
+      year: year,
+      term: term
+    });
+  }
 }
 
 /**
@@ -145,19 +502,55 @@ export function getCurrentAcademicYear() {
 }
 
 /**
- * Get dates for Full Term (weeks 1-8)
+ * Get the first and last week of Full Term (weeks 1-8 at Oxford)
+ * @param {string} termName - Term name
+ * @returns {{firstWeek: number, lastWeek: number}} Full Term week numbers
+ */
+export function getFullTermWeeks(termName) {
+  const definition = getTermDefinition(activeProfile, termName);
+  return definition ? definition.fullTerm : { firstWeek: 1, lastWeek: 8 };
+}
+
+/**
+ * Get the first and last week of extended term, every week the term data
+ * covers (weeks 0-12 at Oxford)
+ * @returns {{firstWeek: number, lastWeek: number}} Extended term week numbers
+ */
+export function getExtendedTermWeeks() {
+  return { firstWeek: activeProfile.weeks.first, lastWeek: activeProfile.weeks.last };
+}
+
+/**
+ * Get dates for Full Term (weeks 1-8 at Oxford)
  * @param {string} year - Academic year
  * @param {string} termName - Term name
  * @returns {Object|null} Object with start and end dates of Full Term
  */
 export function getFullTermDates(year, termName) {
-  const week1 = getWeekData(year, termName, 1);
-  const week8 = getWeekData(year, termName, 8);
+  const { firstWeek, lastWeek } = getFullTermWeeks(termName);
+  const first = getWeekData(year, termName, firstWeek);
+  const last = getWeekData(year, termName, lastWeek);
   
-  if (!week1 || !week8) return null;
+  if (!first || !last) return null;
   
   return {
-    start: week1.start,
-    end: week8.end
+    start: first.start,
+    end: last.end
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Get the short term label used on term cards
+ * @param {string} year - Academic year in format "YYYY-YY"
+ * @param {string} termName - Term name
+ * @returns {string} Label like "MT25" for Michaelmas 2025-26 or "HT26" for Hilary 2025-26
+ */
+export function getTermShortLabel(year, termName) {
+  const normalizedTermName = termName.toLowerCase();
+  const definition = getTermDefinition(activeProfile, normalizedTermName);
+  const prefix = definition ? definition.shortLabel : normalizedTermName.slice(0, 2).toUpperCase();
+  const [startYear, endYear] = year.split('-');
+  const calendarYear = activeProfile.terms[0].name === normalizedTermName ? startYear.slice(-2) : endYear;
+
+  return `${prefix}${calendarYear}`;
+}
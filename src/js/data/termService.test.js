@@ -1,14 +1,31 @@
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
 import {
   loadTermsData,
+  getLoadedTermData,
+  getTermsDataStatus,
   getYearData,
   getTermData,
   getWeekData,
   findTermWeekForDate,
+  findTermWeeksForDates,
+  findTermWeeksInRange,
+  getRangeSummary,
   getAvailableYears,
   getCurrentAcademicYear,
-  getFullTermDates
+  getFullTermWeeks,
+  getExtendedTermWeeks,
+  getFullTermDates,
+  getTermShortLabel,
+  setCalendarProfile,
+  getCalendarProfile,
+  getEvents,
+  getEventsForDate,
+  getEventsInRange,
+  findEventsByName
 } from './termService.js';
+import { OXFORD_PROFILE, CAMBRIDGE_PROFILE } from './profiles.js';
+import { generateTermsData } from './termsGenerator.js';
+import { parseISODate } from './dateUtils.js';
 
 // Mock fetch for testing
 global.fetch = async (url) => {
@@ -73,6 +90,85 @@ describe('termService', () => {
     });
   });
 
+  describe('runtime terms.json', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      setCalendarProfile('oxford');
+    });
+
+    function useProfileFetching(data, options = {}) {
+      const profile = { ...OXFORD_PROFILE, dataUrl: '/test-terms.json' };
+      global.fetch = vi.fn(async () => {
+        if (options.fail) throw new Error('Network down');
+        return { ok: options.status === undefined, status: options.status, json: async () => data };
+      });
+      setCalendarProfile(profile);
+      return profile;
+    }
+
+    it('should use a valid fetched terms.json', async () => {
+      const remote = JSON.parse(JSON.stringify(OXFORD_PROFILE.data));
+      useProfileFetching(remote);
+      const data = await loadTermsData();
+      expect(global.fetch).toHaveBeenCalledWith('/test-terms.json');
+      expect(data).toBe(remote);
+      expect(getLoadedTermData()).toBe(remote);
+      expect(getTermsDataStatus()).toEqual({ source: 'remote', url: '/test-terms.json', errors: [], fetchError: null });
+    });
+
+    it('should fetch only once per profile', async () => {
+      useProfileFetching(JSON.parse(JSON.stringify(OXFORD_PROFILE.data)));
+      await loadTermsData();
+      await loadTermsData();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the bundled data and report validation errors', async () => {
+      const remote = JSON.parse(JSON.stringify(OXFORD_PROFILE.data));
+      remote.terms[0].michaelmas.week3.end = '2024-11-09';
+      useProfileFetching(remote);
+      const data = await loadTermsData();
+      expect(data).toBe(OXFORD_PROFILE.data);
+      const status = getTermsDataStatus();
+      expect(status.source).toBe('bundled');
+      expect(status.errors).toContain('2024-25 michaelmas week 3: ends 2024-11-09, expected the Saturday 2024-11-02');
+    });
+
+    it('should fall back to the bundled data when the fetch fails', async () => {
+      useProfileFetching(null, { fail: true });
+      expect(await loadTermsData()).toBe(OXFORD_PROFILE.data);
+      expect(getTermsDataStatus()).toMatchObject({ source: 'bundled', errors: [], fetchError: 'Network down' });
+    });
+
+    it('should fall back to the bundled data on HTTP errors', async () => {
+      useProfileFetching(null, { status: 404 });
+      expect(await loadTermsData()).toBe(OXFORD_PROFILE.data);
+      expect(getTermsDataStatus().fetchError).toBe('HTTP 404');
+    });
+
+    it('should keep the fetched data when switching profiles and back', async () => {
+      const remote = JSON.parse(JSON.stringify(OXFORD_PROFILE.data));
+      const profile = useProfileFetching(remote);
+      await loadTermsData();
+      setCalendarProfile('cambridge');
+      setCalendarProfile(profile);
+      expect(getLoadedTermData()).toBe(remote);
+    });
+
+    it('should not fetch for profiles without a data URL', async () => {
+      global.fetch = vi.fn();
+      setCalendarProfile('cambridge');
+      expect(await loadTermsData()).toBe(CAMBRIDGE_PROFILE.data);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getYearData', () => {
     it('should return year data for valid year', () => {
       const yearData = getYearData('2024-25');
@@ -156,6 +252,101 @@ describe('termService', () => {
     });
   });
 
+  describe('findTermWeeksForDates', () => {
+    it('should annotate each date in input order', () => {
+      const results = findTermWeeksForDates(['2024-10-15', '2024-07-15', '2024-10-08']);
+      expect(results).toHaveLength(3);
+      expect(results[0].date).toBe('2024-10-15');
+      expect(results[0].termWeek).toMatchObject({ year: '2024-25', term: 'michaelmas', week: 1 });
+      expect(results[1]).toEqual({ date: '2024-07-15', termWeek: null });
+      expect(results[2].termWeek.week).toBe(0);
+    });
+
+    it('should accept Date objects and normalise them to ISO strings', () => {
+      const [result] = findTermWeeksForDates([new Date(2024, 9, 19, 23, 30)]);
+      expect(result.date).toBe('2024-10-19');
+      expect(result.termWeek.week).toBe(1);
+    });
+
+    it('should match week boundaries exactly', () => {
+      const results = findTermWeeksForDates(['2024-10-12', '2024-10-13']);
+      expect(results[0].termWeek.week).toBe(0);
+      expect(results[1].termWeek.week).toBe(1);
+    });
+
+    it('should return null for dates outside the data', () => {
+      const results = findTermWeeksForDates(['1999-01-01', '2099-01-01']);
+      expect(results.every(r => r.termWeek === null)).toBe(true);
+    });
+
+    it('should return an empty array for no dates', () => {
+      expect(findTermWeeksForDates([])).toEqual([]);
+    });
+  });
+
+  describe('findTermWeeksInRange', () => {
+    it('should annotate every day in the range inclusively', () => {
+      const results = findTermWeeksInRange('2024-10-11', '2024-10-14');
+      expect(results.map(r => r.date)).toEqual(['2024-10-11', '2024-10-12', '2024-10-13', '2024-10-14']);
+      expect(results.map(r => r.termWeek.week)).toEqual([0, 0, 1, 1]);
+    });
+
+    it('should include days outside term as null', () => {
+      const results = findTermWeeksInRange('2024-12-27', '2025-01-06');
+      expect(results).toHaveLength(11);
+      expect(results.some(r => r.termWeek === null)).toBe(true);
+    });
+
+    it('should return an empty array when end is before start', () => {
+      expect(findTermWeeksInRange('2024-10-15', '2024-10-14')).toEqual([]);
+    });
+
+    it('should agree with findTermWeekForDate across a whole year', () => {
+      const results = findTermWeeksInRange('2024-09-01', '2025-08-31');
+      expect(results).toHaveLength(365);
+      for (const { date, termWeek } of results) {
+        expect(termWeek).toEqual(findTermWeekForDate(date));
+      }
+    });
+  });
+
+  describe('getRangeSummary', () => {
+    it('should describe a range within a term by week and count its days', () => {
+      const summary = getRangeSummary('2024-10-29', '2024-11-15');
+      expect(summary.range).toBe('MT24 wk 3 Tue – wk 5 Fri');
+      expect(summary.label).toBe('MT24 wk 3 Tue – wk 5 Fri, 18 days, 18 full-term days');
+      expect(summary.days).toBe(18);
+      expect(summary.startWeek.week).toBe(3);
+      expect(summary.endWeek.week).toBe(5);
+    });
+
+    it('should accept the ends in either order', () => {
+      const summary = getRangeSummary(new Date(2024, 10, 15), new Date(2024, 9, 29));
+      expect(summary.start).toBe('2024-10-29');
+      expect(summary.end).toBe('2024-11-15');
+    });
+
+    it('should not count week 0 as Full Term', () => {
+      const summary = getRangeSummary('2024-10-11', '2024-10-14');
+      expect(summary.termDays).toBe(4);
+      expect(summary.fullTermDays).toBe(2);
+      expect(summary.range).toBe('MT24 wk 0 Fri – wk 1 Mon');
+    });
+
+    it('should name both terms, and dates outside term', () => {
+      expect(getRangeSummary('2024-12-01', '2025-01-20').range).toBe('MT24 wk 8 Sun – HT25 wk 1 Mon');
+
+      const summary = getRangeSummary('2025-01-10', '2025-01-13');
+      expect(summary.label).toBe('Fri 10 Jan 2025 – HT25 wk 0 Mon, 4 days, 0 full-term days');
+      expect(summary.termDays).toBe(2);
+      expect(summary.startWeek).toBeNull();
+    });
+
+    it('should describe a single day', () => {
+      expect(getRangeSummary('2024-10-13', '2024-10-13').label).toBe('MT24 wk 1 Sun, 1 day, 1 full-term day');
+    });
+  });
+
   describe('getAvailableYears', () => {
     it('should return list of available years', () => {
       const years = getAvailableYears();
@@ -178,4 +369,148 @@ describe('termService', () => {
       expect(dates).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  describe('calendar profiles', () => {
+    afterEach(() => {
+      setCalendarProfile('oxford');
+    });
+
+    it('should use the Oxford profile by default', () => {
+      expect(getCalendarProfile().id).toBe('oxford');
+    });
+
+    it('should switch term data with the profile', () => {
+      setCalendarProfile('cambridge');
+      expect(getCalendarProfile().id).toBe('cambridge');
+      expect(findTermWeekForDate('2026-02-04')).toMatchObject({ year: '2025-26', term: 'lent', week: 3 });
+      expect(getTermData('2025-26', 'hilary')).toBeNull();
+    });
+
+    it('should accept a custom profile object', () => {
+      const custom = { ...CAMBRIDGE_PROFILE, id: 'custom' };
+      expect(setCalendarProfile(custom)).toBe(custom);
+      expect(getCalendarProfile()).toBe(custom);
+    });
+
+    it('should reject unknown profiles', () => {
+      expect(() => setCalendarProfile('durham')).toThrow('Unknown calendar profile: durham');
+      expect(getCalendarProfile().id).toBe('oxford');
+    });
+
+    it('should use the profile Full Term definition', () => {
+      expect(getFullTermWeeks('michaelmas')).toEqual({ firstWeek: 1, lastWeek: 8 });
+      expect(getExtendedTermWeeks()).toEqual({ firstWeek: 0, lastWeek: 12 });
+      setCalendarProfile('cambridge');
+      expect(getFullTermWeeks('easter')).toEqual({ firstWeek: 1, lastWeek: 8 });
+      expect(getFullTermDates('2025-26', 'lent')).toEqual({ start: '2026-01-18', end: '2026-03-21' });
+    });
+
+    it('should use the profile short labels', () => {
+      setCalendarProfile('cambridge');
+      expect(getTermShortLabel('2025-26', 'lent')).toBe('LT26');
+      expect(getTermShortLabel('2025-26', 'michaelmas')).toBe('MT25');
+    });
+  });
+
+  describe('named events', () => {
+    const eventsProfile = {
+      ...OXFORD_PROFILE,
+      id: 'events',
+      dataUrl: undefined,
+      data: generateTermsData([{
+        year: '2025-26',
+        michaelmas: '2025-10-12',
+        hilary: '2026-01-18',
+        trinity: {
+          weekOne: '2026-04-26',
+          events: [
+            { name: 'Encaenia', date: '2026-06-24', type: 'ceremony' },
+            { name: 'Prelims', date: '2026-06-01', end: '2026-06-12', type: 'exams', aliases: ['first year exams'] }
+          ]
+        },
+        events: [{ name: 'Degree Day', date: '2026-07-18', type: 'degree-day' }]
+      }])
+    };
+
+    afterEach(() => {
+      setCalendarProfile('oxford');
+    });
+
+    it('should include the bundled Encaenia dates', () => {
+      expect(getEventsForDate('2026-06-24')).toEqual([{
+        name: 'Encaenia',
+        type: 'ceremony',
+        start: '2026-06-24',
+        end: '2026-06-24',
+        aliases: [],
+        year: '2025-26',
+        term: 'trinity'
+      }]);
+    });
+
+    it('should list year and term events in date order', () => {
+      setCalendarProfile(eventsProfile);
+      expect(getEvents().map(event => [event.name, event.term])).toEqual([
+        ['Prelims', 'trinity'],
+        ['Encaenia', 'trinity'],
+        ['Degree Day', null]
+      ]);
+    });
+
+    it('should default the type and end date', () => {
+      const profile = {
+        ...eventsProfile,
+        data: generateTermsData([{
+          year: '2025-26', michaelmas: '2025-10-12', hilary: '2026-01-18', trinity: '2026-04-26',
+          events: [{ name: 'Collections', date: '2025-10-11' }]
+        }])
+      };
+      setCalendarProfile(profile);
+      expect(getEvents()[0]).toMatchObject({ type: 'event', start: '2025-10-11', end: '2025-10-11' });
+    });
+
+    it('should find every event covering a date', () => {
+      setCalendarProfile(eventsProfile);
+      expect(getEventsForDate('2026-06-05').map(event => event.name)).toEqual(['Prelims']);
+      expect(getEventsForDate(new Date(2026, 5, 12)).map(event => event.name)).toEqual(['Prelims']);
+      expect(getEventsForDate('2026-06-13')).toEqual([]);
+    });
+
+    it('should find events overlapping a range', () => {
+      setCalendarProfile(eventsProfile);
+      expect(getEventsInRange('2026-06-10', '2026-06-30').map(event => event.name)).toEqual(['Prelims', 'Encaenia']);
+      expect(getEventsInRange('2026-06-13', '2026-06-23')).toEqual([]);
+    });
+
+    it('should find events by name or alias, ignoring case', () => {
+      setCalendarProfile(eventsProfile);
+      expect(findEventsByName('ENCAENIA').map(event => event.start)).toEqual(['2026-06-24']);
+      expect(findEventsByName('First Year Exams').map(event => event.name)).toEqual(['Prelims']);
+      expect(findEventsByName('matriculation')).toEqual([]);
+    });
+
+    it('should return every bundled occurrence of a recurring event', () => {
+      const occurrences = findEventsByName('encaenia');
+      expect(occurrences.map(event => event.year)).toEqual(getAvailableYears());
+      expect(occurrences.slice(0, 3).map(event => event.start)).toEqual(['2025-06-25', '2026-06-24', '2027-06-23']);
+    });
+
+    it('should hold Encaenia on the Wednesday of 9th week of Trinity every year', () => {
+      for (const event of findEventsByName('encaenia')) {
+        expect(parseISODate(event.start).getDay()).toBe(3);
+        expect(findTermWeekForDate(event.start)).toMatchObject({ term: 'trinity', week: 9, year: event.year });
+      }
+    });
+  });
+
+  describe('getTermShortLabel', () => {
+    it('should use the starting year for Michaelmas', () => {
+      expect(getTermShortLabel('2025-26', 'michaelmas')).toBe('MT25');
+    });
+
+    it('should use the ending year for Hilary and Trinity', () => {
+      expect(getTermShortLabel('2025-26', 'hilary')).toBe('HT26');
+      expect(getTermShortLabel('2025-26', 'Trinity')).toBe('TT26');
+    });
+  });
+});
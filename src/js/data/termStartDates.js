@@ -0,0 +1,96 @@
+/**
+ * The Sunday starting week 1 of each term: the source the bundled term data
+ * is generated from. Week 1 is the week containing the first day of Full Term,
+ * so these come straight from the university's published term dates.
+ *
+ * A term can instead be { weekOne, events } to attach named events to it; a
+ * year can have its own events array. Each event is
+ * { name, date, end?, type?, aliases? }.
+ *
+ * Only Encaenia is bundled, on the Wednesday of 9th week of Trinity Term.
+ * Degree days, exam weeks and collection deadlines differ by college and
+ * course, so they are left for local copies of the data to add.
+ *
+ * To add a year or an event, edit this file and run `pnpm generate:terms`.
+ */
+
+export const OXFORD_WEEK_ONE_SUNDAYS = [
+  {
+    year: '2024-25',
+    michaelmas: '2024-10-13',
+    hilary: '2025-01-19',
+    trinity: {
+      weekOne: '2025-04-27',
+      events: [{ name: 'Encaenia', date: '2025-06-25', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2025-26',
+    michaelmas: '2025-10-12',
+    hilary: '2026-01-18',
+    trinity: {
+      weekOne: '2026-04-26',
+      events: [{ name: 'Encaenia', date: '2026-06-24', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2026-27',
+    michaelmas: '2026-10-11',
+    hilary: '2027-01-17',
+    trinity: {
+      weekOne: '2027-04-25',
+      events: [{ name: 'Encaenia', date: '2027-06-23', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2027-28',
+    michaelmas: '2027-10-10',
+    hilary: '2028-01-16',
+    trinity: {
+      weekOne: '2028-04-23',
+      events: [{ name: 'Encaenia', date: '2028-06-21', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2028-29',
+    michaelmas: '2028-10-08',
+    hilary: '2029-01-14',
+    trinity: {
+      weekOne: '2029-04-22',
+      events: [{ name: 'Encaenia', date: '2029-06-20', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2029-30',
+    michaelmas: '2029-10-07',
+    hilary: '2030-01-13',
+    trinity: {
+      weekOne: '2030-04-28',
+      events: [{ name: 'Encaenia', date: '2030-06-26', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2030-31',
+    michaelmas: '2030-10-13',
+    hilary: '2031-01-19',
+    trinity: {
+      weekOne: '2031-04-27',
+      events: [{ name: 'Encaenia', date: '2031-06-25', type: 'ceremony' }]
+    }
+  },
+  {
+    year: '2031-32',
+    michaelmas: '2031-10-12',
+    hilary: '2032-01-18',
+    trinity: {
+      weekOne: '2032-04-25',
+      events: [{ name: 'Encaenia', date: '2032-06-23', type: 'ceremony' }]
+    }
+  }
+];
+
+export const CAMBRIDGE_WEEK_ONE_SUNDAYS = [
+  { year: '2024-25', michaelmas: '2024-10-06', lent: '2025-01-19', easter: '2025-04-27' },
+  { year: '2025-26', michaelmas: '2025-10-05', lent: '2026-01-18', easter: '2026-04-26' },
+  { year: '2026-27', michaelmas: '2026-10-04', lent: '2027-01-17', easter: '2027-04-25' }
+];
@@ -162,7 +162,14 @@ export default {
         "week12": {
           "start": "2025-07-13",
           "end": "2025-07-19"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2025-06-25",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -327,7 +334,14 @@ export default {
         "week12": {
           "start": "2026-07-12",
           "end": "2026-07-18"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2026-06-24",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -492,7 +506,14 @@ export default {
         "week12": {
           "start": "2027-07-11",
           "end": "2027-07-17"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2027-06-23",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -657,7 +678,14 @@ export default {
         "week12": {
           "start": "2028-07-09",
           "end": "2028-07-15"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2028-06-21",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -822,7 +850,14 @@ export default {
         "week12": {
           "start": "2029-07-08",
           "end": "2029-07-14"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2029-06-20",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -987,7 +1022,14 @@ export default {
         "week12": {
           "start": "2030-07-14",
           "end": "2030-07-20"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2030-06-26",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -1152,7 +1194,14 @@ export default {
         "week12": {
           "start": "2031-07-13",
           "end": "2031-07-19"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2031-06-25",
+            "type": "ceremony"
+          }
+        ]
       }
     },
     {
@@ -1317,7 +1366,14 @@ export default {
         "week12": {
           "start": "2032-07-11",
           "end": "2032-07-17"
-        }
+        },
+        "events": [
+          {
+            "name": "Encaenia",
+            "date": "2032-06-23",
+            "type": "ceremony"
+          }
+        ]
       }
     }
   ]
@@ -0,0 +1,85 @@
+/**
+ * Derive full term data (weeks 0-12) from the Sunday of week 1 of each term
+ */
+
+import { parseISODate, toISODateString, addDays } from './dateUtils.js';
+import { OXFORD_PROFILE, getTermNames } from './profiles.js';
+
+/**
+ * Build the week objects of one term from the Sunday of its week 1
+ * @param {string} weekOneSunday - ISO date of the Sunday starting week 1
+ * @param {Object} profile - Calendar profile, for the week numbering
+ * @returns {Object} Term object with week0-week12, each { start, end }
+ * @throws {Error} If weekOneSunday is not a Sunday
+ */
+export function generateTermWeeks(weekOneSunday, profile = OXFORD_PROFILE) {
+  const weekOne = parseISODate(weekOneSunday);
+  if (isNaN(weekOne.getTime()) || toISODateString(weekOne) !== weekOneSunday) {
+    throw new Error(`Invalid week 1 date: ${weekOneSunday}`);
+  }
+  if (weekOne.getDay() !== 0) {
+    throw new Error(`Week 1 must start on a Sunday, got ${weekOneSunday}`);
+  }
+
+  const term = {};
+  for (let week = profile.weeks.first; week <= profile.weeks.last; week++) {
+    const start = addDays(weekOne, (week - 1) * 7);
+    term[`week${week}`] = {
+      start: toISODateString(start),
+      end: toISODateString(addDays(start, 6))
+    };
+  }
+  return term;
+}
+
+/**
+ * Build term data in the terms.json shape from week 1 Sundays
+ * @param {Array<Object>} schedule - One entry per academic year, e.g.
+ *   { year: '2025-26', michaelmas: '2025-10-12', hilary: '2026-01-18', trinity: '2026-04-26' }.
+ *   A term may instead be { weekOne, events } to attach named events to it, and
+ *   the entry may have an events array for year-wide events
+ * @param {Object} profile - Calendar profile the schedule is for
+ * @returns {Object} Terms data, same shape as terms.json
+ * @throws {Error} If a year is missing a term or a date is not a Sunday
+ */
+export function generateTermsData(schedule, profile = OXFORD_PROFILE) {
+  const termNames = getTermNames(profile);
+
+  return {
+    terms: schedule.map(entry => {
+      const yearData = { year: entry.year };
+      for (const termName of termNames) {
+        const term = typeof entry[termName] === 'string' ? { weekOne: entry[termName] } : entry[termName];
+        if (!term || !term.weekOne) {
+          throw new Error(`${entry.year} ${termName}: week 1 date is missing`);
+        }
+        yearData[termName] = generateTermWeeks(term.weekOne, profile);
+        if (term.events) {
+          yearData[termName].events = term.events;
+        }
+      }
+      if (entry.events) {
+        yearData.events = entry.events;
+      }
+      return yearData;
+    })
+  };
+}
+
+/**
+ * Serialize term data as terms.json
+ * @param {Object} data - Terms data
+ * @returns {string} Two-space indented JSON
+ */
+export function formatTermsJSON(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Serialize term data as a bundled ES module like termsData.js
+ * @param {Object} data - Terms data
+ * @returns {string} Module source with a default export
+ */
+export function formatTermsModule(data) {
+  return `export default ${formatTermsJSON(data)};\n`;
+}
@@ -0,0 +1,94 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { generateTermWeeks, generateTermsData, formatTermsJSON, formatTermsModule } from './termsGenerator.js';
+import { OXFORD_WEEK_ONE_SUNDAYS, CAMBRIDGE_WEEK_ONE_SUNDAYS } from './termStartDates.js';
+import { OXFORD_PROFILE, CAMBRIDGE_PROFILE } from './profiles.js';
+import { validateTermsData } from './termsValidator.js';
+import termsData from './termsData.js';
+import cambridgeTermsData from './cambridgeTermsData.js';
+
+function readRepoFile(path) {
+  return readFileSync(new URL(`../../../${path}`, import.meta.url), 'utf8');
+}
+
+describe('generateTermWeeks', () => {
+  it('should derive weeks 0-12 from the week 1 Sunday', () => {
+    const weeks = generateTermWeeks('2025-10-12');
+
+    expect(Object.keys(weeks)).toHaveLength(13);
+    expect(weeks.week0).toEqual({ start: '2025-10-05', end: '2025-10-11' });
+    expect(weeks.week1).toEqual({ start: '2025-10-12', end: '2025-10-18' });
+    expect(weeks.week8).toEqual({ start: '2025-11-30', end: '2025-12-06' });
+    expect(weeks.week12).toEqual({ start: '2025-12-28', end: '2026-01-03' });
+  });
+
+  it('should keep weeks Sunday-Saturday across a clock change', () => {
+    // UK clocks go back on 26 October 2025
+    expect(generateTermWeeks('2025-10-12').week3).toEqual({ start: '2025-10-26', end: '2025-11-01' });
+  });
+
+  it('should reject a date that is not a Sunday', () => {
+    expect(() => generateTermWeeks('2025-10-13')).toThrow('Week 1 must start on a Sunday, got 2025-10-13');
+  });
+
+  it('should reject a malformed date', () => {
+    expect(() => generateTermWeeks('2025-02-30')).toThrow('Invalid week 1 date: 2025-02-30');
+  });
+});
+
+describe('generateTermsData', () => {
+  it('should reproduce the bundled Oxford data', () => {
+    expect(generateTermsData(OXFORD_WEEK_ONE_SUNDAYS)).toEqual(termsData);
+  });
+
+  it('should reproduce the bundled Cambridge data', () => {
+    expect(generateTermsData(CAMBRIDGE_WEEK_ONE_SUNDAYS, CAMBRIDGE_PROFILE)).toEqual(cambridgeTermsData);
+  });
+
+  it('should produce data that passes validation', () => {
+    const data = generateTermsData([
+      { year: '2032-33', michaelmas: '2032-10-10', hilary: '2033-01-16', trinity: '2033-04-24' }
+    ]);
+    expect(validateTermsData(data, OXFORD_PROFILE)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should attach term and year events', () => {
+    const encaenia = { name: 'Encaenia', date: '2033-06-22', type: 'ceremony' };
+    const degreeDay = { name: 'Degree Day', date: '2033-07-16' };
+    const [year] = generateTermsData([{
+      year: '2032-33',
+      michaelmas: '2032-10-10',
+      hilary: '2033-01-16',
+      trinity: { weekOne: '2033-04-24', events: [encaenia] },
+      events: [degreeDay]
+    }]).terms;
+
+    expect(year.trinity.week1).toEqual({ start: '2033-04-24', end: '2033-04-30' });
+    expect(year.trinity.events).toEqual([encaenia]);
+    expect(year.michaelmas.events).toBeUndefined();
+    expect(year.events).toEqual([degreeDay]);
+  });
+
+  it('should reject a year with a missing term', () => {
+    expect(() => generateTermsData([{ year: '2032-33', michaelmas: '2032-10-10', hilary: '2033-01-16' }]))
+      .toThrow('2032-33 trinity: week 1 date is missing');
+  });
+});
+
+describe('generated files', () => {
+  it('should match termsData.js byte for byte', () => {
+    expect(formatTermsModule(generateTermsData(OXFORD_WEEK_ONE_SUNDAYS)))
+      .toBe(readRepoFile('src/js/data/termsData.js'));
+  });
+
+  it('should match public/terms.json byte for byte', () => {
+    expect(formatTermsJSON(generateTermsData(OXFORD_WEEK_ONE_SUNDAYS)))
+      .toBe(readRepoFile('public/terms.json'));
+  });
+
+  it('should match cambridgeTermsData.js byte for byte', () => {
+    expect(formatTermsModule(generateTermsData(CAMBRIDGE_WEEK_ONE_SUNDAYS, CAMBRIDGE_PROFILE)))
+      .toBe(readRepoFile('src/js/data/cambridgeTermsData.js'));
+  });
+});
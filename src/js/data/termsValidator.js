@@ -0,0 +1,160 @@
+/**
+ * Schema checks for term data (terms.json and the bundled copies)
+ */
+
+import { parseISODate, toISODateString, addDays } from './dateUtils.js';
+import { OXFORD_PROFILE, getTermNames } from './profiles.js';
+
+const ACADEMIC_YEAR_PATTERN = /^(\d{4})-(\d{2})$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate term data against a calendar profile. Every year must list every
+ * term of the profile, each term must have every week (0-12 for Oxford) as a
+ * Sunday-Saturday pair, weeks must follow on from each other, terms must not
+ * overlap, and years must be in ascending order. Optional "events" arrays on
+ * years and terms must hold named events with valid dates.
+ * @param {Object} data - Terms data (same shape as terms.json)
+ * @param {Object} profile - Calendar profile the data is for
+ * @returns {{ valid: boolean, errors: string[] }} Result with one message per problem
+ */
+export function validateTermsData(data, profile = OXFORD_PROFILE) {
+  const errors = [];
+
+  if (!data || !Array.isArray(data.terms) || data.terms.length === 0) {
+    return { valid: false, errors: ['"terms" must be a non-empty array'] };
+  }
+
+  const termNames = getTermNames(profile);
+  let previousYearStart = null;
+  // End of the previous term seen, to catch overlaps across terms and years
+  let previousEnd = null;
+  let previousLabel = null;
+
+  data.terms.forEach((yearData, index) => {
+    const year = yearData && yearData.year;
+    const yearMatch = typeof year === 'string' && year.match(ACADEMIC_YEAR_PATTERN);
+    if (!yearMatch) {
+      errors.push(`terms[${index}]: "year" must look like "2025-26", got ${JSON.stringify(year)}`);
+      return;
+    }
+
+    const startYear = parseInt(yearMatch[1], 10);
+    if (parseInt(yearMatch[2], 10) !== (startYear + 1) % 100) {
+      errors.push(`${year}: second year must follow the first`);
+    }
+    if (previousYearStart !== null && startYear <= previousYearStart) {
+      errors.push(`${year}: years must be in ascending order`);
+    }
+    previousYearStart = startYear;
+    validateEvents(yearData.events, year, errors);
+
+    for (const termName of termNames) {
+      const termData = yearData[termName];
+      if (!termData || typeof termData !== 'object') {
+        errors.push(`${year} ${termName}: term is missing`);
+        continue;
+      }
+
+      validateEvents(termData.events, `${year} ${termName}`, errors);
+      const weeks = validateTermWeeks(termData, `${year} ${termName}`, profile, errors);
+      if (weeks.length === 0) continue;
+
+      const first = weeks[0];
+      if (previousEnd !== null && first.start <= previousEnd) {
+        errors.push(`${year} ${termName}: week ${first.week} starts ${first.start}, overlapping ${previousLabel}`);
+      }
+      const last = weeks[weeks.length - 1];
+      previousEnd = last.end;
+      previousLabel = `${year} ${termName}`;
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check the weeks of one term, collecting problems into errors
+ * @param {Object} termData - Term object with week0-week12
+ * @param {string} label - Prefix for error messages, e.g. "2025-26 hilary"
+ * @param {Object} profile - Calendar profile
+ * @param {string[]} errors - Error list to append to
+ * @returns {Array<{week: number, start: string, end: string}>} The well-formed weeks in order
+ */
+function validateTermWeeks(termData, label, profile, errors) {
+  const weeks = [];
+  let previous = null;
+
+  for (let week = profile.weeks.first; week <= profile.weeks.last; week++) {
+    const weekData = termData[`week${week}`];
+    if (!weekData) {
+      errors.push(`${label} week ${week}: week is missing`);
+      previous = null;
+      continue;
+    }
+
+    const { start, end } = weekData;
+    if (!isISODate(start) || !isISODate(end)) {
+      errors.push(`${label} week ${week}: "start" and "end" must be YYYY-MM-DD dates`);
+      previous = null;
+      continue;
+    }
+
+    if (parseISODate(start).getDay() !== 0) {
+      errors.push(`${label} week ${week}: starts ${start}, which is not a Sunday`);
+    }
+    if (toISODateString(addDays(start, 6)) !== end) {
+      errors.push(`${label} week ${week}: ends ${end}, expected the Saturday ${toISODateString(addDays(start, 6))}`);
+    }
+    if (previous && toISODateString(addDays(previous.end, 1)) !== start) {
+      errors.push(`${label} week ${week}: starts ${start}, but week ${previous.week} ends ${previous.end}`);
+    }
+
+    previous = { week, start, end };
+    weeks.push(previous);
+  }
+
+  return weeks;
+}
+
+/**
+ * Check an optional events array, collecting problems into errors
+ * @param {Array<Object>|undefined} events - Events of a year or term
+ * @param {string} label - Prefix for error messages, e.g. "2025-26 trinity"
+ * @param {string[]} errors - Error list to append to
+ */
+function validateEvents(events, label, errors) {
+  if (events === undefined) return;
+  if (!Array.isArray(events)) {
+    errors.push(`${label}: "events" must be an array`);
+    return;
+  }
+
+  events.forEach((event, index) => {
+    const prefix = `${label} events[${index}]`;
+    if (!event || typeof event.name !== 'string' || event.name.trim() === '') {
+      errors.push(`${prefix}: "name" must be a non-empty string`);
+      return;
+    }
+    if (!isISODate(event.date)) {
+      errors.push(`${prefix} (${event.name}): "date" must be a YYYY-MM-DD date`);
+      return;
+    }
+    if (event.end !== undefined && (!isISODate(event.end) || event.end < event.date)) {
+      errors.push(`${prefix} (${event.name}): "end" must be a YYYY-MM-DD date on or after ${event.date}`);
+    }
+    if (event.type !== undefined && typeof event.type !== 'string') {
+      errors.push(`${prefix} (${event.name}): "type" must be a string`);
+    }
+    if (event.aliases !== undefined &&
+        (!Array.isArray(event.aliases) || !event.aliases.every(alias => typeof alias === 'string'))) {
+      errors.push(`${prefix} (${event.name}): "aliases" must be an array of strings`);
+    }
+  });
+}
+
+function isISODate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return false;
+  // Reject impossible dates such as 2025-02-30, which Date would roll over
+  return toISODateString(parseISODate(value)) === value;
+}
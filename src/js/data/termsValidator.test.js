@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { validateTermsData } from './termsValidator.js';
+import { OXFORD_PROFILE, CAMBRIDGE_PROFILE } from './profiles.js';
+import termsData from './termsData.js';
+
+function cloneTerms() {
+  return JSON.parse(JSON.stringify(termsData));
+}
+
+describe('validateTermsData', () => {
+  it('should accept the bundled Oxford data', () => {
+    expect(validateTermsData(termsData)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should accept the bundled Cambridge data for the Cambridge profile', () => {
+    expect(validateTermsData(CAMBRIDGE_PROFILE.data, CAMBRIDGE_PROFILE).valid).toBe(true);
+  });
+
+  it('should reject data without a terms array', () => {
+    expect(validateTermsData(null).errors).toEqual(['"terms" must be a non-empty array']);
+    expect(validateTermsData({ terms: [] }).valid).toBe(false);
+  });
+
+  it('should reject malformed academic years', () => {
+    const data = cloneTerms();
+    data.terms[0].year = '2024/25';
+    expect(validateTermsData(data).errors[0]).toContain('"year" must look like "2025-26"');
+  });
+
+  it('should reject years out of order', () => {
+    const data = cloneTerms();
+    [data.terms[0], data.terms[1]] = [data.terms[1], data.terms[0]];
+    const { errors } = validateTermsData(data);
+    expect(errors).toContain('2024-25: years must be in ascending order');
+  });
+
+  it('should reject missing terms and weeks', () => {
+    const data = cloneTerms();
+    delete data.terms[0].trinity;
+    delete data.terms[1].hilary.week12;
+    const { errors } = validateTermsData(data);
+    expect(errors).toContain('2024-25 trinity: term is missing');
+    expect(errors).toContain('2025-26 hilary week 12: week is missing');
+  });
+
+  it('should reject weeks that do not run Sunday to Saturday', () => {
+    const data = cloneTerms();
+    data.terms[0].michaelmas.week3 = { start: '2024-10-28', end: '2024-11-03' };
+    const { errors } = validateTermsData(data);
+    expect(errors).toContain('2024-25 michaelmas week 3: starts 2024-10-28, which is not a Sunday');
+  });
+
+  it('should reject weeks whose end is not six days after the start', () => {
+    const data = cloneTerms();
+    data.terms[0].michaelmas.week3.end = '2024-11-09';
+    const { errors } = validateTermsData(data);
+    expect(errors).toContain('2024-25 michaelmas week 3: ends 2024-11-09, expected the Saturday 2024-11-02');
+  });
+
+  it('should reject gaps between weeks', () => {
+    const data = cloneTerms();
+    const term = data.terms[0].michaelmas;
+    for (let week = 5; week <= 12; week++) {
+      term[`week${week}`] = {
+        start: addWeek(term[`week${week}`].start),
+        end: addWeek(term[`week${week}`].end)
+      };
+    }
+    const { errors } = validateTermsData(data);
+    expect(errors).toContain('2024-25 michaelmas week 5: starts 2024-11-17, but week 4 ends 2024-11-09');
+  });
+
+  it('should reject overlapping terms', () => {
+    const data = cloneTerms();
+    data.terms[0].hilary = data.terms[0].michaelmas;
+    const { errors } = validateTermsData(data);
+    expect(errors.some(e => e.startsWith('2024-25 hilary: week 0 starts 2024-10-06, overlapping 2024-25 michaelmas'))).toBe(true);
+  });
+
+  it('should reject impossible dates', () => {
+    const data = cloneTerms();
+    data.terms[0].michaelmas.week0 = { start: '2024-02-30', end: '2024-03-07' };
+    const { errors } = validateTermsData(data);
+    expect(errors).toContain('2024-25 michaelmas week 0: "start" and "end" must be YYYY-MM-DD dates');
+  });
+
+  it('should accept well-formed events on years and terms', () => {
+    const data = cloneTerms();
+    data.terms[0].events = [{ name: 'Degree Day', date: '2025-07-19', type: 'degree-day' }];
+    data.terms[0].trinity.events = [{ name: 'Prelims', date: '2025-06-02', end: '2025-06-13', aliases: ['first year exams'] }];
+    expect(validateTermsData(data)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should reject malformed events', () => {
+    const data = cloneTerms();
+    data.terms[0].events = { name: 'Degree Day' };
+    data.terms[1].trinity.events = [
+      { date: '2026-06-24' },
+      { name: 'Encaenia', date: '24/06/2026' },
+      { name: 'Prelims', date: '2026-06-12', end: '2026-06-01' },
+      { name: 'Collections', date: '2025-10-11', aliases: 'cols' }
+    ];
+    const { errors } = validateTermsData(data);
+    expect(errors).toEqual([
+      '2024-25: "events" must be an array',
+      '2025-26 trinity events[0]: "name" must be a non-empty string',
+      '2025-26 trinity events[1] (Encaenia): "date" must be a YYYY-MM-DD date',
+      '2025-26 trinity events[2] (Prelims): "end" must be a YYYY-MM-DD date on or after 2026-06-12',
+      '2025-26 trinity events[3] (Collections): "aliases" must be an array of strings'
+    ]);
+  });
+
+  it('should check terms against the given profile', () => {
+    const { errors } = validateTermsData(termsData, CAMBRIDGE_PROFILE);
+    expect(errors).toContain('2024-25 lent: term is missing');
+    expect(validateTermsData(termsData, OXFORD_PROFILE).valid).toBe(true);
+  });
+});
+
+function addWeek(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00`);
+  date.setDate(date.getDate() + 7);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,229 @@
+/**
+ * CSV annotation: find the date columns of a spreadsheet export and add the
+ * term, week and Full Term status of each date. Runs entirely in the browser.
+ */
+
+import { findTermWeeksForDates, getFullTermWeeks, getCalendarProfile } from '../data/termService.js';
+import { getTermDefinition } from '../data/profiles.js';
+import { parseISODate, toISODateString } from '../data/dateUtils.js';
+import { tokenize } from '../search/parser/tokenizer.js';
+import { classifyTokens } from '../search/parser/classifier.js';
+import { resolveIntent } from '../search/parser/intentResolver.js';
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter of a CSV file from its first line
+ * @param {string} text - CSV text
+ * @returns {string} Comma, semicolon or tab
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain delimiters, quotes and newlines)
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter, detected if omitted
+ * @returns {string[][]} Rows of fields
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // A trailing newline does not start another row
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serialize rows as CSV, quoting fields only where needed
+ * @param {string[][]} rows - Rows of fields
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCSV(rows, delimiter = ',') {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read a spreadsheet cell as a date, in the formats the search box accepts:
+ * "2027-03-25", "25/03/2027", "25 March 2027", "Tue 25th Mar 2027"
+ * @param {string} value - Cell text
+ * @returns {string|null} ISO date, or null if the cell is not a full date
+ */
+export function parseDateCell(value) {
+  const tokens = tokenize(value);
+  if (tokens.length === 0) return null;
+
+  const { intent, entities } = resolveIntent(classifyTokens(tokens));
+  if (intent !== 'date') return null;
+
+  let year;
+  let month;
+  let day;
+  if (entities.dateIso) {
+    ({ year, month, day } = entities.dateIso);
+  } else if (entities.dateSlash) {
+    ({ year, month, day } = entities.dateSlash);
+  } else if (entities.year && !String(entities.year).includes('-')) {
+    // A cell without a year is ambiguous, so it is not read as a date
+    year = parseInt(entities.year, 10);
+    month = entities.month;
+    day = entities.dayNumber;
+  } else {
+    return null;
+  }
+
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const date = parseISODate(iso);
+  return !isNaN(date.getTime()) && toISODateString(date) === iso ? iso : null;
+}
+
+/**
+ * Find the columns that hold dates. A column counts when more than half of
+ * its non-empty cells (below the header, if any) read as dates.
+ * @param {string[][]} rows - Parsed CSV rows
+ * @param {boolean} hasHeader - Whether the first row is a header
+ * @returns {number[]} Column indexes
+ */
+export function detectDateColumns(rows, hasHeader) {
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const columns = [];
+
+  for (let column = 0; column < width; column++) {
+    const values = dataRows.map(row => (row[column] || '').trim()).filter(Boolean);
+    const dates = values.filter(value => parseDateCell(value) !== null);
+    if (dates.length > 0 && dates.length * 2 > values.length) {
+      columns.push(column);
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Add term, week and Full Term columns after each date column of a CSV file
+ * @param {string} text - CSV text
+ * @returns {{ csv: string, dateColumns: Array<{index: number, name: string}>, dates: number, inTerm: number }}
+ *   The annotated CSV (same delimiter), the date columns found, and how many
+ *   dates were read and fell in term
+ * @throws {Error} If the file is empty or has no date column
+ */
+export function annotateCSV(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = parseCSV(text, delimiter);
+  if (rows.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  // A first row without any dates is a header
+  const hasHeader = rows.length > 1 && rows[0].every(cell => parseDateCell(cell) === null);
+  const columns = detectDateColumns(rows, hasHeader);
+  if (columns.length === 0) {
+    throw new Error('No date column found. Dates should look like 2027-03-25, 25/03/2027 or 25 March 2027');
+  }
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const dateColumns = columns.map(index => ({
+    index,
+    name: hasHeader && rows[0][index] ? rows[0][index].trim() : `Column ${index + 1}`
+  }));
+  const annotated = rows.map(row => [...row]);
+  let dates = 0;
+  let inTerm = 0;
+
+  // Insert from the right so earlier column indexes stay put
+  for (const { index, name } of [...dateColumns].reverse()) {
+    const cellDates = dataRows.map(row => parseDateCell(row[index] || ''));
+    const termWeeks = findTermWeeksForDates(cellDates.filter(Boolean));
+    let next = 0;
+
+    dataRows.forEach((row, i) => {
+      const target = annotated[hasHeader ? i + 1 : i];
+      while (target.length < index + 1) target.push('');
+      const termWeek = cellDates[i] ? termWeeks[next++].termWeek : null;
+      target.splice(index + 1, 0, ...describeTermWeek(cellDates[i], termWeek));
+      if (cellDates[i]) dates++;
+      if (termWeek) inTerm++;
+    });
+
+    if (hasHeader) {
+      const header = annotated[0];
+      while (header.length < index + 1) header.push('');
+      header.splice(index + 1, 0, `${name} term`, `${name} week`, `${name} full term`);
+    }
+  }
+
+  return { csv: formatCSV(annotated, delimiter), dateColumns, dates, inTerm };
+}
+
+/**
+ * Get the three added cells for one date
+ * @param {string|null} date - ISO date, or null if the cell was not a date
+ * @param {Object|null} termWeek - Term week from findTermWeeksForDates()
+ * @returns {string[]} Term (e.g. "Michaelmas 2025-26"), week and "yes"/"no" Full Term cells
+ */
+function describeTermWeek(date, termWeek) {
+  if (!date) return ['', '', ''];
+  if (!termWeek) return ['', '', 'no'];
+
+  const { year, term, week } = termWeek;
+  const definition = getTermDefinition(getCalendarProfile(), term);
+  const { firstWeek, lastWeek } = getFullTermWeeks(term);
+  return [
+    `${definition ? definition.label : term} ${year}`,
+    String(week),
+    week >= firstWeek && week <= lastWeek ? 'yes' : 'no'
+  ];
+}
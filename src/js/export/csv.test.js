@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { detectDelimiter, parseCSV, formatCSV, parseDateCell, detectDateColumns, annotateCSV } from './csv.js';
+
+describe('csv', () => {
+  describe('parseCSV', () => {
+    it('should split rows and fields', () => {
+      expect(parseCSV('a,b\r\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should handle quoted delimiters, quotes and newlines', () => {
+      expect(parseCSV('"Essay, part 1","say ""hi""","two\nlines"')).toEqual([['Essay, part 1', 'say "hi"', 'two\nlines']]);
+    });
+
+    it('should keep empty fields and strip a byte order mark', () => {
+      expect(parseCSV('\uFEFFa,,c')).toEqual([['a', '', 'c']]);
+    });
+
+    it('should detect semicolon and tab delimiters', () => {
+      expect(detectDelimiter('Task;Due\nEssay;2025-10-14')).toBe(';');
+      expect(detectDelimiter('Task\tDue')).toBe('\t');
+      expect(detectDelimiter('"a;b",c')).toBe(',');
+    });
+  });
+
+  describe('formatCSV', () => {
+    it('should quote only fields that need it', () => {
+      expect(formatCSV([['a', 'b, c', 'say "hi"'], ['1', '', 2]])).toBe('a,"b, c","say ""hi"""\r\n1,,2\r\n');
+    });
+
+    it('should round-trip through parseCSV', () => {
+      const rows = [['Task', 'Notes'], ['Essay', 'Line one\nline "two"']];
+      expect(parseCSV(formatCSV(rows))).toEqual(rows);
+    });
+  });
+
+  describe('parseDateCell', () => {
+    it('should read the formats the search box accepts', () => {
+      expect(parseDateCell('2027-03-25')).toBe('2027-03-25');
+      expect(parseDateCell('25/03/2027')).toBe('2027-03-25');
+      expect(parseDateCell('25 March 2027')).toBe('2027-03-25');
+      expect(parseDateCell('Thu 25th Mar 2027')).toBe('2027-03-25');
+      expect(parseDateCell('March 25, 2027')).toBe('2027-03-25');
+    });
+
+    it('should reject partial, impossible and non-date values', () => {
+      expect(parseDateCell('25 March')).toBeNull();
+      expect(parseDateCell('31/02/2027')).toBeNull();
+      expect(parseDateCell('Week 5 MT25')).toBeNull();
+      expect(parseDateCell('Essay')).toBeNull();
+      expect(parseDateCell('')).toBeNull();
+    });
+  });
+
+  describe('detectDateColumns', () => {
+    it('should find columns where most values are dates', () => {
+      const rows = [
+        ['Task', 'Due', 'Owner'],
+        ['Essay', '2025-10-14', 'Ann'],
+        ['Report', 'TBC', 'Bob'],
+        ['Exam', '12/03/2026', '']
+      ];
+      expect(detectDateColumns(rows, true)).toEqual([1]);
+    });
+  });
+
+  describe('annotateCSV', () => {
+    it('should add term, week and full term columns after the date column', () => {
+      const { csv, dateColumns, dates, inTerm } = annotateCSV(
+        'Task,Due,Owner\nEssay,2025-10-14,Ann\nExam,12/03/2026,Bob\nSummer,2025-08-01,\nReport,TBC,Cat\n'
+      );
+      expect(dateColumns).toEqual([{ index: 1, name: 'Due' }]);
+      expect(dates).toBe(3);
+      expect(inTerm).toBe(2);
+      expect(parseCSV(csv)).toEqual([
+        ['Task', 'Due', 'Due term', 'Due week', 'Due full term', 'Owner'],
+        ['Essay', '2025-10-14', 'Michaelmas 2025-26', '1', 'yes', 'Ann'],
+        ['Exam', '12/03/2026', 'Hilary 2025-26', '8', 'yes', 'Bob'],
+        ['Summer', '2025-08-01', '', '', 'no', ''],
+        ['Report', 'TBC', '', '', '', 'Cat']
+      ]);
+    });
+
+    it('should mark weeks outside Full Term', () => {
+      const { csv } = annotateCSV('Due\n2025-10-06\n');
+      expect(parseCSV(csv)[1]).toEqual(['2025-10-06', 'Michaelmas 2025-26', '0', 'no']);
+    });
+
+    it('should annotate several date columns and keep the delimiter', () => {
+      const { csv, dateColumns } = annotateCSV('Start;End\n2025-10-14;2026-01-20\n');
+      expect(dateColumns.map(c => c.name)).toEqual(['Start', 'End']);
+      expect(csv.split('\r\n')[0]).toBe('Start;Start term;Start week;Start full term;End;End term;End week;End full term');
+      expect(csv.split('\r\n')[1]).toBe('2025-10-14;Michaelmas 2025-26;1;yes;2026-01-20;Hilary 2025-26;1;yes');
+    });
+
+    it('should annotate files without a header row', () => {
+      const { csv, dateColumns } = annotateCSV('Essay,2025-10-14\nExam,2026-03-12\n');
+      expect(dateColumns).toEqual([{ index: 1, name: 'Column 2' }]);
+      expect(parseCSV(csv)).toHaveLength(2);
+      expect(parseCSV(csv)[0]).toEqual(['Essay', '2025-10-14', 'Michaelmas 2025-26', '1', 'yes']);
+    });
+
+    it('should reject files without dates', () => {
+      expect(() => annotateCSV('')).toThrow('The file is empty');
+      expect(() => annotateCSV('Task,Owner\nEssay,Ann\n')).toThrow('No date column found');
+    });
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Browser file download helper
+ */
+
+/**
+ * Trigger a download of generated text content
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,307 @@
+/**
+ * iCalendar (RFC 5545) export for Oxford term weeks
+ */
+
+import { getTermData, getTermShortLabel, getExtendedTermWeeks } from '../data/termService.js';
+import { parseISODate, addDays, toISODateString, getDayName } from '../data/dateUtils.js';
+import { describeRecurrence, getRecurrenceRRule, normalizeRecurrenceRule } from '../data/recurrence.js';
+
+const PRODUCT_ID = '-//OxCal//Oxford Term Calendar//EN';
+const UID_DOMAIN = 'oxcal';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value (RFC 5545 §3.3.11)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets (RFC 5545 §3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const charOctets = utf8Length(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + charOctets > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += charOctets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Create an all-day event covering one term week
+ * @param {string} year - Academic year in format "YYYY-YY"
+ * @param {string} termName - Term name
+ * @param {number} weekNumber - Week number
+ * @param {{ start: string, end: string }} weekData - Sunday start and Saturday end dates
+ * @returns {Object} Event object for buildCalendar()
+ */
+export function createWeekEvent(year, termName, weekNumber, weekData) {
+  const term = termName.toLowerCase();
+  return {
+    uid: `${year}-${term}-week${weekNumber}@${UID_DOMAIN}`,
+    summary: `${getTermShortLabel(year, term)} Week ${weekNumber}`,
+    description: `${capitalizeFirst(term)} Term ${year}, Week ${weekNumber}`,
+    start: weekData.start,
+    end: weekData.end
+  };
+}
+
+/**
+ * Create an all-day event for a single date
+ * @param {string} date - ISO date string
+ * @param {Object|null} termWeek - Optional { year, term, week } the date falls in
+ * @returns {Object} Event object for buildCalendar()
+ */
+export function createDayEvent(date, termWeek = null) {
+  const dayName = getDayName(date);
+
+  if (!termWeek) {
+    return {
+      uid: `${date}@${UID_DOMAIN}`,
+      summary: `${dayName} (outside term time)`,
+      start: date,
+      end: date
+    };
+  }
+
+  const { year, term, week } = termWeek;
+  return {
+    uid: `${year}-${term}-week${week}-${date}@${UID_DOMAIN}`,
+    summary: `${getTermShortLabel(year, term)} Week ${week}, ${dayName}`,
+    description: `${dayName}, Week ${week} of ${capitalizeFirst(term)} Term ${year}`,
+    start: date,
+    end: date
+  };
+}
+
+/**
+ * Create a recurring all-day event from a term-relative recurrence rule
+ * @param {Object} rule - Recurrence rule (see data/recurrence.js)
+ * @param {string} [summary] - Event title, defaults to the rule's description
+ * @returns {Object|null} Event object for buildCalendar(), or null if the rule has no dates
+ */
+export function createRecurringEvent(rule, summary = null) {
+  const recurrence = getRecurrenceRRule(rule);
+  if (!recurrence) return null;
+
+  const { year, term, daysOfWeek, fromWeek, toWeek, parity } = normalizeRecurrenceRule(rule);
+  const description = describeRecurrence(rule);
+  const days = daysOfWeek.join('');
+  return {
+    // Derived from the rule only, so re-importing after a date revision updates the series
+    uid: `${year}-${term}-weeks${fromWeek}-${toWeek}${parity ? `-${parity}` : ''}-days${days}@${UID_DOMAIN}`,
+    summary: summary || description,
+    ...(summary ? { description } : {}),
+    start: recurrence.start,
+    end: recurrence.start,
+    rrule: recurrence.rrule,
+    exdates: recurrence.exdates,
+    rdates: recurrence.rdates
+  };
+}
+
+/**
+ * Serialize events into a VCALENDAR document
+ * @param {Array<Object>} events - Events with uid, summary, start, end (inclusive), optional description,
+ *   and for a series the first occurrence as start/end plus rrule and optional exdates/rdates
+ * @param {Object} options - Options
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {Date} [options.timestamp] - DTSTAMP value, defaults to now
+ * @param {string} [options.refreshInterval] - Suggested polling interval for subscribed feeds, e.g. "P1D"
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildCalendar(events, options = {}) {
+  const dtstamp = formatTimestamp(options.timestamp || new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  if (options.refreshInterval) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`,
+      `X-PUBLISHED-TTL:${options.refreshInterval}`
+    );
+  }
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      // DTEND is exclusive for all-day events, so it is the day after the last day
+      `DTEND;VALUE=DATE:${formatDate(toISODateString(addDays(event.end, 1)))}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.rrule) {
+      lines.push(`RRULE:${event.rrule}`);
+    }
+    if (event.exdates && event.exdates.length > 0) {
+      lines.push(`EXDATE;VALUE=DATE:${event.exdates.map(formatDate).join(',')}`);
+    }
+    if (event.rdates && event.rdates.length > 0) {
+      lines.push(`RDATE;VALUE=DATE:${event.rdates.map(formatDate).join(',')}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Get one event per week of a term, over the active profile's week range
+ * @param {string} year - Academic year in format "YYYY-YY"
+ * @param {string} termName - Term name
+ * @param {Object} [termData] - Term object with a weekN entry per week, defaults to the loaded term data
+ * @returns {Array<Object>} Week events in order, empty if the term is unknown
+ */
+export function getTermEvents(year, termName, termData = getTermData(year, termName)) {
+  if (!termData) return [];
+
+  const { firstWeek, lastWeek } = getExtendedTermWeeks();
+  const events = [];
+  for (let weekNum = firstWeek; weekNum <= lastWeek; weekNum++) {
+    const weekData = termData[`week${weekNum}`];
+    if (weekData) {
+      events.push(createWeekEvent(year, termName, weekNum, weekData));
+    }
+  }
+  return events;
+}
+
+/**
+ * Export every week of a term as an iCalendar document
+ * @param {string} year - Academic year in format "YYYY-YY"
+ * @param {string} termName - Term name
+ * @param {Object} options - Options passed to buildCalendar()
+ * @returns {string|null} iCalendar text, or null if the term is unknown
+ */
+export function termToICS(year, termName, options = {}) {
+  const events = getTermEvents(year, termName);
+  if (events.length === 0) return null;
+
+  return buildCalendar(events, {
+    name: `${capitalizeFirst(termName.toLowerCase())} Term ${year}`,
+    ...options
+  });
+}
+
+/**
+ * Export a search result from searchEngine.search() as an iCalendar document
+ * @param {Object} result - A successful 'week-range', 'single-date' or 'recurrence' result
+ * @param {Object} options - Options passed to buildCalendar()
+ * @returns {string|null} iCalendar text, or null if the result cannot be exported
+ */
+export function resultToICS(result, options = {}) {
+  if (!result || !result.success) return null;
+
+  switch (result.type) {
+    case 'week-range': {
+      const event = createWeekEvent(result.year, result.term, result.week, {
+        start: result.startDate,
+        end: result.endDate
+      });
+      return buildCalendar([event], { name: event.summary, ...options });
+    }
+
+    case 'single-date': {
+      const termWeek = result.term ? { year: result.year, term: result.term, week: result.week } : null;
+      const event = createDayEvent(result.date, termWeek);
+      return buildCalendar([event], { name: event.summary, ...options });
+    }
+
+    case 'recurrence': {
+      const event = createRecurringEvent(result.rule);
+      return event ? buildCalendar([event], { name: event.summary, ...options }) : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Suggest a download filename for an exported search result or term
+ * @param {Object} result - Search result (or any object with year/term/week/date)
+ * @param {boolean} wholeTerm - Whether the export covers the whole term
+ * @returns {string} Filename like "mt25-week3.ics"
+ */
+export function getICSFilename(result, wholeTerm = false) {
+  if (!result.term) {
+    return `oxcal-${result.date}.ics`;
+  }
+
+  const label = getTermShortLabel(result.year, result.term).toLowerCase();
+  if (wholeTerm) return `${label}.ics`;
+  if (result.type === 'recurrence') return `${label}-weeks${result.rule.fromWeek}-${result.rule.toWeek}.ics`;
+  if (result.type === 'single-date') return `${label}-week${result.week}-${result.date}.ics`;
+  return `${label}-week${result.week}.ics`;
+}
+
+/**
+ * Format an ISO date string as an iCalendar DATE value
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(isoDate) {
+  return toISODateString(parseISODate(isoDate)).replace(/-/g, '');
+}
+
+/**
+ * Format a Date as an iCalendar UTC DATE-TIME value
+ * @param {Date} date - Timestamp
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+}
+
+function capitalizeFirst(str) {
+  if (!str) return '';
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
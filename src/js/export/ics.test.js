@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import {
+  escapeText,
+  foldLine,
+  createWeekEvent,
+  createDayEvent,
+  createRecurringEvent,
+  buildCalendar,
+  getTermEvents,
+  termToICS,
+  resultToICS,
+  getICSFilename
+} from './ics.js';
+import { search } from '../search/searchEngine.js';
+
+const FIXED_TIMESTAMP = new Date(Date.UTC(2025, 0, 1, 12, 0, 0));
+
+describe('ics export', () => {
+  describe('escapeText', () => {
+    it('should escape commas, semicolons, backslashes and newlines', () => {
+      expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines unchanged', () => {
+      expect(foldLine('SUMMARY:MT25 Week 3')).toBe('SUMMARY:MT25 Week 3');
+    });
+
+    it('should fold lines longer than 75 octets', () => {
+      const line = 'DESCRIPTION:' + 'x'.repeat(150);
+      const folded = foldLine(line);
+      const physical = folded.split('\r\n');
+      expect(physical.length).toBeGreaterThan(1);
+      physical.forEach(p => expect(p.length).toBeLessThanOrEqual(75));
+      expect(physical.slice(1).every(p => p.startsWith(' '))).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+  });
+
+  describe('createWeekEvent', () => {
+    it('should label the week with the short term name', () => {
+      const event = createWeekEvent('2025-26', 'michaelmas', 3, { start: '2025-10-26', end: '2025-11-01' });
+      expect(event.summary).toBe('MT25 Week 3');
+      expect(event.description).toBe('Michaelmas Term 2025-26, Week 3');
+      expect(event.uid).toBe('2025-26-michaelmas-week3@oxcal');
+    });
+
+    it('should use the calendar year of the term for Hilary and Trinity', () => {
+      expect(createWeekEvent('2025-26', 'hilary', 1, { start: '2026-01-18', end: '2026-01-24' }).summary).toBe('HT26 Week 1');
+      expect(createWeekEvent('2025-26', 'trinity', 8, { start: '2026-06-14', end: '2026-06-20' }).summary).toBe('TT26 Week 8');
+    });
+  });
+
+  describe('createDayEvent', () => {
+    it('should include the day name and term week', () => {
+      const event = createDayEvent('2025-05-06', { year: '2024-25', term: 'trinity', week: 2 });
+      expect(event.summary).toBe('TT25 Week 2, Tuesday');
+      expect(event.start).toBe('2025-05-06');
+      expect(event.end).toBe('2025-05-06');
+    });
+
+    it('should handle dates outside term time', () => {
+      const event = createDayEvent('2025-08-01');
+      expect(event.summary).toContain('outside term time');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const event = createWeekEvent('2024-25', 'michaelmas', 1, { start: '2024-10-13', end: '2024-10-19' });
+    const ics = buildCalendar([event], { name: 'Test', timestamp: FIXED_TIMESTAMP });
+
+    it('should wrap events in a VCALENDAR with CRLF line endings', () => {
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:Test');
+    });
+
+    it('should emit all-day dates with an exclusive end', () => {
+      expect(ics).toContain('DTSTART;VALUE=DATE:20241013');
+      expect(ics).toContain('DTEND;VALUE=DATE:20241020');
+    });
+
+    it('should include UID, DTSTAMP and SUMMARY', () => {
+      expect(ics).toContain('UID:2024-25-michaelmas-week1@oxcal');
+      expect(ics).toContain('DTSTAMP:20250101T120000Z');
+      expect(ics).toContain('SUMMARY:MT24 Week 1');
+    });
+
+    it('should escape the description', () => {
+      expect(ics).toContain('DESCRIPTION:Michaelmas Term 2024-25\\, Week 1');
+    });
+  });
+
+  describe('createRecurringEvent', () => {
+    const rule = { year: '2025-26', term: 'hilary', daysOfWeek: [4], fromWeek: 1, toWeek: 8, except: ['2026-02-05'] };
+
+    it('should start on the first date and recur to the last', () => {
+      const event = createRecurringEvent(rule, 'Lectures');
+      expect(event).toMatchObject({
+        uid: '2025-26-hilary-weeks1-8-days4@oxcal',
+        summary: 'Lectures',
+        description: 'Every Thursday, weeks 1–8 of Hilary 2025-26',
+        start: '2026-01-22',
+        end: '2026-01-22',
+        rrule: 'FREQ=WEEKLY;UNTIL=20260312;WKST=SU;BYDAY=TH',
+        exdates: ['2026-02-05']
+      });
+    });
+
+    it('should emit RRULE and EXDATE lines', () => {
+      const ics = buildCalendar([createRecurringEvent(rule)], { timestamp: FIXED_TIMESTAMP });
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260122\r\nDTEND;VALUE=DATE:20260123');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;UNTIL=20260312;WKST=SU;BYDAY=TH');
+      expect(ics).toContain('EXDATE;VALUE=DATE:20260205');
+      expect(ics).not.toContain('RDATE');
+    });
+
+    it('should return null for a rule without dates', () => {
+      expect(createRecurringEvent({ ...rule, year: '2099-00' })).toBeNull();
+    });
+  });
+
+  describe('termToICS', () => {
+    it('should emit one event per week 0-12', () => {
+      expect(getTermEvents('2024-25', 'michaelmas')).toHaveLength(13);
+
+      const ics = termToICS('2024-25', 'michaelmas', { timestamp: FIXED_TIMESTAMP });
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(13);
+      expect(ics).toContain('SUMMARY:MT24 Week 0');
+      expect(ics).toContain('SUMMARY:MT24 Week 12');
+      expect(ics).toContain('X-WR-CALNAME:Michaelmas Term 2024-25');
+    });
+
+    it('should return null for an unknown term', () => {
+      expect(termToICS('2099-00', 'hilary')).toBeNull();
+    });
+  });
+
+  describe('resultToICS', () => {
+    it('should export a week-range result', () => {
+      const result = search('Week 5 Michaelmas 2026');
+      const ics = resultToICS(result, { timestamp: FIXED_TIMESTAMP });
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+      expect(ics).toContain('SUMMARY:MT26 Week 5');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20261108');
+      expect(ics).toContain('DTEND;VALUE=DATE:20261115');
+    });
+
+    it('should export a single-date result', () => {
+      const result = search('Tuesday Week 2 Trinity 2025');
+      const ics = resultToICS(result, { timestamp: FIXED_TIMESTAMP });
+      expect(ics).toContain('DTSTART;VALUE=DATE:20250506');
+      expect(ics).toContain('DTEND;VALUE=DATE:20250507');
+      expect(ics).toContain('SUMMARY:TT25 Week 2\\, Tuesday');
+    });
+
+    it('should export a recurrence result as one recurring event', () => {
+      const ics = resultToICS(search('even weeks mondays mt25'), { timestamp: FIXED_TIMESTAMP });
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+      expect(ics).toContain('DTSTART;VALUE=DATE:20251020');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20251201;WKST=SU;BYDAY=MO');
+    });
+
+    it('should return null for failed results', () => {
+      expect(resultToICS({ success: false, error: 'x' })).toBeNull();
+    });
+  });
+
+  describe('getICSFilename', () => {
+    it('should build filenames from the term label', () => {
+      const week = { type: 'week-range', year: '2025-26', term: 'michaelmas', week: 3 };
+      expect(getICSFilename(week)).toBe('mt25-week3.ics');
+      expect(getICSFilename(week, true)).toBe('mt25.ics');
+      expect(getICSFilename({ type: 'single-date', date: '2025-08-01' })).toBe('oxcal-2025-08-01.ics');
+      expect(getICSFilename(search('thursdays weeks 1-8 mt25'))).toBe('mt25-weeks1-8.ics');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Subscribable iCalendar feeds generated from the term data at build time
+ */
+
+import { buildCalendar, getTermEvents } from './ics.js';
+import { OXFORD_PROFILE, getTermNames } from '../data/profiles.js';
+
+export const FEED_DIRECTORY = 'calendar';
+export const ALL_YEARS_FEED_FILENAME = `${FEED_DIRECTORY}/oxford-terms.ics`;
+
+const TERM_NAMES = getTermNames(OXFORD_PROFILE);
+const FEED_REFRESH_INTERVAL = 'P1W';
+
+/**
+ * Get the feed path for a single academic year
+ * @param {string} year - Academic year in format "YYYY-YY"
+ * @returns {string} Path relative to the build output, e.g. "calendar/oxford-terms-2025-26.ics"
+ */
+export function getYearFeedFilename(year) {
+  return `${FEED_DIRECTORY}/oxford-terms-${year}.ics`;
+}
+
+/**
+ * Get every term-week event for one academic year
+ * @param {Object} yearData - Academic year object from the terms data
+ * @returns {Array<Object>} Week events for Michaelmas, Hilary and Trinity in order
+ */
+export function getYearEvents(yearData) {
+  return TERM_NAMES.flatMap(termName =>
+    getTermEvents(yearData.year, termName, yearData[termName] || null)
+  );
+}
+
+/**
+ * Generate one feed per academic year plus a combined all-years feed.
+ * Event UIDs depend only on year, term and week, so a subscribed client
+ * replaces an event in place when its dates are revised.
+ * @param {Object} termsData - Terms data (same shape as terms.json)
+ * @param {Object} options - Options passed to buildCalendar()
+ * @returns {Array<{ fileName: string, source: string }>} Feeds to write
+ */
+export function generateICSFeeds(termsData, options = {}) {
+  const feedOptions = { refreshInterval: FEED_REFRESH_INTERVAL, ...options };
+  const allEvents = [];
+  const feeds = [];
+
+  for (const yearData of termsData.terms) {
+    const events = getYearEvents(yearData);
+    allEvents.push(...events);
+    feeds.push({
+      fileName: getYearFeedFilename(yearData.year),
+      source: buildCalendar(events, { name: `Oxford Terms ${yearData.year}`, ...feedOptions })
+    });
+  }
+
+  feeds.push({
+    fileName: ALL_YEARS_FEED_FILENAME,
+    source: buildCalendar(allEvents, { name: 'Oxford Terms', ...feedOptions })
+  });
+
+  return feeds;
+}
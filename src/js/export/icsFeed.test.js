@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateICSFeeds,
+  getYearEvents,
+  getYearFeedFilename,
+  ALL_YEARS_FEED_FILENAME
+} from './icsFeed.js';
+
+const FIXED_TIMESTAMP = new Date(Date.UTC(2025, 0, 1, 12, 0, 0));
+
+const mockTermsData = {
+  terms: [
+    {
+      year: '2024-25',
+      michaelmas: {
+        week1: { start: '2024-10-13', end: '2024-10-19' },
+        week2: { start: '2024-10-20', end: '2024-10-26' }
+      },
+      hilary: {
+        week1: { start: '2025-01-19', end: '2025-01-25' }
+      },
+      trinity: {
+        week1: { start: '2025-04-27', end: '2025-05-03' }
+      }
+    },
+    {
+      year: '2025-26',
+      michaelmas: {
+        week1: { start: '2025-10-12', end: '2025-10-18' }
+      }
+    }
+  ]
+};
+
+describe('icsFeed', () => {
+  describe('getYearFeedFilename', () => {
+    it('should place feeds under the calendar directory', () => {
+      expect(getYearFeedFilename('2025-26')).toBe('calendar/oxford-terms-2025-26.ics');
+    });
+  });
+
+  describe('getYearEvents', () => {
+    it('should return events for all terms in order', () => {
+      const events = getYearEvents(mockTermsData.terms[0]);
+      expect(events.map(e => e.summary)).toEqual([
+        'MT24 Week 1', 'MT24 Week 2', 'HT25 Week 1', 'TT25 Week 1'
+      ]);
+    });
+
+    it('should skip missing terms', () => {
+      expect(getYearEvents(mockTermsData.terms[1])).toHaveLength(1);
+    });
+  });
+
+  describe('generateICSFeeds', () => {
+    const feeds = generateICSFeeds(mockTermsData, { timestamp: FIXED_TIMESTAMP });
+
+    it('should emit one feed per year plus an all-years feed', () => {
+      expect(feeds.map(f => f.fileName)).toEqual([
+        'calendar/oxford-terms-2024-25.ics',
+        'calendar/oxford-terms-2025-26.ics',
+        ALL_YEARS_FEED_FILENAME
+      ]);
+    });
+
+    it('should include every week in the all-years feed', () => {
+      const all = feeds[feeds.length - 1].source;
+      expect(all.match(/BEGIN:VEVENT/g)).toHaveLength(5);
+      expect(all).toContain('X-WR-CALNAME:Oxford Terms');
+    });
+
+    it('should advertise a refresh interval for subscribers', () => {
+      expect(feeds[0].source).toContain('REFRESH-INTERVAL;VALUE=DURATION:P1W');
+    });
+
+    it('should keep UIDs stable when week dates are revised', () => {
+      const revised = structuredClone(mockTermsData);
+      revised.terms[0].michaelmas.week1 = { start: '2024-10-06', end: '2024-10-12' };
+      const revisedFeeds = generateICSFeeds(revised, { timestamp: FIXED_TIMESTAMP });
+
+      const uids = source => source.match(/^UID:.*$/gm);
+      expect(uids(revisedFeeds[0].source)).toEqual(uids(feeds[0].source));
+      expect(revisedFeeds[0].source).toContain('DTSTART;VALUE=DATE:20241006');
+      expect(uids(feeds[0].source)).toContain('UID:2024-25-michaelmas-week1@oxcal');
+    });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * Type declarations for the oxcal library build (src/js/lib/index.js)
+ */
+
+/** Canonical term name of the active profile, e.g. "michaelmas", "hilary", "lent" */
+export type TermName = string;
+
+/** Sunday-to-Saturday dates of one term week, as ISO strings (YYYY-MM-DD) */
+export interface WeekData {
+  start: string;
+  end: string;
+}
+
+/** A named event as stored in term data, e.g. Encaenia (the only event bundled) */
+export interface EventData {
+  name: string;
+  /** ISO date of the (first) day */
+  date: string;
+  /** ISO date of the last day, for events spanning several days */
+  end?: string;
+  /** Free-form kind of event; the bundled Encaenia dates use "ceremony" */
+  type?: string;
+  /** Extra names accepted in queries */
+  aliases?: string[];
+}
+
+/** Weeks of one term, keyed "week0" to "week12", and the term's events */
+export type TermData = Partial<Record<`week${number}`, WeekData>> & { events?: EventData[] };
+
+export interface YearData {
+  /** Academic year, e.g. "2025-26" */
+  year: string;
+  /** Events not tied to one term */
+  events?: EventData[];
+  /** One entry per term of the profile, e.g. michaelmas, hilary, trinity */
+  [termName: string]: TermData | EventData[] | string | undefined;
+}
+
+/** A named event as returned by getEvents() and friends */
+export interface TermEvent {
+  name: string;
+  /** "event" when the data gives no type */
+  type: string;
+  /** ISO dates of the first and last day */
+  start: string;
+  end: string;
+  aliases: string[];
+  year: string;
+  /** Term the event belongs to, null for year-wide events */
+  term: TermName | null;
+}
+
+export interface TermsData {
+  terms: YearData[];
+}
+
+export interface TermWeek {
+  year: string;
+  term: TermName;
+  week: number;
+  weekData: WeekData;
+}
+
+export interface DateTermWeek {
+  /** ISO date string (YYYY-MM-DD) */
+  date: string;
+  termWeek: TermWeek | null;
+}
+
+/** A span of days described by term week */
+export interface RangeSummary {
+  /** First day, ISO date string */
+  start: string;
+  /** Last day, ISO date string */
+  end: string;
+  days: number;
+  /** Days in term weeks (0-12 at Oxford) */
+  termDays: number;
+  /** Days in Full Term (weeks 1-8 at Oxford) */
+  fullTermDays: number;
+  startWeek: TermWeek | null;
+  endWeek: TermWeek | null;
+  /** e.g. "MT25 wk 3 Tue – wk 5 Fri" */
+  range: string;
+  /** e.g. "MT25 wk 3 Tue – wk 5 Fri, 18 days, 18 full-term days" */
+  label: string;
+}
+
+// Calendar profiles
+
+export interface TermDefinition {
+  /** Canonical lower-case name, e.g. "michaelmas" */
+  name: string;
+  /** Display name, e.g. "Michaelmas" */
+  label: string;
+  /** Prefix for compact labels like "MT25" */
+  shortLabel: string;
+  /** Extra spellings accepted in queries, e.g. ["mich"] */
+  aliases: string[];
+  /** Calendar months (1-12) used to guess the term when no data covers a date */
+  months: number[];
+  fullTerm: FullTermWeeks;
+}
+
+export interface FullTermWeeks {
+  firstWeek: number;
+  lastWeek: number;
+}
+
+export interface CalendarProfile {
+  id: string;
+  name: string;
+  shortName: string;
+  /** Terms in academic-year order; the first one starts the academic year */
+  terms: TermDefinition[];
+  weeks: { first: number; last: number };
+  /** Bundled term data */
+  data: TermsData;
+  /** Optional URL of a terms.json to prefer at runtime */
+  dataUrl?: string;
+}
+
+export const OXFORD_PROFILE: CalendarProfile;
+export const CAMBRIDGE_PROFILE: CalendarProfile;
+export const DEFAULT_PROFILE_ID: string;
+export const PROFILES: Record<string, CalendarProfile>;
+
+export function getProfile(id: string): CalendarProfile | null;
+export function getTermNames(profile: CalendarProfile): string[];
+export function getTermDefinition(profile: CalendarProfile, termName: string): TermDefinition | null;
+export function getTermAliases(profile: CalendarProfile): Record<string, string>;
+export function getAcademicYearForTerm(profile: CalendarProfile, termName: string, calendarYear: number | string): string;
+export function setCalendarProfile(profile: CalendarProfile | string): CalendarProfile;
+export function getCalendarProfile(): CalendarProfile;
+
+// Term data
+
+export interface TermsDataStatus {
+  /** "remote" when the fetched terms.json is in use, otherwise "bundled" */
+  source: 'remote' | 'bundled';
+  url: string | null;
+  /** Validation problems found in the fetched terms.json */
+  errors: string[];
+  fetchError: string | null;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: string[];
+}
+
+export function loadTermsData(): Promise<TermsData>;
+export function getTermsDataStatus(): TermsDataStatus;
+export function validateTermsData(data: unknown, profile?: CalendarProfile): ValidationResult;
+
+/** Sunday starting week 1 of each term of one academic year, keyed by term name */
+export type WeekOneSundays = { year: string } & Record<TermName, string>;
+
+export function generateTermWeeks(weekOneSunday: string, profile?: CalendarProfile): TermData;
+export function generateTermsData(schedule: WeekOneSundays[], profile?: CalendarProfile): TermsData;
+export function getLoadedTermData(): TermsData | null;
+export function getYearData(year: string): YearData | null;
+export function getTermData(year: string, termName: string): TermData | null;
+export function getWeekData(year: string, termName: string, weekNumber: number): WeekData | null;
+export function findTermWeekForDate(date: Date | string): TermWeek | null;
+export function findTermWeeksForDates(dates: Array<Date | string>): DateTermWeek[];
+export function findTermWeeksInRange(start: Date | string, end: Date | string): DateTermWeek[];
+export function getRangeSummary(start: Date | string, end: Date | string): RangeSummary;
+export function getAvailableYears(): string[];
+export function getCurrentAcademicYear(): string | null;
+export function getFullTermWeeks(termName: string): FullTermWeeks;
+/** Every week the term data covers, e.g. 0-12 at Oxford */
+export function getExtendedTermWeeks(): FullTermWeeks;
+export function getFullTermDates(year: string, termName: string): WeekData | null;
+export function getTermShortLabel(year: string, termName: string): string;
+export function getEvents(): TermEvent[];
+export function getEventsForDate(date: Date | string): TermEvent[];
+export function getEventsInRange(start: Date | string, end: Date | string): TermEvent[];
+export function findEventsByName(name: string): TermEvent[];
+
+// Recurring schedules
+
+/** A term-relative schedule, e.g. Thursdays of weeks 1-8 of Hilary 2025-26 */
+export interface RecurrenceRule {
+  /** Academic year, e.g. "2025-26" */
+  year: string;
+  term: TermName;
+  /** Days of the week, 0 (Sunday) to 6 (Saturday) */
+  daysOfWeek: number[];
+  fromWeek: number;
+  toWeek: number;
+  /** Only even or odd weeks between fromWeek and toWeek */
+  parity?: 'even' | 'odd';
+  /** ISO dates to leave out */
+  except?: string[];
+}
+
+export interface RecurrenceOccurrence {
+  date: string;
+  year: string;
+  term: TermName;
+  week: number;
+  dayOfWeek: number;
+}
+
+/** iCalendar form of a rule: DTSTART, the RRULE value, and EXDATE/RDATE dates as ISO strings */
+export interface RecurrenceRRule {
+  start: string;
+  rrule: string;
+  exdates: string[];
+  rdates: string[];
+}
+
+export function normalizeRecurrenceRule(rule: RecurrenceRule): RecurrenceRule;
+export function getRecurrenceWeeks(rule: RecurrenceRule): number[];
+export function expandRecurrence(rule: RecurrenceRule): RecurrenceOccurrence[];
+export function describeRecurrence(rule: RecurrenceRule): string;
+export function getRecurrenceRRule(rule: RecurrenceRule): RecurrenceRRule | null;
+
+// Date utilities
+
+export type DateFormat = 'full' | 'short' | 'month-day' | 'day-month';
+
+export function parseISODate(dateStr: string): Date;
+export function toISODateString(date: Date): string;
+export function daysBetween(date1: Date | string, date2: Date | string): number;
+export function isDateInRange(date: Date | string, startDate: Date | string, endDate: Date | string): boolean;
+export function getDayName(date: Date | string): string;
+export function getShortDayName(date: Date | string): string;
+export function getMonthName(date: Date | string): string;
+export function getShortMonthName(date: Date | string): string;
+export function formatDate(date: Date | string, format?: DateFormat): string;
+export function addDays(date: Date | string, days: number): Date;
+export function getWeekStart(date: Date | string): Date;
+export function getWeekEnd(date: Date | string): Date;
+export function isSameDay(date1: Date | string, date2: Date | string): boolean;
+export function getToday(): Date;
+export function formatWeekRange(sundayStart: Date | string, saturdayEnd: Date | string): string;
+
+// Search
+
+/** Structured query from parseQuery(); `type` selects the remaining fields */
+export interface ParsedQuery {
+  type: 'term-week' | 'day-term-week' | 'term-info' | 'date' | 'range' | 'duration' | 'offset' | 'event' | 'recurrence' | 'invalid';
+  error?: string;
+  assumed?: string[];
+  [key: string]: unknown;
+}
+
+export interface SearchSuccess {
+  success: true;
+  type: 'week-range' | 'single-date' | 'multi-week-range' | 'duration' | 'event' | 'recurrence';
+  /** Days to highlight, at local midnight */
+  dates: Date[];
+  displayText: string;
+  detailText: string;
+  year?: string | null;
+  term?: TermName | null;
+  week?: number | null;
+  /** Query fields filled in from today's context, as in ParsedQuery */
+  assumed?: string[];
+  [key: string]: unknown;
+}
+
+/** One row of findDatesForLabels() */
+export interface LabelDates {
+  /** The label, trimmed */
+  label: string;
+  /** "empty" for blank labels, "error" if the label could not be read */
+  status: 'ok' | 'error' | 'empty';
+  /** First and last ISO date of the result (the same for a single day) */
+  date: string | null;
+  endDate: string | null;
+  dates: string[];
+  term: TermName | null;
+  week: number | null;
+  year: string | null;
+  /** Fields filled in from today's context, e.g. ["term", "year"] for "week 5" */
+  assumed: string[];
+  displayText: string | null;
+  error: string | null;
+}
+
+export interface SearchFailure {
+  success: false;
+  error: string;
+  query: string | ParsedQuery;
+}
+
+export type SearchResult = SearchSuccess | SearchFailure;
+
+export interface ResultLines {
+  primary: string;
+  secondary: string;
+}
+
+export interface Suggestion {
+  text: string;
+  description: string;
+  type: string;
+  [key: string]: unknown;
+}
+
+export interface SuggestionOptions {
+  maxSuggestions?: number;
+  /** Pinned and recent queries, suggested first when the input is empty */
+  history?: { recent?: string[]; pinned?: string[] };
+}
+
+export function parseQuery(query: string): ParsedQuery;
+export function search(query: string): SearchResult;
+export function searchMultiple(queries: string[]): SearchResult[];
+export function findDatesForLabels(labels: Array<string | null | undefined>): LabelDates[];
+export function getResultSummary(results: SearchResult): string;
+export function getResultLines(results: SearchResult): ResultLines;
+export function generateSuggestions(input: string, options?: SuggestionOptions): Suggestion[];
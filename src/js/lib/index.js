@@ -0,0 +1,75 @@
+/**
+ * Library entry point: calendar profiles, term data lookups, date utilities
+ * and query search without the DOM app. Signatures are declared in index.d.ts and follow the
+ * package version — breaking changes only in a new major version.
+ */
+
+export {
+  setCalendarProfile,
+  getCalendarProfile,
+  loadTermsData,
+  getTermsDataStatus,
+  getLoadedTermData,
+  getYearData,
+  getTermData,
+  getWeekData,
+  findTermWeekForDate,
+  findTermWeeksForDates,
+  findTermWeeksInRange,
+  getRangeSummary,
+  getAvailableYears,
+  getCurrentAcademicYear,
+  getFullTermWeeks,
+  getExtendedTermWeeks,
+  getFullTermDates,
+  getTermShortLabel,
+  getEvents,
+  getEventsForDate,
+  getEventsInRange,
+  findEventsByName
+} from '../data/termService.js';
+
+export {
+  OXFORD_PROFILE,
+  CAMBRIDGE_PROFILE,
+  DEFAULT_PROFILE_ID,
+  PROFILES,
+  getProfile,
+  getTermNames,
+  getTermDefinition,
+  getTermAliases,
+  getAcademicYearForTerm
+} from '../data/profiles.js';
+
+export { validateTermsData } from '../data/termsValidator.js';
+export { generateTermWeeks, generateTermsData } from '../data/termsGenerator.js';
+
+export {
+  normalizeRecurrenceRule,
+  getRecurrenceWeeks,
+  expandRecurrence,
+  describeRecurrence,
+  getRecurrenceRRule
+} from '../data/recurrence.js';
+
+export {
+  parseISODate,
+  toISODateString,
+  daysBetween,
+  isDateInRange,
+  getDayName,
+  getShortDayName,
+  getMonthName,
+  getShortMonthName,
+  formatDate,
+  addDays,
+  getWeekStart,
+  getWeekEnd,
+  isSameDay,
+  getToday,
+  formatWeekRange
+} from '../data/dateUtils.js';
+
+export { parseQuery } from '../search/queryParser.js';
+export { search, searchMultiple, findDatesForLabels, getResultSummary, getResultLines } from '../search/searchEngine.js';
+export { generateSuggestions } from '../search/suggestions.js';
@@ -0,0 +1,29 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import * as lib from './index.js';
+
+const declarations = readFileSync(new URL('./index.d.ts', import.meta.url), 'utf8');
+const declaredExports = [...declarations.matchAll(/^export (?:function|const) (\w+)/gm)].map(m => m[1]);
+
+describe('library entry point', () => {
+  it('should load without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(lib.findTermWeekForDate('2025-11-12')).toMatchObject({ year: '2025-26', term: 'michaelmas', week: 5 });
+  });
+
+  it('should expose the term data, date and search APIs', () => {
+    expect(lib.search('w5 mt25')).toMatchObject({ success: true, type: 'week-range', week: 5 });
+    expect(lib.parseQuery('w5 mt25')).toMatchObject({ type: 'term-week', term: 'michaelmas', week: 5 });
+    expect(lib.toISODateString(lib.addDays('2025-11-09', 6))).toBe('2025-11-15');
+  });
+
+  it('should declare a type for every export', () => {
+    expect(declaredExports.sort()).toEqual(Object.keys(lib).sort());
+  });
+
+  it('should not export test-only helpers', () => {
+    expect(lib).not.toHaveProperty('setTermData');
+    expect(lib).not.toHaveProperty('_resetContextCache');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Search history: recent successful queries and pinned ones, kept in
+ * localStorage so they are offered again on the next visit.
+ * Stored as { recent: string[], pinned: string[] }, newest first.
+ */
+
+const HISTORY_KEY = 'oxcal-search-history';
+// Together these fit in the eight suggestions shown for an empty search box,
+// so every pinned and recent query can be seen and removed
+const MAX_RECENT = 4;
+const MAX_PINNED = 4;
+
+/**
+ * Get the stored search history
+ * @returns {{recent: string[], pinned: string[]}} Recent queries (newest first,
+ *   not including pinned ones) and pinned queries (most recently pinned first)
+ */
+export function getSearchHistory() {
+  const { recent, pinned } = readHistory();
+  return { recent: recent.filter(query => !includesQuery(pinned, query)), pinned };
+}
+
+/**
+ * Record a query that was searched successfully
+ * @param {string} query - Search query
+ * @returns {{recent: string[], pinned: string[]}} The updated history
+ */
+export function recordSearch(query) {
+  const text = normalizeQuery(query);
+  if (!text) return getSearchHistory();
+
+  const history = readHistory();
+  history.recent = [text, ...withoutQuery(history.recent, text)].slice(0, MAX_RECENT);
+  writeHistory(history);
+  return getSearchHistory();
+}
+
+/**
+ * Pin a query so it is always suggested
+ * @param {string} query - Search query
+ * @returns {{recent: string[], pinned: string[]}} The updated history
+ */
+export function pinQuery(query) {
+  const text = normalizeQuery(query);
+  if (!text) return getSearchHistory();
+
+  const history = readHistory();
+  history.pinned = [text, ...withoutQuery(history.pinned, text)].slice(0, MAX_PINNED);
+  writeHistory(history);
+  return getSearchHistory();
+}
+
+/**
+ * Unpin a query; it stays in the recent list if it was searched lately
+ * @param {string} query - Search query
+ * @returns {{recent: string[], pinned: string[]}} The updated history
+ */
+export function unpinQuery(query) {
+  const history = readHistory();
+  history.pinned = withoutQuery(history.pinned, query);
+  writeHistory(history);
+  return getSearchHistory();
+}
+
+/**
+ * Remove a query from both the recent and pinned lists
+ * @param {string} query - Search query
+ * @returns {{recent: string[], pinned: string[]}} The updated history
+ */
+export function removeQuery(query) {
+  const history = readHistory();
+  history.recent = withoutQuery(history.recent, query);
+  history.pinned = withoutQuery(history.pinned, query);
+  writeHistory(history);
+  return getSearchHistory();
+}
+
+/**
+ * Forget recent queries; pinned queries are kept until unpinned
+ * @returns {{recent: string[], pinned: string[]}} The updated history
+ */
+export function clearSearchHistory() {
+  const history = readHistory();
+  history.recent = [];
+  writeHistory(history);
+  return getSearchHistory();
+}
+
+/**
+ * Read the history from localStorage, ignoring anything malformed
+ * @returns {{recent: string[], pinned: string[]}}
+ */
+function readHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return {
+      recent: toQueryList(stored && stored.recent).slice(0, MAX_RECENT),
+      pinned: toQueryList(stored && stored.pinned).slice(0, MAX_PINNED)
+    };
+  } catch (e) {
+    console.warn('Could not read search history:', e);
+    return { recent: [], pinned: [] };
+  }
+}
+
+/**
+ * Write the history to localStorage
+ * @param {{recent: string[], pinned: string[]}} history - History to store
+ */
+function writeHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (e) {
+    console.warn('Could not save search history:', e);
+  }
+}
+
+function toQueryList(value) {
+  return Array.isArray(value) ? value.filter(query => typeof query === 'string' && query.trim()) : [];
+}
+
+function normalizeQuery(query) {
+  return typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+}
+
+function includesQuery(queries, query) {
+  const key = normalizeQuery(query).toLowerCase();
+  return queries.some(existing => existing.toLowerCase() === key);
+}
+
+function withoutQuery(queries, query) {
+  const key = normalizeQuery(query).toLowerCase();
+  return queries.filter(existing => existing.toLowerCase() !== key);
+}
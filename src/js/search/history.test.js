@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getSearchHistory,
+  recordSearch,
+  pinQuery,
+  unpinQuery,
+  removeQuery,
+  clearSearchHistory
+} from './history.js';
+
+describe('search history', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should start empty', () => {
+    expect(getSearchHistory()).toEqual({ recent: [], pinned: [] });
+  });
+
+  it('should record queries newest first without duplicates', () => {
+    recordSearch('w5 mt25');
+    recordSearch('encaenia');
+    recordSearch('  W5   MT25 ');
+    expect(getSearchHistory().recent).toEqual(['W5 MT25', 'encaenia']);
+  });
+
+  it('should ignore blank queries', () => {
+    recordSearch('   ');
+    expect(getSearchHistory().recent).toEqual([]);
+  });
+
+  it('should keep the four most recent queries', () => {
+    for (let week = 0; week <= 11; week++) {
+      recordSearch(`week ${week}`);
+    }
+    const { recent } = getSearchHistory();
+    expect(recent).toEqual(['week 11', 'week 10', 'week 9', 'week 8']);
+  });
+
+  it('should keep the four most recently pinned queries', () => {
+    for (let week = 0; week <= 5; week++) {
+      pinQuery(`week ${week}`);
+    }
+    expect(getSearchHistory().pinned).toEqual(['week 5', 'week 4', 'week 3', 'week 2']);
+  });
+
+  it('should trim longer stored lists', () => {
+    const queries = Array.from({ length: 10 }, (_, i) => `week ${i}`);
+    localStorage.setItem('oxcal-search-history', JSON.stringify({ recent: queries, pinned: queries.slice(5) }));
+    expect(getSearchHistory()).toEqual({
+      recent: ['week 0', 'week 1', 'week 2', 'week 3'],
+      pinned: ['week 5', 'week 6', 'week 7', 'week 8']
+    });
+  });
+
+  it('should persist across module reloads', async () => {
+    recordSearch('tuesday week 3');
+    pinQuery('w1 ht26');
+    vi.resetModules();
+    const fresh = await import('./history.js');
+    expect(fresh.getSearchHistory()).toEqual({ recent: ['tuesday week 3'], pinned: ['w1 ht26'] });
+  });
+
+  it('should list pinned queries separately from recent ones', () => {
+    recordSearch('w5 mt25');
+    recordSearch('encaenia');
+    pinQuery('w5 mt25');
+    expect(getSearchHistory()).toEqual({ recent: ['encaenia'], pinned: ['w5 mt25'] });
+  });
+
+  it('should return a query to the recent list when unpinned', () => {
+    recordSearch('w5 mt25');
+    pinQuery('w5 mt25');
+    unpinQuery('W5 MT25');
+    expect(getSearchHistory()).toEqual({ recent: ['w5 mt25'], pinned: [] });
+  });
+
+  it('should remove a query from both lists', () => {
+    recordSearch('w5 mt25');
+    pinQuery('w5 mt25');
+    recordSearch('encaenia');
+    removeQuery('w5 mt25');
+    expect(getSearchHistory()).toEqual({ recent: ['encaenia'], pinned: [] });
+  });
+
+  it('should clear recent queries but keep pinned ones', () => {
+    recordSearch('w5 mt25');
+    recordSearch('encaenia');
+    pinQuery('encaenia');
+    clearSearchHistory();
+    expect(getSearchHistory()).toEqual({ recent: [], pinned: ['encaenia'] });
+  });
+
+  it('should ignore malformed stored history', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem('oxcal-search-history', '{not json');
+    expect(getSearchHistory()).toEqual({ recent: [], pinned: [] });
+    localStorage.setItem('oxcal-search-history', JSON.stringify({ recent: ['ok', 3, ''], pinned: 'no' }));
+    expect(getSearchHistory()).toEqual({ recent: ['ok'], pinned: [] });
+    warn.mockRestore();
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 export { parseQuery, setTermData } from './queryParser.js';
-export { search, searchMultiple, getResultSummary } from './searchEngine.js';
+export { search, searchMultiple, findDatesForLabels, getResultSummary, getResultLines } from './searchEngine.js';
 export { 
   generateSuggestions, 
   formatSuggestionsForDisplay,
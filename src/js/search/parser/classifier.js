@@ -1,13 +1,20 @@
 import { findClosestMatch } from './fuzzyMatch.js';
+import { getCalendarProfile, getEvents, getExtendedTermWeeks } from '../../data/termService.js';
+import { getTermNames, getTermAliases, getAcademicYearForTerm } from '../../data/profiles.js';
 import {
-  TERM_NAMES, FUZZY_TERM_CANDIDATES,
-  DAY_NAMES, FUZZY_DAY_CANDIDATES,
+  DAY_NAMES, PLURAL_DAY_NAMES, FUZZY_DAY_CANDIDATES,
   MONTH_NAMES, FUZZY_MONTH_CANDIDATES,
   WEEK_KEYWORDS, RELATIVE_KEYWORDS, QUESTION_KEYWORDS, NOISE_WORDS,
+  RANGE_CONNECTORS, RANGE_START_KEYWORDS,
+  DURATION_KEYWORDS, DAY_UNIT_KEYWORDS, REMAINING_KEYWORDS, OFFSET_DIRECTION_KEYWORDS,
+  RECURRENCE_KEYWORDS, WEEK_PARITY_KEYWORDS, TERM_ANCHOR_WORDS, TERM_SCOPE_WORDS,
   TERM_YEAR_PATTERN, WEEK_COMPOUND_PATTERN,
+  WEEK_RANGE_COMPOUND_PATTERN, NUMBER_RANGE_PATTERN,
   ACADEMIC_YEAR_PATTERN, CALENDAR_YEAR_PATTERN,
-  DATE_SLASH_PATTERN, ISO_DATE_PATTERN, ORDINAL_PATTERN
+  DATE_SLASH_PATTERN, ISO_DATE_PATTERN, ORDINAL_PATTERN,
+  ORDINAL_WORDS, FUZZY_ORDINAL_CANDIDATES
 } from './patterns.js';
+import { tokenize } from './tokenizer.js';
 
 /**
  * @typedef {{ raw: string, type: string, value: any, confidence: number }} ClassifiedToken
@@ -20,8 +27,11 @@ import {
  * @returns {ClassifiedToken[]}
  */
 export function classifyTokens(tokens) {
-  // First pass: classify unambiguous tokens
-  const classified = tokens.map(token => classifyUnambiguous(token));
+  // First pass: classify event names and unambiguous tokens
+  const classified = classifyEventsAndTokens(tokens);
+
+  // Tell "last week of trinity" from the relative "last week"
+  classifyTermAnchors(classified);
 
   // Second pass: disambiguate numbers based on context
   disambiguateNumbers(classified);
@@ -29,6 +39,66 @@ export function classifyTokens(tokens) {
   return classified;
 }
 
+/**
+ * Classify tokens, merging each run of tokens that spells a named event
+ * ("encaenia", "degree day") into a single event token
+ * @param {string[]} tokens
+ * @returns {ClassifiedToken[]}
+ */
+function classifyEventsAndTokens(tokens) {
+  const { phrases, maxWords } = getEventPhrases();
+  const classified = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    let matched = false;
+    // Longest phrase first, so "degree day" wins over a shorter alias
+    for (let length = Math.min(maxWords, tokens.length - i); length >= 1 && !matched; length--) {
+      const phrase = tokens.slice(i, i + length).join(' ');
+      if (phrases.has(phrase)) {
+        classified.push({ raw: phrase, type: 'event', value: phrases.get(phrase), confidence: 1.0 });
+        i += length - 1;
+        matched = true;
+      }
+    }
+    if (!matched) {
+      classified.push(classifyUnambiguous(tokens[i]));
+    }
+  }
+
+  return classified;
+}
+
+// Phrase maps are built once per event list, which changes with the term data
+const eventPhraseCache = new WeakMap();
+
+/**
+ * Map the tokenized names and aliases of every named event to the event name
+ * @returns {{ phrases: Map<string, string>, maxWords: number }}
+ */
+function getEventPhrases() {
+  const events = getEvents();
+  if (eventPhraseCache.has(events)) {
+    return eventPhraseCache.get(events);
+  }
+
+  const phrases = new Map();
+  let maxWords = 0;
+  for (const event of events) {
+    for (const phrase of [event.name, ...event.aliases]) {
+      const words = tokenize(phrase);
+      const key = words.join(' ');
+      if (words.length > 0 && !phrases.has(key)) {
+        phrases.set(key, event.name);
+        maxWords = Math.max(maxWords, words.length);
+      }
+    }
+  }
+
+  const result = { phrases, maxWords };
+  eventPhraseCache.set(events, result);
+  return result;
+}
+
 /**
  * First pass: classify a single token without context
  */
@@ -57,15 +127,15 @@ function classifyUnambiguous(token) {
     return { raw: token, type: 'year', value: token, confidence: 1.0 };
   }
 
+  const profile = getCalendarProfile();
+
   // Term-year compound: mt25, ht26, tt24
   const termYearMatch = token.match(TERM_YEAR_PATTERN);
-  if (termYearMatch) {
-    const termMap = { mt: 'michaelmas', ht: 'hilary', tt: 'trinity' };
-    const term = termMap[termYearMatch[1]];
-    const calYear = parseInt('20' + termYearMatch[2]);
-    const year = term === 'michaelmas'
-      ? `${calYear}-${(calYear + 1).toString().slice(-2)}`
-      : `${calYear - 1}-${calYear.toString().slice(-2)}`;
+  const termYearDefinition = termYearMatch
+    && profile.terms.find(t => t.shortLabel.toLowerCase() === termYearMatch[1]);
+  if (termYearDefinition) {
+    const term = termYearDefinition.name;
+    const year = getAcademicYearForTerm(profile, term, '20' + termYearMatch[2]);
     return { raw: token, type: 'term-year', value: { term, year }, confidence: 1.0 };
   }
 
@@ -73,20 +143,27 @@ function classifyUnambiguous(token) {
   const weekCompMatch = token.match(WEEK_COMPOUND_PATTERN);
   if (weekCompMatch) {
     const num = parseInt(weekCompMatch[1]);
-    if (num >= 0 && num <= 12) {
+    if (isTermWeek(num)) {
       return { raw: token, type: 'week', value: num, confidence: 1.0 };
     }
     return { raw: token, type: 'unknown', value: token, confidence: 0 };
   }
 
+  // Week range compound: w3-5, w3-w5
+  const weekRangeMatch = token.match(WEEK_RANGE_COMPOUND_PATTERN);
+  if (weekRangeMatch) {
+    return classifyWeekRange(token, parseInt(weekRangeMatch[1]), parseInt(weekRangeMatch[2]));
+  }
+
   // Bare week keywords: "week", "wk"
   if (WEEK_KEYWORDS.includes(token)) {
     return { raw: token, type: 'week', value: null, confidence: 1.0 };
   }
 
   // Term exact match (includes short aliases)
-  if (TERM_NAMES[token] !== undefined) {
-    return { raw: token, type: 'term', value: TERM_NAMES[token], confidence: 1.0 };
+  const termAliases = getTermAliases(profile);
+  if (termAliases[token] !== undefined) {
+    return { raw: token, type: 'term', value: termAliases[token], confidence: 1.0 };
   }
 
   // Day exact match
@@ -94,6 +171,11 @@ function classifyUnambiguous(token) {
     return { raw: token, type: 'day', value: DAY_NAMES[token], confidence: 1.0 };
   }
 
+  // Plural day: "thursdays" (the intent resolver reads the plural as a recurrence)
+  if (PLURAL_DAY_NAMES[token] !== undefined) {
+    return { raw: token, type: 'day', value: PLURAL_DAY_NAMES[token], confidence: 1.0 };
+  }
+
   // Month exact match
   if (MONTH_NAMES[token] !== undefined) {
     return { raw: token, type: 'month', value: MONTH_NAMES[token], confidence: 1.0 };
@@ -109,6 +191,47 @@ function classifyUnambiguous(token) {
     return { raw: token, type: 'question', value: token, confidence: 1.0 };
   }
 
+  // Range connectors: "to", "until", "-"
+  if (RANGE_CONNECTORS.includes(token)) {
+    return { raw: token, type: 'range-connector', value: token, confidence: 1.0 };
+  }
+
+  if (RANGE_START_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'range-start', value: token, confidence: 1.0 };
+  }
+
+  // Duration words: "how many", "how long", "days", "left"
+  if (DURATION_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'duration', value: token, confidence: 1.0 };
+  }
+
+  if (DAY_UNIT_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'duration-unit', value: 'days', confidence: 1.0 };
+  }
+
+  if (REMAINING_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'remaining', value: token, confidence: 1.0 };
+  }
+
+  // Full or extended term: "end of full term"
+  if (TERM_SCOPE_WORDS[token] !== undefined) {
+    return { raw: token, type: 'term-scope', value: TERM_SCOPE_WORDS[token], confidence: 1.0 };
+  }
+
+  // Day and week arithmetic: "3 weeks after week 2"
+  if (OFFSET_DIRECTION_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'offset-direction', value: token, confidence: 1.0 };
+  }
+
+  // Recurring schedules: "every", "even weeks"
+  if (RECURRENCE_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'recurrence', value: token, confidence: 1.0 };
+  }
+
+  if (WEEK_PARITY_KEYWORDS.includes(token)) {
+    return { raw: token, type: 'week-parity', value: token, confidence: 1.0 };
+  }
+
   // Noise words
   if (NOISE_WORDS.has(token)) {
     return { raw: token, type: 'noise', value: null, confidence: 1.0 };
@@ -119,10 +242,16 @@ function classifyUnambiguous(token) {
     return { raw: token, type: 'year', value: token, confidence: 1.0 };
   }
 
+  // Spelled-out ordinals are numbers like "6th", resolved by context in the second pass
+  if (ORDINAL_WORDS[token] !== undefined) {
+    return { raw: token, type: 'unknown', value: token, confidence: 0 };
+  }
+
   // Fuzzy matching for tokens >= 4 chars
   if (token.length >= 4) {
     // Try terms
-    const termFuzzy = findClosestMatch(token, FUZZY_TERM_CANDIDATES);
+    // Only full term names, not short aliases
+    const termFuzzy = findClosestMatch(token, getTermNames(profile));
     if (termFuzzy) {
       return { raw: token, type: 'term', value: termFuzzy.match, confidence: termFuzzy.confidence };
     }
@@ -138,11 +267,69 @@ function classifyUnambiguous(token) {
     if (monthFuzzy) {
       return { raw: token, type: 'month', value: MONTH_NAMES[monthFuzzy.match], confidence: monthFuzzy.confidence };
     }
+
+    // Try one-word event names: "encenia"
+    const { phrases } = getEventPhrases();
+    const eventFuzzy = findClosestMatch(token, [...phrases.keys()].filter(phrase => !phrase.includes(' ')));
+    if (eventFuzzy) {
+      return { raw: token, type: 'event', value: phrases.get(eventFuzzy.match), confidence: eventFuzzy.confidence };
+    }
   }
 
   return { raw: token, type: 'unknown', value: token, confidence: 0 };
 }
 
+/**
+ * Whether a number is a week of the active profile's terms (0-12 at Oxford)
+ */
+function isTermWeek(num) {
+  const { firstWeek, lastWeek } = getExtendedTermWeeks();
+  return num >= firstWeek && num <= lastWeek;
+}
+
+/**
+ * Classify a week range, rejecting week numbers outside the profile's terms
+ */
+function classifyWeekRange(token, from, to) {
+  if (!isTermWeek(from) || !isTermWeek(to)) {
+    return { raw: token, type: 'unknown', value: token, confidence: 0 };
+  }
+  return { raw: token, type: 'week-range', value: { from, to }, confidence: 1.0 };
+}
+
+/**
+ * Mark "first", "last" or "final" before a week or day keyword as a term anchor:
+ * "last week of trinity", "final week", "first day of full term". "Last" stays
+ * relative ("last week") unless "of" or a term follows it.
+ * Mutates the classified array in place.
+ */
+function classifyTermAnchors(classified) {
+  if (classified.some(t => ['month', 'date-iso', 'date-slash'].includes(t.type))) return;
+
+  const hasTerm = classified.some(t =>
+    ['term', 'term-year', 'term-scope'].includes(t.type) || t.raw === 'term'
+  );
+
+  classified.forEach((token, i) => {
+    const position = TERM_ANCHOR_WORDS[token.raw];
+    const next = classified[i + 1];
+    if (!position || !next) return;
+
+    const isWeek = next.type === 'week' && next.value === null && ['week', 'wk'].includes(next.raw);
+    const isDay = next.raw === 'day';
+    if (!isWeek && !isDay) return;
+
+    const isFollowedByOf = classified[i + 2] !== undefined && classified[i + 2].raw === 'of';
+    if (token.raw === 'last' && !isFollowedByOf && !hasTerm) return;
+
+    Object.assign(token, {
+      type: 'term-anchor',
+      value: { position, unit: isDay ? 'day' : 'week' },
+      confidence: 1.0
+    });
+  });
+}
+
 /**
  * Second pass: disambiguate unknown number tokens based on context.
  * Mutates the classified array in place.
@@ -152,31 +339,57 @@ function disambiguateNumbers(classified) {
   const hasTerm = classified.some(t => t.type === 'term' || t.type === 'term-year');
   const hasWeekKeyword = classified.some(t => t.type === 'week' && t.value === null);
   const hasWeekValue = classified.some(t => t.type === 'week' && t.value !== null);
+  const hasRangeConnector = classified.some(t => t.type === 'range-connector');
 
   for (const token of classified) {
     if (token.type !== 'unknown') continue;
 
-    // Strip ordinal suffix to get the number
-    const ordMatch = token.raw.match(ORDINAL_PATTERN);
-    const numStr = ordMatch ? ordMatch[1] : token.raw;
-    const num = parseInt(numStr);
+    // Bare number range next to a term or week keyword: "weeks 3-5 hilary"
+    const rangeMatch = token.raw.match(NUMBER_RANGE_PATTERN);
+    if (rangeMatch && (hasTerm || hasWeekKeyword)) {
+      Object.assign(token, classifyWeekRange(token.raw, parseInt(rangeMatch[1]), parseInt(rangeMatch[2])));
+      continue;
+    }
 
-    if (isNaN(num)) continue;
+    const number = parseNumber(token.raw);
+    if (!number) continue;
+    const num = number.value;
 
     // If month present, number 1-31 -> day-number
     if (hasMonth && num >= 1 && num <= 31) {
       token.type = 'day-number';
       token.value = num;
-      token.confidence = 1.0;
+      token.confidence = number.confidence;
       continue;
     }
 
-    // If term or week keyword present but no week value, number 0-12 -> week-number
-    if ((hasTerm || hasWeekKeyword) && !hasWeekValue && num >= 0 && num <= 12) {
+    // If term or week keyword present but no week value, a term week number -> week-number.
+    // A range may mix both forms: "w3 to 5 mt25"
+    if ((hasTerm || hasWeekKeyword) && (!hasWeekValue || hasRangeConnector) && isTermWeek(num)) {
       token.type = 'week-number';
       token.value = num;
-      token.confidence = 1.0;
+      token.confidence = number.confidence;
       continue;
     }
   }
 }
+
+/**
+ * Read a number token: "5", an ordinal "5th", or a spelled-out ordinal "fifth",
+ * tolerating typos in the spelling ("eigth", "nougth")
+ * @param {string} raw
+ * @returns {{ value: number, confidence: number }|null}
+ */
+function parseNumber(raw) {
+  // Strip ordinal suffix to get the number
+  const ordMatch = raw.match(ORDINAL_PATTERN);
+  const num = parseInt(ordMatch ? ordMatch[1] : raw);
+  if (!isNaN(num)) return { value: num, confidence: 1.0 };
+
+  if (ORDINAL_WORDS[raw] !== undefined) return { value: ORDINAL_WORDS[raw], confidence: 1.0 };
+
+  const ordinalFuzzy = findClosestMatch(raw, FUZZY_ORDINAL_CANDIDATES);
+  return ordinalFuzzy
+    ? { value: ORDINAL_WORDS[ordinalFuzzy.match], confidence: ordinalFuzzy.confidence }
+    : null;
+}
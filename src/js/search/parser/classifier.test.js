@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { classifyTokens } from './classifier.js';
+import { setCalendarProfile } from '../../data/termService.js';
+import { OXFORD_PROFILE } from '../../data/profiles.js';
 
 describe('classifyTokens', () => {
   describe('term classification', () => {
@@ -91,6 +93,17 @@ describe('classifyTokens', () => {
       const result = classifyTokens(['w15']);
       expect(result[0].type).toBe('unknown');
     });
+
+    it('should take the week range from the active profile', () => {
+      setCalendarProfile({ ...OXFORD_PROFILE, weeks: { first: 0, last: 10 } });
+      try {
+        expect(classifyTokens(['w10'])[0]).toMatchObject({ type: 'week', value: 10 });
+        expect(classifyTokens(['w11'])[0].type).toBe('unknown');
+        expect(classifyTokens(['w3-11'])[0].type).toBe('unknown');
+      } finally {
+        setCalendarProfile('oxford');
+      }
+    });
   });
 
   describe('day classification', () => {
@@ -174,6 +187,114 @@ describe('classifyTokens', () => {
     });
   });
 
+  describe('term anchors', () => {
+    it('should classify "last week of trinity" as a term anchor', () => {
+      const result = classifyTokens(['last', 'week', 'of', 'trinity']);
+      expect(result[0]).toMatchObject({ type: 'term-anchor', value: { position: 'last', unit: 'week' } });
+    });
+
+    it('should keep a bare "last week" relative', () => {
+      expect(classifyTokens(['last', 'week'])[0]).toMatchObject({ type: 'relative', value: 'last' });
+    });
+
+    it('should classify "final week" and "first day" as term anchors', () => {
+      expect(classifyTokens(['final', 'week'])[0].value).toEqual({ position: 'last', unit: 'week' });
+      expect(classifyTokens(['first', 'day', 'of', 'full', 'term'])[0].value).toEqual({ position: 'first', unit: 'day' });
+    });
+
+    it('should not anchor weeks of a month', () => {
+      expect(classifyTokens(['first', 'week', 'of', 'march'])[0].type).toBe('day-number');
+    });
+
+    it('should classify "full" and "extended" as term scopes', () => {
+      expect(classifyTokens(['full'])[0]).toMatchObject({ type: 'term-scope', value: 'full' });
+      expect(classifyTokens(['extended'])[0]).toMatchObject({ type: 'term-scope', value: 'extended' });
+    });
+  });
+
+  describe('range classification', () => {
+    it('should classify "w3-5" and "w3-w5" as week-range', () => {
+      expect(classifyTokens(['w3-5'])[0]).toMatchObject({ type: 'week-range', value: { from: 3, to: 5 } });
+      expect(classifyTokens(['w3-w5'])[0]).toMatchObject({ type: 'week-range', value: { from: 3, to: 5 } });
+    });
+
+    it('should classify bare "3-5" as week-range next to a week keyword', () => {
+      const result = classifyTokens(['weeks', '3-5', 'hilary']);
+      expect(result[0]).toMatchObject({ type: 'week', value: null });
+      expect(result[1]).toMatchObject({ type: 'week-range', value: { from: 3, to: 5 } });
+    });
+
+    it('should leave bare "3-5" unknown without context', () => {
+      expect(classifyTokens(['3-5'])[0].type).toBe('unknown');
+    });
+
+    it('should reject week ranges beyond week 12', () => {
+      expect(classifyTokens(['w3-15'])[0].type).toBe('unknown');
+    });
+
+    it('should classify connectors and "from"', () => {
+      expect(classifyTokens(['to'])[0]).toMatchObject({ type: 'range-connector', value: 'to' });
+      expect(classifyTokens(['until'])[0]).toMatchObject({ type: 'range-connector' });
+      expect(classifyTokens(['-'])[0]).toMatchObject({ type: 'range-connector' });
+      expect(classifyTokens(['from'])[0]).toMatchObject({ type: 'range-start' });
+    });
+
+    it('should classify both numbers in "w3 to 5 mt25" as weeks', () => {
+      const result = classifyTokens(['w3', 'to', '5', 'mt25']);
+      expect(result[2]).toMatchObject({ type: 'week-number', value: 5 });
+    });
+  });
+
+  describe('duration words', () => {
+    it('should classify "many" and "long" as duration', () => {
+      expect(classifyTokens(['many'])[0]).toMatchObject({ type: 'duration', value: 'many' });
+      expect(classifyTokens(['long'])[0]).toMatchObject({ type: 'duration', value: 'long' });
+    });
+
+    it('should classify "days" as a day unit', () => {
+      expect(classifyTokens(['days'])[0]).toMatchObject({ type: 'duration-unit', value: 'days' });
+    });
+
+    it('should classify "weeks" as a week keyword', () => {
+      expect(classifyTokens(['weeks'])[0]).toMatchObject({ type: 'week', value: null });
+    });
+
+    it('should classify "left" and "remaining" as remaining', () => {
+      expect(classifyTokens(['left'])[0]).toMatchObject({ type: 'remaining' });
+      expect(classifyTokens(['remaining'])[0]).toMatchObject({ type: 'remaining' });
+    });
+  });
+
+  describe('event classification', () => {
+    it('should classify a named event', () => {
+      expect(classifyTokens(['encaenia'])[0]).toMatchObject({ type: 'event', value: 'Encaenia', confidence: 1.0 });
+    });
+
+    it('should fuzzy-match a misspelled event name', () => {
+      const result = classifyTokens(['encenia'])[0];
+      expect(result.type).toBe('event');
+      expect(result.value).toBe('Encaenia');
+      expect(result.confidence).toBeLessThan(1.0);
+    });
+
+    it('should leave the surrounding tokens alone', () => {
+      const result = classifyTokens(['when', 'is', 'encaenia', '2026']);
+      expect(result.map(t => t.type)).toEqual(['question', 'question', 'event', 'year']);
+    });
+  });
+
+  describe('recurrence classification', () => {
+    it('should classify plural day names as days', () => {
+      expect(classifyTokens(['thursdays'])[0]).toMatchObject({ type: 'day', value: 4, confidence: 1.0 });
+    });
+
+    it('should classify recurrence and parity words', () => {
+      const result = classifyTokens(['every', 'monday', 'even', 'weeks']);
+      expect(result.map(t => t.type)).toEqual(['recurrence', 'day', 'week-parity', 'week']);
+      expect(result[2].value).toBe('even');
+    });
+  });
+
   describe('noise words', () => {
     it('should classify "the", "of", "in" as noise', () => {
       const result = classifyTokens(['the', 'of', 'in']);
@@ -213,6 +334,44 @@ describe('classifyTokens', () => {
       expect(fifth.value).toBe(5);
     });
 
+    it('should classify ordinal weeks: "1st week", "6th wk"', () => {
+      expect(classifyTokens(['1st', 'week'])[0]).toMatchObject({ type: 'week-number', value: 1 });
+      expect(classifyTokens(['6th', 'wk'])[0]).toMatchObject({ type: 'week-number', value: 6 });
+    });
+
+    it('should classify spelled-out ordinal weeks', () => {
+      expect(classifyTokens(['noughth', 'week'])[0]).toMatchObject({ type: 'week-number', value: 0 });
+      expect(classifyTokens(['zeroth', 'week'])[0]).toMatchObject({ type: 'week-number', value: 0 });
+      expect(classifyTokens(['sixth', 'week', 'of', 'hilary'])[0]).toMatchObject({ type: 'week-number', value: 6 });
+      expect(classifyTokens(['twelfth', 'week'])[0]).toMatchObject({ type: 'week-number', value: 12, confidence: 1.0 });
+    });
+
+    it('should fuzzy match misspelled ordinal weeks', () => {
+      const eighth = classifyTokens(['eigth', 'week'])[0];
+      expect(eighth).toMatchObject({ type: 'week-number', value: 8 });
+      expect(eighth.confidence).toBeLessThan(1.0);
+      expect(classifyTokens(['nougth', 'week', 'mt'])[0]).toMatchObject({ type: 'week-number', value: 0 });
+    });
+
+    it('should read ordinal weeks with two letters swapped', () => {
+      expect(classifyTokens(['thrid', 'week'])[0]).toMatchObject({ type: 'week-number', value: 3 });
+      expect(classifyTokens(['sixht', 'week', 'hilary'])[0]).toMatchObject({ type: 'week-number', value: 6 });
+    });
+
+    it('should leave an unreadable ordinal before "week" unknown', () => {
+      const result = classifyTokens(['twentieth', 'week', 'hilary']);
+      expect(result[0]).toMatchObject({ type: 'unknown', value: 'twentieth' });
+    });
+
+    it('should read a spelled-out ordinal next to a month as a day', () => {
+      const result = classifyTokens(['first', 'of', 'march']);
+      expect(result[0]).toMatchObject({ type: 'day-number', value: 1 });
+    });
+
+    it('should leave spelled-out ordinals unknown without context', () => {
+      expect(classifyTokens(['fifth'])[0].type).toBe('unknown');
+    });
+
     it('should leave ambiguous number as unknown when no context', () => {
       const result = classifyTokens(['5']);
       expect(result[0].type).toBe('unknown');
@@ -1,20 +1,25 @@
+import { OXFORD_PROFILE, getTermNames } from '../../data/profiles.js';
+
 /**
  * Compute the current context from today's date and term data.
  * Used by the default resolver to fill missing entities.
  * @param {Object} termData - Loaded terms data (same shape as terms.json)
+ * @param {Object} profile - Calendar profile the term data belongs to
  * @returns {{ today: Date, currentTerm: string, currentWeek: number|null, currentAcademicYear: string, inTerm: boolean }}
  */
-export function getCurrentContext(termData) {
+export function getCurrentContext(termData, profile = OXFORD_PROFILE) {
+  const termNames = getTermNames(profile);
+
   const today = new Date();
   today.setHours(0, 0, 0, 0);
 
   // Try to find which term/week we're in
   for (const yearData of termData.terms) {
-    for (const termName of ['michaelmas', 'hilary', 'trinity']) {
+    for (const termName of termNames) {
       const term = yearData[termName];
       if (!term) continue;
 
-      for (let w = 0; w <= 12; w++) {
+      for (let w = profile.weeks.first; w <= profile.weeks.last; w++) {
         const week = term[`week${w}`];
         if (!week) continue;
 
@@ -41,7 +46,7 @@ export function getCurrentContext(termData) {
   let nearestStart = null;
 
   for (const yearData of termData.terms) {
-    for (const termName of ['michaelmas', 'hilary', 'trinity']) {
+    for (const termName of termNames) {
       const term = yearData[termName];
       if (!term) continue;
 
@@ -64,7 +69,7 @@ export function getCurrentContext(termData) {
 
   return {
     today,
-    currentTerm: nearestTerm || guessTerm(today),
+    currentTerm: nearestTerm || guessTerm(today, profile),
     currentWeek: null,
     currentAcademicYear: academicYear,
     inTerm: false
@@ -85,9 +90,8 @@ export function guessAcademicYear(date) {
   return `${year - 1}-${year.toString().slice(-2)}`;
 }
 
-export function guessTerm(date) {
+export function guessTerm(date, profile = OXFORD_PROFILE) {
   const month = date.getMonth() + 1;
-  if (month >= 10 || month <= 1) return 'michaelmas';
-  if (month >= 2 && month <= 4) return 'hilary';
-  return 'trinity';
+  const term = profile.terms.find(t => t.months.includes(month));
+  return term ? term.name : profile.terms[profile.terms.length - 1].name;
 }
@@ -1,4 +1,13 @@
-const TERM_ORDER = ['michaelmas', 'hilary', 'trinity'];
+import { getCalendarProfile, getFullTermWeeks, getExtendedTermWeeks } from '../../data/termService.js';
+import { getTermNames, getTermDefinition, getAcademicYearForTerm } from '../../data/profiles.js';
+
+/**
+ * Terms of the active calendar profile in academic-year order
+ * @returns {string[]}
+ */
+function getTermOrder() {
+  return getTermNames(getCalendarProfile());
+}
 
 /**
  * Apply defaults to fill missing entities, and format into ParsedQuery.
@@ -26,6 +35,21 @@ export function applyDefaults(intent, context) {
     case 'relative':
       return resolveRelative(entities, context);
 
+    case 'range':
+      return resolveRange(entities, context);
+
+    case 'duration':
+      return resolveDuration(entities, context);
+
+    case 'offset':
+      return resolveOffset(entities, context);
+
+    case 'event':
+      return resolveEvent(entities, context);
+
+    case 'recurrence':
+      return resolveRecurrence(entities, missing, assumed, context);
+
     case 'invalid':
     default:
       return buildError(entities);
@@ -46,6 +70,9 @@ function resolveTermWeek(entities, missing, assumed, context) {
   }
 
   year = normalizeAcademicYear(year, term);
+  if (entities.termAnchor) {
+    week = getAnchorWeek(entities.termAnchor, entities.scope, term);
+  }
 
   return {
     type: 'term-week',
@@ -70,6 +97,11 @@ function resolveDayTermWeek(entities, missing, assumed, context) {
   }
 
   year = normalizeAcademicYear(year, term);
+  if (entities.termAnchor) {
+    week = getAnchorWeek(entities.termAnchor, entities.scope, term);
+    // The first day of a term is its first Sunday, the last its last Saturday
+    dayOfWeek = dayOfWeek ?? (entities.termAnchor.position === 'first' ? 0 : 6);
+  }
 
   return {
     type: 'day-term-week',
@@ -84,6 +116,11 @@ function resolveDayTermWeek(entities, missing, assumed, context) {
 function resolveTermInfo(entities, missing, assumed, context, variant) {
   let { term, year } = entities;
 
+  if (missing.includes('term')) {
+    term = context.currentTerm;
+    assumed.push('term');
+  }
+
   if (missing.includes('year') && !year) {
     year = context.currentAcademicYear;
     assumed.push('year');
@@ -96,6 +133,7 @@ function resolveTermInfo(entities, missing, assumed, context, variant) {
     term,
     week: 1,
     year,
+    ...(entities.scope === 'extended' ? { scope: 'extended' } : {}),
     ...(variant ? { variant } : {}),
     ...(assumed.length > 0 ? { assumed } : {})
   };
@@ -172,13 +210,22 @@ function resolveRelative(entities, context) {
         week: Math.max(0, (context.currentWeek ?? 1) - 1),
         year: context.currentAcademicYear
       };
+    case 'this-term':
+    case 'current-term':
+      return {
+        type: 'term-info',
+        term: context.currentTerm,
+        week: 1,
+        year: context.currentAcademicYear
+      };
     case 'next-term': {
-      const idx = TERM_ORDER.indexOf(context.currentTerm);
-      const nextIdx = (idx + 1) % 3;
-      const nextTerm = TERM_ORDER[nextIdx];
+      const termOrder = getTermOrder();
+      const idx = termOrder.indexOf(context.currentTerm);
+      const nextIdx = (idx + 1) % termOrder.length;
+      const nextTerm = termOrder[nextIdx];
       // If wrapping from trinity to michaelmas, advance the academic year
       let year = context.currentAcademicYear;
-      if (nextIdx === 0 && idx === 2) {
+      if (nextIdx === 0 && idx === termOrder.length - 1) {
         year = advanceAcademicYear(year);
       }
       return { type: 'term-week', term: nextTerm, week: 1, year };
@@ -188,6 +235,194 @@ function resolveRelative(entities, context) {
   }
 }
 
+function resolveRange(entities, context) {
+  let from = applyDefaults(entities.from, context);
+  let to = applyDefaults(entities.to, context);
+
+  if (from.type === 'invalid' || to.type === 'invalid') {
+    return buildError({});
+  }
+
+  // A borrowed calendar year normalizes differently per term, so give both
+  // ends the same academic year: "week 8 michaelmas to week 2 hilary 2026"
+  if (from.type !== 'date' && to.type !== 'date') {
+    if (isYearImplicit(entities.from, from)) {
+      from = { ...from, year: to.year };
+    } else if (isYearImplicit(entities.to, to)) {
+      to = { ...to, year: from.year };
+    }
+  }
+
+  // A range that wraps past the end of a year moves its implicit year:
+  // "1 december to 20 january 2027", "trinity to michaelmas"
+  if (compareEndpoints(from, to) > 0 && wrapsAroundYear(from, to)) {
+    if (isYearImplicit(entities.to, to)) {
+      to = shiftEndpointYear(to, 1);
+    } else if (isYearImplicit(entities.from, from)) {
+      from = shiftEndpointYear(from, -1);
+    }
+  }
+
+  const assumed = [...new Set([...(from.assumed || []), ...(to.assumed || [])])];
+
+  return {
+    type: 'range',
+    from,
+    to,
+    ...(assumed.length > 0 ? { assumed } : {})
+  };
+}
+
+function resolveDuration(entities, context) {
+  const { unit, boundary } = entities;
+
+  // No explicit target ("days left in term") counts to the current term
+  const target = entities.target
+    ? applyDefaults(entities.target, context)
+    : {
+        type: 'term-info',
+        term: context.currentTerm,
+        week: 1,
+        year: context.currentAcademicYear,
+        assumed: ['term', 'year']
+      };
+
+  if (target.type === 'invalid') return target;
+
+  return {
+    type: 'duration',
+    unit,
+    boundary,
+    from: toISO(context.today),
+    target,
+    ...(target.assumed ? { assumed: target.assumed } : {})
+  };
+}
+
+function resolveOffset(entities, context) {
+  const { amount, unit, direction, boundary, ordinal } = entities;
+
+  // No explicit anchor ("after the start of full term") counts from the current term
+  const anchor = entities.anchor
+    ? applyDefaults(entities.anchor, context)
+    : {
+        type: 'term-info',
+        term: context.currentTerm,
+        week: 1,
+        year: context.currentAcademicYear,
+        assumed: ['term', 'year']
+      };
+
+  if (anchor.type === 'invalid') return anchor;
+
+  return {
+    type: 'offset',
+    amount,
+    unit,
+    direction,
+    boundary,
+    ...(ordinal ? { ordinal } : {}),
+    anchor,
+    ...(anchor.assumed ? { assumed: anchor.assumed } : {})
+  };
+}
+
+function resolveEvent(entities, context) {
+  const { event, year } = entities;
+
+  // Without a year the search picks the next occurrence on or after today
+  return {
+    type: 'event',
+    event,
+    ...(year ? { year } : {}),
+    from: toISO(context.today)
+  };
+}
+
+function resolveRecurrence(entities, missing, assumed, context) {
+  let { term, year } = entities;
+
+  if (missing.includes('term')) {
+    term = context.currentTerm;
+    assumed.push('term');
+  }
+
+  if (missing.includes('year') && !year) {
+    year = context.currentAcademicYear;
+    assumed.push('year');
+  }
+
+  year = normalizeAcademicYear(year, term);
+
+  // Without weeks the schedule runs through Full Term
+  const { firstWeek, lastWeek } = getTermDefinition(getCalendarProfile(), term).fullTerm;
+  const weeks = entities.weeks || { from: firstWeek, to: lastWeek };
+
+  return {
+    type: 'recurrence',
+    term,
+    year,
+    daysOfWeek: entities.daysOfWeek,
+    fromWeek: weeks.from,
+    toWeek: weeks.to,
+    ...(entities.parity ? { parity: entities.parity } : {}),
+    ...(assumed.length > 0 ? { assumed } : {})
+  };
+}
+
+/**
+ * Get the week a term anchor names: the first or last week of Full Term,
+ * or of extended term ("last week of extended term")
+ * @param {{ position: string }} termAnchor - 'first' or 'last' position
+ * @param {string} [scope] - 'full' or 'extended'
+ * @param {string} term - Term name
+ * @returns {number} Week number
+ */
+function getAnchorWeek(termAnchor, scope, term) {
+  const { firstWeek, lastWeek } = scope === 'extended' ? getExtendedTermWeeks() : getFullTermWeeks(term);
+  return termAnchor.position === 'first' ? firstWeek : lastWeek;
+}
+
+/**
+ * Order two resolved range endpoints without looking up term data.
+ * Returns 0 when endpoints are of different kinds and cannot be compared.
+ */
+function compareEndpoints(a, b) {
+  if (a.type === 'date' && b.type === 'date') {
+    return a.date.localeCompare(b.date);
+  }
+  if (a.type === 'date' || b.type === 'date') return 0;
+
+  const key = (p) => [
+    p.year,
+    getTermOrder().indexOf(p.term),
+    String(p.week).padStart(2, '0'),
+    p.dayOfWeek ?? 0
+  ].join('|');
+  return key(a).localeCompare(key(b));
+}
+
+function wrapsAroundYear(from, to) {
+  if (from.type === 'date' && to.type === 'date') {
+    return from.date.slice(5, 7) > to.date.slice(5, 7);
+  }
+  const termOrder = getTermOrder();
+  return termOrder.indexOf(from.term) > termOrder.indexOf(to.term);
+}
+
+function isYearImplicit(endpointIntent, resolved) {
+  return (endpointIntent.inherited || []).includes('year') ||
+    (resolved.assumed || []).includes('year');
+}
+
+function shiftEndpointYear(endpoint, delta) {
+  if (endpoint.type === 'date') {
+    const [y, m, d] = endpoint.date.split('-').map(Number);
+    return { ...endpoint, date: formatDateStr(y + delta, m, d) };
+  }
+  return { ...endpoint, year: shiftAcademicYear(endpoint.year, delta) };
+}
+
 function buildError(entities) {
   const understood = {};
   for (const [k, v] of Object.entries(entities)) {
@@ -217,16 +452,16 @@ function normalizeAcademicYear(year, term) {
   const y = parseInt(year);
   if (isNaN(y)) return year;
 
-  if (term === 'michaelmas') {
-    return `${y}-${(y + 1).toString().slice(-2)}`;
-  } else {
-    return `${y - 1}-${y.toString().slice(-2)}`;
-  }
+  return getAcademicYearForTerm(getCalendarProfile(), term, y);
 }
 
 function advanceAcademicYear(year) {
+  return shiftAcademicYear(year, 1);
+}
+
+function shiftAcademicYear(year, delta) {
   const parts = year.split('-');
-  const start = parseInt(parts[0]) + 1;
+  const start = parseInt(parts[0]) + delta;
   return `${start}-${(start + 1).toString().slice(-2)}`;
 }
 
@@ -161,6 +161,57 @@ describe('applyDefaults', () => {
     });
   });
 
+  describe('term anchor defaults', () => {
+    it('should resolve the last week of Full Term', () => {
+      const intent = {
+        intent: 'term-week',
+        entities: { term: 'trinity', termAnchor: { position: 'last', unit: 'week' } },
+        missing: ['year']
+      };
+      expect(applyDefaults(intent, mockContext)).toMatchObject({ type: 'term-week', term: 'trinity', week: 8 });
+    });
+
+    it('should resolve the last week of extended term', () => {
+      const intent = {
+        intent: 'term-week',
+        entities: { termAnchor: { position: 'last', unit: 'week' }, scope: 'extended' },
+        missing: ['term', 'year']
+      };
+      expect(applyDefaults(intent, mockContext)).toMatchObject({ term: 'hilary', week: 12 });
+    });
+
+    it('should resolve the first and last days of Full Term to Sunday and Saturday', () => {
+      const anchorDay = (position) => applyDefaults({
+        intent: 'day-term-week',
+        entities: { termAnchor: { position, unit: 'day' }, scope: 'full' },
+        missing: ['term', 'year']
+      }, mockContext);
+      expect(anchorDay('first')).toMatchObject({ type: 'day-term-week', dayOfWeek: 0, week: 1 });
+      expect(anchorDay('last')).toMatchObject({ type: 'day-term-week', dayOfWeek: 6, week: 8 });
+    });
+
+    it('should keep an explicit day in the anchored week', () => {
+      const intent = {
+        intent: 'day-term-week',
+        entities: { dayOfWeek: 5, term: 'hilary', termAnchor: { position: 'last', unit: 'week' } },
+        missing: ['year']
+      };
+      expect(applyDefaults(intent, mockContext)).toMatchObject({ dayOfWeek: 5, week: 8 });
+    });
+
+    it('should fill the current term for the end of extended term', () => {
+      const intent = {
+        intent: 'term-info',
+        entities: { scope: 'extended' },
+        missing: ['term', 'year'],
+        variant: 'end'
+      };
+      expect(applyDefaults(intent, mockContext)).toMatchObject({
+        type: 'term-info', term: 'hilary', scope: 'extended', variant: 'end', assumed: ['term', 'year']
+      });
+    });
+  });
+
   describe('day-term-week defaults', () => {
     it('should fill missing term and year', () => {
       const intent = {
@@ -176,6 +227,166 @@ describe('applyDefaults', () => {
     });
   });
 
+  describe('range defaults', () => {
+    const termWeek = (entities, missing, inherited = []) => ({ intent: 'term-week', entities, missing, inherited });
+    const date = (entities, missing, inherited = []) => ({ intent: 'date', entities, missing, inherited });
+
+    it('should resolve both endpoints', () => {
+      const intent = {
+        intent: 'range',
+        entities: {
+          from: termWeek({ week: 3, term: 'hilary' }, ['year']),
+          to: termWeek({ week: 5, term: 'hilary' }, ['year'])
+        },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.type).toBe('range');
+      expect(result.from).toMatchObject({ type: 'term-week', week: 3, term: 'hilary', year: '2024-25' });
+      expect(result.to).toMatchObject({ type: 'term-week', week: 5, year: '2024-25' });
+      expect(result.assumed).toContain('year');
+    });
+
+    it('should align a borrowed calendar year across terms', () => {
+      const intent = {
+        intent: 'range',
+        entities: {
+          from: termWeek({ week: 8, term: 'michaelmas', year: '2026' }, [], ['year']),
+          to: termWeek({ week: 2, term: 'hilary', year: '2026' }, [])
+        },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.from.year).toBe('2025-26');
+      expect(result.to.year).toBe('2025-26');
+    });
+
+    it('should move the implicit year forward when a date range wraps the new year', () => {
+      const intent = {
+        intent: 'range',
+        entities: {
+          from: date({ dayNumber: 1, month: 12, year: '2027' }, [], ['year']),
+          to: date({ dayNumber: 20, month: 1, year: '2027' }, [])
+        },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.from.date).toBe('2026-12-01');
+      expect(result.to.date).toBe('2027-01-20');
+    });
+
+    it('should leave a reversed range within one term unchanged', () => {
+      const intent = {
+        intent: 'range',
+        entities: {
+          from: termWeek({ week: 5, term: 'michaelmas', year: '2025-26' }, [], ['term', 'year']),
+          to: termWeek({ week: 3, term: 'michaelmas', year: '2025-26' }, [])
+        },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.from.year).toBe('2025-26');
+      expect(result.from.week).toBe(5);
+    });
+  });
+
+  describe('duration defaults', () => {
+    it('should count from today to an explicit target', () => {
+      const intent = {
+        intent: 'duration',
+        entities: {
+          unit: 'weeks',
+          boundary: 'start',
+          target: { intent: 'term-info', entities: { term: 'trinity' }, missing: ['year'] }
+        },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.type).toBe('duration');
+      expect(result.from).toBe('2025-02-05');
+      expect(result.target).toMatchObject({ type: 'term-info', term: 'trinity', year: '2024-25' });
+      expect(result.assumed).toContain('year');
+    });
+
+    it('should default to the current term when there is no target', () => {
+      const intent = {
+        intent: 'duration',
+        entities: { unit: 'days', boundary: 'end', target: null },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.boundary).toBe('end');
+      expect(result.target).toMatchObject({ type: 'term-info', term: 'hilary', year: '2024-25' });
+    });
+  });
+
+  describe('offset defaults', () => {
+    it('should fill the anchor from context', () => {
+      const intent = {
+        intent: 'offset',
+        entities: {
+          amount: 3,
+          unit: 'weeks',
+          direction: 'after',
+          boundary: null,
+          anchor: { intent: 'term-week', entities: { week: 2 }, missing: ['term', 'year'] }
+        },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result).toMatchObject({ type: 'offset', amount: 3, unit: 'weeks', direction: 'after', boundary: null });
+      expect(result.anchor).toMatchObject({ type: 'term-week', term: 'hilary', week: 2, year: '2024-25' });
+      expect(result.assumed).toEqual(['term', 'year']);
+    });
+
+    it('should count from the current term when there is no anchor', () => {
+      const intent = {
+        intent: 'offset',
+        entities: { amount: 9, unit: 'days', direction: 'after', boundary: 'start', ordinal: 10, anchor: null },
+        missing: []
+      };
+      const result = applyDefaults(intent, mockContext);
+      expect(result.ordinal).toBe(10);
+      expect(result.anchor).toMatchObject({ type: 'term-info', term: 'hilary', year: '2024-25' });
+    });
+  });
+
+  describe('recurrence defaults', () => {
+    it('should fill term, year and Full Term weeks from context', () => {
+      const intent = {
+        intent: 'recurrence',
+        entities: { daysOfWeek: [4], weeks: null },
+        missing: ['term', 'year']
+      };
+      expect(applyDefaults(intent, mockContext)).toEqual({
+        type: 'recurrence',
+        term: 'hilary',
+        year: '2024-25',
+        daysOfWeek: [4],
+        fromWeek: 1,
+        toWeek: 8,
+        assumed: ['term', 'year']
+      });
+    });
+
+    it('should keep explicit weeks and parity and normalize the year', () => {
+      const intent = {
+        intent: 'recurrence',
+        entities: { daysOfWeek: [1], weeks: { from: 0, to: 4 }, parity: 'odd', term: 'michaelmas', year: '2025' },
+        missing: []
+      };
+      expect(applyDefaults(intent, mockContext)).toEqual({
+        type: 'recurrence',
+        term: 'michaelmas',
+        year: '2025-26',
+        daysOfWeek: [1],
+        fromWeek: 0,
+        toWeek: 4,
+        parity: 'odd'
+      });
+    });
+  });
+
   describe('error reporting', () => {
     it('should return invalid with helpful error for unresolvable queries', () => {
       const intent = { intent: 'invalid', entities: {}, missing: [] };
@@ -1,5 +1,6 @@
 /**
- * Compute Levenshtein distance between two strings
+ * Compute Levenshtein distance between two strings, counting a swap of two
+ * adjacent letters ("thrid") as one edit (optimal string alignment)
  * @param {string} a
  * @param {string} b
  * @returns {number}
@@ -20,6 +21,9 @@ export function levenshtein(a, b) {
         matrix[i][j - 1] + 1,      // insertion
         matrix[i - 1][j - 1] + cost // substitution
       );
+      if (i > 1 && j > 1 && a[j - 1] === b[i - 2] && a[j - 2] === b[i - 1]) {
+        matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1); // transposition
+      }
     }
   }
   return matrix[b.length][a.length];
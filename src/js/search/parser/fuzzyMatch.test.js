@@ -23,15 +23,16 @@ describe('levenshtein', () => {
     expect(levenshtein('cats', 'cat')).toBe(1);
   });
 
-  it('should handle transposition as 2 operations', () => {
-    expect(levenshtein('ab', 'ba')).toBe(2);
+  it('should count swapping adjacent letters as one edit', () => {
+    expect(levenshtein('ab', 'ba')).toBe(1);
+    expect(levenshtein('thrid', 'third')).toBe(1);
   });
 
   it('should compute correct distance for real typos', () => {
-    expect(levenshtein('michaelmas', 'michealmas')).toBe(2); // transposed 'ae' -> 'ea'
+    expect(levenshtein('michaelmas', 'michealmas')).toBe(1); // transposed 'ae' -> 'ea'
     expect(levenshtein('trinity', 'trinty')).toBe(1);        // missing 'i'
     expect(levenshtein('hilary', 'hilry')).toBe(1);           // missing 'a'
-    expect(levenshtein('wednesday', 'wedensday')).toBe(2);
+    expect(levenshtein('wednesday', 'wedensday')).toBe(1);
   });
 });
 
@@ -51,10 +52,10 @@ describe('findClosestMatch', () => {
     expect(result.confidence).toBeLessThan(1.0);
   });
 
-  it('should find michaelmas for michealmas (distance 2)', () => {
+  it('should find michaelmas for michealmas (one transposition)', () => {
     const result = findClosestMatch('michealmas', candidates);
     expect(result.match).toBe('michaelmas');
-    expect(result.distance).toBe(2);
+    expect(result.distance).toBe(1);
   });
 
   it('should return null when no match within threshold', () => {
@@ -1,4 +1,8 @@
-import { CONVERSATIONAL_PATTERNS } from './patterns.js';
+import {
+  CONVERSATIONAL_PATTERNS, COUNTDOWN_KEYWORDS, PLURAL_DAY_NAMES, ORDINAL_PATTERN, ORDINAL_WORDS,
+  ORDINAL_LIKE_PATTERN
+} from './patterns.js';
+import { getExtendedTermWeeks } from '../../data/termService.js';
 
 /**
  * Resolve intent from classified tokens.
@@ -10,10 +14,15 @@ export function resolveIntent(tokens) {
     return { intent: 'invalid', entities: {}, missing: [] };
   }
 
+  // Check for day and week arithmetic first: its amount is not a week number,
+  // and "when is 14 days after the start of hilary" is not asking when term starts
+  const offsetResult = resolveOffset(tokens);
+  if (offsetResult) return offsetResult;
+
   const entities = extractEntities(tokens);
   const rawWords = tokens.map(t => t.raw);
 
-  // Validate: if a week keyword is present with a number > 12, reject
+  // Validate: if a week keyword is present with a number past the profile's last week, reject
   const weekValidation = validateWeekNumber(tokens);
   if (weekValidation) return weekValidation;
 
@@ -23,16 +32,45 @@ export function resolveIntent(tokens) {
     return conversational;
   }
 
+  // Check for recurring schedules: "thursdays weeks 1-8 hilary", "every monday even weeks"
+  const recurrenceResult = resolveRecurrence(tokens);
+  if (recurrenceResult) return recurrenceResult;
+
+  // Check for durations: "how many weeks until trinity", "days left in term"
+  const durationResult = resolveDuration(tokens);
+  if (durationResult) return durationResult;
+
+  // Check for ranges: "weeks 3-5 hilary", "from 1 march to 20 april"
+  const rangeResult = resolveRange(tokens);
+  if (rangeResult) return rangeResult;
+
   // Check for relative queries
   const relativeResult = resolveRelative(tokens, entities);
   if (relativeResult) return relativeResult;
 
+  // Check for term boundaries: "end of trinity", "start of full term"
+  const boundaryResult = resolveTermBoundary(tokens, entities);
+  if (boundaryResult) return boundaryResult;
+
+  return resolveEntities(entities);
+}
+
+/**
+ * Entity-based resolution: pick the intent implied by which entities are present
+ * @param {Object} entities - Flat entities from extractEntities()
+ * @returns {{ intent: string, entities: Object, missing: string[] }}
+ */
+function resolveEntities(entities) {
+  // Named event: "encaenia 2026"; a year picks the occurrence, otherwise the next one
+  if (entities.event) {
+    return { intent: 'event', entities, missing: [] };
+  }
+
   // Check for date formats (ISO, slash)
   if (entities.dateIso || entities.dateSlash) {
     return { intent: 'date', entities, missing: [] };
   }
 
-  // Entity-based resolution
   const has = (key) => entities[key] !== undefined && entities[key] !== null;
 
   const hasDayOfWeek = has('dayOfWeek');
@@ -49,6 +87,15 @@ export function resolveIntent(tokens) {
     return { intent: 'date', entities, missing };
   }
 
+  // Term anchor: "last week of trinity", "friday of the final week", "first day of full term"
+  if (has('termAnchor') && !hasWeek) {
+    const missing = [];
+    if (!hasTerm) missing.push('term');
+    if (!hasYear) missing.push('year');
+    const isDay = hasDayOfWeek || entities.termAnchor.unit === 'day';
+    return { intent: isDay ? 'day-term-week' : 'term-week', entities, missing };
+  }
+
   // Day-term-week: day + week + term (+ optional year)
   if (hasDayOfWeek && hasWeek) {
     const missing = [];
@@ -65,9 +112,10 @@ export function resolveIntent(tokens) {
     return { intent: 'term-week', entities, missing };
   }
 
-  // Term-info: term (+ optional year, no week)
-  if (hasTerm) {
+  // Term-info: term or "full term" (+ optional year, no week)
+  if (hasTerm || has('scope')) {
     const missing = [];
+    if (!hasTerm) missing.push('term');
     if (!hasYear) missing.push('year');
     return { intent: 'term-info', entities, missing };
   }
@@ -77,21 +125,34 @@ export function resolveIntent(tokens) {
 
 /**
  * Validate week number: if a 'week' keyword is present alongside an unknown
- * number > 12, return an error intent. Handles "Week 13 Michaelmas 2026".
+ * number past the profile's last week, return an error intent. Handles
+ * "Week 13 Michaelmas 2026". An ordinal-like word that could not be read
+ * ("twentieth week") is an error too, rather than a query for week 1.
  */
 function validateWeekNumber(tokens) {
   const hasWeekKeyword = tokens.some(t => t.type === 'week' && t.value === null);
   if (!hasWeekKeyword) return null;
 
-  for (const token of tokens) {
+  const { firstWeek, lastWeek } = getExtendedTermWeeks();
+  for (const [i, token] of tokens.entries()) {
     if (token.type === 'unknown') {
+      const next = tokens[i + 1];
+      if (next && next.type === 'week' && next.value === null && ORDINAL_LIKE_PATTERN.test(token.raw)) {
+        return {
+          intent: 'invalid',
+          entities: {},
+          missing: [],
+          error: `Could not read "${token.raw}" as a week number`
+        };
+      }
+
       const num = parseInt(token.raw);
-      if (!isNaN(num) && num > 12) {
+      if (!isNaN(num) && num > lastWeek) {
         return {
           intent: 'invalid',
           entities: {},
           missing: [],
-          error: 'Week number must be between 0 and 12'
+          error: `Week number must be between ${firstWeek} and ${lastWeek}`
         };
       }
     }
@@ -143,12 +204,316 @@ function extractEntities(tokens) {
       case 'relative':
         entities.relative = token.value;
         break;
+      case 'event':
+        entities.event = token.value;
+        break;
+      case 'term-anchor':
+        entities.termAnchor = token.value;
+        break;
+      case 'term-scope':
+        entities.scope = token.value;
+        break;
     }
   }
 
   return entities;
 }
 
+/**
+ * Resolve recurring schedules into a 'recurrence' intent. A query recurs when it
+ * names a weekday in the plural ("thursdays") or with "every"/"each"/"weekly" or
+ * "even"/"odd"; the weeks are a range, a single week, or (if absent) Full Term.
+ */
+function resolveRecurrence(tokens) {
+  const dayTokens = tokens.filter(t => t.type === 'day');
+  const isRecurring = tokens.some(t => t.type === 'recurrence' || t.type === 'week-parity') ||
+    dayTokens.some(t => PLURAL_DAY_NAMES[t.raw] !== undefined);
+  if (!isRecurring || dayTokens.length === 0) return null;
+
+  const entities = extractEntities(tokens);
+  // Only term weeks recur: "every monday in march" is not a term schedule
+  if (entities.month || entities.dateIso || entities.dateSlash || entities.event || entities.relative) {
+    return null;
+  }
+
+  let weeks = null;
+  const weekRange = tokens.find(t => t.type === 'week-range');
+  const weekNumbers = tokens
+    .filter(t => (t.type === 'week' && t.value !== null) || t.type === 'week-number')
+    .map(t => t.value);
+  if (weekRange) {
+    weeks = weekRange.value;
+  } else if (weekNumbers.length === 1) {
+    weeks = { from: weekNumbers[0], to: weekNumbers[0] };
+  } else if (weekNumbers.length === 2 && tokens.some(t => t.type === 'range-connector')) {
+    weeks = { from: weekNumbers[0], to: weekNumbers[1] };
+  } else if (weekNumbers.length > 0) {
+    return null;
+  }
+
+  const parity = tokens.find(t => t.type === 'week-parity');
+  const missing = [];
+  if (!entities.term) missing.push('term');
+  if (!entities.year) missing.push('year');
+
+  return {
+    intent: 'recurrence',
+    entities: {
+      daysOfWeek: [...new Set(dayTokens.map(t => t.value))].sort((a, b) => a - b),
+      weeks,
+      ...(parity ? { parity: parity.value } : {}),
+      term: entities.term,
+      year: entities.year
+    },
+    missing
+  };
+}
+
+/** Intents that can be the target of a duration question */
+const DURATION_TARGET_INTENTS = ['term-info', 'term-week', 'day-term-week', 'date', 'relative', 'event'];
+
+/**
+ * Resolve countdown questions into a 'duration' intent.
+ * The target is the intent of whatever follows "until"; with no target
+ * ("days left in term") the default resolver counts to the end of the current term.
+ */
+function resolveDuration(tokens) {
+  const isQuestion = tokens.some(t => t.type === 'duration');
+  // A lone "left" is not a countdown: it needs a unit ("days left") or a term
+  // to count down ("left in term", "remaining in hilary")
+  const isRemaining = tokens.some(t => t.type === 'remaining') &&
+    tokens.some(t => isUnitToken(t) || t.type === 'term' || t.raw === 'term');
+
+  const countdownIndex = tokens.findIndex(t =>
+    t.type === 'range-connector' && COUNTDOWN_KEYWORDS.includes(t.value)
+  );
+
+  // "weeks until trinity" is a countdown, "week 3 until week 5" is a range
+  const isCountdown = countdownIndex > 0 &&
+    tokens.slice(0, countdownIndex).some(isUnitToken) &&
+    Object.keys(extractEntities(tokens.slice(0, countdownIndex))).length === 0;
+
+  if (!isRemaining && !(countdownIndex > 0 && (isQuestion || isCountdown))) return null;
+
+  const unitToken = tokens.find(isUnitToken);
+  const unit = unitToken && unitToken.type === 'duration-unit' ? 'days' : 'weeks';
+
+  const targetTokens = (countdownIndex > 0 ? tokens.slice(countdownIndex + 1) : tokens)
+    .filter(t => !isUnitToken(t));
+  const boundary = isRemaining || findBoundary(targetTokens) === 'end' ? 'end' : 'start';
+
+  const targetEntities = extractEntities(targetTokens);
+  const hasTargetEntities = Object.keys(targetEntities).length > 0;
+
+  let target = null;
+  if (hasTargetEntities) {
+    target = resolveRelative(targetTokens, targetEntities) || resolveEntities(targetEntities);
+    if (!DURATION_TARGET_INTENTS.includes(target.intent)) return null;
+  } else if (boundary !== 'end') {
+    return null;
+  }
+
+  return {
+    intent: 'duration',
+    entities: { unit, boundary, target },
+    missing: []
+  };
+}
+
+/** Intents an offset can count from */
+const OFFSET_ANCHOR_INTENTS = ['term-info', 'term-week', 'day-term-week', 'date', 'relative', 'event'];
+
+/**
+ * Resolve day and week arithmetic into an 'offset' intent: "14 days after the start
+ * of full term", "3 weeks after week 2", "a week before encaenia", "the 10th day of full term".
+ * The anchor is the intent of whatever follows the direction word; with no anchor
+ * ("after the start of full term") the default resolver counts from the current term.
+ * The boundary is null unless the query names the start or end of the anchor.
+ */
+function resolveOffset(tokens) {
+  const offset = matchOffsetAmount(tokens) || matchOffsetOrdinal(tokens);
+  if (!offset) return null;
+
+  const { anchorTokens, ...entities } = offset;
+  const anchorEntities = extractEntities(anchorTokens);
+
+  let anchor = null;
+  if (Object.keys(anchorEntities).length > 0) {
+    const weekValidation = validateWeekNumber(anchorTokens);
+    if (weekValidation) return weekValidation;
+
+    anchor = resolveRelative(anchorTokens, anchorEntities) || resolveEntities(anchorEntities);
+    if (!OFFSET_ANCHOR_INTENTS.includes(anchor.intent)) return null;
+  } else if (!anchorTokens.some(t => t.raw === 'term')) {
+    return null;
+  }
+
+  return {
+    intent: 'offset',
+    entities: { boundary: findBoundary(anchorTokens), ...entities, anchor },
+    missing: []
+  };
+}
+
+/**
+ * Match "<amount> <unit> before/after <anchor>", where the amount is a number or "a"
+ * @returns {{ amount: number, unit: string, direction: string, anchorTokens: Object[] }|null}
+ */
+function matchOffsetAmount(tokens) {
+  const directionIndex = tokens.findIndex(t => t.type === 'offset-direction');
+  if (directionIndex < 2 || !isUnitToken(tokens[directionIndex - 1])) return null;
+
+  const amountWord = tokens[directionIndex - 2].raw;
+  const amount = ['a', 'an'].includes(amountWord) ? 1 : parseInt(amountWord);
+  if (!/^(\d{1,3}|an?)$/.test(amountWord) || !isLeadIn(tokens.slice(0, directionIndex - 2))) {
+    return null;
+  }
+
+  return {
+    amount,
+    unit: tokens[directionIndex - 1].type === 'duration-unit' ? 'days' : 'weeks',
+    direction: tokens[directionIndex].value,
+    anchorTokens: tokens.slice(directionIndex + 1)
+  };
+}
+
+/**
+ * Match "the <ordinal> day of <anchor>" ("10th", "tenth"), counted from the anchor's first day
+ * @returns {{ amount: number, unit: string, direction: string, boundary: string,
+ *   ordinal: number, anchorTokens: Object[] }|null}
+ */
+function matchOffsetOrdinal(tokens) {
+  const dayIndex = tokens.findIndex((t, i) =>
+    t.type === 'duration-unit' && i > 0 && tokens[i + 1] && tokens[i + 1].raw === 'of'
+  );
+  if (dayIndex === -1 || !isLeadIn(tokens.slice(0, dayIndex - 1))) return null;
+  // "the first day of full term" is a term anchor
+  if (tokens[dayIndex - 1].type === 'term-anchor') return null;
+
+  const ordinalWord = tokens[dayIndex - 1].raw;
+  const ordinalMatch = ordinalWord.match(ORDINAL_PATTERN);
+  const ordinal = ordinalMatch ? parseInt(ordinalMatch[1]) : (ORDINAL_WORDS[ordinalWord] ?? 0);
+  if (ordinal < 1) return null;
+
+  return {
+    amount: ordinal - 1,
+    unit: 'days',
+    direction: 'after',
+    boundary: 'start',
+    ordinal,
+    anchorTokens: tokens.slice(dayIndex + 2)
+  };
+}
+
+/** Whether tokens before an offset are only filler: "when is", "the" */
+function isLeadIn(tokens) {
+  return tokens.every(t => t.type === 'noise' || t.type === 'question');
+}
+
+/** Whether a token is a unit of days or weeks: "days", "weeks", "wk" */
+function isUnitToken(token) {
+  return token.type === 'duration-unit' || (token.type === 'week' && token.value === null);
+}
+
+/**
+ * Find which end of a term, week or event the query names: "the end of full term"
+ * @returns {string|null} 'start', 'end' or null if neither is named
+ */
+function findBoundary(tokens) {
+  const words = tokens.map(t => t.raw);
+  if (['end', 'ends', 'finish', 'finishes'].some(w => words.includes(w))) return 'end';
+  if (['start', 'starts', 'beginning', 'begins'].some(w => words.includes(w))) return 'start';
+  return null;
+}
+
+/** Entities that make a query more specific than a whole term */
+const NON_TERM_ENTITIES = ['week', 'dayOfWeek', 'month', 'dayNumber', 'dateIso', 'dateSlash', 'relative', 'event', 'termAnchor'];
+
+/**
+ * Resolve "end of trinity", "start of full term" or "extended term end" into the
+ * start or end variant of a term-info intent, as "when does trinity end" does
+ */
+function resolveTermBoundary(tokens, entities) {
+  const variant = findBoundary(tokens);
+  const namesTerm = entities.term || entities.scope || tokens.some(t => t.raw === 'term');
+  if (!variant || !namesTerm || NON_TERM_ENTITIES.some(key => entities[key] !== undefined)) {
+    return null;
+  }
+  return termVariantIntent(entities, variant);
+}
+
+/**
+ * Build the term-info intent for the start or end of a term
+ * @param {Object} entities - Entities with term, year and scope, any of them missing
+ * @param {string} variant - 'start' or 'end'
+ */
+function termVariantIntent(entities, variant) {
+  const missing = [];
+  if (!entities.term) missing.push('term');
+  if (!entities.year) missing.push('year');
+  return {
+    intent: 'term-info',
+    entities: { term: entities.term, year: entities.year, ...(entities.scope ? { scope: entities.scope } : {}) },
+    missing,
+    variant
+  };
+}
+
+/** Intents that can form either end of a range */
+const RANGE_ENDPOINT_INTENTS = ['term-week', 'day-term-week', 'date', 'term-info'];
+
+/** Entities one end of a range borrows from the other: "weeks 3 to 5 hilary", "1 to 20 march" */
+const SHARED_RANGE_ENTITIES = ['term', 'year', 'month'];
+
+/**
+ * Resolve range queries into a 'range' intent whose entities are the two endpoint intents.
+ * Handles week range tokens ("w3-5") and two endpoints joined by a connector ("week 3 to week 6").
+ */
+function resolveRange(tokens) {
+  let fromEntities;
+  let toEntities;
+
+  const weekRange = tokens.find(t => t.type === 'week-range');
+  if (weekRange) {
+    const entities = extractEntities(tokens.filter(t => t !== weekRange));
+    fromEntities = { ...entities, week: weekRange.value.from };
+    toEntities = { ...entities, week: weekRange.value.to };
+  } else {
+    const connectorIndex = tokens.findIndex((t, i) => t.type === 'range-connector' && i > 0);
+    if (connectorIndex === -1) return null;
+
+    fromEntities = extractEntities(tokens.slice(0, connectorIndex));
+    toEntities = extractEntities(tokens.slice(connectorIndex + 1));
+  }
+
+  const fromInherited = [];
+  const toInherited = [];
+  for (const key of SHARED_RANGE_ENTITIES) {
+    if (fromEntities[key] === undefined && toEntities[key] !== undefined) {
+      fromEntities[key] = toEntities[key];
+      fromInherited.push(key);
+    } else if (toEntities[key] === undefined && fromEntities[key] !== undefined) {
+      toEntities[key] = fromEntities[key];
+      toInherited.push(key);
+    }
+  }
+
+  const from = resolveEntities(fromEntities);
+  const to = resolveEntities(toEntities);
+  if (!RANGE_ENDPOINT_INTENTS.includes(from.intent) || !RANGE_ENDPOINT_INTENTS.includes(to.intent)) {
+    return null;
+  }
+
+  return {
+    intent: 'range',
+    entities: {
+      from: { ...from, inherited: fromInherited },
+      to: { ...to, inherited: toInherited }
+    },
+    missing: []
+  };
+}
+
 /**
  * Resolve relative query patterns like "next week", "this term", "today"
  */
@@ -186,23 +551,13 @@ function matchConversationalPattern(tokens, entities, rawWords) {
   const hasQuestion = tokens.some(t => t.type === 'question');
   if (!hasQuestion) return null;
 
-  // "when does {term} start/end"
-  if (rawWords.includes('when') && entities.term) {
+  // "when does {term} start/end", "when does full term end"
+  if (rawWords.includes('when') && (entities.term || entities.scope)) {
     if (rawWords.includes('start') || rawWords.includes('begin')) {
-      return {
-        intent: 'term-info',
-        entities: { term: entities.term, year: entities.year },
-        missing: entities.year ? [] : ['year'],
-        variant: 'start'
-      };
+      return termVariantIntent(entities, 'start');
     }
     if (rawWords.includes('end') || rawWords.includes('finish')) {
-      return {
-        intent: 'term-info',
-        entities: { term: entities.term, year: entities.year },
-        missing: entities.year ? [] : ['year'],
-        variant: 'end'
-      };
+      return termVariantIntent(entities, 'end');
     }
   }
 
@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { resolveIntent } from './intentResolver.js';
+import { setCalendarProfile } from '../../data/termService.js';
+import { OXFORD_PROFILE } from '../../data/profiles.js';
 
 // Helper to build classified tokens
 function ct(type, value, raw = '') {
@@ -169,6 +171,67 @@ describe('resolveIntent', () => {
     });
   });
 
+  describe('term anchors', () => {
+    it('should resolve "last week of trinity" as a term-week anchor', () => {
+      const tokens = [
+        ct('term-anchor', { position: 'last', unit: 'week' }, 'last'),
+        ct('week', null, 'week'),
+        ct('noise', null, 'of'),
+        ct('term', 'trinity')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('term-week');
+      expect(result.entities).toMatchObject({ term: 'trinity', termAnchor: { position: 'last', unit: 'week' } });
+      expect(result.missing).toEqual(['year']);
+    });
+
+    it('should resolve "friday of the final week" as a day in the anchored week', () => {
+      const tokens = [
+        ct('day', 5, 'friday'),
+        ct('noise', null, 'of'),
+        ct('noise', null, 'the'),
+        ct('term-anchor', { position: 'last', unit: 'week' }, 'final'),
+        ct('week', null, 'week')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('day-term-week');
+      expect(result.missing).toEqual(['term', 'year']);
+    });
+
+    it('should resolve "first day of full term" as a day-term-week anchor', () => {
+      const tokens = [
+        ct('term-anchor', { position: 'first', unit: 'day' }, 'first'),
+        ct('duration-unit', 'days', 'day'),
+        ct('noise', null, 'of'),
+        ct('term-scope', 'full'),
+        ct('noise', null, 'term')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('day-term-week');
+      expect(result.entities.scope).toBe('full');
+    });
+
+    it('should resolve "end of trinity" as the end of term', () => {
+      const tokens = [ct('unknown', 'end'), ct('noise', null, 'of'), ct('term', 'trinity')];
+      const result = resolveIntent(tokens);
+      expect(result).toEqual({
+        intent: 'term-info',
+        entities: { term: 'trinity', year: undefined },
+        missing: ['year'],
+        variant: 'end'
+      });
+    });
+
+    it('should resolve "extended term end" for the current term', () => {
+      const tokens = [ct('term-scope', 'extended'), ct('noise', null, 'term'), ct('unknown', 'end')];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('term-info');
+      expect(result.entities.scope).toBe('extended');
+      expect(result.missing).toEqual(['term', 'year']);
+      expect(result.variant).toBe('end');
+    });
+  });
+
   describe('conversational patterns', () => {
     it('should resolve "when does hilary start" as term-info with start variant', () => {
       const tokens = [
@@ -220,6 +283,264 @@ describe('resolveIntent', () => {
       expect(result.intent).toBe('invalid');
       expect(result.error).toContain('Week number must be between 0 and 12');
     });
+
+    it('should reject an ordinal word before "week" that could not be read', () => {
+      const result = resolveIntent([ct('unknown', 'twentieth'), ct('week', null, 'week'), ct('term', 'hilary')]);
+      expect(result.intent).toBe('invalid');
+      expect(result.error).toBe('Could not read "twentieth" as a week number');
+    });
+
+    it('should reject weeks past the active profile\'s last week', () => {
+      setCalendarProfile({ ...OXFORD_PROFILE, weeks: { first: 0, last: 10 } });
+      try {
+        const result = resolveIntent([ct('week', null, 'week'), ct('unknown', '11', '11'), ct('term', 'michaelmas')]);
+        expect(result.intent).toBe('invalid');
+        expect(result.error).toBe('Week number must be between 0 and 10');
+      } finally {
+        setCalendarProfile('oxford');
+      }
+    });
+  });
+
+  describe('range queries', () => {
+    it('should resolve a week-range token as a range of term-weeks', () => {
+      const tokens = [
+        ct('week', null, 'weeks'),
+        ct('week-range', { from: 3, to: 5 }, '3-5'),
+        ct('term', 'hilary')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('range');
+      expect(result.entities.from).toMatchObject({ intent: 'term-week', entities: { week: 3, term: 'hilary' } });
+      expect(result.entities.to).toMatchObject({ intent: 'term-week', entities: { week: 5, term: 'hilary' } });
+    });
+
+    it('should split on a connector and share term and year', () => {
+      const tokens = [
+        ct('week', null, 'week'),
+        ct('week-number', 3, '3'),
+        ct('range-connector', 'to'),
+        ct('week', null, 'week'),
+        ct('week-number', 6, '6'),
+        ct('term-year', { term: 'michaelmas', year: '2025-26' }, 'mt25')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('range');
+      expect(result.entities.from.entities).toMatchObject({ week: 3, term: 'michaelmas', year: '2025-26' });
+      expect(result.entities.from.inherited).toEqual(['term', 'year']);
+      expect(result.entities.to.inherited).toEqual([]);
+    });
+
+    it('should resolve date ranges and ignore "from"', () => {
+      const tokens = [
+        ct('range-start', 'from'),
+        ct('day-number', 1, '1'),
+        ct('month', 3, 'march'),
+        ct('range-connector', 'to'),
+        ct('day-number', 20, '20'),
+        ct('month', 4, 'april')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('range');
+      expect(result.entities.from).toMatchObject({ intent: 'date', entities: { dayNumber: 1, month: 3 } });
+      expect(result.entities.to).toMatchObject({ intent: 'date', entities: { dayNumber: 20, month: 4 } });
+    });
+
+    it('should not treat a connector without two endpoints as a range', () => {
+      const tokens = [
+        ct('week', 5, 'w5'),
+        ct('range-connector', 'to'),
+        ct('unknown', 'blah')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('term-week');
+    });
+  });
+
+  describe('duration queries', () => {
+    it('should resolve "how many weeks until trinity"', () => {
+      const tokens = [
+        ct('question', 'how'),
+        ct('duration', 'many'),
+        ct('week', null, 'weeks'),
+        ct('range-connector', 'until'),
+        ct('term', 'trinity')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('duration');
+      expect(result.entities.unit).toBe('weeks');
+      expect(result.entities.boundary).toBe('start');
+      expect(result.entities.target).toMatchObject({ intent: 'term-info', entities: { term: 'trinity' } });
+    });
+
+    it('should resolve "days left in term" with no explicit target', () => {
+      const tokens = [
+        ct('duration-unit', 'days', 'days'),
+        ct('remaining', 'left'),
+        ct('noise', null, 'in'),
+        ct('noise', null, 'term')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('duration');
+      expect(result.entities).toEqual({ unit: 'days', boundary: 'end', target: null });
+    });
+
+    it('should not read "left" alone as a countdown', () => {
+      expect(resolveIntent([ct('remaining', 'left')]).intent).not.toBe('duration');
+      expect(resolveIntent([ct('question', 'what'), ct('question', 'is'), ct('remaining', 'left')]).intent)
+        .not.toBe('duration');
+    });
+
+    it('should count down with "left" and a term or "term"', () => {
+      const inTerm = resolveIntent([ct('remaining', 'left'), ct('noise', null, 'in'), ct('noise', null, 'term')]);
+      expect(inTerm).toMatchObject({ intent: 'duration', entities: { unit: 'weeks', boundary: 'end', target: null } });
+      const inHilary = resolveIntent([ct('remaining', 'remaining'), ct('noise', null, 'in'), ct('term', 'hilary')]);
+      expect(inHilary.intent).toBe('duration');
+      expect(inHilary.entities.target).toMatchObject({ intent: 'term-info', entities: { term: 'hilary' } });
+    });
+
+    it('should count to the end when the target mentions it', () => {
+      const tokens = [
+        ct('duration-unit', 'days', 'days'),
+        ct('range-connector', 'until'),
+        ct('unknown', 'end'),
+        ct('noise', null, 'of'),
+        ct('term', 'hilary')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('duration');
+      expect(result.entities.boundary).toBe('end');
+    });
+
+    it('should still treat "week 3 until week 5" as a range', () => {
+      const tokens = [
+        ct('week', null, 'week'),
+        ct('week-number', 3, '3'),
+        ct('range-connector', 'until'),
+        ct('week', null, 'week'),
+        ct('week-number', 5, '5')
+      ];
+      expect(resolveIntent(tokens).intent).toBe('range');
+    });
+  });
+
+  describe('offset queries', () => {
+    it('should resolve "14 days after the start of full term" with no explicit anchor', () => {
+      const tokens = [
+        ct('unknown', '14'),
+        ct('duration-unit', 'days', 'days'),
+        ct('offset-direction', 'after'),
+        ct('noise', null, 'the'),
+        ct('unknown', 'start'),
+        ct('noise', null, 'of'),
+        ct('unknown', 'full'),
+        ct('noise', null, 'term')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('offset');
+      expect(result.entities).toEqual({ amount: 14, unit: 'days', direction: 'after', boundary: 'start', anchor: null });
+    });
+
+    it('should resolve "3 weeks after week 2" with a term-week anchor', () => {
+      const tokens = [
+        ct('week-number', 3, '3'),
+        ct('week', null, 'weeks'),
+        ct('offset-direction', 'after'),
+        ct('week', null, 'week'),
+        ct('week-number', 2, '2')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('offset');
+      expect(result.entities).toMatchObject({ amount: 3, unit: 'weeks', direction: 'after', boundary: null });
+      expect(result.entities.anchor).toMatchObject({ intent: 'term-week', entities: { week: 2 } });
+    });
+
+    it('should read "a week before encaenia" as one week', () => {
+      const tokens = [
+        ct('noise', null, 'a'),
+        ct('week', null, 'week'),
+        ct('offset-direction', 'before'),
+        ct('event', 'Encaenia', 'encaenia')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.entities).toMatchObject({ amount: 1, unit: 'weeks', direction: 'before' });
+      expect(result.entities.anchor.intent).toBe('event');
+    });
+
+    it('should resolve "the 10th day of full term hilary" from the first day', () => {
+      const tokens = [
+        ct('noise', null, 'the'),
+        ct('week-number', 10, '10th'),
+        ct('duration-unit', 'days', 'day'),
+        ct('noise', null, 'of'),
+        ct('unknown', 'full'),
+        ct('noise', null, 'term'),
+        ct('term', 'hilary')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('offset');
+      expect(result.entities).toMatchObject({ amount: 9, unit: 'days', direction: 'after', boundary: 'start', ordinal: 10 });
+      expect(result.entities.anchor).toMatchObject({ intent: 'term-info', entities: { term: 'hilary' } });
+    });
+
+    it('should not treat a direction without an amount as an offset', () => {
+      const tokens = [ct('offset-direction', 'before'), ct('term', 'hilary')];
+      expect(resolveIntent(tokens).intent).toBe('term-info');
+    });
+  });
+
+  describe('recurrence queries', () => {
+    it('should resolve "thursdays weeks 1-8 hilary 2026"', () => {
+      const tokens = [
+        ct('day', 4, 'thursdays'),
+        ct('week', null, 'weeks'),
+        ct('week-range', { from: 1, to: 8 }, '1-8'),
+        ct('term', 'hilary'),
+        ct('year', '2026')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result).toEqual({
+        intent: 'recurrence',
+        entities: { daysOfWeek: [4], weeks: { from: 1, to: 8 }, term: 'hilary', year: '2026' },
+        missing: []
+      });
+    });
+
+    it('should resolve "every monday and thursday even weeks"', () => {
+      const tokens = [
+        ct('recurrence', 'every'),
+        ct('day', 4, 'thursday'),
+        ct('unknown', 'and'),
+        ct('day', 1, 'monday'),
+        ct('week-parity', 'even'),
+        ct('week', null, 'weeks')
+      ];
+      const result = resolveIntent(tokens);
+      expect(result.intent).toBe('recurrence');
+      expect(result.entities).toMatchObject({ daysOfWeek: [1, 4], weeks: null, parity: 'even' });
+      expect(result.missing).toEqual(['term', 'year']);
+    });
+
+    it('should take weeks joined by a connector as a range', () => {
+      const tokens = [
+        ct('day', 2, 'tuesdays'),
+        ct('week', null, 'weeks'),
+        ct('week-number', 2, '2'),
+        ct('range-connector', 'to'),
+        ct('week-number', 6, '6')
+      ];
+      expect(resolveIntent(tokens).entities.weeks).toEqual({ from: 2, to: 6 });
+    });
+
+    it('should leave a singular day without recurrence words alone', () => {
+      const tokens = [ct('day', 2, 'tuesday'), ct('week', 3), ct('term', 'michaelmas')];
+      expect(resolveIntent(tokens).intent).toBe('day-term-week');
+    });
+
+    it('should not treat month days as a term schedule', () => {
+      const tokens = [ct('recurrence', 'every'), ct('day', 1, 'monday'), ct('noise', null, 'in'), ct('month', 3, 'march')];
+      expect(resolveIntent(tokens).intent).not.toBe('recurrence');
+    });
   });
 
   describe('unresolvable queries', () => {
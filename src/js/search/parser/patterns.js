@@ -3,21 +3,7 @@
  * Pure data — no logic here.
  */
 
-/** Term names and aliases -> canonical name */
-export const TERM_NAMES = {
-  'michaelmas': 'michaelmas',
-  'mich': 'michaelmas',
-  'mt': 'michaelmas',
-  'hilary': 'hilary',
-  'hil': 'hilary',
-  'ht': 'hilary',
-  'trinity': 'trinity',
-  'trin': 'trinity',
-  'tt': 'trinity'
-};
-
-/** Full term names for fuzzy matching (only these, not short aliases) */
-export const FUZZY_TERM_CANDIDATES = ['michaelmas', 'hilary', 'trinity'];
+// Term names and aliases come from the active calendar profile (data/profiles.js)
 
 /** Day names and aliases -> JS day number (Sunday=0) */
 export const DAY_NAMES = {
@@ -30,6 +16,12 @@ export const DAY_NAMES = {
   'saturday': 6, 'sat': 6
 };
 
+/** Plural day names, which make a query a recurring schedule: "thursdays weeks 1-8" */
+export const PLURAL_DAY_NAMES = {
+  'sundays': 0, 'mondays': 1, 'tuesdays': 2, 'wednesdays': 3,
+  'thursdays': 4, 'fridays': 5, 'saturdays': 6
+};
+
 /** Full day names for fuzzy matching */
 export const FUZZY_DAY_CANDIDATES = [
   'sunday', 'monday', 'tuesday', 'wednesday',
@@ -59,7 +51,40 @@ export const FUZZY_MONTH_CANDIDATES = [
 ];
 
 /** Week-related keywords */
-export const WEEK_KEYWORDS = ['week', 'wk'];
+export const WEEK_KEYWORDS = ['week', 'wk', 'weeks', 'wks'];
+
+/** Words joining the two ends of a range: "weeks 3 to 5", "1 March until 20 April" */
+export const RANGE_CONNECTORS = ['to', 'until', 'till', 'through', 'thru', '-', '–'];
+
+/** Words introducing a range: "from 1 March to 20 April" */
+export const RANGE_START_KEYWORDS = ['from'];
+
+/** Duration question words: "how many days", "how long until" */
+export const DURATION_KEYWORDS = ['many', 'long'];
+
+/** Day units for duration questions ("weeks" is already a week keyword) */
+export const DAY_UNIT_KEYWORDS = ['day', 'days'];
+
+/** Directions of day and week arithmetic: "14 days after the start of full term" */
+export const OFFSET_DIRECTION_KEYWORDS = ['before', 'after'];
+
+/** Words asking for time remaining: "days left in term" */
+export const REMAINING_KEYWORDS = ['left', 'remaining'];
+
+/** Connectors that introduce the target of a countdown: "weeks until trinity" */
+export const COUNTDOWN_KEYWORDS = ['until', 'till', 'to'];
+
+/** Words marking a recurring schedule: "every thursday", "each monday weeks 1-4" */
+export const RECURRENCE_KEYWORDS = ['every', 'each', 'weekly'];
+
+/** Week parity of a recurring schedule: "even weeks", "odd weeks" */
+export const WEEK_PARITY_KEYWORDS = ['even', 'odd'];
+
+/** Words naming the first or last week or day of a term: "last week of trinity", "final week" */
+export const TERM_ANCHOR_WORDS = { 'first': 'first', 'last': 'last', 'final': 'last' };
+
+/** Which weeks of a term a query means: "end of full term", "last week of extended term" */
+export const TERM_SCOPE_WORDS = { 'full': 'full', 'extended': 'extended' };
 
 /** Relative keywords */
 export const RELATIVE_KEYWORDS = ['today', 'tomorrow', 'yesterday', 'this', 'next', 'last', 'current'];
@@ -69,17 +94,23 @@ export const QUESTION_KEYWORDS = ['when', 'what', "what's", 'whats', 'how', 'is'
 
 /** Noise words to ignore */
 export const NOISE_WORDS = new Set([
-  'the', 'of', 'in', 'a', 'an', 'for', 'to', 'it',
+  'the', 'of', 'in', 'a', 'an', 'for', 'it',
   'does', 'do', 'did', 'we', 'i', 'my', 'me',
-  'date', 'time', 'term', 'many', 'weeks', 'until'
+  'date', 'time', 'term'
 ]);
 
-/** Term alias regex for compound tokens like MT25, HT26, TT24 */
-export const TERM_YEAR_PATTERN = /^(mt|ht|tt)(\d{2})$/;
+/** Term alias regex for compound tokens like MT25, HT26, TT24 (prefix must be a profile short label) */
+export const TERM_YEAR_PATTERN = /^([a-z]{2})(\d{2})$/;
 
 /** Week alias regex for compound tokens like w5, wk3, week5 */
 export const WEEK_COMPOUND_PATTERN = /^w(?:ee)?k?(\d{1,2})$/;
 
+/** Week range compound tokens like w3-5, w3-w5, wk3-wk5 */
+export const WEEK_RANGE_COMPOUND_PATTERN = /^w(?:ee)?k?(\d{1,2})[-–](?:w(?:ee)?k?)?(\d{1,2})$/;
+
+/** Bare number range like 3-5 — a week range only next to a term or week keyword */
+export const NUMBER_RANGE_PATTERN = /^(\d{1,2})[-–](\d{1,2})$/;
+
 /** Academic year pattern: 2024-25 */
 export const ACADEMIC_YEAR_PATTERN = /^(\d{4})-(\d{2})$/;
 
@@ -95,6 +126,20 @@ export const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
 /** Ordinal suffix pattern */
 export const ORDINAL_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)$/;
 
+/** A word with the ordinal ending most ordinals share, read or not: "sixth", "twentieth" */
+export const ORDINAL_LIKE_PATTERN = /^[a-z]+th$/;
+
+/** Spelled-out ordinals -> number, read like "6th": "noughth week", "sixth week of hilary" */
+export const ORDINAL_WORDS = {
+  'noughth': 0, 'zeroth': 0,
+  'first': 1, 'second': 2, 'third': 3, 'fourth': 4,
+  'fifth': 5, 'sixth': 6, 'seventh': 7, 'eighth': 8,
+  'ninth': 9, 'tenth': 10, 'eleventh': 11, 'twelfth': 12
+};
+
+/** Spelled-out ordinals for fuzzy matching */
+export const FUZZY_ORDINAL_CANDIDATES = Object.keys(ORDINAL_WORDS);
+
 /** Conversational patterns — matched after entity extraction.
  *  Each has: keywords to look for (after noise removal), resulting intent modifications.
  */
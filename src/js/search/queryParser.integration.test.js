@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
 import { parseQuery, setTermData, _resetContextCache } from './queryParser.js';
+import { setCalendarProfile } from '../data/termService.js';
 
 // Mock term data for context resolution
 const mockTermData = {
@@ -73,6 +74,11 @@ describe('NL Parser Integration', () => {
       expect(result.type).toBe('term-week');
       expect(result.week).toBe(5);
     });
+
+    it('should parse "friday of sixth week hilary 2026"', () => {
+      const result = parseQuery('friday of sixth week hilary 2026');
+      expect(result).toMatchObject({ type: 'day-term-week', dayOfWeek: 5, week: 6, term: 'hilary', year: '2025-26' });
+    });
   });
 
   describe('typo tolerance', () => {
@@ -158,6 +164,134 @@ describe('NL Parser Integration', () => {
     });
   });
 
+  describe('duration queries', () => {
+    it('should parse "how many weeks until trinity"', () => {
+      mockDate('2025-02-05');
+      setTermData(mockTermData);
+      const result = parseQuery('how many weeks until trinity');
+      expect(result.type).toBe('duration');
+      expect(result.unit).toBe('weeks');
+      expect(result.from).toBe('2025-02-05');
+      expect(result.target).toMatchObject({ type: 'term-info', term: 'trinity', year: '2024-25' });
+    });
+
+    it('should parse "days left in term"', () => {
+      mockDate('2025-02-05');
+      setTermData(mockTermData);
+      const result = parseQuery('days left in term');
+      expect(result.type).toBe('duration');
+      expect(result.unit).toBe('days');
+      expect(result.boundary).toBe('end');
+      expect(result.target.term).toBe('hilary');
+    });
+  });
+
+  describe('offset queries', () => {
+    it('should parse "3 weeks after week 2 mt25"', () => {
+      const result = parseQuery('3 weeks after week 2 mt25');
+      expect(result).toMatchObject({ type: 'offset', amount: 3, unit: 'weeks', direction: 'after', boundary: null });
+      expect(result.anchor).toMatchObject({ type: 'term-week', term: 'michaelmas', week: 2, year: '2025-26' });
+    });
+
+    it('should not mistake an offset for "when does hilary start"', () => {
+      const result = parseQuery('when is 14 days after the start of hilary 2025');
+      expect(result).toMatchObject({ type: 'offset', amount: 14, unit: 'days', boundary: 'start' });
+      expect(result.anchor).toMatchObject({ type: 'term-info', term: 'hilary', year: '2024-25' });
+    });
+  });
+
+  describe('term anchor queries', () => {
+    it('should parse "last week of trinity 2025"', () => {
+      const result = parseQuery('last week of trinity 2025');
+      expect(result).toMatchObject({ type: 'term-week', term: 'trinity', week: 8, year: '2024-25' });
+    });
+
+    it('should still parse "last week" as the previous week', () => {
+      mockDate('2025-02-05');
+      setTermData(mockTermData);
+      const result = parseQuery('last week');
+      expect(result).toMatchObject({ type: 'term-week', term: 'hilary', week: 2 });
+    });
+  });
+
+  describe('event queries', () => {
+    it('should parse "when is encaenia 2026"', () => {
+      mockDate('2025-02-05');
+      const result = parseQuery('when is encaenia 2026');
+      expect(result).toEqual({ type: 'event', event: 'Encaenia', year: '2026', from: '2025-02-05' });
+    });
+
+    it('should leave the year open for the next occurrence', () => {
+      mockDate('2025-02-05');
+      expect(parseQuery('encaenia')).toEqual({ type: 'event', event: 'Encaenia', from: '2025-02-05' });
+    });
+
+    it('should parse an event as a countdown target', () => {
+      mockDate('2025-02-05');
+      const result = parseQuery('days until encaenia');
+      expect(result.type).toBe('duration');
+      expect(result.target).toMatchObject({ type: 'event', event: 'Encaenia' });
+    });
+  });
+
+  describe('recurrence queries', () => {
+    it('should parse "every thursday weeks 1–8 ht26"', () => {
+      expect(parseQuery('every thursday weeks 1–8 ht26')).toEqual({
+        type: 'recurrence', term: 'hilary', year: '2025-26', daysOfWeek: [4], fromWeek: 1, toWeek: 8
+      });
+    });
+
+    it('should parse "even weeks, mondays" in the current term', () => {
+      mockDate('2025-02-05');
+      expect(parseQuery('even weeks, mondays')).toMatchObject({
+        type: 'recurrence', term: 'hilary', year: '2024-25', daysOfWeek: [1], parity: 'even', fromWeek: 1, toWeek: 8
+      });
+    });
+
+    it('should parse a single week', () => {
+      expect(parseQuery('tuesdays week 3 michaelmas 2025')).toMatchObject({ fromWeek: 3, toWeek: 3 });
+    });
+  });
+
+  describe('calendar profiles', () => {
+    afterEach(() => {
+      setCalendarProfile('oxford');
+      setTermData(mockTermData);
+    });
+
+    function useCambridge() {
+      setCalendarProfile('cambridge');
+      setTermData(null);
+    }
+
+    it('should recognise Cambridge term names and short labels', () => {
+      mockDate('2026-02-04');
+      useCambridge();
+      expect(parseQuery('week 3 lent')).toMatchObject({ type: 'term-week', term: 'lent', week: 3, year: '2025-26' });
+      expect(parseQuery('w5 et26')).toMatchObject({ type: 'term-week', term: 'easter', week: 5, year: '2025-26' });
+      expect(parseQuery('easter 2026 week 2')).toMatchObject({ term: 'easter', year: '2025-26' });
+    });
+
+    it('should not recognise Oxford-only terms under Cambridge', () => {
+      mockDate('2026-02-04');
+      useCambridge();
+      expect(parseQuery('week 3 hilary').term).not.toBe('hilary');
+      expect(parseQuery('ht26').type).not.toBe('term-week');
+    });
+
+    it('should take the current term from the Cambridge calendar', () => {
+      mockDate('2026-02-04');
+      useCambridge();
+      expect(parseQuery('week 5')).toMatchObject({ term: 'lent', year: '2025-26' });
+    });
+
+    it('should advance from Easter to the next Michaelmas', () => {
+      mockDate('2026-05-13');
+      useCambridge();
+      expect(parseQuery('next term')).toMatchObject({ term: 'michaelmas', week: 1, year: '2026-27' });
+    });
+  });
+
   describe('conversational queries', () => {
     it('should parse "when does hilary start"', () => {
       const result = parseQuery('when does hilary start');
@@ -8,11 +8,13 @@ import { classifyTokens } from './parser/classifier.js';
 import { resolveIntent } from './parser/intentResolver.js';
 import { applyDefaults } from './parser/defaultResolver.js';
 import { getCurrentContext, guessTerm, guessAcademicYear } from './parser/context.js';
-import { getLoadedTermData } from '../data/termService.js';
+import { getLoadedTermData, getCalendarProfile } from '../data/termService.js';
 
 // Lazy context cache — recomputed when term data might have changed
 let _cachedContext = null;
 let _contextTimestamp = 0;
+let _contextProfile = null;
+let _contextData = null;
 const CONTEXT_TTL_MS = 60000; // recompute every minute
 
 // Optional override for testing (avoids coupling tests to termService)
@@ -32,23 +34,27 @@ export function setTermData(data) {
  */
 function getContext() {
   const now = Date.now();
-  if (!_cachedContext || (now - _contextTimestamp) > CONTEXT_TTL_MS) {
-    const termData = _termDataOverride || getLoadedTermData();
+  const profile = getCalendarProfile();
+  const termData = _termDataOverride || getLoadedTermData();
+  if (!_cachedContext || (now - _contextTimestamp) > CONTEXT_TTL_MS
+      || _contextProfile !== profile || _contextData !== termData) {
     if (termData) {
-      _cachedContext = getCurrentContext(termData);
+      _cachedContext = getCurrentContext(termData, profile);
     } else {
       // Term data not loaded yet — use heuristic fallback
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       _cachedContext = {
         today,
-        currentTerm: guessTerm(today),
+        currentTerm: guessTerm(today, profile),
         currentWeek: null,
         currentAcademicYear: guessAcademicYear(today),
         inTerm: false
       };
     }
     _contextTimestamp = now;
+    _contextProfile = profile;
+    _contextData = termData;
   }
   return _cachedContext;
 }
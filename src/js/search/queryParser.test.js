@@ -68,6 +68,13 @@ describe('parseQuery', () => {
       expect(result.type).toBe('invalid');
       expect(result.error).toContain('Week number must be between 0 and 12');
     });
+
+    it('should reject a misspelled ordinal week rather than assume week 1', () => {
+      expect(parseQuery('sixht week hilary 2025')).toMatchObject({ type: 'term-week', term: 'hilary', week: 6 });
+      const result = parseQuery('twentieth week hilary');
+      expect(result.type).toBe('invalid');
+      expect(result.error).toBe('Could not read "twentieth" as a week number');
+    });
   });
   
   describe('date queries', () => {
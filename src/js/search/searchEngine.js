@@ -3,8 +3,11 @@
  */
 
 import { parseQuery } from './queryParser.js';
-import { getWeekData, findTermWeekForDate } from '../data/termService.js';
-import { parseISODate, addDays, formatDate, toISODateString, formatWeekRange } from '../data/dateUtils.js';
+import {
+  getWeekData, getFullTermWeeks, getExtendedTermWeeks, findTermWeekForDate, findTermWeeksForDates, findTermWeeksInRange, findEventsByName
+} from '../data/termService.js';
+import { parseISODate, addDays, daysBetween, formatDate, toISODateString, formatWeekRange } from '../data/dateUtils.js';
+import { expandRecurrence, describeRecurrence } from '../data/recurrence.js';
 
 /**
  * Execute a search query and return results
@@ -21,7 +24,19 @@ export function search(query) {
       query: query
     };
   }
-  
+
+  const result = searchParsed(parsed, query);
+  // Tell callers which parts of the query were filled in from today's context
+  return result.success && parsed.assumed ? { ...result, assumed: parsed.assumed } : result;
+}
+
+/**
+ * Run a parsed query
+ * @param {Object} parsed - Valid parsed query from parseQuery()
+ * @param {string} query - The original query, for error results
+ * @returns {Object} Search results
+ */
+function searchParsed(parsed, query) {
   switch (parsed.type) {
     case 'term-week':
       return searchTermWeek(parsed);
@@ -32,11 +47,26 @@ export function search(query) {
     case 'day-term-week':
       return searchDayTermWeek(parsed);
 
+    case 'range':
+      return searchRange(parsed);
+
+    case 'duration':
+      return searchDuration(parsed);
+
+    case 'offset':
+      return searchOffset(parsed);
+
+    case 'event':
+      return searchEvent(parsed);
+
+    case 'recurrence':
+      return searchRecurrence(parsed);
+
     case 'term-info':
       if (parsed.variant === 'start') {
-        return searchTermWeek({ ...parsed, type: 'term-week', week: 1 });
+        return searchTermWeek({ ...parsed, type: 'term-week', week: getTermInfoWeeks(parsed).firstWeek });
       } else if (parsed.variant === 'end') {
-        return searchTermWeek({ ...parsed, type: 'term-week', week: 8 });
+        return searchTermWeek({ ...parsed, type: 'term-week', week: getTermInfoWeeks(parsed).lastWeek });
       } else {
         return searchTermWeek({ ...parsed, type: 'term-week', week: parsed.week ?? 1 });
       }
@@ -50,6 +80,15 @@ export function search(query) {
   }
 }
 
+/**
+ * Get the weeks a term-info query covers: Full Term, or every week for extended term
+ * @param {Object} parsed - Parsed term-info query with term and optional scope
+ * @returns {{firstWeek: number, lastWeek: number}} Week numbers
+ */
+function getTermInfoWeeks(parsed) {
+  return parsed.scope === 'extended' ? getExtendedTermWeeks() : getFullTermWeeks(parsed.term);
+}
+
 /**
  * Search for a term week
  * @param {Object} parsed - Parsed query with term, week, year
@@ -112,6 +151,10 @@ function searchDate(parsed) {
   
   try {
     const searchDate = parseISODate(date);
+    // "2025-02-30" would roll over into March: reject it rather than answer for another day
+    if (toISODateString(searchDate) !== date) {
+      return { success: false, error: `No such date: ${date}`, query: parsed };
+    }
     const termWeek = findTermWeekForDate(searchDate);
     
     if (termWeek) {
@@ -208,6 +251,508 @@ function searchDayTermWeek(parsed) {
   }
 }
 
+/** Longest range a single query may cover, to keep highlighting and lookups bounded */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Search for every date between two endpoints
+ * @param {Object} parsed - Parsed query with from and to endpoints
+ * @returns {Object} Search results
+ */
+function searchRange(parsed) {
+  const { from, to } = parsed;
+
+  try {
+    const start = resolveRangeBoundary(from, 'start');
+    if (!start.success) return { ...start, query: parsed };
+
+    const end = resolveRangeBoundary(to, 'end');
+    if (!end.success) return { ...end, query: parsed };
+
+    if (start.date > end.date) {
+      return {
+        success: false,
+        error: 'The end of the range is before its start',
+        query: parsed
+      };
+    }
+
+    const dates = [];
+    const currentDate = new Date(start.date);
+    while (currentDate <= end.date) {
+      if (dates.length >= MAX_RANGE_DAYS) {
+        return {
+          success: false,
+          error: `Ranges are limited to ${MAX_RANGE_DAYS} days`,
+          query: parsed
+        };
+      }
+      dates.push(new Date(currentDate));
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+
+    const days = findTermWeeksForDates(dates).map(({ date, termWeek }) => {
+      return {
+        date: date,
+        term: termWeek ? termWeek.term : null,
+        week: termWeek ? termWeek.week : null,
+        year: termWeek ? termWeek.year : null
+      };
+    });
+
+    const weeks = [];
+    for (const day of days) {
+      if (day.term === null) continue;
+      const last = weeks[weeks.length - 1];
+      if (!last || last.year !== day.year || last.term !== day.term || last.week !== day.week) {
+        weeks.push({ year: day.year, term: day.term, week: day.week });
+      }
+    }
+
+    return {
+      success: true,
+      type: 'multi-week-range',
+      startDate: toISODateString(start.date),
+      endDate: toISODateString(end.date),
+      dates: dates,
+      days: days,
+      weeks: weeks,
+      displayText: `${formatDate(start.date, 'full')} – ${formatDate(end.date, 'full')}`,
+      detailText: `${describeTermWeekSpan(days[0], days[days.length - 1])}, ${dates.length} ${dates.length === 1 ? 'day' : 'days'}`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      query: parsed
+    };
+  }
+}
+
+/**
+ * Search for a named event such as Encaenia
+ * @param {Object} parsed - Parsed query with event, optional year and from (today);
+ *   upcoming ('start' or 'end') keeps only occurrences whose start or end is on or after from
+ * @returns {Object} Search results
+ */
+function searchEvent(parsed) {
+  const { event, year, from } = parsed;
+
+  try {
+    const occurrences = findEventsByName(event);
+    if (occurrences.length === 0) {
+      return {
+        success: false,
+        error: `No dates found for ${event}`,
+        query: parsed
+      };
+    }
+
+    // "2025-26" matches the academic year, "2026" the calendar year it falls in
+    let candidates = year
+      ? occurrences.filter(o => (String(year).includes('-') ? o.year === year : o.start.startsWith(`${year}-`)))
+      : occurrences;
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        error: `No dates found for ${event} ${year}`,
+        query: parsed
+      };
+    }
+
+    // Countdowns only look ahead: "days until encaenia" after this year's means next year's
+    if (parsed.upcoming) {
+      const upcoming = candidates.filter(o => (parsed.upcoming === 'end' ? o.end : o.start) >= from);
+      if (upcoming.length === 0) {
+        return {
+          success: false,
+          error: `No upcoming ${year ? `${event} ${year}` : event} in the term data`,
+          query: parsed
+        };
+      }
+      candidates = upcoming;
+    }
+
+    // The next occurrence still to come, else the most recent
+    const occurrence = candidates.find(o => o.end >= from) || candidates[candidates.length - 1];
+    const days = findTermWeeksInRange(occurrence.start, occurrence.end).map(({ date, termWeek }) => ({
+      date: date,
+      term: termWeek ? termWeek.term : null,
+      week: termWeek ? termWeek.week : null,
+      year: termWeek ? termWeek.year : null
+    }));
+    const dates = days.map(day => parseISODate(day.date));
+    const startDate = dates[0];
+    const endDate = dates[dates.length - 1];
+    const when = dates.length === 1
+      ? formatDate(startDate, 'full')
+      : `${formatDate(startDate, 'full')} – ${formatDate(endDate, 'full')}`;
+
+    return {
+      success: true,
+      type: 'event',
+      event: occurrence.name,
+      eventType: occurrence.type,
+      startDate: occurrence.start,
+      endDate: occurrence.end,
+      dates: dates,
+      term: days[0].term,
+      week: days[0].week,
+      year: occurrence.year,
+      displayText: `${occurrence.name}, ${when}`,
+      detailText: describeTermWeekSpan(days[0], days[days.length - 1])
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      query: parsed
+    };
+  }
+}
+
+/**
+ * Expand a recurring schedule such as "Thursdays weeks 1-8 Hilary 2026"
+ * @param {Object} parsed - Parsed query with term, year, daysOfWeek, fromWeek, toWeek and optional parity
+ * @returns {Object} Search results
+ */
+function searchRecurrence(parsed) {
+  const { term, year, daysOfWeek, fromWeek, toWeek, parity } = parsed;
+
+  try {
+    const rule = { year, term, daysOfWeek, fromWeek, toWeek, ...(parity ? { parity } : {}) };
+    const occurrences = expandRecurrence(rule);
+    if (occurrences.length === 0) {
+      return {
+        success: false,
+        error: `No dates found for ${describeRecurrence(rule)}`,
+        query: parsed
+      };
+    }
+
+    const dates = occurrences.map(occurrence => parseISODate(occurrence.date));
+    const startDate = dates[0];
+    const endDate = dates[dates.length - 1];
+
+    return {
+      success: true,
+      type: 'recurrence',
+      rule: rule,
+      term: term,
+      year: year,
+      startDate: occurrences[0].date,
+      endDate: occurrences[occurrences.length - 1].date,
+      occurrences: occurrences,
+      dates: dates,
+      displayText: describeRecurrence(rule),
+      detailText: dates.length === 1
+        ? formatDate(startDate, 'full')
+        : `${dates.length} dates, ${formatDate(startDate, 'full')} – ${formatDate(endDate, 'full')}`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      query: parsed
+    };
+  }
+}
+
+/**
+ * Resolve one end of a range to a date. Week endpoints expand to their
+ * Sunday (start) or Saturday (end); a bare term covers its Full Term, or
+ * every week for extended term.
+ * @param {Object} endpoint - Parsed term-week, day-term-week, term-info or date query
+ * @param {string} edge - 'start' or 'end'
+ * @returns {{ success: boolean, date?: Date, error?: string }}
+ */
+function resolveRangeBoundary(endpoint, edge) {
+  switch (endpoint.type) {
+    case 'date': {
+      const date = parseISODate(endpoint.date);
+      if (toISODateString(date) !== endpoint.date) {
+        return { success: false, error: `No such date: ${endpoint.date}` };
+      }
+      return { success: true, date };
+    }
+
+    case 'day-term-week': {
+      const result = searchDayTermWeek(endpoint);
+      return result.success ? { success: true, date: result.dates[0] } : result;
+    }
+
+    case 'term-info': {
+      const { firstWeek, lastWeek } = getTermInfoWeeks(endpoint);
+      return resolveRangeBoundary({ ...endpoint, type: 'term-week', week: edge === 'start' ? firstWeek : lastWeek }, edge);
+    }
+
+    case 'term-week': {
+      const result = searchTermWeek(endpoint);
+      if (!result.success) return result;
+      return { success: true, date: parseISODate(edge === 'start' ? result.startDate : result.endDate) };
+    }
+
+    case 'event': {
+      const result = searchEvent(endpoint);
+      if (!result.success) return result;
+      return { success: true, date: parseISODate(edge === 'start' ? result.startDate : result.endDate) };
+    }
+
+    default:
+      return { success: false, error: 'Unknown range endpoint' };
+  }
+}
+
+/**
+ * Describe the term weeks at either end of a range, e.g. "Hilary Term 2024-25, Weeks 3–5"
+ * @param {Object} first - First day with term, week, year (null fields outside term)
+ * @param {Object} last - Last day
+ * @returns {string} Description
+ */
+function describeTermWeekSpan(first, last) {
+  const describe = (day) => day.term
+    ? `${capitalizeFirst(day.term)} ${day.year} Week ${day.week}`
+    : 'outside term';
+
+  if (first.term && first.term === last.term && first.year === last.year) {
+    const weeks = first.week === last.week ? `Week ${first.week}` : `Weeks ${first.week}–${last.week}`;
+    return `${capitalizeFirst(first.term)} Term ${first.year}, ${weeks}`;
+  }
+
+  if (!first.term && !last.term) return 'Outside term time';
+
+  return capitalizeFirst(`${describe(first)} – ${describe(last)}`);
+}
+
+/**
+ * Count the days and weeks from today to a term boundary or date
+ * @param {Object} parsed - Parsed query with from, target, unit and boundary
+ * @returns {Object} Search results; week counts also carry the days past the
+ *   last whole week as remainderDays
+ */
+function searchDuration(parsed) {
+  const { unit, boundary } = parsed;
+  const from = parseISODate(parsed.from);
+
+  try {
+    // An event counts down to its next occurrence, never one already past
+    let target = parsed.target.type === 'event'
+      ? { ...parsed.target, from: parsed.from, upcoming: boundary }
+      : parsed.target;
+    let resolved = resolveRangeBoundary(target, boundary);
+    if (!resolved.success) return { ...resolved, query: parsed };
+
+    // An assumed year that is already behind us means the next occurrence
+    if (resolved.date < from && (target.assumed || []).includes('year')) {
+      const next = shiftTargetYear(target);
+      const nextResolved = resolveRangeBoundary(next, boundary);
+      if (nextResolved.success) {
+        target = next;
+        resolved = nextResolved;
+      }
+    }
+
+    const targetDate = resolved.date;
+    const days = Math.round((targetDate - from) / (1000 * 60 * 60 * 24));
+    const absDays = daysBetween(from, targetDate);
+    const weeks = Math.floor(absDays / 7);
+    const remainderDays = absDays % 7;
+    const label = describeDurationTarget(target, boundary);
+
+    let amount;
+    if (unit === 'days') {
+      amount = pluralize(absDays, 'day');
+    } else if (remainderDays === 0) {
+      amount = pluralize(weeks, 'week');
+    } else if (weeks === 0) {
+      amount = pluralize(remainderDays, 'day');
+    } else {
+      amount = `${pluralize(weeks, 'week')} and ${pluralize(remainderDays, 'day')}`;
+    }
+
+    let displayText;
+    if (days === 0) {
+      displayText = `Today is ${label}`;
+    } else if (days > 0) {
+      displayText = `${amount} until ${label}`;
+    } else {
+      displayText = `${amount} since ${label}`;
+    }
+
+    return {
+      success: true,
+      type: 'duration',
+      unit: unit,
+      boundary: boundary,
+      from: parsed.from,
+      date: toISODateString(targetDate),
+      dates: [targetDate],
+      days: days,
+      weeks: weeks,
+      ...(unit === 'days' ? {} : { remainderDays }),
+      displayText: displayText,
+      detailText: formatDate(targetDate, 'full')
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      query: parsed
+    };
+  }
+}
+
+/**
+ * Move a duration target to the following year (academic year for term targets)
+ * @param {Object} target - Parsed target query
+ * @returns {Object} Target one year later
+ */
+function shiftTargetYear(target) {
+  if (target.type === 'date') {
+    const [year, month, day] = target.date.split('-');
+    return { ...target, date: `${parseInt(year) + 1}-${month}-${day}` };
+  }
+  const start = parseInt(target.year.split('-')[0]) + 1;
+  return { ...target, year: `${start}-${(start + 1).toString().slice(-2)}` };
+}
+
+/**
+ * Describe what a duration counts to, e.g. "the start of Trinity Full Term 2025-26"
+ * @param {Object} target - Parsed target query
+ * @param {string} boundary - 'start' or 'end'
+ * @returns {string} Description
+ */
+function describeDurationTarget(target, boundary) {
+  const edge = boundary === 'end' ? 'the end of' : 'the start of';
+
+  switch (target.type) {
+    case 'term-info':
+      return `${edge} ${describeTermSpan(target)}`;
+    case 'term-week':
+      return `${edge} Week ${target.week} of ${capitalizeFirst(target.term)} Term ${target.year}`;
+    case 'day-term-week': {
+      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+      return `${dayNames[target.dayOfWeek]}, Week ${target.week} of ${capitalizeFirst(target.term)} Term ${target.year}`;
+    }
+    case 'event':
+      return boundary === 'end' ? `the end of ${target.event}` : target.event;
+    default:
+      return formatDate(parseISODate(target.date), 'full');
+  }
+}
+
+/**
+ * Count days or weeks before or after an anchor. A named start or end counts from that
+ * edge of the anchor; otherwise "after" counts from its last day and "before" from its
+ * first, except that a whole term week moved by weeks stays a whole week
+ * ("3 weeks after week 2" is week 5).
+ * @param {Object} parsed - Parsed query with amount, unit, direction, boundary,
+ *   optional ordinal and the anchor query
+ * @returns {Object} Search results
+ */
+function searchOffset(parsed) {
+  const { amount, unit, direction, boundary, ordinal, anchor } = parsed;
+
+  try {
+    const start = resolveRangeBoundary(anchor, 'start');
+    if (!start.success) return { ...start, query: parsed };
+
+    const end = resolveRangeBoundary(anchor, 'end');
+    if (!end.success) return { ...end, query: parsed };
+
+    const days = (unit === 'weeks' ? amount * 7 : amount) * (direction === 'before' ? -1 : 1);
+    const isWholeWeek = !boundary && unit === 'weeks' && anchor.type === 'term-week';
+    const isSingleDay = daysBetween(start.date, end.date) === 0;
+    const edge = boundary || (direction === 'after' ? 'end' : 'start');
+    const from = edge === 'end' ? end.date : start.date;
+
+    let description;
+    if (ordinal) {
+      description = `the ${ordinal}${getOrdinalSuffix(ordinal)} day of ${describeOffsetAnchor(anchor)}`;
+    } else {
+      const anchorText = isWholeWeek || (isSingleDay && !boundary)
+        ? describeOffsetAnchor(anchor)
+        : describeDurationTarget(anchor, edge);
+      description = `${pluralize(amount, unit.slice(0, -1))} ${direction} ${anchorText}`;
+    }
+
+    if (ordinal && addDays(start.date, days) > end.date) {
+      const length = daysBetween(start.date, end.date) + 1;
+      return {
+        success: false,
+        error: `${capitalizeFirst(describeOffsetAnchor(anchor))} has only ${pluralize(length, 'day')}`,
+        query: parsed
+      };
+    }
+
+    const offset = {
+      amount: amount,
+      unit: unit,
+      direction: direction,
+      from: toISODateString(from),
+      description: description
+    };
+
+    if (isWholeWeek) {
+      const weekStart = addDays(start.date, days);
+      const termWeek = findTermWeekForDate(weekStart);
+      const result = termWeek
+        ? searchTermWeek(termWeek)
+        : searchRange({
+            from: { type: 'date', date: toISODateString(weekStart) },
+            to: { type: 'date', date: toISODateString(addDays(end.date, days)) }
+          });
+      if (!result.success) return { ...result, query: parsed };
+      return { ...result, detailText: `${result.detailText} (${description})`, offset: offset };
+    }
+
+    const result = searchDate({ date: toISODateString(addDays(from, days)) });
+    if (!result.success) return { ...result, query: parsed };
+    return { ...result, detailText: `${result.detailText} (${description})`, offset: offset };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      query: parsed
+    };
+  }
+}
+
+/**
+ * Name the term, week, day or event an offset counts from, e.g. "Hilary Full Term 2025-26"
+ * @param {Object} anchor - Parsed anchor query
+ * @returns {string} Description
+ */
+function describeOffsetAnchor(anchor) {
+  switch (anchor.type) {
+    case 'term-info':
+      return describeTermSpan(anchor);
+    case 'term-week':
+      return `Week ${anchor.week} of ${capitalizeFirst(anchor.term)} Term ${anchor.year}`;
+    default:
+      return describeDurationTarget(anchor, 'start');
+  }
+}
+
+/**
+ * Name the weeks of a term-info query, e.g. "Hilary Full Term 2025-26"
+ * @param {Object} target - Parsed term-info query
+ * @returns {string} Description
+ */
+function describeTermSpan(target) {
+  const scope = target.scope === 'extended' ? 'Extended' : 'Full';
+  return `${capitalizeFirst(target.term)} ${scope} Term ${target.year}`;
+}
+
+function getOrdinalSuffix(number) {
+  if (number % 100 >= 11 && number % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
 /**
  * Execute multiple searches
  * @param {Array<string>} queries - Array of search queries
@@ -217,6 +762,51 @@ export function searchMultiple(queries) {
   return queries.map(query => search(query));
 }
 
+/**
+ * Convert many free-text labels ("Tue wk3 MT25", "w0 HT26") to dates, e.g. a
+ * spreadsheet column of Oxford shorthand
+ * @param {Array<string>} labels - Labels, one per row; blank rows are kept
+ * @returns {Array<Object>} One row per label, in order: { label, status ('ok', 'error' or 'empty'),
+ *   date and endDate (first and last ISO date, null unless ok), dates, term, week, year,
+ *   assumed (fields filled in from today's context), displayText, error }
+ */
+export function findDatesForLabels(labels) {
+  const trimmed = labels.map(label => (label === null || label === undefined ? '' : String(label).trim()));
+  const results = searchMultiple(trimmed);
+
+  return results.map((result, i) => {
+    const row = {
+      label: trimmed[i],
+      status: 'ok',
+      date: null,
+      endDate: null,
+      dates: [],
+      term: null,
+      week: null,
+      year: null,
+      assumed: [],
+      displayText: null,
+      error: null
+    };
+
+    if (!trimmed[i]) return { ...row, status: 'empty' };
+    if (!result.success) return { ...row, status: 'error', error: result.error };
+
+    const dates = result.dates.map(toISODateString);
+    return {
+      ...row,
+      date: dates[0],
+      endDate: dates[dates.length - 1],
+      dates: dates,
+      term: result.term ?? null,
+      week: result.week ?? null,
+      year: result.year ?? null,
+      assumed: result.assumed || [],
+      displayText: result.displayText
+    };
+  });
+}
+
 /**
  * Get a human-readable summary of search results
  * @param {Object} results - Search results from search()
@@ -232,6 +822,10 @@ export function getResultSummary(results) {
       return `Found ${results.displayText}\n${results.detailText}`;
     
     case 'single-date':
+    case 'multi-week-range':
+    case 'duration':
+    case 'event':
+    case 'recurrence':
       return `${results.displayText}\n${results.detailText}`;
     
     default:
@@ -239,6 +833,62 @@ export function getResultSummary(results) {
   }
 }
 
+/**
+ * Get the two lines shown for a search result in the info panel
+ * @param {Object} results - Search results from search()
+ * @returns {{primary: string, secondary: string}} Headline and detail lines
+ */
+export function getResultLines(results) {
+  if (!results.success) {
+    return {
+      primary: 'No results found',
+      secondary: results.error || 'Could not parse query'
+    };
+  }
+
+  // Offsets name what they count from: "Michaelmas Term 2025-26, Week 3 (14 days after ...)"
+  if (results.offset) {
+    if (results.type === 'week-range') {
+      return {
+        primary: results.weekRangeText,
+        secondary: `${capitalizeFirst(results.term)} Term, Week ${results.week} (${results.offset.description})`
+      };
+    }
+    return { primary: results.displayText, secondary: results.detailText };
+  }
+
+  switch (results.type) {
+    case 'week-range':
+      return {
+        primary: results.weekRangeText,
+        secondary: `${capitalizeFirst(results.term)} Term, Week ${results.week}`
+      };
+
+    case 'single-date': {
+      // For specific date queries like "Tuesday Week 5 Michaelmas 2025"
+      if (results.term && results.week) {
+        return {
+          primary: results.displayText,
+          secondary: `${capitalizeFirst(results.term)} Term, Week ${results.week}`
+        };
+      }
+
+      // Extract term and week from detailText like "Tuesday, Week 5 of Michaelmas Term 2025-26"
+      const detailMatch = results.detailText.match(/Week (\d+) of (\w+) Term/);
+      return {
+        primary: results.displayText,
+        secondary: detailMatch ? `${detailMatch[2]} Term, Week ${detailMatch[1]}` : results.detailText
+      };
+    }
+
+    default:
+      return {
+        primary: results.displayText,
+        secondary: results.detailText
+      };
+  }
+}
+
 /**
  * Capitalize first letter of a string
  * @param {string} str - String to capitalize
@@ -1,6 +1,8 @@
-import { describe, it, expect, beforeAll } from 'vitest';
-import { search, searchMultiple, getResultSummary } from './searchEngine.js';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { search, searchMultiple, findDatesForLabels, getResultSummary, getResultLines } from './searchEngine.js';
 import { loadTermsData } from '../data/termService.js';
+import { _resetContextCache } from './queryParser.js';
+import { setCalendarProfile } from '../data/termService.js';
 
 // Mock fetch for testing
 global.fetch = async (url) => {
@@ -110,8 +112,18 @@ describe('search', () => {
       expect(result.success).toBe(false);
       expect(result.error).toContain('not found');
     });
+
+    it('should pass on the fields it assumed', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-10-20T12:00:00'));
+      _resetContextCache();
+      expect(search('week 5').assumed).toEqual(['term', 'year']);
+      expect(search('w5 mt25').assumed).toBeUndefined();
+      vi.useRealTimers();
+      _resetContextCache();
+    });
   });
-  
+
   describe('date searches', () => {
     it('should identify term week for 25 March 2025', () => {
       const result = search('25 March 2025');
@@ -178,6 +190,295 @@ describe('search', () => {
     });
   });
   
+  describe('range searches', () => {
+    it('should find weeks 3-5 Hilary 2025', () => {
+      const result = search('weeks 3-5 hilary 2025');
+      expect(result.success).toBe(true);
+      expect(result.type).toBe('multi-week-range');
+      expect(result.startDate).toBe('2025-02-02');
+      expect(result.endDate).toBe('2025-02-22');
+      expect(result.dates).toHaveLength(21);
+      expect(result.weeks.map(w => w.week)).toEqual([3, 4, 5]);
+      expect(result.detailText).toContain('Hilary Term 2024-25, Weeks 3–5');
+    });
+
+    it('should find "week 3 to week 6 MT25"', () => {
+      const result = search('week 3 to week 6 MT25');
+      expect(result.success).toBe(true);
+      expect(result.startDate).toBe('2025-10-26');
+      expect(result.endDate).toBe('2025-11-22');
+      expect(result.weeks).toHaveLength(4);
+    });
+
+    it('should annotate every date in "from 1 March to 20 April 2027"', () => {
+      const result = search('from 1 March to 20 April 2027');
+      expect(result.success).toBe(true);
+      expect(result.startDate).toBe('2027-03-01');
+      expect(result.endDate).toBe('2027-04-20');
+      expect(result.days).toHaveLength(51);
+      expect(result.days[0]).toEqual({ date: '2027-03-01', term: 'hilary', week: 7, year: '2026-27' });
+      expect(result.days.every(d => 'term' in d && 'week' in d)).toBe(true);
+    });
+
+    it('should use Full Term for bare term endpoints', () => {
+      const result = search('michaelmas 2025 to hilary 2026');
+      expect(result.success).toBe(true);
+      expect(result.startDate).toBe('2025-10-12');
+      expect(result.endDate).toBe('2026-03-14');
+    });
+
+    it('should reject a range that ends before it starts', () => {
+      const result = search('week 5 to week 3 mt25');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('before');
+    });
+
+    it('should reject ranges longer than a year', () => {
+      const result = search('2025-01-01 to 2027-01-01');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('limited');
+    });
+  });
+
+  describe('duration searches', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      _resetContextCache();
+    });
+
+    function mockToday(isoString) {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(`${isoString}T12:00:00`));
+      _resetContextCache();
+    }
+
+    it('should count weeks until Trinity starts', () => {
+      mockToday('2025-02-05');
+      const result = search('how many weeks until trinity');
+      expect(result.success).toBe(true);
+      expect(result.type).toBe('duration');
+      expect(result.date).toBe('2025-04-27');
+      expect(result.days).toBe(81);
+      expect(result.weeks).toBe(11);
+      expect(result.remainderDays).toBe(4);
+      expect(result.displayText).toBe('11 weeks and 4 days until the start of Trinity Full Term 2024-25');
+    });
+
+    it('should count days left in the current term', () => {
+      mockToday('2025-02-05');
+      const result = search('days left in term');
+      expect(result.success).toBe(true);
+      expect(result.date).toBe('2025-03-15');
+      expect(result.days).toBe(38);
+      expect(result).not.toHaveProperty('remainderDays');
+      expect(result.displayText).toBe('38 days until the end of Hilary Full Term 2024-25');
+    });
+
+    it('should roll an assumed year forward to the next occurrence', () => {
+      mockToday('2025-05-10');
+      const result = search('how many days until 25 march');
+      expect(result.success).toBe(true);
+      expect(result.date).toBe('2026-03-25');
+    });
+
+    it('should describe past dates with an explicit year', () => {
+      mockToday('2025-05-10');
+      const result = search('days until 1 may 2025');
+      expect(result.days).toBe(-9);
+      expect(result.displayText).toContain('9 days since');
+    });
+  });
+
+  describe('offset searches', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      _resetContextCache();
+    });
+
+    function mockToday(isoString) {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(`${isoString}T12:00:00`));
+      _resetContextCache();
+    }
+
+    it('should count days from the start of Full Term', () => {
+      mockToday('2025-02-05');
+      const result = search('14 days after the start of full term');
+      expect(result.success).toBe(true);
+      expect(result.type).toBe('single-date');
+      expect(result.date).toBe('2025-02-02');
+      expect(result.detailText).toBe('Hilary Term 2024-25, Week 3 (14 days after the start of Hilary Full Term 2024-25)');
+      expect(result.offset).toMatchObject({ amount: 14, unit: 'days', direction: 'after', from: '2025-01-19' });
+      expect(result.assumed).toEqual(['term', 'year']);
+    });
+
+    it('should find the nth day of Full Term', () => {
+      mockToday('2025-02-05');
+      const result = search('the 10th day of full term');
+      expect(result.date).toBe('2025-01-28');
+      expect(result.detailText).toContain('(the 10th day of Hilary Full Term 2024-25)');
+    });
+
+    it('should move a whole week by weeks', () => {
+      const result = search('3 weeks after week 2 hilary 2025');
+      expect(result.success).toBe(true);
+      expect(result.type).toBe('week-range');
+      expect(result.week).toBe(5);
+      expect(result.startDate).toBe('2025-02-16');
+    });
+
+    it('should count days after the end of a week and before its start', () => {
+      expect(search('3 days after week 2 hilary 2025').date).toBe('2025-02-04');
+      expect(search('2 days before week 2 hilary 2025').date).toBe('2025-01-24');
+    });
+
+    it('should count from dates and days of term weeks', () => {
+      expect(search('10 days before 1 march 2025').date).toBe('2025-02-19');
+      expect(search('a week after tuesday week 3 hilary 2025').date).toBe('2025-02-11');
+    });
+
+    it('should reject a day beyond the end of the anchor', () => {
+      const result = search('the 8th day of week 3 hilary 2025');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Week 3 of Hilary Term 2024-25 has only 7 days');
+    });
+  });
+
+  describe('term anchor searches', () => {
+    it('should find the last week of a term', () => {
+      const result = search('last week of trinity 2025');
+      expect(result.type).toBe('week-range');
+      expect(result.week).toBe(8);
+      expect(result.startDate).toBe('2025-06-15');
+    });
+
+    it('should find the first and last days of Full Term', () => {
+      expect(search('first day of full term hilary 2025').date).toBe('2025-01-19');
+      expect(search('last day of full term hilary 2025').date).toBe('2025-03-15');
+    });
+
+    it('should find the end of Full Term and of extended term', () => {
+      expect(search('end of hilary 2025').week).toBe(8);
+      expect(search('end of extended term hilary 2025').week).toBe(12);
+    });
+
+    it('should count to the end of extended term', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-02-05T12:00:00'));
+      _resetContextCache();
+      const result = search('days until the end of extended term');
+      vi.useRealTimers();
+      _resetContextCache();
+      expect(result.displayText).toMatch(/ days until the end of Hilary Extended Term 2024-25$/);
+    });
+  });
+
+  describe('event searches', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      _resetContextCache();
+    });
+
+    function mockToday(isoString) {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(`${isoString}T12:00:00`));
+      _resetContextCache();
+    }
+
+    it('should find an event in a calendar year', () => {
+      const result = search('when is encaenia 2026');
+      expect(result.success).toBe(true);
+      expect(result.type).toBe('event');
+      expect(result.event).toBe('Encaenia');
+      expect(result.eventType).toBe('ceremony');
+      expect(result.startDate).toBe('2026-06-24');
+      expect(result.dates).toHaveLength(1);
+      expect(result).toMatchObject({ year: '2025-26', term: 'trinity', week: 9 });
+      expect(result.displayText).toBe('Encaenia, Wednesday, 24 June 2026');
+      expect(result.detailText).toBe('Trinity Term 2025-26, Week 9');
+    });
+
+    it('should find an event in an academic year', () => {
+      expect(search('encaenia 2024-25').startDate).toBe('2025-06-25');
+    });
+
+    it('should pick the next occurrence without a year', () => {
+      mockToday('2025-08-01');
+      expect(search('encaenia').startDate).toBe('2026-06-24');
+    });
+
+    it('should fall back to the latest occurrence once all have passed', () => {
+      mockToday('2032-08-01');
+      expect(search('encaenia').startDate).toBe('2032-06-23');
+    });
+
+    it('should tolerate typos in event names', () => {
+      expect(search('encenia 2025').startDate).toBe('2025-06-25');
+    });
+
+    it('should report years without the event', () => {
+      const result = search('encaenia 2033');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No dates found for Encaenia 2033');
+    });
+
+    it('should count down to an event', () => {
+      mockToday('2026-06-10');
+      const result = search('how many days until encaenia');
+      expect(result.success).toBe(true);
+      expect(result.days).toBe(14);
+      expect(result.displayText).toBe('14 days until Encaenia');
+    });
+
+    it('should count down to the next occurrence, not one already past', () => {
+      mockToday('2025-08-01');
+      const result = search('weeks until encaenia');
+      expect(result.date).toBe('2026-06-24');
+      expect(result.displayText).toMatch(/ until Encaenia$/);
+    });
+
+    it('should count down past this year\'s occurrence to next year\'s', () => {
+      mockToday('2026-10-18');
+      const result = search('how many days until encaenia');
+      expect(result.date).toBe('2027-06-23');
+      expect(result.displayText).toBe('248 days until Encaenia');
+    });
+
+    it('should report when no occurrence is left to count down to', () => {
+      mockToday('2032-08-01');
+      const result = search('how many days until encaenia');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No upcoming Encaenia in the term data');
+      expect(search('days until encaenia 2025').error).toBe('No upcoming Encaenia 2025 in the term data');
+    });
+  });
+
+  describe('recurrence searches', () => {
+    it('should expand "Thursdays weeks 1-8 Hilary 2026"', () => {
+      const result = search('Thursdays weeks 1-8 Hilary 2026');
+      expect(result.success).toBe(true);
+      expect(result.type).toBe('recurrence');
+      expect(result.rule).toEqual({ year: '2025-26', term: 'hilary', daysOfWeek: [4], fromWeek: 1, toWeek: 8 });
+      expect(result.dates).toHaveLength(8);
+      expect(result.occurrences[0]).toMatchObject({ date: '2026-01-22', week: 1 });
+      expect(result.endDate).toBe('2026-03-12');
+      expect(result.displayText).toBe('Every Thursday, weeks 1–8 of Hilary 2025-26');
+      expect(result.detailText).toBe('8 dates, Thursday, 22 January 2026 – Thursday, 12 March 2026');
+    });
+
+    it('should expand even weeks on several days', () => {
+      const result = search('every monday and wednesday even weeks mt25');
+      expect(result.rule).toMatchObject({ daysOfWeek: [1, 3], parity: 'even' });
+      expect(result.occurrences.map(o => o.week)).toEqual([2, 2, 4, 4, 6, 6, 8, 8]);
+    });
+
+    it('should report schedules with no dates', () => {
+      const result = search('thursdays weeks 1-8 hilary 2099');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No dates found for Every Thursday, weeks 1–8 of Hilary 2098-99');
+    });
+  });
+
   describe('error handling', () => {
     it('should handle invalid queries', () => {
       const result = search('something invalid');
@@ -233,6 +534,116 @@ describe('searchMultiple', () => {
   });
 });
 
+describe('findDatesForLabels', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    _resetContextCache();
+  });
+
+  it('should convert labels to ISO dates in order', () => {
+    const rows = findDatesForLabels(['Tue wk3 MT25', ' w0 HT26 ', '2027-03-25']);
+    expect(rows.map(row => row.status)).toEqual(['ok', 'ok', 'ok']);
+    expect(rows[0]).toMatchObject({
+      label: 'Tue wk3 MT25',
+      date: '2025-10-28',
+      endDate: '2025-10-28',
+      term: 'michaelmas',
+      week: 3,
+      year: '2025-26',
+      assumed: [],
+      error: null
+    });
+    expect(rows[1]).toMatchObject({ label: 'w0 HT26', date: '2026-01-11', endDate: '2026-01-17' });
+    expect(rows[1].dates).toHaveLength(7);
+    expect(rows[2]).toMatchObject({ date: '2027-03-25', week: 10 });
+  });
+
+  it('should report what was assumed', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-10-20T12:00:00'));
+    _resetContextCache();
+    const [row] = findDatesForLabels(['wk5']);
+    expect(row).toMatchObject({ status: 'ok', date: '2025-11-09', assumed: ['term', 'year'] });
+  });
+
+  it('should keep failed and blank rows in place', () => {
+    const rows = findDatesForLabels(['w1 MT25', 'not a label', '', null]);
+    expect(rows.map(row => row.status)).toEqual(['ok', 'error', 'empty', 'empty']);
+    expect(rows[1]).toMatchObject({ label: 'not a label', date: null, error: 'Could not parse query' });
+    expect(rows[2].error).toBeNull();
+  });
+
+  it('should reject dates that do not exist rather than roll them over', () => {
+    const rows = findDatesForLabels(['2025-02-30', '31/04/2026', '12/13/2025', '29/02/2024']);
+    expect(rows.map(row => row.status)).toEqual(['error', 'error', 'error', 'ok']);
+    expect(rows[0]).toMatchObject({ date: null, error: 'No such date: 2025-02-30' });
+    expect(rows[1].error).toBe('No such date: 2026-04-31');
+    expect(rows[2].error).toBe('No such date: 2025-13-12');
+    expect(rows[3].date).toBe('2024-02-29');
+  });
+});
+
+describe('getResultLines', () => {
+  it('should show the Monday–Saturday range for a week', () => {
+    const lines = getResultLines(search('w5 mt25'));
+    expect(lines).toEqual({
+      primary: 'Monday, 10 – Saturday, 15 November 2025',
+      secondary: 'Michaelmas Term, Week 5'
+    });
+  });
+
+  it('should show the term and week for a date', () => {
+    const lines = getResultLines(search('2027-03-25'));
+    expect(lines.secondary).toBe('Hilary Term, Week 10');
+  });
+
+  it('should show dates outside term time', () => {
+    const lines = getResultLines(search('2025-08-01'));
+    expect(lines.secondary).toBe('Outside term time');
+  });
+
+  it('should say what an offset counts from', () => {
+    const lines = getResultLines(search('3 days after week 12 trinity 2025'));
+    expect(lines).toEqual({
+      primary: 'Tuesday, 22 July 2025',
+      secondary: 'Outside term time (3 days after the end of Week 12 of Trinity Term 2024-25)'
+    });
+  });
+
+  it('should show errors', () => {
+    const lines = getResultLines(search('not a query'));
+    expect(lines.primary).toBe('No results found');
+    expect(lines.secondary).toBe('Could not parse query');
+  });
+});
+
+describe('calendar profiles', () => {
+  afterEach(() => {
+    setCalendarProfile('oxford');
+  });
+
+  it('should search Cambridge term weeks', () => {
+    setCalendarProfile('cambridge');
+    const result = search('week 3 lent 2026');
+    expect(result).toMatchObject({ success: true, type: 'week-range', term: 'lent', week: 3, year: '2025-26' });
+    expect(result.startDate).toBe('2026-02-01');
+    expect(getResultLines(result).secondary).toBe('Lent Term, Week 3');
+  });
+
+  it('should find the Cambridge term for a date', () => {
+    setCalendarProfile('cambridge');
+    const result = search('2026-05-05');
+    expect(result.detailText).toBe('Easter Term 2025-26, Week 2');
+  });
+
+  it('should span each profile\'s own Full Term', () => {
+    setCalendarProfile('cambridge');
+    const result = search('lent 2026 to easter 2026');
+    expect(result.startDate).toBe('2026-01-18');
+    expect(result.endDate).toBe('2026-06-20');
+  });
+});
+
 describe('getResultSummary', () => {
   beforeAll(async () => {
     await loadTermsData();
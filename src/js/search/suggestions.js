@@ -2,19 +2,28 @@
  * Search suggestions module for Oxford term dates
  */
 
-import { getAvailableYears, getCurrentAcademicYear } from '../data/termService.js';
-import { TERM_NAMES, DAY_NAMES, MONTH_NAMES } from './parser/patterns.js';
+import {
+  getAvailableYears, getCurrentAcademicYear, getCalendarProfile, getEvents, getExtendedTermWeeks
+} from '../data/termService.js';
+import { getAcademicYearForTerm } from '../data/profiles.js';
+import { DAY_NAMES, MONTH_NAMES } from './parser/patterns.js';
 
 /**
  * Generate search suggestions based on partial input
  * @param {string} input - Partial user input
  * @param {Object} options - Options for suggestion generation
+ * @param {number} [options.maxSuggestions] - Most suggestions to return (default 8)
+ * @param {{recent: string[], pinned: string[]}} [options.history] - Search history
+ *   (see history.js), offered ahead of the examples when the input is empty
  * @returns {Array<Object>} Array of suggestion objects
  */
 export function generateSuggestions(input, options = {}) {
   if (!input) {
-    const defaults = getDefaultSuggestions();
-    return defaults.slice(0, options.maxSuggestions || 8);
+    // History comes first, so an example the user already searched for shows as history
+    const history = getHistorySuggestions(options.history);
+    const seen = new Set(history.map(s => s.text.toLowerCase()));
+    const defaults = getDefaultSuggestions().filter(s => !seen.has(s.text.toLowerCase()));
+    return [...history, ...defaults].slice(0, options.maxSuggestions || 8);
   }
   
   // Special case for single 'w' - it's meaningful for week suggestions
@@ -37,6 +46,9 @@ export function generateSuggestions(input, options = {}) {
   
   // Add date format suggestions
   suggestions.push(...getDateFormatSuggestions(normalized));
+
+  // Add named event suggestions
+  suggestions.push(...getEventSuggestions(normalized));
   
   // Remove duplicates and limit
   const unique = Array.from(new Map(
@@ -46,6 +58,20 @@ export function generateSuggestions(input, options = {}) {
   return unique.slice(0, options.maxSuggestions || 8);
 }
 
+/**
+ * Get suggestions for pinned and recent searches
+ * @param {{recent: string[], pinned: string[]}} [history] - Search history
+ * @returns {Array<Object>} Pinned searches, then recent ones
+ */
+function getHistorySuggestions(history) {
+  if (!history) return [];
+
+  return [
+    ...(history.pinned || []).map(text => ({ text, type: 'pinned', description: 'Pinned search' })),
+    ...(history.recent || []).map(text => ({ text, type: 'recent', description: 'Recent search' }))
+  ];
+}
+
 /**
  * Get default suggestions when no input
  * @returns {Array<Object>} Default suggestions
@@ -53,22 +79,25 @@ export function generateSuggestions(input, options = {}) {
 function getDefaultSuggestions() {
   const currentYear = getCurrentAcademicYear();
   const nextYear = getNextAcademicYear(currentYear);
+  const { terms } = getCalendarProfile();
+  const [firstTerm, secondTerm] = terms;
+  const lastTerm = terms[terms.length - 1];
   
   return [
     {
-      text: `Week 1 Michaelmas ${currentYear}`,
+      text: `Week 1 ${firstTerm.label} ${currentYear}`,
       type: 'example',
-      description: 'First week of Michaelmas term'
+      description: `First week of ${firstTerm.label} term`
     },
     {
-      text: `Week 5 Hilary ${currentYear}`,
+      text: `Week 5 ${secondTerm.label} ${currentYear}`,
       type: 'example',
-      description: 'Fifth week of Hilary term'
+      description: `Fifth week of ${secondTerm.label} term`
     },
     {
-      text: `Trinity ${currentYear} Week 8`,
+      text: `${lastTerm.label} ${currentYear} Week ${lastTerm.fullTerm.lastWeek}`,
       type: 'example',
-      description: 'Last week of Trinity full term'
+      description: `Last week of ${lastTerm.label} full term`
     },
     {
       text: 'Tuesday Week 3',
@@ -86,29 +115,26 @@ function getDefaultSuggestions() {
  */
 function getTermSuggestions(input, options = {}) {
   const suggestions = [];
-  const terms = [
-    { name: 'Michaelmas', abbrev: ['mich', 'mt'] },
-    { name: 'Hilary', abbrev: ['hil', 'ht'] },
-    { name: 'Trinity', abbrev: ['trin', 'tt'] }
-  ];
+  const profile = getCalendarProfile();
+  const terms = profile.terms.map(term => ({
+    name: term.label,
+    abbrev: [...term.aliases, term.shortLabel.toLowerCase()]
+  }));
   
   const currentYear = getCurrentAcademicYear();
   
   // Check for year-specific term aliases (e.g., MT25, HT26)
-  const yearTermMatch = input.match(/^(mt|ht|tt)(\d{2})?$/i);
-  if (yearTermMatch) {
-    const [, termAlias, yearPart] = yearTermMatch;
-    const termMap = {
-      'mt': 'Michaelmas',
-      'ht': 'Hilary',
-      'tt': 'Trinity'
-    };
-    const fullTerm = termMap[termAlias.toLowerCase()];
+  const yearTermMatch = input.match(/^([a-z]{2})(\d{2})?$/i);
+  const yearTermDefinition = yearTermMatch
+    && profile.terms.find(term => term.shortLabel.toLowerCase() === yearTermMatch[1].toLowerCase());
+  if (yearTermDefinition) {
+    const yearPart = yearTermMatch[2];
+    const fullTerm = yearTermDefinition.label;
     
     if (yearPart) {
       // Specific year provided
       const fullYear = `20${yearPart}`;
-      const academicYear = getAcademicYearFromCalendarYear(fullTerm, fullYear);
+      const academicYear = getAcademicYearForTerm(profile, yearTermDefinition.name, fullYear);
       suggestions.push({
         text: `${fullTerm} ${academicYear}`,
         type: 'term',
@@ -170,6 +196,32 @@ function getTermSuggestions(input, options = {}) {
   return suggestions;
 }
 
+/**
+ * Get named event suggestions (Encaenia, degree days, ...)
+ * @param {string} input - Normalized input
+ * @returns {Array<Object>} Event suggestions, one per event name
+ */
+function getEventSuggestions(input) {
+  const suggestions = [];
+  const seen = new Set();
+
+  for (const event of getEvents()) {
+    if (seen.has(event.name)) continue;
+
+    const matches = [event.name, ...event.aliases].some(name => name.toLowerCase().startsWith(input));
+    if (matches) {
+      seen.add(event.name);
+      suggestions.push({
+        text: event.name,
+        type: 'event',
+        description: `Next ${event.name} date`
+      });
+    }
+  }
+
+  return suggestions;
+}
+
 /**
  * Get week-based suggestions
  * @param {string} input - Normalized input
@@ -178,61 +230,26 @@ function getTermSuggestions(input, options = {}) {
  */
 function getWeekSuggestions(input, options = {}) {
   const suggestions = [];
+  const { firstWeek, lastWeek } = getExtendedTermWeeks();
   
   // Check for week aliases (w0, w1, w2, etc.)
   const weekAliasMatch = input.match(/^w(\d{1,2})$/i);
   if (weekAliasMatch) {
     const weekNum = parseInt(weekAliasMatch[1]);
-    if (weekNum >= 0 && weekNum <= 12) {
-      const currentYear = getCurrentAcademicYear();
-      
-      suggestions.push({
-        text: `Week ${weekNum} Michaelmas ${currentYear}`,
-        type: 'week',
-        description: `Week ${weekNum} of Michaelmas term`
-      });
-      
-      suggestions.push({
-        text: `Week ${weekNum} Hilary ${currentYear}`,
-        type: 'week',
-        description: `Week ${weekNum} of Hilary term`
-      });
-      
-      suggestions.push({
-        text: `Week ${weekNum} Trinity ${currentYear}`,
-        type: 'week',
-        description: `Week ${weekNum} of Trinity term`
-      });
+    if (weekNum >= firstWeek && weekNum <= lastWeek) {
+      suggestions.push(...getWeekInEachTermSuggestions(weekNum));
     }
     return suggestions;
   }
   
   if (input.startsWith('w') || input.startsWith('week')) {
-    const currentYear = getCurrentAcademicYear();
-    
     // Extract week number if present
     const weekMatch = input.match(/w(?:ee)?k?\s*(\d+)/);
     const weekNum = weekMatch ? parseInt(weekMatch[1]) : null;
     
-    if (weekNum !== null && weekNum >= 0 && weekNum <= 12) {
+    if (weekNum !== null && weekNum >= firstWeek && weekNum <= lastWeek) {
       // Specific week number with all terms
-      suggestions.push({
-        text: `Week ${weekNum} Michaelmas ${currentYear}`,
-        type: 'week',
-        description: `Week ${weekNum} of Michaelmas term`
-      });
-      
-      suggestions.push({
-        text: `Week ${weekNum} Hilary ${currentYear}`,
-        type: 'week',
-        description: `Week ${weekNum} of Hilary term`
-      });
-      
-      suggestions.push({
-        text: `Week ${weekNum} Trinity ${currentYear}`,
-        type: 'week',
-        description: `Week ${weekNum} of Trinity term`
-      });
+      suggestions.push(...getWeekInEachTermSuggestions(weekNum));
     } else {
       // Generic week suggestions
       const weeks = [0, 1, 4, 5, 8];
@@ -251,6 +268,20 @@ function getWeekSuggestions(input, options = {}) {
   return suggestions;
 }
 
+/**
+ * Suggest one week number in every term of the current academic year
+ * @param {number} weekNum - Week number
+ * @returns {Array<Object>} One suggestion per term
+ */
+function getWeekInEachTermSuggestions(weekNum) {
+  const currentYear = getCurrentAcademicYear();
+  return getCalendarProfile().terms.map(term => ({
+    text: `Week ${weekNum} ${term.label} ${currentYear}`,
+    type: 'week',
+    description: `Week ${weekNum} of ${term.label} term`
+  }));
+}
+
 /**
  * Get day-based suggestions
  * @param {string} input - Normalized input
@@ -270,6 +301,7 @@ function getDaySuggestions(input, options = {}) {
   ];
   
   const currentYear = getCurrentAcademicYear();
+  const firstTerm = getCalendarProfile().terms[0].label;
   
   for (const day of days) {
     // Check both full name and abbreviations
@@ -285,9 +317,9 @@ function getDaySuggestions(input, options = {}) {
       
       if (input.length > 2) {
         suggestions.push({
-          text: `${day.full} Week 5 Michaelmas ${currentYear}`,
+          text: `${day.full} Week 5 ${firstTerm} ${currentYear}`,
           type: 'day-week',
-          description: `${day.full} of Week 5, Michaelmas term`
+          description: `${day.full} of Week 5, ${firstTerm} term`
         });
       }
     }
@@ -381,23 +413,6 @@ function getNextAcademicYear(currentYear) {
   return `${nextStart}-${nextEnd}`;
 }
 
-/**
- * Get academic year from calendar year and term
- * @param {string} term - Term name (Michaelmas, Hilary, Trinity)
- * @param {string} calendarYear - Calendar year (e.g., "2025")
- * @returns {string} Academic year (e.g., "2024-25")
- */
-function getAcademicYearFromCalendarYear(term, calendarYear) {
-  const year = parseInt(calendarYear);
-  if (term.toLowerCase() === 'michaelmas') {
-    // Michaelmas starts the academic year
-    return `${year}-${(year + 1).toString().slice(-2)}`;
-  } else {
-    // Hilary and Trinity are in the second part of academic year
-    return `${year - 1}-${year.toString().slice(-2)}`;
-  }
-}
-
 /**
  * Format suggestions for display
  * @param {Array<Object>} suggestions - Raw suggestions
@@ -1,10 +1,11 @@
-import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
 import { 
   generateSuggestions, 
   formatSuggestionsForDisplay,
   getSuggestionHTML 
 } from './suggestions.js';
-import { loadTermsData } from '../data/termService.js';
+import { loadTermsData, setCalendarProfile } from '../data/termService.js';
+import { getSearchHistory, recordSearch, pinQuery } from './history.js';
 
 // Mock fetch for testing
 global.fetch = async (url) => {
@@ -58,8 +59,68 @@ describe('generateSuggestions', () => {
       expect(suggestions.length).toBeGreaterThan(0);
       expect(suggestions[0].type).toBe('example');
     });
+
+    it('should offer pinned, then recent searches ahead of the examples', () => {
+      const suggestions = generateSuggestions('', {
+        history: { pinned: ['w5 mt25'], recent: ['encaenia', 'tuesday week 3'] }
+      });
+      expect(suggestions.slice(0, 3)).toEqual([
+        { text: 'w5 mt25', type: 'pinned', description: 'Pinned search' },
+        { text: 'encaenia', type: 'recent', description: 'Recent search' },
+        { text: 'tuesday week 3', type: 'recent', description: 'Recent search' }
+      ]);
+      expect(suggestions[3].type).toBe('example');
+    });
+
+    it('should not repeat an example that is already in the history', () => {
+      const suggestions = generateSuggestions('', { history: { pinned: [], recent: ['Tuesday Week 3'] } });
+      expect(suggestions.filter(s => s.text.toLowerCase() === 'tuesday week 3')).toHaveLength(1);
+      expect(suggestions[0].type).toBe('recent');
+    });
+
+    it('should limit history suggestions to maxSuggestions', () => {
+      const recent = Array.from({ length: 10 }, (_, i) => `week ${i}`);
+      const suggestions = generateSuggestions('', { history: { pinned: [], recent }, maxSuggestions: 5 });
+      expect(suggestions).toHaveLength(5);
+      expect(suggestions.every(s => s.type === 'recent')).toBe(true);
+    });
+
+    it('should show every pinned and recent search from a full history', () => {
+      localStorage.clear();
+      for (let week = 1; week <= 8; week++) {
+        recordSearch(`w${week} mt25`);
+      }
+      for (let week = 1; week <= 6; week++) {
+        pinQuery(`w${week} ht26`);
+      }
+      const history = getSearchHistory();
+      const suggestions = generateSuggestions('', { history });
+      expect(suggestions.filter(s => s.type === 'pinned').map(s => s.text)).toEqual(history.pinned);
+      expect(suggestions.filter(s => s.type === 'recent').map(s => s.text)).toEqual(history.recent);
+      expect(history.pinned).toHaveLength(4);
+      expect(history.recent).toHaveLength(4);
+      localStorage.clear();
+    });
+
+    it('should not offer history once the user types', () => {
+      const suggestions = generateSuggestions('mich', { history: { pinned: ['w5 mt25'], recent: [] } });
+      expect(suggestions.some(s => s.type === 'pinned')).toBe(false);
+    });
   });
   
+  describe('event suggestions', () => {
+    it('should suggest a named event once for its prefix', () => {
+      const suggestions = generateSuggestions('encae');
+      expect(suggestions.filter(s => s.type === 'event')).toEqual([
+        { text: 'Encaenia', type: 'event', description: 'Next Encaenia date' }
+      ]);
+    });
+
+    it('should not suggest events for unrelated input', () => {
+      expect(generateSuggestions('mich').some(s => s.type === 'event')).toBe(false);
+    });
+  });
+
   describe('term suggestions', () => {
     it('should suggest Michaelmas for "mich"', () => {
       const suggestions = generateSuggestions('mich');
@@ -156,6 +217,31 @@ describe('generateSuggestions', () => {
     });
   });
   
+  describe('calendar profiles', () => {
+    afterEach(() => {
+      setCalendarProfile('oxford');
+    });
+
+    it('should suggest the active profile\'s terms', () => {
+      setCalendarProfile('cambridge');
+      const texts = generateSuggestions('w3').map(s => s.text);
+      expect(texts.some(t => t.startsWith('Week 3 Lent'))).toBe(true);
+      expect(texts.some(t => t.includes('Hilary'))).toBe(false);
+    });
+
+    it('should expand the active profile\'s short labels', () => {
+      setCalendarProfile('cambridge');
+      const suggestions = generateSuggestions('lt26');
+      expect(suggestions[0].text).toBe('Lent 2025-26');
+    });
+
+    it('should use the profile in default suggestions', () => {
+      setCalendarProfile('cambridge');
+      const texts = generateSuggestions('').map(s => s.text);
+      expect(texts.some(t => t.startsWith('Easter') && t.endsWith('Week 8'))).toBe(true);
+    });
+  });
+
   describe('options', () => {
     it('should respect maxSuggestions option', () => {
       const suggestions = generateSuggestions('w', { maxSuggestions: 3 });
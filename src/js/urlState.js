@@ -0,0 +1,109 @@
+/**
+ * URL state: the search query, selected date, month and calendar view shown,
+ * kept in the query string so any view can be shared or bookmarked:
+ *   ?q=w5+mt25   ?date=2026-02-10   ?month=2026-03   ?view=term
+ * and the printable term card for a term or a whole academic year:
+ *   ?print=term&year=2025-26&term=hilary   ?print=year&year=2025-26
+ */
+
+import { parseISODate, toISODateString } from './data/dateUtils.js';
+
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// The month grid is the default, so it never appears in the URL
+const URL_VIEWS = ['term', 'year'];
+const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{2}$/;
+const TERM_PATTERN = /^[a-z]+$/;
+
+/**
+ * Read the view state from a query string, ignoring malformed values
+ * @param {string} search - Query string, e.g. location.search
+ * @returns {{query: string|null, date: string|null, month: string|null, view: string,
+ *   print: {year: string, term: string|null}|null, focusSearch: boolean}}
+ *   Search query, ISO selected date, "YYYY-MM" month, calendar view ("month",
+ *   "term" or "year"), the term card to print (term null for the whole year),
+ *   and whether to focus the search box
+ */
+export function parseURLState(search) {
+  const params = new URLSearchParams(search);
+  const query = (params.get('q') || '').trim();
+  const date = params.get('date');
+  const month = params.get('month');
+  const view = params.get('view');
+
+  return {
+    query: query || null,
+    date: isValidDate(date) ? date : null,
+    month: isValidMonth(month) ? month : null,
+    view: URL_VIEWS.includes(view) ? view : 'month',
+    print: parsePrintParams(params),
+    focusSearch: params.get('focus') === 'search'
+  };
+}
+
+/**
+ * Build the query string for a view
+ * @param {Object} state - View state
+ * @param {string|null} [state.query] - Search query
+ * @param {Date|string|null} [state.date] - Selected date
+ * @param {Date|string|null} [state.month] - Month shown (any day in it, or "YYYY-MM")
+ * @param {string} [state.view] - Calendar view: "month", "term" or "year"
+ * @param {{year: string, term: string|null}|null} [state.print] - Term card to print
+ * @returns {string} Query string with a leading "?", or "" for the default view
+ */
+export function buildURLSearch({ query = null, date = null, month = null, view = 'month', print = null } = {}) {
+  const params = new URLSearchParams();
+  if (query && query.trim()) params.set('q', query.trim());
+  if (date) params.set('date', typeof date === 'string' ? date : toISODateString(date));
+  if (month) params.set('month', toMonthKey(month));
+  if (URL_VIEWS.includes(view)) params.set('view', view);
+  if (print) {
+    params.set('print', print.term ? 'term' : 'year');
+    params.set('year', print.year);
+    if (print.term) params.set('term', print.term);
+  }
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Get the "YYYY-MM" key of a month
+ * @param {Date|string} month - Any date in the month, or a "YYYY-MM" key
+ * @returns {string} Month key
+ */
+export function toMonthKey(month) {
+  if (typeof month === 'string') return month.slice(0, 7);
+  return `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the first day of a month from its key
+ * @param {string} monthKey - "YYYY-MM"
+ * @returns {Date} Local midnight on the 1st
+ */
+export function parseMonthKey(monthKey) {
+  const [, year, month] = monthKey.match(MONTH_PATTERN);
+  return new Date(Number(year), Number(month) - 1, 1);
+}
+
+function parsePrintParams(params) {
+  const scope = params.get('print');
+  const year = params.get('year');
+  const term = (params.get('term') || '').toLowerCase();
+  if (!ACADEMIC_YEAR_PATTERN.test(year || '')) return null;
+
+  if (scope === 'year') return { year, term: null };
+  if (scope === 'term' && TERM_PATTERN.test(term)) return { year, term };
+  return null;
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value)
+    && toISODateString(parseISODate(value)) === value;
+}
+
+function isValidMonth(value) {
+  const match = typeof value === 'string' && value.match(MONTH_PATTERN);
+  return Boolean(match) && Number(match[2]) >= 1 && Number(match[2]) <= 12;
+}
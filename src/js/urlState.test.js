@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { parseURLState, buildURLSearch, toMonthKey, parseMonthKey } from './urlState.js';
+
+describe('urlState', () => {
+  describe('parseURLState', () => {
+    it('should read the query, date and month', () => {
+      expect(parseURLState('?q=w5+mt25&date=2026-02-10&month=2026-03')).toEqual({
+        query: 'w5 mt25',
+        date: '2026-02-10',
+        month: '2026-03',
+        view: 'month',
+        print: null,
+        focusSearch: false
+      });
+    });
+
+    it('should read the term and year views, defaulting to the month grid', () => {
+      expect(parseURLState('?view=term').view).toBe('term');
+      expect(parseURLState('?view=year').view).toBe('year');
+      expect(parseURLState('?view=week').view).toBe('month');
+    });
+
+    it('should return an empty state for an empty query string', () => {
+      expect(parseURLState('')).toEqual({ query: null, date: null, month: null, view: 'month', print: null, focusSearch: false });
+    });
+
+    it('should read the term card to print', () => {
+      expect(parseURLState('?print=term&year=2025-26&term=Hilary').print).toEqual({ year: '2025-26', term: 'hilary' });
+      expect(parseURLState('?print=year&year=2025-26').print).toEqual({ year: '2025-26', term: null });
+      expect(parseURLState('?print=term&year=2025-26').print).toBeNull();
+      expect(parseURLState('?print=year&year=2025').print).toBeNull();
+    });
+
+    it('should keep the focus=search shortcut', () => {
+      expect(parseURLState('?focus=search').focusSearch).toBe(true);
+    });
+
+    it('should ignore blank queries and malformed dates and months', () => {
+      const state = parseURLState('?q=%20%20&date=2026-02-30&month=2026-13');
+      expect(state.query).toBeNull();
+      expect(state.date).toBeNull();
+      expect(state.month).toBeNull();
+      expect(parseURLState('?date=10/02/2026&month=March').date).toBeNull();
+    });
+  });
+
+  describe('buildURLSearch', () => {
+    it('should encode spaces in the query as plus signs', () => {
+      expect(buildURLSearch({ query: 'w5 mt25' })).toBe('?q=w5+mt25');
+    });
+
+    it('should accept dates as Date objects or ISO strings', () => {
+      expect(buildURLSearch({ date: new Date(2026, 1, 10), month: new Date(2026, 2, 15) }))
+        .toBe('?date=2026-02-10&month=2026-03');
+      expect(buildURLSearch({ date: '2026-02-10', month: '2026-03' }))
+        .toBe('?date=2026-02-10&month=2026-03');
+    });
+
+    it('should add the view unless it is the month grid', () => {
+      expect(buildURLSearch({ month: '2026-04', view: 'term' })).toBe('?month=2026-04&view=term');
+      expect(buildURLSearch({ view: 'month' })).toBe('');
+    });
+
+    it('should add the term card to print', () => {
+      expect(buildURLSearch({ print: { year: '2025-26', term: 'hilary' } })).toBe('?print=term&year=2025-26&term=hilary');
+      expect(buildURLSearch({ print: { year: '2025-26', term: null } })).toBe('?print=year&year=2025-26');
+    });
+
+    it('should return an empty string for the default view', () => {
+      expect(buildURLSearch({})).toBe('');
+      expect(buildURLSearch({ query: '  ' })).toBe('');
+    });
+
+    it('should round-trip through parseURLState', () => {
+      const search = buildURLSearch({ query: 'thursday week 3 & 4', date: '2025-10-30', month: '2025-11', view: 'year' });
+      expect(parseURLState(search)).toEqual({
+        query: 'thursday week 3 & 4',
+        date: '2025-10-30',
+        month: '2025-11',
+        view: 'year',
+        print: null,
+        focusSearch: false
+      });
+    });
+  });
+
+  describe('month keys', () => {
+    it('should convert between dates and month keys', () => {
+      expect(toMonthKey(new Date(2026, 0, 31))).toBe('2026-01');
+      expect(toMonthKey('2026-01-31')).toBe('2026-01');
+      expect(parseMonthKey('2026-03')).toEqual(new Date(2026, 2, 1));
+    });
+  });
+});
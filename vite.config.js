@@ -1,8 +1,26 @@
 import { defineConfig } from 'vite';
+import termsData from './src/js/data/termsData.js';
+import { generateICSFeeds } from './src/js/export/icsFeed.js';
+
+/**
+ * Emit subscribable .ics feeds for every academic year into the build output
+ */
+function icsFeedPlugin() {
+  return {
+    name: 'oxcal-ics-feed',
+    apply: 'build',
+    generateBundle() {
+      for (const feed of generateICSFeeds(termsData)) {
+        this.emitFile({ type: 'asset', fileName: feed.fileName, source: feed.source });
+      }
+    }
+  };
+}
 
 export default defineConfig({
   root: '.',
   publicDir: 'public',
+  plugins: [icsFeedPlugin()],
   build: {
     outDir: 'dist',
     emptyOutDir: true,
@@ -24,4 +42,4 @@ export default defineConfig({
     globals: true,
     environment: 'jsdom',
   },
-});
\ No newline at end of file
+});
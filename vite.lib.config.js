@@ -0,0 +1,31 @@
+import { readFileSync } from 'node:fs';
+import { defineConfig } from 'vite';
+
+const TYPES_SOURCE = './src/js/lib/index.d.ts';
+
+/**
+ * Copy the hand-written type declarations next to the library bundle
+ */
+function typeDeclarationsPlugin() {
+  return {
+    name: 'oxcal-type-declarations',
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'oxcal.d.ts', source: readFileSync(TYPES_SOURCE, 'utf8') });
+    }
+  };
+}
+
+export default defineConfig({
+  publicDir: false,
+  plugins: [typeDeclarationsPlugin()],
+  build: {
+    outDir: 'dist-lib',
+    emptyOutDir: true,
+    sourcemap: true,
+    lib: {
+      entry: './src/js/lib/index.js',
+      formats: ['es'],
+      fileName: 'oxcal'
+    }
+  }
+});